@@ -0,0 +1,25 @@
+-- Migration: Ad-hoc (freestyle) workout logging
+-- Lets users log an unplanned workout without a plan or daily workout.
+-- Ad-hoc workouts are stored as workout_completions with workout_type = 'adhoc',
+-- so streaks, challenges, weekly goals and feed sharing work unchanged.
+
+ALTER TABLE workout_completions
+  ALTER COLUMN daily_workout_id DROP NOT NULL,
+  ALTER COLUMN workout_plan_id DROP NOT NULL;
+
+ALTER TABLE workout_completions
+  ADD COLUMN IF NOT EXISTS workout_type VARCHAR(20) NOT NULL DEFAULT 'plan',
+  ADD COLUMN IF NOT EXISTS workout_name VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS exercises JSONB;
+
+ALTER TABLE workout_completions
+  DROP CONSTRAINT IF EXISTS valid_workout_type;
+
+ALTER TABLE workout_completions
+  ADD CONSTRAINT valid_workout_type CHECK (workout_type IN ('plan', 'adhoc'));
+
+CREATE INDEX IF NOT EXISTS idx_workout_completions_user_type ON workout_completions(user_id, workout_type, completed_at DESC);
+
+COMMENT ON COLUMN workout_completions.workout_type IS 'plan (completed daily workout) or adhoc (unplanned workout logged without a plan)';
+COMMENT ON COLUMN workout_completions.workout_name IS 'Name of an ad-hoc workout (plan workouts use daily_workouts.workout_name)';
+COMMENT ON COLUMN workout_completions.exercises IS 'Snapshot of the exercises performed in an ad-hoc workout';
@@ -0,0 +1,69 @@
+-- Migration: AI usage and cost accounting
+-- One row per OpenAI call: model, token counts, latency and estimated cost,
+-- tied to the user and the feature that made the call.
+-- Per-user daily quotas (plan generation, equipment scans) are enforced with
+-- ai_quota_reservations: a slot is reserved before the call and released if it fails.
+
+CREATE TABLE IF NOT EXISTS ai_usage_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  feature VARCHAR(50) NOT NULL,
+  model VARCHAR(50) NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER,
+  estimated_cost_usd NUMERIC(10, 6) NOT NULL DEFAULT 0,
+  success BOOLEAN NOT NULL DEFAULT true,
+  error_message TEXT,
+  is_retry BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Quota checks: calls per user + feature since midnight
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_feature ON ai_usage_logs(user_id, feature, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage_logs(created_at DESC);
+
+COMMENT ON TABLE ai_usage_logs IS 'Per-call AI usage: tokens, latency and estimated cost by user and feature';
+COMMENT ON COLUMN ai_usage_logs.user_id IS 'User the call was made for (NULL for system calls)';
+COMMENT ON COLUMN ai_usage_logs.estimated_cost_usd IS 'Token counts x published per-model pricing';
+COMMENT ON COLUMN ai_usage_logs.is_retry IS 'Retry of a failed/invalid attempt (retries do not count towards quotas)';
+
+-- One row per quota-limited request that was let through (released again if the AI call fails)
+CREATE TABLE IF NOT EXISTS ai_quota_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  feature VARCHAR(50) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_quota_reservations_user_feature ON ai_quota_reservations(user_id, feature, created_at DESC);
+
+-- Reserve one of the user's daily slots for a feature
+-- Reservations for the same user and feature are serialized, so concurrent requests
+-- can't all pass the count. Returns the reservation ID, or NULL when the quota is used up.
+CREATE OR REPLACE FUNCTION reserve_ai_quota(user_id_param UUID, feature_param TEXT, limit_param INTEGER, since_param TIMESTAMPTZ)
+RETURNS UUID AS $$
+DECLARE
+  used_count INTEGER;
+  reservation_id UUID;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('ai_quota:' || user_id_param::text || ':' || feature_param));
+
+  SELECT COUNT(*) INTO used_count
+  FROM ai_quota_reservations
+  WHERE user_id = user_id_param AND feature = feature_param AND created_at >= since_param;
+
+  IF used_count >= limit_param THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO ai_quota_reservations (user_id, feature)
+  VALUES (user_id_param, feature_param)
+  RETURNING id INTO reservation_id;
+
+  RETURN reservation_id;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE ai_quota_reservations IS 'Daily AI quota usage: requests let through per user and feature (failed calls are released)';
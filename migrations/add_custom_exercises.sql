@@ -0,0 +1,101 @@
+-- Migration: Custom user-created exercises
+-- Private exercises a user creates for movements missing from the catalog.
+-- IDs are prefixed with 'custom_' so they can be stored anywhere a catalog exercise ID is
+-- (saved workouts/exercises, ad-hoc logs, plan substitutions) without colliding.
+-- A user can submit one for the global catalog: it is screened by the content filter,
+-- then reviewed and copied into exercises with approve_custom_exercise().
+
+CREATE TABLE IF NOT EXISTS custom_exercises (
+  id TEXT PRIMARY KEY DEFAULT 'custom_' || replace(gen_random_uuid()::text, '-', ''),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  "bodyPart" TEXT,
+  target TEXT,
+  equipment TEXT,
+  secondary_muscles TEXT[] NOT NULL DEFAULT '{}',
+  instructions TEXT[] NOT NULL DEFAULT '{}',
+  description TEXT,
+  difficulty TEXT CHECK (difficulty IN ('beginner', 'intermediate', 'advanced')),
+  category TEXT NOT NULL DEFAULT 'strength' CHECK (category IN ('strength', 'cardio', 'mobility', 'balance', 'stretching', 'plyometrics', 'rehabilitation')),
+  image_url TEXT,
+  submission_status VARCHAR(20) NOT NULL DEFAULT 'private',
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_notes TEXT,
+  catalog_exercise_id TEXT REFERENCES exercises(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_submission_status CHECK (submission_status IN ('private', 'pending', 'approved', 'rejected'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_exercises_user ON custom_exercises(user_id, name);
+CREATE INDEX IF NOT EXISTS idx_custom_exercises_pending ON custom_exercises(submitted_at) WHERE submission_status = 'pending';
+
+-- At most 200 custom exercises per user (MAX_CUSTOM_EXERCISES in customExerciseService)
+-- Inserts for the same user are serialized so concurrent requests can't both pass the count
+CREATE OR REPLACE FUNCTION enforce_custom_exercise_limit()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('custom_exercises:' || NEW.user_id::text));
+
+  IF (SELECT COUNT(*) FROM custom_exercises WHERE user_id = NEW.user_id) >= 200 THEN
+    RAISE EXCEPTION 'custom_exercise_limit_reached' USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_custom_exercise_limit ON custom_exercises;
+CREATE TRIGGER enforce_custom_exercise_limit
+  BEFORE INSERT ON custom_exercises
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_custom_exercise_limit();
+
+DROP TRIGGER IF EXISTS update_custom_exercises_updated_at ON custom_exercises;
+CREATE TRIGGER update_custom_exercises_updated_at
+  BEFORE UPDATE ON custom_exercises
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Accept a pending submission: copy it into the catalog and link the two
+-- The user's private copy stays as-is (their logs keep referencing it)
+CREATE OR REPLACE FUNCTION approve_custom_exercise(custom_exercise_id_param TEXT, review_notes_param TEXT DEFAULT NULL)
+RETURNS TEXT AS $$
+DECLARE
+  submission custom_exercises%ROWTYPE;
+  new_catalog_id TEXT;
+BEGIN
+  SELECT * INTO submission
+  FROM custom_exercises
+  WHERE id = custom_exercise_id_param AND submission_status = 'pending'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No pending submission %', custom_exercise_id_param;
+  END IF;
+
+  new_catalog_id := 'community_' || substring(submission.id FROM 8);
+
+  INSERT INTO exercises (id, name, "bodyPart", target, equipment, secondary_muscles, instructions, description, difficulty, category, image_url)
+  VALUES (
+    new_catalog_id, submission.name, submission."bodyPart", submission.target, submission.equipment,
+    submission.secondary_muscles, submission.instructions, submission.description,
+    submission.difficulty, submission.category, submission.image_url
+  );
+
+  UPDATE custom_exercises
+  SET submission_status = 'approved',
+      reviewed_at = NOW(),
+      review_notes = review_notes_param,
+      catalog_exercise_id = new_catalog_id
+  WHERE id = custom_exercise_id_param;
+
+  RETURN new_catalog_id;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE custom_exercises IS 'Private exercises created by users, optionally submitted for the global catalog';
+COMMENT ON COLUMN custom_exercises.submission_status IS 'private (never submitted), pending (awaiting review), approved (copied to catalog_exercise_id) or rejected';
+COMMENT ON COLUMN custom_exercises.review_notes IS 'Reviewer or content filter notes shown to the user';
@@ -0,0 +1,49 @@
+-- Migration: Exercise relationship graph
+-- Directed edges between catalog exercises:
+--   progression            related exercise is a harder version of the same movement
+--   regression             related exercise is an easier version of the same movement
+--   variation              same movement pattern and muscle, different setup/equipment
+--   equipment_alternative  same muscle and equipment, different movement
+-- 'derived' edges are rebuilt from the catalog (scripts/buildExerciseRelationships.js);
+-- 'curated' edges are added by hand and are never touched by the rebuild.
+
+CREATE TABLE IF NOT EXISTS exercise_relationships (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  exercise_id TEXT NOT NULL REFERENCES exercises(id) ON DELETE CASCADE,
+  related_exercise_id TEXT NOT NULL REFERENCES exercises(id) ON DELETE CASCADE,
+  relationship_type VARCHAR(30) NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'derived',
+  score REAL NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(exercise_id, related_exercise_id, relationship_type),
+  CONSTRAINT no_self_relationship CHECK (exercise_id != related_exercise_id),
+  CONSTRAINT valid_relationship_type CHECK (relationship_type IN ('progression', 'regression', 'variation', 'equipment_alternative')),
+  CONSTRAINT valid_relationship_source CHECK (source IN ('derived', 'curated'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_exercise_relationships_exercise ON exercise_relationships(exercise_id, relationship_type, score DESC);
+CREATE INDEX IF NOT EXISTS idx_exercise_relationships_source ON exercise_relationships(source);
+
+-- Replace every derived edge in one transaction, so a failed rebuild keeps the old
+-- graph and readers never see it empty. Curated edges win over a derived edge of the same type.
+CREATE OR REPLACE FUNCTION replace_derived_exercise_relationships(edges_param JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  inserted_count INTEGER;
+BEGIN
+  DELETE FROM exercise_relationships WHERE source = 'derived';
+
+  INSERT INTO exercise_relationships (exercise_id, related_exercise_id, relationship_type, source, score)
+  SELECT edge.exercise_id, edge.related_exercise_id, edge.relationship_type, 'derived', edge.score
+  FROM jsonb_to_recordset(edges_param)
+    AS edge(exercise_id TEXT, related_exercise_id TEXT, relationship_type VARCHAR(30), score REAL)
+  ON CONFLICT (exercise_id, related_exercise_id, relationship_type) DO NOTHING;
+
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+  RETURN inserted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE exercise_relationships IS 'Progressions, regressions, variations and same-equipment alternatives between exercises';
+COMMENT ON COLUMN exercise_relationships.score IS 'Closeness of the two exercises (0-1, higher first); curated edges rank above derived ones';
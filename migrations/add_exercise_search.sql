@@ -0,0 +1,103 @@
+-- Migration: Ranked exercise search
+-- Full-text search across name, aliases, muscles, equipment and instructions,
+-- trigram similarity on names/aliases for typo tolerance ("dumbel pres"),
+-- and combinable filters with pagination in a single call
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE exercises
+  ADD COLUMN IF NOT EXISTS aliases TEXT[] NOT NULL DEFAULT '{}';
+
+-- Weighted document: name/aliases (A) > muscles (B) > equipment/body part (C) > instructions (D)
+CREATE OR REPLACE FUNCTION exercise_search_vector(
+  name TEXT,
+  aliases TEXT[],
+  target TEXT,
+  secondary_muscles TEXT[],
+  equipment TEXT,
+  body_part TEXT,
+  instructions TEXT[]
+)
+RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('english'::regconfig, coalesce(name, '') || ' ' || coalesce(array_to_string(aliases, ' '), '')), 'A') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(target, '') || ' ' || coalesce(array_to_string(secondary_muscles, ' '), '')), 'B') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(equipment, '') || ' ' || coalesce(body_part, '')), 'C') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(array_to_string(instructions, ' '), '')), 'D')
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Lowercased names + aliases, matched by trigram similarity
+CREATE OR REPLACE FUNCTION exercise_search_names(name TEXT, aliases TEXT[])
+RETURNS TEXT AS $$
+  SELECT lower(coalesce(name, '') || ' ' || coalesce(array_to_string(aliases, ' '), ''))
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE exercises
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (exercise_search_vector(name, aliases, target, secondary_muscles, equipment, "bodyPart", instructions)) STORED,
+  ADD COLUMN IF NOT EXISTS search_names TEXT
+    GENERATED ALWAYS AS (exercise_search_names(name, aliases)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_exercises_search_vector ON exercises USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_exercises_search_names_trgm ON exercises USING gin(search_names gin_trgm_ops);
+
+-- Search with optional filters (NULL = no filter), best matches first
+-- Without a query, every exercise matching the filters is returned by name
+CREATE OR REPLACE FUNCTION search_exercises(
+  query_param TEXT,
+  equipment_param TEXT[],
+  body_part_param TEXT[],
+  target_param TEXT[],
+  difficulty_param TEXT[],
+  category_param TEXT[],
+  limit_param INTEGER,
+  offset_param INTEGER
+)
+RETURNS TABLE (exercise JSONB, rank REAL, total_count BIGINT) AS $$
+DECLARE
+  search_text TEXT := lower(trim(coalesce(query_param, '')));
+  search_query tsquery := websearch_to_tsquery('english', coalesce(query_param, ''));
+BEGIN
+  RETURN QUERY
+  WITH matches AS (
+    SELECT
+      e AS row_data,
+      e.name,
+      CASE
+        WHEN search_text = '' THEN 0
+        ELSE (
+          ts_rank(e.search_vector, search_query)
+          + word_similarity(search_text, e.search_names)
+          + CASE
+              WHEN lower(e.name) = search_text OR search_text = ANY(SELECT lower(a) FROM unnest(e.aliases) a) THEN 1
+              WHEN lower(e.name) LIKE search_text || '%' THEN 0.5
+              ELSE 0
+            END
+        )
+      END::REAL AS match_rank
+    FROM exercises e
+    WHERE (
+        search_text = ''
+        OR e.search_vector @@ search_query
+        OR word_similarity(search_text, e.search_names) >= 0.4
+      )
+      AND (equipment_param IS NULL OR e.equipment = ANY(equipment_param))
+      AND (body_part_param IS NULL OR e."bodyPart" = ANY(body_part_param))
+      AND (target_param IS NULL OR e.target = ANY(target_param))
+      AND (difficulty_param IS NULL OR e.difficulty = ANY(difficulty_param))
+      AND (category_param IS NULL OR e.category = ANY(category_param))
+  )
+  SELECT
+    to_jsonb(m.row_data) - 'search_vector' - 'search_names',
+    m.match_rank,
+    COUNT(*) OVER ()
+  FROM matches m
+  ORDER BY m.match_rank DESC, m.name
+  LIMIT limit_param
+  OFFSET offset_param;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON COLUMN exercises.aliases IS 'Other names the exercise is known by (e.g. "skull crusher" for lying triceps extension), searched like the name';
+COMMENT ON COLUMN exercises.search_vector IS 'Weighted full-text document used by search_exercises()';
+COMMENT ON COLUMN exercises.search_names IS 'Lowercased name + aliases for trigram (typo-tolerant) matching';
@@ -0,0 +1,24 @@
+-- Migration: Record in-plan exercise substitutions
+-- When a user swaps an exercise in a finalized daily workout (busy machine, no equipment, etc.)
+-- the daily workout is updated and the swap is logged here so history shows what was actually performed
+
+CREATE TABLE IF NOT EXISTS exercise_substitutions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  daily_workout_id UUID NOT NULL REFERENCES daily_workouts(id) ON DELETE CASCADE,
+  original_exercise_id TEXT NOT NULL,
+  original_exercise_name VARCHAR(255),
+  replacement_exercise_id TEXT NOT NULL,
+  replacement_exercise_name VARCHAR(255),
+  source VARCHAR(20) NOT NULL DEFAULT 'on_demand',
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_substitution_source CHECK (source IN ('stored_alternative', 'on_demand'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_exercise_substitutions_daily_workout ON exercise_substitutions(daily_workout_id);
+CREATE INDEX IF NOT EXISTS idx_exercise_substitutions_user ON exercise_substitutions(user_id, created_at DESC);
+
+COMMENT ON TABLE exercise_substitutions IS 'Exercises swapped inside finalized daily workouts';
+COMMENT ON COLUMN exercise_substitutions.source IS 'stored_alternative (offered at plan preview) or on_demand (catalog match at swap time)';
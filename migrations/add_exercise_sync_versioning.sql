@@ -0,0 +1,119 @@
+-- Migration: Exercise catalog sync versioning
+-- Syncs from ExerciseDB are computed as a diff (added / changed / removed / restored),
+-- reported, then applied. Every applied change bumps exercises.version and stores a
+-- snapshot in exercise_versions. Exercises that disappear from the source are
+-- soft-deleted (deleted_at) so daily_workouts, saved workouts and logs that
+-- reference them keep resolving by ID; catalog listings and search skip them.
+
+ALTER TABLE exercises
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_exercises_active ON exercises(name) WHERE deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS exercise_sync_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status VARCHAR(20) NOT NULL DEFAULT 'previewed',
+  full_sync BOOLEAN NOT NULL DEFAULT false,
+  source_offset INTEGER,
+  source_limit INTEGER,
+  added_count INTEGER NOT NULL DEFAULT 0,
+  changed_count INTEGER NOT NULL DEFAULT 0,
+  removed_count INTEGER NOT NULL DEFAULT 0,
+  restored_count INTEGER NOT NULL DEFAULT 0,
+  unchanged_count INTEGER NOT NULL DEFAULT 0,
+  diff JSONB NOT NULL DEFAULT '{}',
+  error_message TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  applied_at TIMESTAMP WITH TIME ZONE,
+
+  CONSTRAINT valid_sync_run_status CHECK (status IN ('previewed', 'applied', 'failed'))
+);
+
+CREATE TABLE IF NOT EXISTS exercise_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  exercise_id TEXT NOT NULL REFERENCES exercises(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  change_type VARCHAR(20) NOT NULL,
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  snapshot JSONB NOT NULL,
+  sync_run_id UUID REFERENCES exercise_sync_runs(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(exercise_id, version),
+  CONSTRAINT valid_change_type CHECK (change_type IN ('added', 'changed', 'removed', 'restored'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_exercise_versions_exercise ON exercise_versions(exercise_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_exercise_versions_sync_run ON exercise_versions(sync_run_id);
+
+-- Baseline: the current state of every exercise is version 1
+INSERT INTO exercise_versions (exercise_id, version, change_type, snapshot)
+SELECT e.id, 1, 'added', to_jsonb(e) - 'search_vector' - 'search_names'
+FROM exercises e
+ON CONFLICT (exercise_id, version) DO NOTHING;
+
+-- Search now skips soft-deleted exercises (otherwise unchanged from add_exercise_search.sql)
+-- Search with optional filters (NULL = no filter), best matches first
+-- Without a query, every exercise matching the filters is returned by name
+CREATE OR REPLACE FUNCTION search_exercises(
+  query_param TEXT,
+  equipment_param TEXT[],
+  body_part_param TEXT[],
+  target_param TEXT[],
+  difficulty_param TEXT[],
+  category_param TEXT[],
+  limit_param INTEGER,
+  offset_param INTEGER
+)
+RETURNS TABLE (exercise JSONB, rank REAL, total_count BIGINT) AS $$
+DECLARE
+  search_text TEXT := lower(trim(coalesce(query_param, '')));
+  search_query tsquery := websearch_to_tsquery('english', coalesce(query_param, ''));
+BEGIN
+  RETURN QUERY
+  WITH matches AS (
+    SELECT
+      e AS row_data,
+      e.name,
+      CASE
+        WHEN search_text = '' THEN 0
+        ELSE (
+          ts_rank(e.search_vector, search_query)
+          + word_similarity(search_text, e.search_names)
+          + CASE
+              WHEN lower(e.name) = search_text OR search_text = ANY(SELECT lower(a) FROM unnest(e.aliases) a) THEN 1
+              WHEN lower(e.name) LIKE search_text || '%' THEN 0.5
+              ELSE 0
+            END
+        )
+      END::REAL AS match_rank
+    FROM exercises e
+    WHERE (
+        search_text = ''
+        OR e.search_vector @@ search_query
+        OR word_similarity(search_text, e.search_names) >= 0.4
+      )
+      AND (equipment_param IS NULL OR e.equipment = ANY(equipment_param))
+      AND (body_part_param IS NULL OR e."bodyPart" = ANY(body_part_param))
+      AND (target_param IS NULL OR e.target = ANY(target_param))
+      AND (difficulty_param IS NULL OR e.difficulty = ANY(difficulty_param))
+      AND (category_param IS NULL OR e.category = ANY(category_param))
+      AND e.deleted_at IS NULL
+  )
+  SELECT
+    to_jsonb(m.row_data) - 'search_vector' - 'search_names',
+    m.match_rank,
+    COUNT(*) OVER ()
+  FROM matches m
+  ORDER BY m.match_rank DESC, m.name
+  LIMIT limit_param
+  OFFSET offset_param;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON COLUMN exercises.version IS 'Incremented each time a sync changes the exercise (history in exercise_versions)';
+COMMENT ON COLUMN exercises.deleted_at IS 'Set when the exercise disappeared from the source; still resolvable by ID but hidden from listings and search';
+COMMENT ON TABLE exercise_versions IS 'Snapshot of an exercise after every sync change';
+COMMENT ON TABLE exercise_sync_runs IS 'Diff computed by each catalog sync and whether it was applied';
+COMMENT ON COLUMN exercise_sync_runs.full_sync IS 'Only full syncs (whole source catalog fetched) can detect removed exercises';
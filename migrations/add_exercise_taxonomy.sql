@@ -0,0 +1,69 @@
+-- Migration: Canonical muscle and movement-pattern taxonomy
+-- Source muscle names vary ('quadriceps' vs 'quads', 'latissimus dorsi' vs 'lats',
+-- body part 'waist' vs body focus 'abs'). These columns hold the canonical values
+-- from src/services/taxonomyService.js; they are written by the exercise sync and
+-- backfilled with scripts/normalizeExerciseTaxonomy.js.
+
+ALTER TABLE exercises
+ADD COLUMN IF NOT EXISTS canonical_target TEXT,
+ADD COLUMN IF NOT EXISTS canonical_secondary_muscles TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS muscle_groups TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS movement_pattern TEXT;
+
+ALTER TABLE custom_exercises
+ADD COLUMN IF NOT EXISTS canonical_target TEXT,
+ADD COLUMN IF NOT EXISTS canonical_secondary_muscles TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS muscle_groups TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS movement_pattern TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_exercises_muscle_groups ON exercises USING GIN (muscle_groups);
+CREATE INDEX IF NOT EXISTS idx_exercises_canonical_target ON exercises(canonical_target);
+CREATE INDEX IF NOT EXISTS idx_exercises_movement_pattern ON exercises(movement_pattern);
+
+COMMENT ON COLUMN exercises.canonical_target IS 'Target muscle mapped to its canonical name (e.g. quadriceps -> quads)';
+COMMENT ON COLUMN exercises.canonical_secondary_muscles IS 'Secondary muscles mapped to canonical names, without the target';
+COMMENT ON COLUMN exercises.muscle_groups IS 'Muscle groups trained (chest, back, shoulders, arms, abs, legs, glutes, neck, cardio) - matches users.body_focus';
+COMMENT ON COLUMN exercises.movement_pattern IS 'Canonical movement pattern from the name (e.g. bench press, row, squat); NULL when unknown';
+
+-- Body focus is stored as canonical muscle groups
+COMMENT ON COLUMN users.body_focus IS 'Target muscle groups for workout recommendations (chest, back, shoulders, arms, abs, legs, glutes, cardio). Aliases are normalized on save. NULL until user sets preferences.';
+
+-- Approved submissions keep their taxonomy in the catalog copy
+CREATE OR REPLACE FUNCTION approve_custom_exercise(custom_exercise_id_param TEXT, review_notes_param TEXT DEFAULT NULL)
+RETURNS TEXT AS $$
+DECLARE
+  submission custom_exercises%ROWTYPE;
+  new_catalog_id TEXT;
+BEGIN
+  SELECT * INTO submission
+  FROM custom_exercises
+  WHERE id = custom_exercise_id_param AND submission_status = 'pending'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No pending submission %', custom_exercise_id_param;
+  END IF;
+
+  new_catalog_id := 'community_' || substring(submission.id FROM 8);
+
+  INSERT INTO exercises (
+    id, name, "bodyPart", target, equipment, secondary_muscles, instructions, description, difficulty, category, image_url,
+    canonical_target, canonical_secondary_muscles, muscle_groups, movement_pattern
+  )
+  VALUES (
+    new_catalog_id, submission.name, submission."bodyPart", submission.target, submission.equipment,
+    submission.secondary_muscles, submission.instructions, submission.description,
+    submission.difficulty, submission.category, submission.image_url,
+    submission.canonical_target, submission.canonical_secondary_muscles, submission.muscle_groups, submission.movement_pattern
+  );
+
+  UPDATE custom_exercises
+  SET submission_status = 'approved',
+      reviewed_at = NOW(),
+      review_notes = review_notes_param,
+      catalog_exercise_id = new_catalog_id
+  WHERE id = custom_exercise_id_param;
+
+  RETURN new_catalog_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,41 @@
+-- Migration: Localized exercise content
+-- The catalog is English (ExerciseDB). Translations of the name, instructions and
+-- target muscle are stored per locale and merged over the English fields when a
+-- request resolves to that locale (?locale=, users.locale, then Accept-Language).
+-- Import with scripts/importExerciseTranslations.js.
+
+CREATE TABLE IF NOT EXISTS exercise_translations (
+  exercise_id TEXT NOT NULL REFERENCES exercises(id) ON DELETE CASCADE,
+  locale VARCHAR(10) NOT NULL,
+  name TEXT,
+  instructions TEXT[],
+  target TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (exercise_id, locale),
+  CONSTRAINT valid_translation_locale CHECK (locale IN ('es', 'fr', 'de', 'it', 'pt'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_exercise_translations_locale ON exercise_translations(locale);
+
+DROP TRIGGER IF EXISTS update_exercise_translations_updated_at ON exercise_translations;
+CREATE TRIGGER update_exercise_translations_updated_at
+  BEFORE UPDATE ON exercise_translations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE exercise_translations IS 'Per-locale exercise name, instructions and target muscle; missing fields fall back to English';
+
+-- Preferred content language (NULL: use the Accept-Language header)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
+
+ALTER TABLE users
+DROP CONSTRAINT IF EXISTS check_users_locale;
+
+ALTER TABLE users
+ADD CONSTRAINT check_users_locale
+CHECK (locale IS NULL OR locale IN ('en', 'es', 'fr', 'de', 'it', 'pt'));
+
+COMMENT ON COLUMN users.locale IS 'Preferred content language (en, es, fr, de, it, pt); NULL falls back to the Accept-Language header';
@@ -0,0 +1,32 @@
+-- Migration: Generation job progress
+-- Stage and percentage of the running attempt, streamed to clients over SSE
+-- (GET /api/workout-planner/jobs/:jobId/stream)
+
+ALTER TABLE generation_jobs
+  ADD COLUMN IF NOT EXISTS progress_stage VARCHAR(30) NOT NULL DEFAULT 'queued',
+  ADD COLUMN IF NOT EXISTS progress_percent INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE generation_jobs
+  ADD CONSTRAINT valid_progress_percent CHECK (progress_percent BETWEEN 0 AND 100);
+
+-- Re-queued stale jobs start their progress over
+CREATE OR REPLACE FUNCTION requeue_stale_generation_jobs(stale_before_param TIMESTAMPTZ)
+RETURNS SETOF generation_jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE generation_jobs
+  SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+      completed_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+      error_message = 'Worker stopped while processing the job',
+      next_attempt_at = NOW(),
+      progress_stage = 'queued',
+      progress_percent = 0,
+      locked_by = NULL,
+      locked_at = NULL
+  WHERE status = 'processing'
+    AND (locked_at IS NULL OR locked_at < stale_before_param)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN generation_jobs.progress_stage IS 'queued, started, profile_fetched, exercises_selected, plan_drafted, alternatives_added, saved';
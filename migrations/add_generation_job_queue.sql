@@ -0,0 +1,58 @@
+-- Migration: Generation job queue
+-- Jobs are claimed atomically by worker loops (FOR UPDATE SKIP LOCKED), retried
+-- with exponential backoff, and re-queued when the worker holding them stops
+-- sending heartbeats (server restart/crash).
+
+ALTER TABLE generation_jobs
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 3,
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS locked_by TEXT,
+  ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_queue ON generation_jobs(status, next_attempt_at);
+
+-- Claim up to batch_size_param due pending jobs for a worker
+CREATE OR REPLACE FUNCTION claim_generation_jobs(worker_id_param TEXT, batch_size_param INTEGER)
+RETURNS SETOF generation_jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE generation_jobs
+  SET status = 'processing',
+      attempts = attempts + 1,
+      started_at = NOW(),
+      locked_by = worker_id_param,
+      locked_at = NOW()
+  WHERE id IN (
+    SELECT id FROM generation_jobs
+    WHERE status = 'pending' AND next_attempt_at <= NOW()
+    ORDER BY next_attempt_at, created_at
+    LIMIT batch_size_param
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Put processing jobs whose worker went silent back in the queue
+-- (or fail them when they have no attempts left)
+CREATE OR REPLACE FUNCTION requeue_stale_generation_jobs(stale_before_param TIMESTAMPTZ)
+RETURNS SETOF generation_jobs AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE generation_jobs
+  SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+      completed_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END,
+      error_message = 'Worker stopped while processing the job',
+      next_attempt_at = NOW(),
+      locked_by = NULL,
+      locked_at = NULL
+  WHERE status = 'processing'
+    AND (locked_at IS NULL OR locked_at < stale_before_param)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN generation_jobs.attempts IS 'Attempts started so far (incremented when a worker claims the job)';
+COMMENT ON COLUMN generation_jobs.next_attempt_at IS 'Pending jobs are not claimed before this time (retry backoff)';
+COMMENT ON COLUMN generation_jobs.locked_at IS 'Last heartbeat from the worker processing the job';
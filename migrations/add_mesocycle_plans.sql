@@ -0,0 +1,24 @@
+-- Migration: Add mesocycle (multi-week periodized) plans
+-- A mesocycle plan stores every week as daily_workouts rows under one workout_plans row,
+-- each tagged with its training phase
+
+ALTER TABLE workout_plans
+ADD COLUMN IF NOT EXISTS mesocycle_weeks INTEGER;
+
+ALTER TABLE workout_plans
+ADD COLUMN IF NOT EXISTS mesocycle_schedule JSONB;
+
+ALTER TABLE workout_plans
+ADD CONSTRAINT valid_mesocycle_weeks CHECK (mesocycle_weeks IS NULL OR (mesocycle_weeks >= 4 AND mesocycle_weeks <= 12));
+
+ALTER TABLE daily_workouts
+ADD COLUMN IF NOT EXISTS mesocycle_phase VARCHAR(20);
+
+ALTER TABLE daily_workouts
+ADD CONSTRAINT valid_mesocycle_phase CHECK (mesocycle_phase IS NULL OR mesocycle_phase IN ('accumulation', 'intensification', 'deload'));
+
+CREATE INDEX IF NOT EXISTS idx_daily_workouts_plan_week ON daily_workouts(workout_plan_id, week_number);
+
+COMMENT ON COLUMN workout_plans.mesocycle_weeks IS 'Length of the periodized block in weeks (NULL for single-week plans)';
+COMMENT ON COLUMN workout_plans.mesocycle_schedule IS 'Week-by-week phases: [{ week_number, phase, label, focus, phase_week }]';
+COMMENT ON COLUMN daily_workouts.mesocycle_phase IS 'Training phase of this day''s week: accumulation, intensification or deload';
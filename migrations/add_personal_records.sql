@@ -0,0 +1,39 @@
+-- Migration: Add personal records (PRs) per exercise
+-- A new row is written every time a user beats (or first sets) a record,
+-- so the table doubles as the per-exercise PR timeline
+
+-- Timed sets (planks, holds, carries) need a duration to track longest-duration PRs
+ALTER TABLE workout_set_logs
+ADD COLUMN IF NOT EXISTS duration_seconds INTEGER;
+
+ALTER TABLE workout_set_logs
+ADD CONSTRAINT valid_duration_seconds CHECK (duration_seconds IS NULL OR duration_seconds >= 0);
+
+CREATE TABLE IF NOT EXISTS personal_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  exercise_id TEXT NOT NULL,
+  exercise_name VARCHAR(255),
+  record_type VARCHAR(30) NOT NULL,
+  value NUMERIC(10, 2) NOT NULL,
+  previous_value NUMERIC(10, 2),
+  weight_kg NUMERIC(7, 2),
+  weight NUMERIC(7, 2),
+  weight_unit VARCHAR(2),
+  reps INTEGER,
+  duration_seconds INTEGER,
+  workout_completion_id UUID REFERENCES workout_completions(id) ON DELETE CASCADE,
+  achieved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_record_type CHECK (record_type IN ('max_weight', 'max_reps_at_weight', 'estimated_1rm', 'longest_duration')),
+  CONSTRAINT valid_record_value CHECK (value >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_personal_records_user_exercise ON personal_records(user_id, exercise_id, record_type, achieved_at DESC);
+CREATE INDEX IF NOT EXISTS idx_personal_records_completion ON personal_records(workout_completion_id);
+
+COMMENT ON TABLE personal_records IS 'Personal record history per user and exercise (latest row per record_type is the current PR)';
+COMMENT ON COLUMN personal_records.value IS 'kg for max_weight/estimated_1rm, reps for max_reps_at_weight, seconds for longest_duration';
+COMMENT ON COLUMN personal_records.previous_value IS 'Record that was beaten (NULL for the first time an exercise is logged)';
+COMMENT ON COLUMN personal_records.weight_kg IS 'Set weight normalised to kg (the weight a max_reps_at_weight record applies to)';
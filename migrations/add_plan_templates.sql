@@ -0,0 +1,56 @@
+-- Migration: Workout plan templates marketplace
+-- Users can publish one of their finalized workout plans as a public template.
+-- The template stores a snapshot of the plan's days (personal progression data stripped),
+-- so later changes to - or deletion of - the source plan don't affect it.
+-- Other users browse/search templates and clone them into their own plan.
+
+CREATE TABLE IF NOT EXISTS workout_plan_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  creator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  source_plan_id UUID REFERENCES workout_plans(id) ON DELETE SET NULL,
+  title VARCHAR(120) NOT NULL,
+  description TEXT,
+  level VARCHAR(20) NOT NULL DEFAULT 'all_levels',
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  fitness_goals TEXT[],
+  target_body_parts TEXT[],
+  days_per_week INTEGER NOT NULL,
+  hours_per_session NUMERIC(3, 1),
+  total_workouts INTEGER NOT NULL,
+  mesocycle_weeks INTEGER,
+  mesocycle_schedule JSONB,
+  days JSONB NOT NULL,
+  is_ai_generated BOOLEAN DEFAULT false,
+  is_public BOOLEAN NOT NULL DEFAULT true,
+  clone_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_template_level CHECK (level IN ('beginner', 'intermediate', 'advanced', 'all_levels')),
+  CONSTRAINT valid_template_days_per_week CHECK (days_per_week BETWEEN 1 AND 7),
+  CONSTRAINT valid_template_clone_count CHECK (clone_count >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_plan_templates_public ON workout_plan_templates(is_public, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_plan_templates_popular ON workout_plan_templates(is_public, clone_count DESC);
+CREATE INDEX IF NOT EXISTS idx_plan_templates_creator ON workout_plan_templates(creator_id);
+CREATE INDEX IF NOT EXISTS idx_plan_templates_tags ON workout_plan_templates USING GIN(tags);
+
+-- Plans cloned from a template remember where they came from
+ALTER TABLE workout_plans
+  ADD COLUMN IF NOT EXISTS cloned_from_template_id UUID REFERENCES workout_plan_templates(id) ON DELETE SET NULL;
+
+-- Atomic clone counter
+CREATE OR REPLACE FUNCTION increment_template_clone_count(template_id_param UUID)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE workout_plan_templates
+  SET clone_count = clone_count + 1
+  WHERE id = template_id_param;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE workout_plan_templates IS 'Public workout plan templates published from finalized plans';
+COMMENT ON COLUMN workout_plan_templates.days IS 'Snapshot of the plan''s daily workouts (exercises, warm-up, tips) ordered by day_order';
+COMMENT ON COLUMN workout_plan_templates.clone_count IS 'Number of times the template was cloned into a plan';
+COMMENT ON COLUMN workout_plans.cloned_from_template_id IS 'Template this plan was cloned from, if any';
@@ -0,0 +1,10 @@
+-- Migration: User equipment inventory
+-- The equipment a user owns (or their gym has). Entries are catalog equipment
+-- types or the categories from equipmentCacheService ('barbell', 'cable', ...).
+-- Plan generation, recommendations and substitutions only use exercises doable
+-- with it; NULL (not declared) keeps every exercise available.
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS equipment TEXT[];
+
+COMMENT ON COLUMN users.equipment IS 'Equipment the user owns or has at their gym (catalog equipment types or categories). Body weight is always available. NULL until declared: no equipment filtering.';
@@ -0,0 +1,15 @@
+-- Migration: Estimated calories and training volume per workout completion
+-- calories_burned: MET-based estimate (users.weight_kg, exercise category, duration)
+-- total_volume_kg: sets x reps x weight over all weighted set logs, converted to kg
+
+ALTER TABLE workout_completions
+  ADD COLUMN IF NOT EXISTS calories_burned INTEGER,
+  ADD COLUMN IF NOT EXISTS total_volume_kg NUMERIC(10, 2);
+
+-- Plan days carry the same estimate so weekly/monthly summaries can sum it
+ALTER TABLE daily_workouts
+  ADD COLUMN IF NOT EXISTS calories_burned INTEGER;
+
+COMMENT ON COLUMN workout_completions.calories_burned IS 'Estimated kcal burned (MET x body weight x hours)';
+COMMENT ON COLUMN workout_completions.total_volume_kg IS 'Training volume: sum of reps x weight (kg) over logged sets';
+COMMENT ON COLUMN daily_workouts.calories_burned IS 'Estimated kcal burned when the day was completed';
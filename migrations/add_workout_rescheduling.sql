@@ -0,0 +1,14 @@
+-- Migration: Track rescheduled plan days
+-- Users can move a day, swap two days or push the rest of a plan forward.
+-- original_scheduled_date keeps the first planned date so lateness can still be measured.
+
+ALTER TABLE daily_workouts
+ADD COLUMN IF NOT EXISTS original_scheduled_date DATE;
+
+ALTER TABLE daily_workouts
+ADD COLUMN IF NOT EXISTS rescheduled_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_daily_workouts_plan_scheduled_date ON daily_workouts(workout_plan_id, scheduled_date);
+
+COMMENT ON COLUMN daily_workouts.original_scheduled_date IS 'Date the workout was first scheduled for (NULL if never rescheduled)';
+COMMENT ON COLUMN daily_workouts.rescheduled_at IS 'When the workout was last moved to a new date';
@@ -0,0 +1,61 @@
+-- Migration: Live workout sessions
+-- A session is opened when the user starts a daily workout and tracks sets, rest timers
+-- and pauses as they happen. Everything is stored server-side so the app can recover the
+-- session after being killed. Finishing a session creates the normal workout_completions row.
+
+CREATE TABLE IF NOT EXISTS workout_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  daily_workout_id UUID NOT NULL REFERENCES daily_workouts(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  paused_at TIMESTAMP WITH TIME ZONE,
+  total_paused_seconds INTEGER NOT NULL DEFAULT 0,
+  rest_started_at TIMESTAMP WITH TIME ZONE,
+  rest_target_seconds INTEGER,
+  rest_exercise_id TEXT,
+  rest_set_number INTEGER,
+  last_activity_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+  workout_completion_id UUID REFERENCES workout_completions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_session_status CHECK (status IN ('active', 'paused', 'completed', 'abandoned')),
+  CONSTRAINT valid_total_paused_seconds CHECK (total_paused_seconds >= 0),
+  CONSTRAINT valid_rest_target_seconds CHECK (rest_target_seconds IS NULL OR rest_target_seconds >= 0)
+);
+
+-- Only one open (active or paused) session per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workout_sessions_one_open
+  ON workout_sessions(user_id) WHERE status IN ('active', 'paused');
+CREATE INDEX IF NOT EXISTS idx_workout_sessions_user ON workout_sessions(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_workout_sessions_daily_workout ON workout_sessions(daily_workout_id);
+
+CREATE TABLE IF NOT EXISTS workout_session_sets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES workout_sessions(id) ON DELETE CASCADE,
+  exercise_id TEXT NOT NULL,
+  set_number INTEGER NOT NULL,
+  reps INTEGER,
+  weight NUMERIC(7, 2),
+  weight_unit VARCHAR(2) DEFAULT 'kg',
+  rpe NUMERIC(3, 1),
+  rest_seconds INTEGER,
+  duration_seconds INTEGER,
+  performed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(session_id, exercise_id, set_number),
+  CONSTRAINT valid_session_set_number CHECK (set_number >= 1),
+  CONSTRAINT valid_session_set_weight_unit CHECK (weight_unit IN ('kg', 'lb'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_workout_session_sets_session ON workout_session_sets(session_id);
+
+COMMENT ON TABLE workout_sessions IS 'Live, in-progress workout sessions for daily workouts';
+COMMENT ON COLUMN workout_sessions.total_paused_seconds IS 'Paused time excluded from the workout duration';
+COMMENT ON COLUMN workout_sessions.rest_started_at IS 'Running rest timer start (NULL when no rest timer is running)';
+COMMENT ON COLUMN workout_sessions.workout_completion_id IS 'Completion created when the session was finished';
+COMMENT ON TABLE workout_session_sets IS 'Sets logged during a live session (re-sending a set overwrites it)';
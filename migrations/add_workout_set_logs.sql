@@ -0,0 +1,36 @@
+-- Migration: Add per-set strength logging to workout completions
+-- Stores one row per performed set so lifters can see what they lifted last time
+-- (exercises_completed on workout_completions stays as the client's free-form blob)
+
+CREATE TABLE IF NOT EXISTS workout_set_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workout_completion_id UUID NOT NULL REFERENCES workout_completions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  daily_workout_id UUID REFERENCES daily_workouts(id) ON DELETE SET NULL,
+  exercise_id TEXT NOT NULL,
+  set_number INTEGER NOT NULL,
+  reps INTEGER,
+  weight NUMERIC(7, 2),
+  weight_unit VARCHAR(2) DEFAULT 'kg',
+  rpe NUMERIC(3, 1),
+  rest_seconds INTEGER,
+  performed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(workout_completion_id, exercise_id, set_number),
+  CONSTRAINT valid_set_number CHECK (set_number >= 1),
+  CONSTRAINT valid_reps CHECK (reps IS NULL OR reps >= 0),
+  CONSTRAINT valid_weight CHECK (weight IS NULL OR weight >= 0),
+  CONSTRAINT valid_weight_unit CHECK (weight_unit IN ('kg', 'lb')),
+  CONSTRAINT valid_rpe CHECK (rpe IS NULL OR (rpe >= 1 AND rpe <= 10)),
+  CONSTRAINT valid_rest_seconds CHECK (rest_seconds IS NULL OR rest_seconds >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workout_set_logs_completion ON workout_set_logs(workout_completion_id);
+CREATE INDEX IF NOT EXISTS idx_workout_set_logs_user_exercise ON workout_set_logs(user_id, exercise_id, performed_at DESC);
+
+COMMENT ON TABLE workout_set_logs IS 'Structured set-by-set log (reps, weight, RPE, rest) for each workout completion';
+COMMENT ON COLUMN workout_set_logs.exercise_id IS 'exercises.id (not a foreign key so logs survive catalog re-syncs)';
+COMMENT ON COLUMN workout_set_logs.weight_unit IS 'Unit the user logged the weight in: kg or lb';
+COMMENT ON COLUMN workout_set_logs.rpe IS 'Rate of perceived exertion (1-10, half steps allowed)';
+COMMENT ON COLUMN workout_set_logs.rest_seconds IS 'Rest actually taken after this set, in seconds';
@@ -0,0 +1,30 @@
+/**
+ * Exercise Relationship Build Script
+ *
+ * Rebuilds the derived exercise relationship graph (progressions, regressions,
+ * variations, same-equipment alternatives) from the current catalog.
+ * Curated relationships are kept. Also run automatically after a sync that changed the catalog.
+ *
+ * USAGE:
+ *   node scripts/buildExerciseRelationships.js
+ */
+
+import { rebuildDerivedRelationships } from '../src/services/exerciseRelationshipService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function buildExerciseRelationships() {
+    console.log('🕸️  Rebuilding exercise relationships...\n');
+
+    const count = await rebuildDerivedRelationships();
+
+    console.log(`✅ Wrote ${count} derived relationships`);
+}
+
+buildExerciseRelationships()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Relationship build failed:', error.message);
+        process.exit(1);
+    });
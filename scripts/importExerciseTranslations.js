@@ -0,0 +1,57 @@
+/**
+ * Exercise Translation Import Script
+ *
+ * Loads translated exercise names, instructions and target muscles for one locale
+ * into exercise_translations. Existing translations for the same exercises are replaced.
+ *
+ * USAGE:
+ *   node scripts/importExerciseTranslations.js <LOCALE> <FILE.json>
+ *
+ * EXAMPLES:
+ *   node scripts/importExerciseTranslations.js es translations/es.json
+ *
+ * FILE FORMAT (either form):
+ *   [{ "exercise_id": "0001", "name": "...", "instructions": ["..."], "target": "..." }]
+ *   { "0001": { "name": "...", "instructions": ["..."], "target": "..." } }
+ */
+
+import fs from 'fs';
+import { upsertExerciseTranslations, normalizeLocale } from '../src/services/exerciseTranslationService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const [localeArg, filePath] = process.argv.slice(2);
+
+function readTranslations(file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (Array.isArray(parsed)) return parsed;
+
+    return Object.entries(parsed).map(([exerciseId, translation]) => ({
+        exercise_id: exerciseId,
+        ...translation
+    }));
+}
+
+async function importExerciseTranslations() {
+    const locale = normalizeLocale(localeArg);
+
+    if (!locale || !filePath) {
+        throw new Error('Usage: node scripts/importExerciseTranslations.js <LOCALE> <FILE.json>');
+    }
+
+    console.log(`🌍 Importing ${locale} exercise translations from ${filePath}...\n`);
+
+    const translations = readTranslations(filePath);
+    const count = await upsertExerciseTranslations(locale, translations);
+
+    console.log(`✅ Wrote ${count} ${locale} translations`);
+}
+
+importExerciseTranslations()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Translation import failed:', error.message);
+        process.exit(1);
+    });
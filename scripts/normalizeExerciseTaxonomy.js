@@ -0,0 +1,40 @@
+/**
+ * Exercise Taxonomy Backfill Script
+ *
+ * Writes the canonical muscle / muscle group / movement pattern columns
+ * (see src/services/taxonomyService.js) on catalog and custom exercises.
+ * Run it once after the add_exercise_taxonomy migration and whenever the
+ * taxonomy's alias lists change. Relationships are rebuilt when catalog rows changed.
+ *
+ * USAGE:
+ *   node scripts/normalizeExerciseTaxonomy.js
+ */
+
+import { normalizeStoredTaxonomy } from '../src/services/exerciseSyncService.js';
+import { rebuildDerivedRelationships } from '../src/services/exerciseRelationshipService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function normalizeExerciseTaxonomy() {
+    console.log('🏷️  Normalizing exercise taxonomy...\n');
+
+    const catalogCount = await normalizeStoredTaxonomy('exercises', { onProgress: console.log });
+    console.log(`\n✅ Updated ${catalogCount} catalog exercises`);
+
+    const customCount = await normalizeStoredTaxonomy('custom_exercises');
+    console.log(`✅ Updated ${customCount} custom exercises`);
+
+    if (catalogCount > 0) {
+        console.log('\n🕸️  Rebuilding exercise relationships...');
+        const relationshipCount = await rebuildDerivedRelationships();
+        console.log(`✅ Wrote ${relationshipCount} derived relationships`);
+    }
+}
+
+normalizeExerciseTaxonomy()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Taxonomy normalization failed:', error.message);
+        process.exit(1);
+    });
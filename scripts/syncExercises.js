@@ -2,15 +2,24 @@
  * Exercise Sync Script
  *
  * Syncs exercises from ExerciseDB API to Supabase database.
+ * Computes a diff against the exercises table (added / changed / removed / restored),
+ * prints it, then applies it. Every applied change is versioned in exercise_versions;
+ * removed exercises are soft-deleted so existing workouts keep resolving them.
  *
  * USAGE:
- *   node scripts/syncExercises.js [START_OFFSET]
+ *   node scripts/syncExercises.js [START_OFFSET] [--full] [--dry-run]
  *
  * EXAMPLES:
- *   node scripts/syncExercises.js           # Fetch exercises 0-99
- *   node scripts/syncExercises.js 100       # Fetch exercises 100-199
- *   node scripts/syncExercises.js 200       # Fetch exercises 200-299
- *   SYNC_LIMIT=200 node scripts/syncExercises.js 0  # Fetch exercises 0-199
+ *   node scripts/syncExercises.js           # Sync exercises 0-99
+ *   node scripts/syncExercises.js 100       # Sync exercises 100-199
+ *   SYNC_LIMIT=200 node scripts/syncExercises.js 0  # Sync exercises 0-199
+ *   node scripts/syncExercises.js --full --dry-run  # Report the diff for the whole catalog without applying it
+ *   node scripts/syncExercises.js --full    # Sync the whole catalog, soft-deleting exercises no longer in the source
+ *
+ * OPTIONS:
+ *   --full     Fetch the whole source catalog (ignores START_OFFSET/SYNC_LIMIT).
+ *              Removed exercises are only detected on full syncs.
+ *   --dry-run  Print the diff and record it as a 'previewed' sync run without applying it
  *
  * ENVIRONMENT VARIABLES:
  *   SYNC_LIMIT - Number of exercises to fetch (default: 100)
@@ -19,7 +28,13 @@
 
 import axios from 'axios';
 import { supabase } from '../src/config/supabase.js';
-import { clearCache } from '../src/services/exerciseService.js';
+import {
+    previewExerciseSync,
+    formatExerciseDiff,
+    recordSyncRun,
+    applyExerciseDiff
+} from '../src/services/exerciseSyncService.js';
+import { rebuildDerivedRelationships } from '../src/services/exerciseRelationshipService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -41,176 +56,172 @@ const API_DELAY_MS = 700;
 // Free tier limit is 10 per request, so this will require multiple API calls
 const SYNC_LIMIT = parseInt(process.env.SYNC_LIMIT) || 100;
 
+const args = process.argv.slice(2);
+const FULL_SYNC = args.includes('--full');
+const DRY_RUN = args.includes('--dry-run');
+
 // Starting offset (allows continuing from where you left off)
 // Example: node scripts/syncExercises.js 100 (starts from exercise 100)
-const START_OFFSET = parseInt(process.argv[2]) || 0;
+const START_OFFSET = FULL_SYNC ? 0 : parseInt(args.find(arg => !arg.startsWith('--'))) || 0;
+
+// Free tier limit is 10 per request
+const BATCH_SIZE = 10;
+
+/**
+ * Fetch exercises from ExerciseDB in batches
+ * A full sync keeps going until the API returns a short batch
+ */
+async function fetchSourceExercises() {
+    const exercises = [];
+
+    for (let batch = 0; ; batch++) {
+        const offset = START_OFFSET + (batch * BATCH_SIZE);
+        const limit = FULL_SYNC ? BATCH_SIZE : Math.min(BATCH_SIZE, SYNC_LIMIT - exercises.length);
+
+        if (limit <= 0) break;
+
+        console.log(`   Fetching batch ${batch + 1} (offset: ${offset}, limit: ${limit})...`);
+
+        const response = await axios.request({
+            method: 'GET',
+            url: `${BASE_URL}/exercises`,
+            params: {
+                limit: limit,
+                offset: offset
+            },
+            headers: {
+                'X-RapidAPI-Key': RAPIDAPI_KEY,
+                'X-RapidAPI-Host': RAPIDAPI_HOST
+            }
+        });
+
+        const batchExercises = response.data || [];
+        exercises.push(...batchExercises);
+
+        console.log(`   ✅ Got ${batchExercises.length} exercises`);
+
+        if (batchExercises.length < limit) break;
+
+        // Delay between API calls to respect rate limit
+        await delay(API_DELAY_MS);
+    }
+
+    return exercises;
+}
+
+/**
+ * Download an exercise image and upload it to Supabase Storage
+ * Falls back to the API image URL when either step fails
+ */
+async function resolveImageUrl(exerciseId) {
+    const fallbackUrl = `https://exercisedb.p.rapidapi.com/image?exerciseId=${exerciseId}&resolution=1080&rapidapi-key=${RAPIDAPI_KEY}`;
+
+    try {
+        console.log(`   📥 Downloading image from ExerciseDB...`);
+        const imageResponse = await axios.get(
+            `https://exercisedb.p.rapidapi.com/image?exerciseId=${exerciseId}&resolution=720&rapidapi-key=${RAPIDAPI_KEY}`,
+            { responseType: 'arraybuffer', timeout: 30000 }
+        );
+
+        const imageBuffer = Buffer.from(imageResponse.data);
+        const contentType = imageResponse.headers['content-type'] || 'image/gif';
+        const extension = contentType.split('/')[1] || 'gif';
+        const filePath = `exercises/${exerciseId}.${extension}`;
+
+        console.log(`   📤 Uploading to Supabase Storage...`);
+        const { error: uploadError } = await supabase.storage
+            .from('exercise-images')
+            .upload(filePath, imageBuffer, {
+                contentType,
+                upsert: true,
+                cacheControl: '31536000'
+            });
+
+        if (uploadError) {
+            console.log(`   ⚠️  Image upload failed, using API URL as fallback`);
+            return fallbackUrl;
+        }
+
+        const { data: urlData } = supabase.storage
+            .from('exercise-images')
+            .getPublicUrl(filePath);
+
+        // Delay between image downloads to avoid overwhelming APIs
+        await delay(1000);
+
+        return urlData.publicUrl;
+    } catch (imgError) {
+        console.log(`   ⚠️  Image download failed, using API URL as fallback`);
+        return fallbackUrl;
+    }
+}
 
 async function syncExercises() {
     try {
         console.log('🚀 Starting exercise sync from ExerciseDB API...\n');
-        console.log(`📍 Starting from offset: ${START_OFFSET}`);
-        console.log(`📊 Fetching up to: ${SYNC_LIMIT} exercises\n`);
+        if (FULL_SYNC) {
+            console.log('📚 Full sync: fetching the whole catalog\n');
+        } else {
+            console.log(`📍 Starting from offset: ${START_OFFSET}`);
+            console.log(`📊 Fetching up to: ${SYNC_LIMIT} exercises\n`);
+        }
 
         // Step 1: Fetch exercises from ExerciseDB API
         console.log('📋 Fetching exercises from ExerciseDB...');
+        const exercises = await fetchSourceExercises();
+        console.log(`✅ Total found: ${exercises.length} exercises\n`);
 
-        // Free tier only allows 10 per request, so we need multiple calls
-        const exercises = [];
-        const batchSize = 10; // Free tier limit
-        const batches = Math.ceil(SYNC_LIMIT / batchSize);
-
-        for (let batch = 0; batch < batches; batch++) {
-            const offset = START_OFFSET + (batch * batchSize);
-            const limit = Math.min(batchSize, SYNC_LIMIT - exercises.length);
-
-            console.log(`   Fetching batch ${batch + 1}/${batches} (offset: ${offset}, limit: ${limit})...`);
-
-            const response = await axios.request({
-                method: 'GET',
-                url: `${BASE_URL}/exercises`,
-                params: {
-                    limit: limit,
-                    offset: offset
-                },
-                headers: {
-                    'X-RapidAPI-Key': RAPIDAPI_KEY,
-                    'X-RapidAPI-Host': RAPIDAPI_HOST
-                }
-            });
+        if (FULL_SYNC && exercises.length === 0) {
+            // An empty source would soft-delete the whole catalog
+            throw new Error('Source returned no exercises - refusing to run a full sync');
+        }
 
-            const batchExercises = response.data || [];
-            exercises.push(...batchExercises);
+        // Step 2: Diff against the database and report it
+        console.log('🔍 Comparing with the database...\n');
+        const diff = await previewExerciseSync(exercises, { fullSync: FULL_SYNC });
 
-            console.log(`   ✅ Got ${batchExercises.length} exercises`);
+        console.log('='.repeat(50));
+        console.log('📊 SYNC DIFF');
+        console.log('='.repeat(50));
+        console.log(formatExerciseDiff(diff));
+        console.log('='.repeat(50) + '\n');
 
-            // Delay between API calls to respect rate limit
-            if (batch < batches - 1) {
-                await delay(API_DELAY_MS);
-            }
-        }
+        const syncRun = await recordSyncRun(diff, {
+            fullSync: FULL_SYNC,
+            sourceOffset: START_OFFSET,
+            sourceLimit: FULL_SYNC ? null : SYNC_LIMIT
+        });
 
-        console.log(`✅ Total found: ${exercises.length} exercises\n`);
+        const changeCount = diff.added.length + diff.changed.length + diff.restored.length + diff.removed.length;
 
-        // Debug: Log the first exercise to see all fields
-        if (exercises.length > 0) {
-            console.log('🔍 DEBUG - First exercise object:');
-            console.log(JSON.stringify(exercises[0], null, 2));
-            console.log('\n');
+        if (DRY_RUN) {
+            console.log(`🧪 Dry run - nothing applied (sync run ${syncRun.id})`);
+            return;
         }
 
-        // Step 2: Save exercises to database (skip existing ones)
-        let successCount = 0;
-        let skippedCount = 0;
-        let errorCount = 0;
-        const errors = [];
-
-        console.log('💾 Saving exercises to database...\n');
-
-        for (let i = 0; i < exercises.length; i++) {
-            const exercise = exercises[i];
-
-            try {
-                // Check if exercise already exists
-                const { data: existing, error: checkError } = await supabase
-                    .from('exercises')
-                    .select('id')
-                    .eq('id', exercise.id)
-                    .single();
-
-                if (checkError && checkError.code !== 'PGRST116') { // PGRST116 = not found (which is ok)
-                    throw checkError;
-                }
-
-                if (existing) {
-                    skippedCount++;
-                    console.log(`⏭️  [${i + 1}/${exercises.length}] Skipped (exists): ${exercise.name}`);
-                    continue;
-                }
-
-                // Download and upload image to Supabase Storage
-                let imageUrl = null;
-                try {
-                    console.log(`   📥 Downloading image from ExerciseDB...`);
-                    const imageResponse = await axios.get(
-                        `https://exercisedb.p.rapidapi.com/image?exerciseId=${exercise.id}&resolution=720&rapidapi-key=${RAPIDAPI_KEY}`,
-                        { responseType: 'arraybuffer', timeout: 30000 }
-                    );
-
-                    const imageBuffer = Buffer.from(imageResponse.data);
-                    const contentType = imageResponse.headers['content-type'] || 'image/gif';
-                    const extension = contentType.split('/')[1] || 'gif';
-                    const fileName = `${exercise.id}.${extension}`;
-                    const filePath = `exercises/${fileName}`;
-
-                    console.log(`   📤 Uploading to Supabase Storage...`);
-                    const { error: uploadError } = await supabase.storage
-                        .from('exercise-images')
-                        .upload(filePath, imageBuffer, {
-                            contentType,
-                            upsert: true,
-                            cacheControl: '31536000'
-                        });
-
-                    if (!uploadError) {
-                        const { data: urlData } = supabase.storage
-                            .from('exercise-images')
-                            .getPublicUrl(filePath);
-                        imageUrl = urlData.publicUrl;
-                        console.log(`   ✅ Image uploaded successfully`);
-                    } else {
-                        console.log(`   ⚠️  Image upload failed, using API URL as fallback`);
-                        imageUrl = `https://exercisedb.p.rapidapi.com/image?exerciseId=${exercise.id}&resolution=1080&rapidapi-key=${RAPIDAPI_KEY}`;
-                    }
-                } catch (imgError) {
-                    console.log(`   ⚠️  Image download failed, using API URL as fallback`);
-                    imageUrl = `https://exercisedb.p.rapidapi.com/image?exerciseId=${exercise.id}&resolution=1080&rapidapi-key=${RAPIDAPI_KEY}`;
-                }
-
-                // Save to database
-                const { error } = await supabase
-                    .from('exercises')
-                    .insert({
-                        id: exercise.id,
-                        name: exercise.name,
-                        bodyPart: exercise.bodyPart,
-                        target: exercise.target,
-                        equipment: exercise.equipment,
-                        secondary_muscles: exercise.secondaryMuscles || [],
-                        instructions: exercise.instructions || [],
-                        description: exercise.description || '',
-                        difficulty: exercise.difficulty,
-                        category: exercise.category,
-                        image_url: imageUrl
-                    });
-
-                if (error) {
-                    throw error;
-                }
-
-                successCount++;
-                console.log(`✅ [${i + 1}/${exercises.length}] Added: ${exercise.name}`);
-
-                // Delay between exercises to avoid overwhelming APIs
-                if (i < exercises.length - 1) {
-                    await delay(1000); // 1 second between each exercise
-                }
-
-            } catch (error) {
-                errorCount++;
-                errors.push({ id: exercise.id, name: exercise.name, error: error.message });
-                console.log(`❌ [${i + 1}/${exercises.length}] Failed: ${exercise.name} - ${error.message}`);
-            }
+        if (changeCount === 0) {
+            console.log('✅ Catalog is up to date - nothing to apply');
+            return;
         }
 
+        // Step 3: Apply the diff
+        console.log(`💾 Applying ${changeCount} changes...\n`);
+        const { applied, errors } = await applyExerciseDiff(diff, {
+            syncRunId: syncRun.id,
+            resolveImageUrl,
+            onProgress: message => console.log(message)
+        });
+
         // Summary
         console.log('\n' + '='.repeat(50));
         console.log('📊 SYNC SUMMARY');
         console.log('='.repeat(50));
-        console.log(`📍 Offset range: ${START_OFFSET} - ${START_OFFSET + SYNC_LIMIT}`);
-        console.log(`✅ Successfully added: ${successCount}`);
-        console.log(`⏭️  Skipped (already exists): ${skippedCount}`);
-        console.log(`❌ Failed: ${errorCount}`);
-        console.log(`📋 Total processed: ${exercises.length}`);
+        if (!FULL_SYNC) {
+            console.log(`📍 Offset range: ${START_OFFSET} - ${START_OFFSET + SYNC_LIMIT}`);
+        }
+        console.log(`✅ Applied: ${applied}`);
+        console.log(`❌ Failed: ${errors.length}`);
+        console.log(`🧾 Sync run: ${syncRun.id}`);
 
         if (errors.length > 0) {
             console.log('\n⚠️  Errors:');
@@ -219,15 +230,15 @@ async function syncExercises() {
             });
         }
 
-        // Clear cache if any exercises were added
-        if (successCount > 0) {
-            console.log('\n🗑️  Clearing exercise cache...');
-            clearCache();
-            console.log('✅ Cache cleared - fresh data will be fetched on next request');
+        // The relationship graph is derived from the catalog
+        if (applied > 0) {
+            console.log('\n🕸️  Rebuilding exercise relationships...');
+            const relationshipCount = await rebuildDerivedRelationships();
+            console.log(`✅ Wrote ${relationshipCount} derived relationships`);
         }
 
         // Next steps
-        if (successCount > 0 || skippedCount === exercises.length) {
+        if (!FULL_SYNC && exercises.length === SYNC_LIMIT) {
             const nextOffset = START_OFFSET + SYNC_LIMIT;
             console.log('\n💡 To fetch more exercises, run:');
             console.log(`   node scripts/syncExercises.js ${nextOffset}`);
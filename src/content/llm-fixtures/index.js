@@ -0,0 +1,192 @@
+/**
+ * LLM Mock Fixtures
+ * Responses returned by the mock LLM provider, keyed by AI feature
+ *
+ * A fixture is either a static response object or a function that builds one
+ * from the prompt text (for features whose answer must reference IDs in the prompt,
+ * like plan generation). Builders are deterministic: the same prompt always
+ * produces the same response.
+ */
+
+const WARM_UP_EQUIPMENT = ['body weight', 'band', 'resistance band']
+
+/**
+ * Parse "ID: x / Name: y / Body Part: ... / Equipment: ..." blocks from the plan prompt
+ */
+function parsePlanPromptExercises(prompt) {
+  const pattern = /ID: (\S+)\s+Name: (.+)\s+Body Part: (.+)\s+Target: (.+)\s+Equipment: (.+)/g
+  return [...prompt.matchAll(pattern)].map(([, id, name, bodyPart, target, equipment]) => ({
+    id,
+    name: name.trim(),
+    bodyPart: bodyPart.trim(),
+    target: target.trim(),
+    equipment: equipment.trim()
+  }))
+}
+
+function buildPlan(prompt) {
+  const daysPerWeek = parseInt(prompt.match(/Days per Week: (\d+)/)?.[1]) || 3
+  const selectedDays = [...prompt.matchAll(/- Day \d+: (\w+) \(set day_order/g)].map(match => match[1])
+  const exerciseCount = parseInt(prompt.match(/select (\d+)-\d+ main exercises/)?.[1]) || 4
+  const minutes = parseInt(prompt.match(/\(~(\d+) minutes\)/)?.[1]) || 60
+  const exercises = parsePlanPromptExercises(prompt)
+
+  const warmUpPool = exercises.filter(ex => WARM_UP_EQUIPMENT.includes(ex.equipment))
+  const mainPool = exercises.filter(ex => !warmUpPool.includes(ex))
+  const pool = mainPool.length >= exerciseCount ? mainPool : exercises
+
+  return {
+    plan_name: 'Mock Strength Builder',
+    description: 'A deterministic plan from the mock LLM provider for offline development and tests.',
+    daily_workouts: Array.from({ length: daysPerWeek }, (_, dayIndex) => {
+      const dayExercises = Array.from(
+        { length: Math.min(exerciseCount, pool.length) },
+        (_, i) => pool[(dayIndex * exerciseCount + i) % pool.length]
+      )
+      const dayOfWeek = selectedDays[dayIndex] || 'flexible'
+
+      return {
+        day_order: dayIndex + 1,
+        day_of_week: dayOfWeek,
+        week_number: 1,
+        workout_name: `Mock Workout ${dayIndex + 1}`,
+        focus_area: [...new Set(dayExercises.map(ex => ex.bodyPart))].join(' & '),
+        target_muscles: [...new Set(dayExercises.map(ex => ex.target))],
+        estimated_duration_minutes: minutes,
+        exercises: dayExercises.map(ex => ({
+          exercise_id: ex.id,
+          sets: 3,
+          reps: '8-12',
+          rest_seconds: 90,
+          tempo: '2-0-2-0',
+          notes: 'Controlled reps, full range of motion'
+        })),
+        warm_up_exercises: warmUpPool.slice(0, 2).map(ex => ({
+          exercise_id: ex.id,
+          sets: 1,
+          reps: '10-15',
+          rest_seconds: 30,
+          notes: 'Light warm-up, focus on mobility'
+        })),
+        warm_up: '5 minutes of light cardio',
+        cool_down: '5 minutes of stretching',
+        workout_tips: 'Keep 1-2 reps in reserve on every set.'
+      }
+    })
+  }
+}
+
+function buildAlternatives(prompt) {
+  const section = prompt.split('AVAILABLE ALTERNATIVE EXERCISES')[1] || ''
+  const ids = [...section.matchAll(/ID: (\S+) \|/g)].map(match => match[1])
+  return { alternatives: ids.slice(0, 2) }
+}
+
+function buildExerciseMatch(prompt) {
+  const names = [...prompt.matchAll(/^\s*- (.+) \(targets: .+\)$/gm)].map(match => match[1])
+
+  return {
+    best_match: names[0] || null,
+    match_confidence: names.length > 0 ? 90 : 0,
+    reason: 'Mock provider picks the first listed exercise',
+    related_exercises: names.slice(1, 4)
+  }
+}
+
+function buildEquipmentMatch(prompt) {
+  const equipmentNames = [...prompt.matchAll(/^\s*\d+\. "(.+)"$/gm)].map(match => match[1])
+  const exercises = [...prompt.matchAll(/^\s*(\S+)\|(.+)\|(.+)\|(.+)\|(.+)$/gm)]
+    .map(([, id, name, , , equipment]) => ({ id, name: name.toLowerCase(), equipment: equipment.toLowerCase() }))
+    .filter(ex => ex.id !== 'id')
+
+  const matches = {}
+  for (const equipmentName of equipmentNames) {
+    const words = equipmentName.toLowerCase().split(/\s+/)
+    const matching = exercises.filter(ex => words.some(word => ex.name.includes(word) || ex.equipment.includes(word)))
+
+    matches[equipmentName.toLowerCase()] = {
+      primary_exercise_id: matching[0]?.id || null,
+      related_exercise_ids: matching.slice(1, 4).map(ex => ex.id)
+    }
+  }
+
+  return { matches }
+}
+
+function buildRecommendations(prompt) {
+  const json = prompt.match(/AVAILABLE EXERCISES \(\d+ exercises to choose from\):\n(.+)\n/)?.[1]
+  const exercises = json ? JSON.parse(json) : []
+
+  const byBodyPart = new Map()
+  for (const exercise of exercises) {
+    const list = byBodyPart.get(exercise.bodyPart) || []
+    list.push(exercise.id)
+    byBodyPart.set(exercise.bodyPart, list)
+  }
+
+  return {
+    categories: [...byBodyPart.entries()].slice(0, 8).map(([bodyPart, ids]) => ({
+      name: `Mock ${bodyPart} picks`,
+      reason: `Exercises for your ${bodyPart}`,
+      exercise_ids: ids.slice(0, 20)
+    })),
+    personal_tip: 'Consistency beats intensity - show up for every planned session.'
+  }
+}
+
+export const llmFixtures = {
+  equipment_name: {
+    name: 'Lat Pulldown Machine',
+    category: 'cable',
+    confidence: 92,
+    target_body_part: 'back',
+    visual_description: 'Mock provider: cable tower with a high pulley, wide bar and weight stack',
+    alternatives: []
+  },
+
+  equipment_identification: {
+    name: 'Lat Pulldown Machine',
+    target_muscles: ['latissimus dorsi', 'biceps', 'rhomboids'],
+    usage_tips: [
+      'Adjust the thigh pad so your legs are locked in',
+      'Pull the bar to your upper chest, not behind the neck',
+      'Exhale as you pull, inhale on the way up',
+      'Avoid leaning back to use momentum'
+    ],
+    recommended_workouts: [
+      {
+        name: 'Lat Pulldown Foundations',
+        description: 'Mock workout: controlled wide-grip pulldowns for back width.',
+        rest_period: '60-90 seconds',
+        tempo: '2-1-2 (controlled)',
+        duration: '1-2 minutes per set',
+        instructions: [
+          'Select a moderate weight',
+          'Grip the bar slightly wider than shoulders',
+          'Pull the bar to your upper chest',
+          'Squeeze your shoulder blades together',
+          'Return the bar slowly to the top'
+        ],
+        exercises: ['Wide-grip lat pulldown', 'Close-grip pulldown', 'Underhand pulldown'],
+        common_mistakes: ['Leaning back too far', 'Pulling behind the neck', 'Letting the weight snap up'],
+        safety_tips: ['Keep your neck neutral', 'Control the eccentric'],
+        biomechanics: 'Shoulder adduction and extension driven by the lats',
+        progressions: ['Add 2.5-5 kg once all sets reach 12 reps'],
+        regressions: ['Reduce the weight and focus on a full range of motion'],
+        progression_to_next: 'Three sets of 12 with a 2-second lowering phase'
+      }
+    ]
+  },
+
+  exercise_match: buildExerciseMatch,
+  equipment_match: buildEquipmentMatch,
+  plan_generation: buildPlan,
+  exercise_alternatives: buildAlternatives,
+  recommendations: buildRecommendations
+}
+
+// Text containing any of these terms is flagged by the mock moderation endpoint
+export const moderationFixture = {
+  flaggedTerms: ['mock-flagged'],
+  category: 'harassment'
+}
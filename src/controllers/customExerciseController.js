@@ -0,0 +1,218 @@
+import * as customExerciseService from '../services/customExerciseService.js';
+import { VALID_DIFFICULTIES, VALID_CATEGORIES } from './exerciseController.js';
+
+const CUSTOM_EXERCISE_ERROR_STATUSES = {
+  CUSTOM_EXERCISE_NOT_FOUND: 404,
+  INVALID_CUSTOM_EXERCISE: 400
+};
+
+/**
+ * Map custom exercise service error codes to HTTP status codes
+ */
+function getCustomExerciseErrorStatus(error) {
+  return CUSTOM_EXERCISE_ERROR_STATUSES[error.code] || 500;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validate custom exercise fields shared by create and update
+ * @returns {string|null} - Error message
+ */
+function validateCustomExercise(body, { requireName }) {
+  const { name, bodyPart, target, equipment, secondary_muscles, instructions, description, difficulty, category } = body;
+
+  if (requireName && (!name || typeof name !== 'string' || !name.trim())) {
+    return 'name is required';
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+    return 'name must be a string of at most 100 characters';
+  }
+  for (const [field, value] of Object.entries({ bodyPart, target, equipment, description })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  if (secondary_muscles !== undefined && !isStringArray(secondary_muscles)) {
+    return 'secondary_muscles must be an array of strings';
+  }
+  if (instructions !== undefined) {
+    if (!isStringArray(instructions)) {
+      return 'instructions must be an array of strings';
+    }
+    if (instructions.length > customExerciseService.MAX_INSTRUCTION_STEPS) {
+      return `instructions can have at most ${customExerciseService.MAX_INSTRUCTION_STEPS} steps`;
+    }
+  }
+  if (difficulty !== undefined && difficulty !== null && !VALID_DIFFICULTIES.includes(difficulty)) {
+    return `difficulty must be one of: ${VALID_DIFFICULTIES.join(', ')}`;
+  }
+  if (category !== undefined && !VALID_CATEGORIES.includes(category)) {
+    return `category must be one of: ${VALID_CATEGORIES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Create a private custom exercise
+ */
+export async function createCustomExercise(req, res) {
+  try {
+    const validationError = validateCustomExercise(req.body, { requireName: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const exercise = await customExerciseService.createCustomExercise(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: exercise,
+      message: 'Custom exercise created'
+    });
+  } catch (error) {
+    console.error('Error creating custom exercise:', error);
+    res.status(getCustomExerciseErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to create custom exercise'
+    });
+  }
+}
+
+/**
+ * Get the user's custom exercises
+ */
+export async function getMyCustomExercises(req, res) {
+  try {
+    const exercises = await customExerciseService.getUserCustomExercises(req.user.id);
+
+    res.json({
+      success: true,
+      data: exercises
+    });
+  } catch (error) {
+    console.error('Error fetching custom exercises:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch custom exercises'
+    });
+  }
+}
+
+/**
+ * Get one of the user's custom exercises
+ */
+export async function getCustomExercise(req, res) {
+  try {
+    const exercise = await customExerciseService.getCustomExercise(req.user.id, req.params.exerciseId);
+
+    res.json({
+      success: true,
+      data: exercise
+    });
+  } catch (error) {
+    console.error('Error fetching custom exercise:', error);
+    res.status(getCustomExerciseErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to fetch custom exercise'
+    });
+  }
+}
+
+/**
+ * Update a custom exercise
+ */
+export async function updateCustomExercise(req, res) {
+  try {
+    const validationError = validateCustomExercise(req.body, { requireName: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const exercise = await customExerciseService.updateCustomExercise(req.user.id, req.params.exerciseId, req.body);
+
+    res.json({
+      success: true,
+      data: exercise,
+      message: 'Custom exercise updated'
+    });
+  } catch (error) {
+    console.error('Error updating custom exercise:', error);
+    res.status(getCustomExerciseErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update custom exercise'
+    });
+  }
+}
+
+/**
+ * Delete a custom exercise
+ */
+export async function deleteCustomExercise(req, res) {
+  try {
+    await customExerciseService.deleteCustomExercise(req.user.id, req.params.exerciseId);
+
+    res.json({
+      success: true,
+      message: 'Custom exercise deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting custom exercise:', error);
+    res.status(getCustomExerciseErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to delete custom exercise'
+    });
+  }
+}
+
+/**
+ * Upload or replace a custom exercise's image
+ */
+export async function uploadCustomExerciseImage(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image provided' });
+    }
+
+    const exercise = await customExerciseService.setCustomExerciseImage(req.user.id, req.params.exerciseId, req.file);
+
+    res.json({
+      success: true,
+      data: exercise,
+      message: 'Image uploaded'
+    });
+  } catch (error) {
+    console.error('Error uploading custom exercise image:', error);
+    res.status(getCustomExerciseErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to upload image'
+    });
+  }
+}
+
+/**
+ * Submit a custom exercise for the global catalog
+ */
+export async function submitCustomExercise(req, res) {
+  try {
+    const exercise = await customExerciseService.submitCustomExercise(req.user.id, req.params.exerciseId);
+
+    const rejected = exercise.submission_status === 'rejected';
+
+    res.json({
+      success: true,
+      data: exercise,
+      message: rejected
+        ? `Submission rejected: ${exercise.review_notes}`
+        : 'Exercise submitted for review'
+    });
+  } catch (error) {
+    console.error('Error submitting custom exercise:', error);
+    res.status(getCustomExerciseErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to submit custom exercise'
+    });
+  }
+}
@@ -13,11 +13,33 @@ import { saveWorkouts } from '../services/workoutService.js'
 import { uploadScanImage } from '../services/storageService.js'
 import { saveScanToHistory } from '../services/scanHistoryService.js'
 import { listEquipmentTypes, getExercisesByEquipment } from '../services/exerciseService.js'
+import { getInventorySuggestion } from '../services/userEquipmentService.js'
+import { reserveAIQuota, releaseAIQuota, getAIQuotaStatus, AI_FEATURES } from '../services/aiUsageService.js'
 
 // Maximum variations to store per equipment (not per category, per specific equipment name)
 // E.g., "Lat Pulldown Machine" gets 15 variations, "Cable Row Machine" gets its own 15
 const MAX_VARIATIONS_PER_EQUIPMENT = 15
 
+/**
+ * Send the 429 for an exhausted AI quota (error from reserveAIQuota)
+ */
+function sendQuotaExceeded(res, error) {
+  return res.status(429).json({
+    error: 'Daily limit reached',
+    message: error.message,
+    quota: error.quota
+  })
+}
+
+/**
+ * Remove multer's temp file when a request ends before it was read
+ */
+function cleanUpUpload(file) {
+  if (file?.path && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path)
+  }
+}
+
 /**
  * Equipment Controller
  * Handles equipment identification requests
@@ -31,6 +53,9 @@ const MAX_VARIATIONS_PER_EQUIPMENT = 15
  * Also uploads image to storage for AI training data collection
  */
 export async function identifyEquipmentQuick(req, res) {
+  // Scan slot reserved before any work, released unless the name lookup goes through
+  let scanReservation = null
+
   try {
     // Validate image upload
     if (!req.file) {
@@ -43,6 +68,9 @@ export async function identifyEquipmentQuick(req, res) {
     const user = req.user
     console.log(`🔍 Quick identification: ${req.file.originalname}`)
 
+    // Reserve a scan before anything is uploaded or analysed
+    scanReservation = await reserveAIQuota(user?.id, AI_FEATURES.EQUIPMENT_NAME)
+
     // Fetch equipment types from database
     const equipmentTypesResult = await listEquipmentTypes()
     const equipmentTypes = equipmentTypesResult.success ? equipmentTypesResult.data : []
@@ -65,7 +93,8 @@ export async function identifyEquipmentQuick(req, res) {
 
     // STEP 1: First AI call - identify equipment name, category, target body part
     console.log('🔍 Step 1: AI equipment identification...')
-    const identificationData = await identifyEquipmentNameOnly(imageBase64, req.file.mimetype, equipmentTypes)
+    const identificationData = await identifyEquipmentNameOnly(imageBase64, req.file.mimetype, equipmentTypes, user?.id)
+    scanReservation = null // The scan was made: it counts
 
     if (identificationData.error) {
       return res.status(400).json({
@@ -94,7 +123,7 @@ export async function identifyEquipmentQuick(req, res) {
 
     if (exercises.length > 0) {
       console.log('🔍 Step 3: AI matching exercise from list...')
-      const matchResult = await matchExerciseFromList(name, exercises)
+      const matchResult = await matchExerciseFromList(name, exercises, user?.id)
       console.log(`✅ Step 3 complete: Best match = ${matchResult.best_match} (confidence: ${matchResult.match_confidence}%)`)
 
       // Find the full exercise data for the best match
@@ -115,17 +144,26 @@ export async function identifyEquipmentQuick(req, res) {
     }
 
     // STEP 4: Return response with matched exercises
+    // add_to_equipment: what POST /api/users/me/equipment would store, and whether the user has it already
     res.json({
       ...identificationData,
       image_url: imageUrl,
       low_confidence: isLowConfidence,
       primary_exercise: primaryExercise,
       related_exercises: relatedExercises,
-      all_exercises: exercises
+      all_exercises: exercises,
+      add_to_equipment: await getInventorySuggestion(user, [category, name])
     })
 
   } catch (error) {
     console.error('❌ Quick Identification Error:', error)
+    cleanUpUpload(req.file)
+    await releaseAIQuota(scanReservation)
+
+    if (error.code === 'AI_QUOTA_EXCEEDED') {
+      return sendQuotaExceeded(res, error)
+    }
+
     res.status(500).json({
       error: 'Server error',
       message: 'Internal server error during quick identification'
@@ -138,6 +176,8 @@ export async function identifyEquipmentQuick(req, res) {
  */
 export async function identifyEquipment(req, res) {
   const startTime = Date.now() // Track scan duration
+  // Scan slot reserved before any work, released unless the name lookup goes through
+  let scanReservation = null
 
   try {
     // Validate image upload
@@ -153,21 +193,24 @@ export async function identifyEquipment(req, res) {
 
     console.log(`📸 Analyzing image: ${req.file.originalname} for user: ${user.email}`)
 
+    // Quotas are checked before any AI call: a scan is reserved for the name lookup below,
+    // over the identification quota only cached variations can be served
+    scanReservation = await reserveAIQuota(user.id, AI_FEATURES.EQUIPMENT_NAME)
+    const identificationQuota = await getAIQuotaStatus(user.id, AI_FEATURES.EQUIPMENT_IDENTIFICATION)
+    const canGenerate = identificationQuota.limit === null || identificationQuota.remaining > 0
+
     // Read the uploaded file
     const imagePath = req.file.path
     const imageData = fs.readFileSync(imagePath)
     const imageBase64 = imageData.toString('base64')
 
-    // Upload image to storage (before deleting local file)
-    console.log('📤 Uploading image to storage...')
-    const imageUrl = await uploadScanImage(imageData, user.id, req.file.mimetype)
-
-    // Clean up the local file
+    // Clean up the local file (the image is uploaded to storage once the scan succeeds)
     fs.unlinkSync(imagePath)
 
     // STEP 1: Quick identification to get equipment name only (FAST - 2-5 seconds)
     console.log('🔍 Step 1: Quick equipment identification...')
-    const nameData = await identifyEquipmentNameOnly(imageBase64, req.file.mimetype)
+    const nameData = await identifyEquipmentNameOnly(imageBase64, req.file.mimetype, [], user.id)
+    scanReservation = null // The scan was made: it counts
 
     if (nameData.error) {
       return res.status(400).json({
@@ -198,7 +241,8 @@ export async function identifyEquipment(req, res) {
     let shouldGenerateNewVariation = false
 
     // STEP 3: Smart caching logic
-    const useCache = variationCount > 0 && shouldUseCache(true) // 80% chance
+    // Over the identification quota: always serve the cache
+    const useCache = variationCount > 0 && (!canGenerate || shouldUseCache(true)) // 80% chance
 
     if (useCache) {
       // Try to use cached response (80% probability)
@@ -251,6 +295,7 @@ export async function identifyEquipment(req, res) {
     }
 
     // STEP 4: Full generation only if needed (SLOW - 30-40 seconds)
+    // (reserves an identification - over the quota it throws AI_QUOTA_EXCEEDED)
     if (needsFullGeneration || !finalData) {
       // Determine variation number for AI context
       // If saving new variation: use next number
@@ -306,6 +351,9 @@ export async function identifyEquipment(req, res) {
     }
 
     // STEP 5: Return result to user
+    console.log('📤 Uploading image to storage...')
+    const imageUrl = await uploadScanImage(imageData, user.id, req.file.mimetype)
+
     const scanDuration = Date.now() - startTime
     console.log(`✅ Returning equipment analysis: ${finalData.name} ${usedCache ? '(cached)' : '(fresh)'} (${scanDuration}ms)`)
 
@@ -325,7 +373,11 @@ export async function identifyEquipment(req, res) {
       }
     }
 
-    res.json(responseData)
+    // Offer "add to my equipment" (not part of the scan history entry)
+    res.json({
+      ...responseData,
+      add_to_equipment: await getInventorySuggestion(user, [category, equipmentName])
+    })
 
     // STEP 6: Save to scan history (async, don't block response)
     // History will include the image_url
@@ -336,6 +388,13 @@ export async function identifyEquipment(req, res) {
 
   } catch (error) {
     console.error('❌ AI Identification Error:', error)
+    cleanUpUpload(req.file)
+    await releaseAIQuota(scanReservation)
+
+    if (error.code === 'AI_QUOTA_EXCEEDED') {
+      return sendQuotaExceeded(res, error)
+    }
+
     res.status(500).json({
       error: 'Server error',
       message: 'Internal server error during image analysis'
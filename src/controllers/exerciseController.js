@@ -12,13 +12,29 @@ import {
     searchExercises
 } from '../services/exerciseService.js';
 import { matchEquipmentToExercises } from '../services/aiService.js';
+import { isCustomExerciseId, getCustomExercise } from '../services/customExerciseService.js';
+import { getRelatedExercises, RELATIONSHIP_TYPES } from '../services/exerciseRelationshipService.js';
+import { getRequestLocale, localizeExercises } from '../services/exerciseTranslationService.js';
+
+export const VALID_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+export const VALID_CATEGORIES = ['strength', 'cardio', 'mobility', 'balance', 'stretching', 'plyometrics', 'rehabilitation'];
+
+const SEARCH_DEFAULT_LIMIT = 50;
+
+/**
+ * Parse a comma-separated query param ("dumbbell,barbell") into a list
+ */
+function parseListParam(value) {
+    if (!value) return [];
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
 
 /**
  * Get all exercises
  */
 export async function getAllExercisesHandler(req, res) {
     try {
-        const result = await getAllExercises();
+        const result = await getAllExercises(getRequestLocale(req));
 
         if (!result.success) {
             return res.status(500).json({
@@ -136,14 +152,14 @@ export async function getExercisesByDifficultyHandler(req, res) {
     try {
         const { difficulty } = req.params;
 
-        if (!['beginner', 'intermediate', 'advanced'].includes(difficulty.toLowerCase())) {
+        if (!VALID_DIFFICULTIES.includes(difficulty.toLowerCase())) {
             return res.status(400).json({
                 success: false,
                 message: 'Difficulty must be either "beginner", "intermediate", or "advanced"'
             });
         }
 
-        const result = await getExercisesByDifficulty(difficulty);
+        const result = await getExercisesByDifficulty(difficulty, getRequestLocale(req));
 
         if (!result.success) {
             return res.status(500).json({
@@ -174,15 +190,14 @@ export async function getExercisesByCategoryHandler(req, res) {
     try {
         const { category } = req.params;
 
-        const validCategories = ['strength', 'cardio', 'mobility', 'balance', 'stretching', 'plyometrics', 'rehabilitation'];
-        if (!validCategories.includes(category.toLowerCase())) {
+        if (!VALID_CATEGORIES.includes(category.toLowerCase())) {
             return res.status(400).json({
                 success: false,
-                message: `Category must be one of: ${validCategories.join(', ')}`
+                message: `Category must be one of: ${VALID_CATEGORIES.join(', ')}`
             });
         }
 
-        const result = await getExercisesByCategory(category);
+        const result = await getExercisesByCategory(category, getRequestLocale(req));
 
         if (!result.success) {
             return res.status(500).json({
@@ -213,7 +228,7 @@ export async function getExercisesByEquipmentHandler(req, res) {
     try {
         const { equipment } = req.params;
 
-        const result = await getExercisesByEquipment(equipment);
+        const result = await getExercisesByEquipment(equipment, null, getRequestLocale(req));
 
         if (!result.success) {
             return res.status(500).json({
@@ -244,7 +259,7 @@ export async function getExercisesByBodyPartHandler(req, res) {
     try {
         const { bodyPart } = req.params;
 
-        const result = await getExercisesByBodyPart(bodyPart);
+        const result = await getExercisesByBodyPart(bodyPart, getRequestLocale(req));
 
         if (!result.success) {
             return res.status(500).json({
@@ -275,7 +290,7 @@ export async function getExercisesByTargetHandler(req, res) {
     try {
         const { target } = req.params;
 
-        const result = await getExercisesByTarget(target);
+        const result = await getExercisesByTarget(target, getRequestLocale(req));
 
         if (!result.success) {
             return res.status(500).json({
@@ -306,7 +321,26 @@ export async function getExerciseByIdHandler(req, res) {
     try {
         const { id } = req.params;
 
-        const result = await getExerciseById(id);
+        // The user's own custom exercises resolve through the same endpoint
+        if (isCustomExerciseId(id)) {
+            try {
+                const exercise = await getCustomExercise(req.user.id, id);
+                return res.json({
+                    success: true,
+                    data: exercise
+                });
+            } catch (error) {
+                if (error.message === 'Custom exercise not found') {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Exercise not found'
+                    });
+                }
+                throw error;
+            }
+        }
+
+        const result = await getExerciseById(id, getRequestLocale(req));
 
         if (!result.success) {
             return res.status(500).json({
@@ -331,20 +365,115 @@ export async function getExerciseByIdHandler(req, res) {
 }
 
 /**
- * Search exercises by name
+ * Get exercises related to an exercise, grouped by relationship type
+ * GET /api/exercises/:id/related?types=progression,regression&limit=5
+ */
+export async function getRelatedExercisesHandler(req, res) {
+    try {
+        const { id } = req.params;
+        const types = parseListParam(req.query.types);
+
+        if (types.some(type => !RELATIONSHIP_TYPES.includes(type))) {
+            return res.status(400).json({
+                success: false,
+                message: `types must be one of: ${RELATIONSHIP_TYPES.join(', ')}`
+            });
+        }
+
+        const locale = getRequestLocale(req);
+        const exerciseResult = await getExerciseById(id, locale);
+        if (!exerciseResult.success || !exerciseResult.data) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exercise not found'
+            });
+        }
+
+        const result = await getRelatedExercises(id, {
+            types: types.length > 0 ? types : RELATIONSHIP_TYPES,
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20),
+            locale
+        });
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to fetch related exercises',
+                error: result.error
+            });
+        }
+
+        const exercise = exerciseResult.data;
+
+        res.json({
+            success: true,
+            data: {
+                exercise: {
+                    id: exercise.id,
+                    name: exercise.name,
+                    target: exercise.target,
+                    equipment: exercise.equipment,
+                    difficulty: exercise.difficulty
+                },
+                related: result.data
+            }
+        });
+    } catch (error) {
+        console.error('Error in getRelatedExercisesHandler:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Search exercises (ranked, typo tolerant) with combinable filters
+ * GET /api/exercises/search?query=dumbell press&equipment=dumbbell&bodyPart=chest&difficulty=beginner&limit=50&offset=0
+ * Filters take comma-separated values; query is optional when a filter is given
+ * limit defaults to (and is capped at) 50, as search returned before pagination
  */
 export async function searchExercisesHandler(req, res) {
     try {
-        const { query } = req.query;
+        const { query, limit, offset } = req.query;
+
+        const filters = {
+            equipment: parseListParam(req.query.equipment),
+            bodyPart: parseListParam(req.query.bodyPart),
+            target: parseListParam(req.query.target),
+            difficulty: parseListParam(req.query.difficulty).map(d => d.toLowerCase()),
+            category: parseListParam(req.query.category).map(c => c.toLowerCase())
+        };
+
+        const hasFilter = Object.values(filters).some(values => values.length > 0);
+        if (!query?.trim() && !hasFilter) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query or at least one filter (equipment, bodyPart, target, difficulty, category) is required'
+            });
+        }
+
+        if (filters.difficulty.some(d => !VALID_DIFFICULTIES.includes(d))) {
+            return res.status(400).json({
+                success: false,
+                message: `Difficulty must be one of: ${VALID_DIFFICULTIES.join(', ')}`
+            });
+        }
 
-        if (!query) {
+        if (filters.category.some(c => !VALID_CATEGORIES.includes(c))) {
             return res.status(400).json({
                 success: false,
-                message: 'Search query is required'
+                message: `Category must be one of: ${VALID_CATEGORIES.join(', ')}`
             });
         }
 
-        const result = await searchExercises(query);
+        const result = await searchExercises(query?.trim() || null, {
+            ...filters,
+            limit: Math.min(Math.max(parseInt(limit) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_DEFAULT_LIMIT),
+            offset: Math.max(parseInt(offset) || 0, 0),
+            locale: getRequestLocale(req)
+        });
 
         if (!result.success) {
             return res.status(500).json({
@@ -356,7 +485,13 @@ export async function searchExercisesHandler(req, res) {
 
         res.json({
             success: true,
-            data: result.data
+            data: result.data,
+            pagination: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                hasMore: result.offset + result.data.length < result.total
+            }
         });
     } catch (error) {
         console.error('Error in searchExercisesHandler:', error);
@@ -397,10 +532,11 @@ export async function matchEquipmentHandler(req, res) {
         }
 
         // Use AI to match equipment to exercises
-        const matches = await matchEquipmentToExercises(equipment, exercisesResult.data);
+        const matches = await matchEquipmentToExercises(equipment, exercisesResult.data, req.user?.id);
 
-        // Build exercise map for quick lookup
-        const exerciseMap = new Map(exercisesResult.data.map(ex => [ex.id, ex]));
+        // Build exercise map for quick lookup (the AI matches on English names, the response is localized)
+        const localizedExercises = await localizeExercises(exercisesResult.data, getRequestLocale(req));
+        const exerciseMap = new Map(localizedExercises.map(ex => [ex.id, ex]));
 
         // Build a lowercase lookup for AI results (AI might return different casing)
         const matchesLowercase = {};
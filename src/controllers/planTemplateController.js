@@ -0,0 +1,309 @@
+import * as planTemplateService from '../services/planTemplateService.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const TEMPLATE_ERROR_STATUSES = {
+  TEMPLATE_NOT_FOUND: 404,
+  INVALID_TEMPLATE: 400
+};
+
+/**
+ * Map template service error codes to HTTP status codes
+ */
+function getTemplateErrorStatus(error) {
+  return TEMPLATE_ERROR_STATUSES[error.code] || 500;
+}
+
+/**
+ * Validate title/description/level/tags shared by publish and update
+ * @returns {string|null} - Error message
+ */
+function validateTemplateDetails({ title, description, level, tags }, { requireTitle }) {
+  if (requireTitle && (!title || typeof title !== 'string' || !title.trim())) {
+    return 'title is required';
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.trim().length > 120)) {
+    return 'title must be a string of at most 120 characters';
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'description must be a string';
+  }
+  if (level !== undefined && !planTemplateService.TEMPLATE_LEVELS.includes(level)) {
+    return `level must be one of: ${planTemplateService.TEMPLATE_LEVELS.join(', ')}`;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return 'tags must be an array of strings';
+    }
+    if (tags.length > planTemplateService.MAX_TEMPLATE_TAGS) {
+      return `A template can have at most ${planTemplateService.MAX_TEMPLATE_TAGS} tags`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Publish one of the user's plans as a template
+ */
+export async function publishTemplate(req, res) {
+  try {
+    const userId = req.user.id;
+    const { plan_id, title, description, level, tags } = req.body;
+
+    if (!plan_id) {
+      return res.status(400).json({ error: 'plan_id is required' });
+    }
+
+    const validationError = validateTemplateDetails(req.body, { requireTitle: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const template = await planTemplateService.publishTemplate(userId, {
+      plan_id,
+      title: title.trim(),
+      description,
+      level,
+      tags
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Plan published as a template'
+    });
+  } catch (error) {
+    console.error('Error publishing plan template:', error);
+    res.status(getTemplateErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to publish plan template'
+    });
+  }
+}
+
+/**
+ * Browse/search public templates
+ */
+export async function searchTemplates(req, res) {
+  try {
+    const { q, level, tags, days_per_week, sort = 'popular', limit = 20, offset = 0 } = req.query;
+
+    if (level && !planTemplateService.TEMPLATE_LEVELS.includes(level)) {
+      return res.status(400).json({
+        error: `level must be one of: ${planTemplateService.TEMPLATE_LEVELS.join(', ')}`
+      });
+    }
+
+    if (!['popular', 'newest'].includes(sort)) {
+      return res.status(400).json({ error: 'sort must be "popular" or "newest"' });
+    }
+
+    const daysPerWeek = days_per_week ? parseInt(days_per_week) : null;
+    if (days_per_week && (isNaN(daysPerWeek) || daysPerWeek < 1 || daysPerWeek > 7)) {
+      return res.status(400).json({ error: 'days_per_week must be between 1 and 7' });
+    }
+
+    const result = await planTemplateService.searchTemplates({
+      q,
+      level,
+      tags: tags ? tags.split(',') : null,
+      days_per_week: daysPerWeek,
+      sort,
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 50),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      data: result.templates,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset,
+        hasMore: result.offset + result.templates.length < result.total
+      }
+    });
+  } catch (error) {
+    console.error('Error searching plan templates:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to search plan templates'
+    });
+  }
+}
+
+/**
+ * Get the templates the user has published
+ */
+export async function getMyTemplates(req, res) {
+  try {
+    const userId = req.user.id;
+    const templates = await planTemplateService.getUserTemplates(userId);
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error fetching user plan templates:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch plan templates'
+    });
+  }
+}
+
+/**
+ * Get a template with its workouts
+ */
+export async function getTemplate(req, res) {
+  try {
+    const userId = req.user.id;
+    const { templateId } = req.params;
+
+    const template = await planTemplateService.getTemplateById(templateId, userId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error fetching plan template:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch plan template'
+    });
+  }
+}
+
+/**
+ * Update a template's title, description, level, tags or visibility
+ */
+export async function updateTemplate(req, res) {
+  try {
+    const userId = req.user.id;
+    const { templateId } = req.params;
+    const { is_public } = req.body;
+
+    const validationError = validateTemplateDetails(req.body, { requireTitle: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (is_public !== undefined && typeof is_public !== 'boolean') {
+      return res.status(400).json({ error: 'is_public must be a boolean' });
+    }
+
+    const template = await planTemplateService.updateTemplate(userId, templateId, {
+      ...req.body,
+      ...(req.body.title !== undefined && { title: req.body.title.trim() })
+    });
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Error updating plan template:', error);
+    res.status(getTemplateErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update plan template'
+    });
+  }
+}
+
+/**
+ * Unpublish a template
+ */
+export async function deleteTemplate(req, res) {
+  try {
+    const userId = req.user.id;
+    const { templateId } = req.params;
+
+    await planTemplateService.deleteTemplate(userId, templateId);
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting plan template:', error);
+    res.status(getTemplateErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to delete plan template'
+    });
+  }
+}
+
+/**
+ * Clone a template into a new active plan
+ */
+export async function cloneTemplate(req, res) {
+  try {
+    const userId = req.user.id;
+    const { templateId } = req.params;
+    const { selected_days, start_date } = req.body;
+
+    if (!Array.isArray(selected_days) || selected_days.length === 0 || selected_days.some(day => typeof day !== 'string')) {
+      return res.status(400).json({ error: 'selected_days must be a non-empty array of day names' });
+    }
+
+    if (new Set(selected_days.map(day => day.toLowerCase())).size !== selected_days.length) {
+      return res.status(400).json({ error: 'selected_days must not contain duplicates' });
+    }
+
+    if (!start_date || !DATE_PATTERN.test(start_date) || isNaN(new Date(start_date + 'T00:00:00'))) {
+      return res.status(400).json({ error: 'start_date is required (YYYY-MM-DD)' });
+    }
+
+    const plan = await planTemplateService.cloneTemplate(userId, templateId, { selected_days, start_date });
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+      message: 'Template cloned into a new plan'
+    });
+  } catch (error) {
+    console.error('Error cloning plan template:', error);
+    res.status(getTemplateErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to clone plan template'
+    });
+  }
+}
+
+/**
+ * Save one day of a template to the user's saved workouts
+ */
+export async function saveTemplateDay(req, res) {
+  try {
+    const userId = req.user.id;
+    const { templateId } = req.params;
+    const dayOrder = parseInt(req.params.dayOrder);
+
+    if (isNaN(dayOrder) || dayOrder < 1) {
+      return res.status(400).json({ error: 'dayOrder must be a positive integer' });
+    }
+
+    const savedWorkout = await planTemplateService.saveTemplateDay(userId, templateId, dayOrder);
+
+    res.status(201).json({
+      success: true,
+      data: savedWorkout,
+      message: 'Workout saved to your library'
+    });
+  } catch (error) {
+    console.error('Error saving template day:', error);
+    res.status(getTemplateErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to save template workout'
+    });
+  }
+}
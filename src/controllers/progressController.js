@@ -3,6 +3,12 @@ import {
   getAchievementProgress,
   getUserActivityTimeline
 } from '../services/progressService.js'
+import {
+  getPersonalRecords,
+  getExerciseRecordTimeline,
+  RECORD_TYPES
+} from '../services/personalRecordsService.js'
+import { getMuscleRecovery } from '../services/recoveryService.js'
 
 /**
  * Progress Controller
@@ -93,3 +99,90 @@ export async function getActivityTimeline(req, res) {
     })
   }
 }
+
+/**
+ * GET /api/progress/records
+ * Get current personal records for every exercise the user has logged
+ */
+export async function getRecords(req, res) {
+  try {
+    const userId = req.user.id
+
+    const records = await getPersonalRecords(userId)
+
+    res.json({
+      success: true,
+      data: records
+    })
+
+    console.log(`✅ Fetched personal records for user: ${req.user.email}`)
+  } catch (error) {
+    console.error('❌ Get personal records error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch personal records',
+      message: 'Internal server error while fetching personal records'
+    })
+  }
+}
+
+/**
+ * GET /api/progress/records/:exerciseId
+ * Get the personal record timeline for one exercise
+ */
+export async function getExerciseRecords(req, res) {
+  try {
+    const userId = req.user.id
+    const { exerciseId } = req.params
+    const { type } = req.query
+
+    if (type && !RECORD_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid record type. Must be one of: ${RECORD_TYPES.join(', ')}`
+      })
+    }
+
+    const timeline = await getExerciseRecordTimeline(userId, exerciseId, type || null)
+
+    res.json({
+      success: true,
+      data: timeline
+    })
+
+    console.log(`✅ Fetched ${timeline.length} records for exercise ${exerciseId}`)
+  } catch (error) {
+    console.error('❌ Get exercise records error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exercise records',
+      message: 'Internal server error while fetching exercise records'
+    })
+  }
+}
+
+/**
+ * GET /api/progress/recovery
+ * Get per-muscle readiness based on recently completed workouts
+ */
+export async function getRecovery(req, res) {
+  try {
+    const userId = req.user.id
+
+    const recovery = await getMuscleRecovery(userId)
+
+    res.json({
+      success: true,
+      data: recovery
+    })
+
+    console.log(`✅ Fetched muscle recovery for user: ${req.user.email}`)
+  } catch (error) {
+    console.error('❌ Get muscle recovery error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch muscle recovery',
+      message: 'Internal server error while calculating muscle recovery'
+    })
+  }
+}
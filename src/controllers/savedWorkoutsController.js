@@ -1,4 +1,5 @@
 import * as savedWorkoutsService from '../services/savedWorkoutsService.js';
+import { getRequestLocale, localizeWorkouts, localizeExercises } from '../services/exerciseTranslationService.js';
 
 // ============================================================================
 // SAVED WORKOUTS
@@ -88,7 +89,7 @@ export async function getUserSavedWorkouts(req, res) {
 
     res.json({
       success: true,
-      data: workouts,
+      data: await localizeWorkouts(workouts, getRequestLocale(req)),
       _metadata: metadata
     });
   } catch (error) {
@@ -113,7 +114,7 @@ export async function getSavedWorkoutById(req, res) {
 
     res.json({
       success: true,
-      data: workout,
+      data: await localizeWorkouts(workout, getRequestLocale(req)),
     });
   } catch (error) {
     console.error('Error in getSavedWorkoutById controller:', error);
@@ -229,6 +230,13 @@ export async function saveExercise(req, res) {
       });
     }
 
+    if (error.message === 'Custom exercise not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom exercise not found',
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to save exercise',
@@ -263,9 +271,15 @@ export async function getUserSavedExercises(req, res) {
       synced_at: Date.now(),
     };
 
+    // Saved exercises keep an English snapshot; exercise_id points at the catalog
+    const localizedExercises = await localizeExercises(exercises, getRequestLocale(req), {
+      idField: 'exercise_id',
+      targetField: 'target_muscle'
+    });
+
     res.json({
       success: true,
-      data: exercises,
+      data: localizedExercises,
       _metadata: metadata
     });
   } catch (error) {
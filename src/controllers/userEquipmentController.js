@@ -0,0 +1,160 @@
+import {
+  ALWAYS_AVAILABLE_EQUIPMENT,
+  normalizeEquipmentList,
+  getUserEquipment,
+  setUserEquipment,
+  addUserEquipment,
+  removeUserEquipment
+} from '../services/userEquipmentService.js'
+
+const ERROR_RESPONSES = {
+  TOO_MANY_ITEMS: { status: 400, message: 'Too many equipment items' },
+  NOT_IN_INVENTORY: { status: 404, message: 'Equipment is not in your inventory' }
+}
+
+function sendError(res, error, fallbackMessage) {
+  const known = ERROR_RESPONSES[error.message]
+
+  return res.status(known?.status || 500).json({
+    success: false,
+    message: known?.message || fallbackMessage
+  })
+}
+
+function formatInventory(equipment) {
+  return {
+    equipment,
+    declared: Array.isArray(equipment),
+    always_available: ALWAYS_AVAILABLE_EQUIPMENT
+  }
+}
+
+/**
+ * Validate and normalize the equipment names in a request body
+ * Sends a 400 and returns null when they are invalid
+ */
+async function parseEquipmentBody(req, res) {
+  const { equipment } = req.body
+
+  if (!Array.isArray(equipment) || equipment.some(item => typeof item !== 'string')) {
+    res.status(400).json({
+      success: false,
+      message: 'equipment must be an array of equipment names'
+    })
+    return null
+  }
+
+  const { equipment: normalized, invalid } = await normalizeEquipmentList(equipment)
+
+  if (invalid.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown equipment: ${invalid.join(', ')}. Use the types from /api/exercises/list/equipment`,
+      invalid
+    })
+    return null
+  }
+
+  return normalized
+}
+
+/**
+ * GET /api/users/me/equipment
+ * Get the current user's equipment
+ */
+export const getMyEquipmentHandler = async (req, res) => {
+  try {
+    const equipment = await getUserEquipment(req.user.id)
+
+    return res.json({
+      success: true,
+      ...formatInventory(equipment)
+    })
+  } catch (error) {
+    console.error('Error fetching equipment:', error)
+    return sendError(res, error, 'Failed to fetch equipment')
+  }
+}
+
+/**
+ * PUT /api/users/me/equipment
+ * Replace the current user's equipment
+ */
+export const setMyEquipmentHandler = async (req, res) => {
+  try {
+    const equipment = await parseEquipmentBody(req, res)
+    if (!equipment) return
+
+    const saved = await setUserEquipment(req.user.id, equipment)
+
+    return res.json({
+      success: true,
+      message: 'Equipment updated successfully',
+      ...formatInventory(saved)
+    })
+  } catch (error) {
+    console.error('Error updating equipment:', error)
+    return sendError(res, error, 'Failed to update equipment')
+  }
+}
+
+/**
+ * POST /api/users/me/equipment
+ * Add equipment to the current user's inventory ("add to my equipment" after a scan)
+ */
+export const addMyEquipmentHandler = async (req, res) => {
+  try {
+    const equipment = await parseEquipmentBody(req, res)
+    if (!equipment) return
+
+    const { equipment: saved, added } = await addUserEquipment(req.user.id, equipment)
+
+    return res.json({
+      success: true,
+      message: added.length > 0 ? 'Equipment added successfully' : 'Equipment already in your inventory',
+      added,
+      ...formatInventory(saved)
+    })
+  } catch (error) {
+    console.error('Error adding equipment:', error)
+    return sendError(res, error, 'Failed to add equipment')
+  }
+}
+
+/**
+ * DELETE /api/users/me/equipment
+ * Clear the current user's inventory (no equipment filtering)
+ */
+export const clearMyEquipmentHandler = async (req, res) => {
+  try {
+    const saved = await setUserEquipment(req.user.id, null)
+
+    return res.json({
+      success: true,
+      message: 'Equipment cleared successfully',
+      ...formatInventory(saved)
+    })
+  } catch (error) {
+    console.error('Error clearing equipment:', error)
+    return sendError(res, error, 'Failed to clear equipment')
+  }
+}
+
+/**
+ * DELETE /api/users/me/equipment/:equipment
+ * Remove one item from the current user's equipment
+ */
+export const removeMyEquipmentHandler = async (req, res) => {
+  try {
+    const saved = await removeUserEquipment(req.user.id, req.params.equipment)
+
+    return res.json({
+      success: true,
+      message: 'Equipment removed successfully',
+      ...formatInventory(saved)
+    })
+  } catch (error) {
+    console.error('Error removing equipment:', error)
+    return sendError(res, error, 'Failed to remove equipment')
+  }
+}
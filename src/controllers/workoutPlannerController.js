@@ -1,5 +1,29 @@
 import * as workoutPlannerService from '../services/workoutPlannerService.js';
 import generationJobService from '../services/generationJobService.js';
+import { MIN_MESOCYCLE_WEEKS, MAX_MESOCYCLE_WEEKS } from '../services/periodizationService.js';
+import { getRequestLocale, localizePlan, localizeWorkouts } from '../services/exerciseTranslationService.js';
+
+/**
+ * Validate the optional mesocycle length
+ * @returns {string|null} - Error message, or null if valid/not provided
+ */
+function validateMesocycleWeeks(mesocycleWeeks) {
+  if (mesocycleWeeks === undefined || mesocycleWeeks === null) return null;
+
+  if (!Number.isInteger(mesocycleWeeks) || mesocycleWeeks < MIN_MESOCYCLE_WEEKS || mesocycleWeeks > MAX_MESOCYCLE_WEEKS) {
+    return `mesocycle_weeks must be an integer between ${MIN_MESOCYCLE_WEEKS} and ${MAX_MESOCYCLE_WEEKS}`;
+  }
+
+  return null;
+}
+
+/**
+ * Generation job with its plan preview in the requested language
+ */
+async function localizeGenerationJob(job, locale) {
+  if (!job?.result_data) return job;
+  return { ...job, result_data: await localizePlan(job.result_data, locale) };
+}
 
 // ============================================================================
 // WORKOUT PLAN GENERATION
@@ -16,7 +40,10 @@ export async function generateWorkoutPlan(req, res) {
       target_body_parts,
       days_per_week,
       hours_per_session,
-      selected_days
+      selected_days,
+      selected_dates,
+      start_date,
+      mesocycle_weeks
     } = req.body;
 
     // Validate required fields
@@ -36,6 +63,11 @@ export async function generateWorkoutPlan(req, res) {
       return res.status(400).json({ error: 'hours_per_session must be between 0 and 5' });
     }
 
+    const mesocycleError = validateMesocycleWeeks(mesocycle_weeks);
+    if (mesocycleError) {
+      return res.status(400).json({ error: mesocycleError });
+    }
+
     console.log(`🤖 Generating AI workout plan for user ${userId}...`);
 
     // Generate plan using service
@@ -45,7 +77,10 @@ export async function generateWorkoutPlan(req, res) {
       target_body_parts,
       days_per_week,
       hours_per_session,
-      selected_days
+      selected_days,
+      selected_dates,
+      start_date,
+      mesocycle_weeks
     });
 
     console.log(`✅ Workout plan generated: ${plan.plan_name}`);
@@ -77,7 +112,8 @@ export async function generatePlanPreview(req, res) {
       hours_per_session,
       selected_days,
       selected_dates,
-      start_date
+      start_date,
+      mesocycle_weeks
     } = req.body;
 
     // Validate required fields
@@ -101,6 +137,11 @@ export async function generatePlanPreview(req, res) {
       return res.status(400).json({ error: 'hours_per_session must be between 0 and 5' });
     }
 
+    const mesocycleError = validateMesocycleWeeks(mesocycle_weeks);
+    if (mesocycleError) {
+      return res.status(400).json({ error: mesocycleError });
+    }
+
     console.log(`🔍 Generating plan preview for user ${userId}...`);
 
     // Generate preview with alternatives
@@ -113,14 +154,15 @@ export async function generatePlanPreview(req, res) {
       hours_per_session,
       selected_days,
       selected_dates,
-      start_date
+      start_date,
+      mesocycle_weeks
     });
 
     console.log(`✅ Plan preview generated with alternatives`);
 
     res.status(200).json({
       success: true,
-      data: planPreview
+      data: await localizePlan(planPreview, getRequestLocale(req))
     });
   } catch (error) {
     console.error('Error generating plan preview:', error);
@@ -149,6 +191,11 @@ export async function generatePlanAsync(req, res) {
       return res.status(400).json({ error: 'target_body_parts is required and must be a non-empty array' });
     }
 
+    const mesocycleError = validateMesocycleWeeks(requestData.mesocycle_weeks);
+    if (mesocycleError) {
+      return res.status(400).json({ error: mesocycleError });
+    }
+
     console.log(`🚀 Creating async generation job for user ${userId}...`);
 
     // Create job and start processing in background
@@ -183,7 +230,7 @@ export async function getGenerationJob(req, res) {
 
     res.status(200).json({
       success: true,
-      data: job
+      data: await localizeGenerationJob(job, getRequestLocale(req))
     });
   } catch (error) {
     console.error('Error getting generation job:', error);
@@ -194,6 +241,91 @@ export async function getGenerationJob(req, res) {
   }
 }
 
+/**
+ * Stream progress of a generation job as server-sent events
+ *
+ * Events:
+ * - progress: { id, status, progress_stage, progress_percent, attempts, ... } on every change
+ * - completed / failed: the full job (same shape as GET /jobs/:jobId), then the stream closes
+ *
+ * Updates from this instance's worker are pushed immediately; the job row is also
+ * re-read every few seconds in case another instance is processing it.
+ */
+export async function streamGenerationJob(req, res) {
+  const userId = req.user.id;
+  const { jobId } = req.params;
+  const locale = getRequestLocale(req);
+
+  let job;
+  try {
+    job = await localizeGenerationJob(await generationJobService.getJob(jobId, userId), locale);
+  } catch (error) {
+    console.error('Error opening generation job stream:', error);
+    const notFound = error.message === 'Job not found' || error.code === 'PGRST116';
+    return res.status(notFound ? 404 : 500).json({
+      success: false,
+      error: notFound ? 'Job not found' : (error.message || 'Failed to stream generation job')
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  let lastSent = null;
+  let closed = false;
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendJob = (current) => {
+    if (current.status === 'completed' || current.status === 'failed') {
+      sendEvent(current.status, current);
+      close();
+      return;
+    }
+
+    const key = `${current.status}:${current.progress_stage}:${current.attempts}`;
+    if (key === lastSent) return;
+    lastSent = key;
+
+    const { result_data, ...progress } = current;
+    sendEvent('progress', progress);
+  };
+
+  const refresh = async () => {
+    if (closed) return;
+    try {
+      const current = await localizeGenerationJob(await generationJobService.getJob(jobId, userId), locale);
+      if (!closed) sendJob(current);
+    } catch (error) {
+      console.error('Error refreshing generation job stream:', error);
+    }
+  };
+
+  const unsubscribe = generationJobService.subscribe(jobId, refresh);
+  const pollTimer = setInterval(refresh, 3000);
+  const keepAliveTimer = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(pollTimer);
+    clearInterval(keepAliveTimer);
+    res.end();
+  }
+
+  req.on('close', close);
+
+  sendJob(job);
+}
+
 /**
  * Finalize and save user's customized workout plan
  */
@@ -225,7 +357,7 @@ export async function finalizePlan(req, res) {
 
     res.status(201).json({
       success: true,
-      data: savedPlan
+      data: await localizePlan(savedPlan, getRequestLocale(req))
     });
   } catch (error) {
     console.error('Error finalizing plan:', error);
@@ -290,7 +422,7 @@ export async function getPlanById(req, res) {
 
     res.json({
       success: true,
-      data: plan
+      data: await localizePlan(plan, getRequestLocale(req))
     });
   } catch (error) {
     console.error('Error fetching plan:', error);
@@ -409,7 +541,7 @@ export async function getCurrentActivePlan(req, res) {
     // No plan is a valid state for new users - return success with null data
     res.json({
       success: true,
-      data: plan || null
+      data: await localizePlan(plan, getRequestLocale(req)) || null
     });
   } catch (error) {
     console.error('Error fetching active plan:', error);
@@ -443,7 +575,7 @@ export async function getDailyWorkout(req, res) {
 
     res.json({
       success: true,
-      data: dailyWorkout
+      data: await localizeWorkouts(dailyWorkout, getRequestLocale(req))
     });
   } catch (error) {
     console.error('Error fetching daily workout:', error);
@@ -473,7 +605,7 @@ export async function getDailyWorkoutByDay(req, res) {
 
     res.json({
       success: true,
-      data: dailyWorkout
+      data: await localizeWorkouts(dailyWorkout, getRequestLocale(req))
     });
   } catch (error) {
     console.error('Error fetching daily workout by day:', error);
@@ -504,7 +636,7 @@ export async function getNextWorkout(req, res) {
 
     res.json({
       success: true,
-      data: nextWorkout
+      data: await localizeWorkouts(nextWorkout, getRequestLocale(req))
     });
   } catch (error) {
     console.error('Error fetching next workout:', error);
@@ -532,9 +664,20 @@ export async function completeDailyWorkout(req, res) {
       energy_level,
       notes,
       exercises_completed,
+      set_logs,
       share_to_feed
     } = req.body;
 
+    if (set_logs !== undefined) {
+      const setLogsError = workoutPlannerService.validateSetLogs(set_logs);
+      if (setLogsError) {
+        return res.status(400).json({
+          success: false,
+          error: setLogsError
+        });
+      }
+    }
+
     const completion = await workoutPlannerService.completeWorkout({
       dailyWorkoutId,
       userId,
@@ -543,6 +686,7 @@ export async function completeDailyWorkout(req, res) {
       energy_level,
       notes,
       exercises_completed,
+      set_logs,
       share_to_feed
     });
 
@@ -560,6 +704,152 @@ export async function completeDailyWorkout(req, res) {
   }
 }
 
+/**
+ * Log an unplanned (ad-hoc) workout
+ */
+export async function logAdhocWorkout(req, res) {
+  try {
+    const userId = req.user.id;
+    const {
+      workout_name,
+      exercises,
+      duration_minutes,
+      difficulty_rating,
+      energy_level,
+      notes,
+      set_logs,
+      completed_at,
+      share_to_feed
+    } = req.body;
+
+    if (!Array.isArray(exercises) || exercises.length === 0) {
+      return res.status(400).json({ error: 'exercises must be a non-empty array' });
+    }
+
+    if (exercises.length > workoutPlannerService.MAX_ADHOC_EXERCISES) {
+      return res.status(400).json({
+        error: `exercises cannot contain more than ${workoutPlannerService.MAX_ADHOC_EXERCISES} entries`
+      });
+    }
+
+    if (exercises.some(exercise => !exercise || typeof exercise.exercise_id !== 'string' || !exercise.exercise_id)) {
+      return res.status(400).json({ error: 'Each exercise requires an exercise_id' });
+    }
+
+    if (workout_name !== undefined && (typeof workout_name !== 'string' || workout_name.length > 255)) {
+      return res.status(400).json({ error: 'workout_name must be a string of at most 255 characters' });
+    }
+
+    if (duration_minutes != null && (!Number.isInteger(duration_minutes) || duration_minutes < 1)) {
+      return res.status(400).json({ error: 'duration_minutes must be a positive integer' });
+    }
+
+    if (completed_at !== undefined) {
+      const completedAt = new Date(completed_at);
+      if (isNaN(completedAt.getTime()) || completedAt > new Date()) {
+        return res.status(400).json({ error: 'completed_at must be a valid timestamp that is not in the future' });
+      }
+    }
+
+    if (set_logs !== undefined) {
+      const setLogsError = workoutPlannerService.validateSetLogs(set_logs);
+      if (setLogsError) {
+        return res.status(400).json({
+          success: false,
+          error: setLogsError
+        });
+      }
+    }
+
+    const completion = await workoutPlannerService.logAdhocWorkout(userId, {
+      workout_name,
+      exercises,
+      duration_minutes,
+      difficulty_rating,
+      energy_level,
+      notes,
+      set_logs,
+      completed_at,
+      share_to_feed
+    });
+
+    res.status(201).json({
+      success: true,
+      data: completion,
+      message: 'Workout logged successfully! 🎉'
+    });
+  } catch (error) {
+    console.error('Error logging ad-hoc workout:', error);
+    res.status(error.code === 'INVALID_ADHOC_WORKOUT' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Failed to log workout'
+    });
+  }
+}
+
+/**
+ * Update a logged ad-hoc workout
+ */
+export async function updateAdhocWorkout(req, res) {
+  try {
+    const userId = req.user.id;
+    const { completionId } = req.params;
+    const {
+      workout_name,
+      duration_minutes,
+      difficulty_rating,
+      energy_level,
+      notes,
+      set_logs
+    } = req.body;
+
+    if (workout_name !== undefined && (typeof workout_name !== 'string' || workout_name.length > 255)) {
+      return res.status(400).json({ error: 'workout_name must be a string of at most 255 characters' });
+    }
+
+    if (duration_minutes != null && (!Number.isInteger(duration_minutes) || duration_minutes < 1)) {
+      return res.status(400).json({ error: 'duration_minutes must be a positive integer' });
+    }
+
+    if (set_logs !== undefined) {
+      const setLogsError = workoutPlannerService.validateSetLogs(set_logs);
+      if (setLogsError) {
+        return res.status(400).json({
+          success: false,
+          error: setLogsError
+        });
+      }
+    }
+
+    // The exercise snapshot and workout type can't be edited
+    const updates = Object.fromEntries(
+      Object.entries({ workout_name, duration_minutes, difficulty_rating, energy_level, notes, set_logs })
+        .filter(([, value]) => value !== undefined)
+    );
+
+    const completion = await workoutPlannerService.updateAdhocWorkout(completionId, userId, updates);
+
+    if (!completion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ad-hoc workout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: completion,
+      message: 'Workout updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating ad-hoc workout:', error);
+    res.status(error.code === 'INVALID_ADHOC_WORKOUT' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Failed to update workout'
+    });
+  }
+}
+
 /**
  * Update an existing workout completion
  */
@@ -569,6 +859,16 @@ export async function updateWorkoutCompletion(req, res) {
     const { dailyWorkoutId } = req.params;
     const updates = req.body;
 
+    if (updates.set_logs !== undefined) {
+      const setLogsError = workoutPlannerService.validateSetLogs(updates.set_logs);
+      if (setLogsError) {
+        return res.status(400).json({
+          success: false,
+          error: setLogsError
+        });
+      }
+    }
+
     const completion = await workoutPlannerService.updateWorkoutCompletion(dailyWorkoutId, userId, updates);
 
     if (!completion) {
@@ -652,6 +952,29 @@ export async function getWorkoutCompletionById(req, res) {
   }
 }
 
+/**
+ * Get the sets logged the last time the user performed an exercise
+ */
+export async function getLastExercisePerformance(req, res) {
+  try {
+    const userId = req.user.id;
+    const { exerciseId } = req.params;
+
+    const performance = await workoutPlannerService.getLastExercisePerformance(userId, exerciseId);
+
+    res.json({
+      success: true,
+      data: performance
+    });
+  } catch (error) {
+    console.error('Error fetching last exercise performance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch last exercise performance'
+    });
+  }
+}
+
 // ============================================================================
 // PROGRESS & STATS
 // ============================================================================
@@ -686,6 +1009,36 @@ export async function getPlanProgress(req, res) {
   }
 }
 
+/**
+ * Get adherence analytics for a specific plan
+ */
+export async function getPlanAdherence(req, res) {
+  try {
+    const userId = req.user.id;
+    const { planId } = req.params;
+
+    const adherence = await workoutPlannerService.getPlanAdherence(planId, userId);
+
+    if (!adherence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workout plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: adherence
+    });
+  } catch (error) {
+    console.error('Error fetching plan adherence:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch plan adherence'
+    });
+  }
+}
+
 /**
  * Get overall workout stats for the user
  */
@@ -950,8 +1303,11 @@ export async function getSharedWorkout(req, res) {
       });
     }
 
-    // Get the daily workout details
-    const dailyWorkout = await workoutPlannerService.getDailyWorkoutPublic(completion.daily_workout_id);
+    // Get the daily workout details (in the viewer's language)
+    const dailyWorkout = await localizeWorkouts(
+      await workoutPlannerService.getDailyWorkoutPublic(completion.daily_workout_id),
+      getRequestLocale(req)
+    );
 
     if (!dailyWorkout) {
       return res.status(404).json({
@@ -993,3 +1349,182 @@ export async function getSharedWorkout(req, res) {
     });
   }
 }
+
+// ============================================================================
+// RESCHEDULING
+// ============================================================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Map rescheduling errors to HTTP status codes
+ */
+function getRescheduleErrorStatus(error) {
+  if (error.message === 'Workout not found' || error.message === 'Plan not found') return 404;
+  if (error.code === 'INVALID_RESCHEDULE') return 400;
+  return 500;
+}
+
+/**
+ * Move a daily workout to another date
+ */
+export async function rescheduleWorkout(req, res) {
+  try {
+    const userId = req.user.id;
+    const { dailyWorkoutId } = req.params;
+    const { new_date } = req.body;
+
+    if (!new_date || !DATE_PATTERN.test(new_date)) {
+      return res.status(400).json({ error: 'new_date is required (YYYY-MM-DD)' });
+    }
+
+    const workout = await workoutPlannerService.rescheduleWorkout(userId, dailyWorkoutId, new_date);
+
+    res.json({
+      success: true,
+      data: workout,
+      message: 'Workout rescheduled'
+    });
+  } catch (error) {
+    console.error('Error rescheduling workout:', error);
+    res.status(getRescheduleErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to reschedule workout'
+    });
+  }
+}
+
+/**
+ * Swap the dates of two days in the same plan
+ */
+export async function swapWorkouts(req, res) {
+  try {
+    const userId = req.user.id;
+    const { first_workout_id, second_workout_id } = req.body;
+
+    if (!first_workout_id || !second_workout_id) {
+      return res.status(400).json({ error: 'first_workout_id and second_workout_id are required' });
+    }
+
+    if (first_workout_id === second_workout_id) {
+      return res.status(400).json({ error: 'Cannot swap a workout with itself' });
+    }
+
+    const workouts = await workoutPlannerService.swapWorkouts(userId, first_workout_id, second_workout_id);
+
+    res.json({
+      success: true,
+      data: workouts,
+      message: 'Workouts swapped'
+    });
+  } catch (error) {
+    console.error('Error swapping workouts:', error);
+    res.status(getRescheduleErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to swap workouts'
+    });
+  }
+}
+
+/**
+ * Push all remaining workouts in a plan forward by N days
+ */
+export async function shiftRemainingWorkouts(req, res) {
+  try {
+    const userId = req.user.id;
+    const { planId } = req.params;
+    const { days, from_date } = req.body;
+
+    if (!Number.isInteger(days) || days < 1) {
+      return res.status(400).json({ error: 'days must be a positive integer' });
+    }
+
+    if (from_date && !DATE_PATTERN.test(from_date)) {
+      return res.status(400).json({ error: 'from_date must be in YYYY-MM-DD format' });
+    }
+
+    const result = await workoutPlannerService.shiftRemainingWorkouts(userId, planId, days, from_date || null);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Moved ${result.shifted_count} workouts forward by ${days} day${days !== 1 ? 's' : ''}`
+    });
+  } catch (error) {
+    console.error('Error shifting workouts:', error);
+    res.status(getRescheduleErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to shift workouts'
+    });
+  }
+}
+
+// ============================================================================
+// EXERCISE SUBSTITUTION
+// ============================================================================
+
+/**
+ * Map substitution errors to HTTP status codes
+ */
+function getSubstitutionErrorStatus(error) {
+  if (error.code === 'NOT_FOUND') return 404;
+  if (error.code === 'INVALID_SUBSTITUTION') return 400;
+  return 500;
+}
+
+/**
+ * Get substitution options for an exercise in a daily workout
+ */
+export async function getSubstitutionOptions(req, res) {
+  try {
+    const userId = req.user.id;
+    const { dailyWorkoutId, exerciseId } = req.params;
+    const { equipment } = req.query;
+
+    const options = await workoutPlannerService.getSubstitutionOptions(userId, dailyWorkoutId, exerciseId, { equipment });
+
+    res.json({
+      success: true,
+      data: options
+    });
+  } catch (error) {
+    console.error('Error fetching substitution options:', error);
+    res.status(getSubstitutionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to fetch substitution options'
+    });
+  }
+}
+
+/**
+ * Swap an exercise in a daily workout
+ */
+export async function substituteExercise(req, res) {
+  try {
+    const userId = req.user.id;
+    const { dailyWorkoutId } = req.params;
+    const { exercise_id, replacement_exercise_id, reason } = req.body;
+
+    if (!exercise_id || !replacement_exercise_id) {
+      return res.status(400).json({ error: 'exercise_id and replacement_exercise_id are required' });
+    }
+
+    const workout = await workoutPlannerService.substituteExercise(userId, dailyWorkoutId, {
+      exercise_id,
+      replacement_exercise_id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      data: workout,
+      message: 'Exercise swapped'
+    });
+  } catch (error) {
+    console.error('Error substituting exercise:', error);
+    res.status(getSubstitutionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to swap exercise'
+    });
+  }
+}
@@ -0,0 +1,269 @@
+import * as workoutSessionService from '../services/workoutSessionService.js';
+
+const SESSION_ERROR_STATUSES = {
+  SESSION_NOT_FOUND: 404,
+  WORKOUT_NOT_FOUND: 404,
+  SESSION_CONFLICT: 409,
+  INVALID_SET: 400
+};
+
+/**
+ * Map session service error codes to HTTP status codes
+ */
+function getSessionErrorStatus(error) {
+  return SESSION_ERROR_STATUSES[error.code] || 500;
+}
+
+/**
+ * Start a live session for a daily workout
+ */
+export async function startSession(req, res) {
+  try {
+    const userId = req.user.id;
+    const { daily_workout_id } = req.body;
+
+    if (!daily_workout_id) {
+      return res.status(400).json({ error: 'daily_workout_id is required' });
+    }
+
+    const { session, resumed } = await workoutSessionService.startSession(userId, daily_workout_id);
+
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      data: session,
+      resumed
+    });
+  } catch (error) {
+    console.error('Error starting workout session:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to start workout session'
+    });
+  }
+}
+
+/**
+ * Get the in-progress session, if any (used to recover after the app was closed)
+ */
+export async function getActiveSession(req, res) {
+  try {
+    const userId = req.user.id;
+    const session = await workoutSessionService.getActiveSession(userId);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error fetching active workout session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch active workout session'
+    });
+  }
+}
+
+/**
+ * Get a session with its logged sets and timers
+ */
+export async function getSession(req, res) {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    const session = await workoutSessionService.getSession(userId, sessionId);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error fetching workout session:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to fetch workout session'
+    });
+  }
+}
+
+/**
+ * Log (or overwrite) a set
+ */
+export async function logSet(req, res) {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    const set = await workoutSessionService.logSet(userId, sessionId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: set
+    });
+  } catch (error) {
+    console.error('Error logging session set:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to log set'
+    });
+  }
+}
+
+/**
+ * Start a rest timer
+ */
+export async function startRest(req, res) {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+    const { target_seconds, exercise_id, set_number } = req.body;
+
+    if (target_seconds != null && (!Number.isInteger(target_seconds) || target_seconds < 0)) {
+      return res.status(400).json({ error: 'target_seconds must be a non-negative integer' });
+    }
+
+    if (set_number != null && (!Number.isInteger(set_number) || set_number < 1)) {
+      return res.status(400).json({ error: 'set_number must be a positive integer' });
+    }
+
+    const session = await workoutSessionService.startRest(userId, sessionId, {
+      target_seconds,
+      exercise_id,
+      set_number
+    });
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error starting rest timer:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to start rest timer'
+    });
+  }
+}
+
+/**
+ * Stop the running rest timer
+ */
+export async function endRest(req, res) {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    const session = await workoutSessionService.endRest(userId, sessionId);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error ending rest timer:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to end rest timer'
+    });
+  }
+}
+
+/**
+ * Pause a session
+ */
+export async function pauseSession(req, res) {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    const session = await workoutSessionService.pauseSession(userId, sessionId);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error pausing workout session:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to pause workout session'
+    });
+  }
+}
+
+/**
+ * Resume a paused session
+ */
+export async function resumeSession(req, res) {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    const session = await workoutSessionService.resumeSession(userId, sessionId);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    console.error('Error resuming workout session:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to resume workout session'
+    });
+  }
+}
+
+/**
+ * Finish a session and record the workout completion
+ */
+export async function finishSession(req, res) {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+    const { difficulty_rating, energy_level, notes, share_to_feed } = req.body;
+
+    const result = await workoutSessionService.finishSession(userId, sessionId, {
+      difficulty_rating,
+      energy_level,
+      notes,
+      share_to_feed
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Workout completed successfully! 🎉'
+    });
+  } catch (error) {
+    console.error('Error finishing workout session:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to finish workout session'
+    });
+  }
+}
+
+/**
+ * Abandon a session without saving a completion
+ */
+export async function abandonSession(req, res) {
+  try {
+    const userId = req.user.id;
+    const { sessionId } = req.params;
+
+    const session = await workoutSessionService.abandonSession(userId, sessionId);
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Workout session abandoned'
+    });
+  } catch (error) {
+    console.error('Error abandoning workout session:', error);
+    res.status(getSessionErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to abandon workout session'
+    });
+  }
+}
@@ -79,3 +79,6 @@ export const filterProfileContent = contentFilterMiddleware(['bio', 'full_name',
 
 // For username updates
 export const filterUsernameContent = contentFilterMiddleware(['username'])
+
+// For plan template publishing - checks title and description
+export const filterTemplateContent = contentFilterMiddleware(['title', 'description'])
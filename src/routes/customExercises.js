@@ -0,0 +1,89 @@
+import express from 'express';
+import multer from 'multer';
+import * as customExerciseController from '../controllers/customExerciseController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Multer configuration for exercise images
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Only accept images
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+});
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// ============================================================================
+// CUSTOM EXERCISE ROUTES
+// ============================================================================
+// Custom exercise IDs ('custom_...') can be used anywhere a catalog exercise ID is accepted:
+// saved exercises/workouts, ad-hoc workout logs and plan substitutions
+
+/**
+ * GET /api/custom-exercises
+ * Get your custom exercises
+ */
+router.get('/', customExerciseController.getMyCustomExercises);
+
+/**
+ * GET /api/custom-exercises/:exerciseId
+ * Get one of your custom exercises
+ */
+router.get('/:exerciseId', customExerciseController.getCustomExercise);
+
+/**
+ * POST /api/custom-exercises
+ * Create a private exercise
+ *
+ * Body: {
+ *   name: string (required, max 100 chars),
+ *   bodyPart?: string,
+ *   target?: string,
+ *   equipment?: string,
+ *   secondary_muscles?: string[],
+ *   instructions?: string[] (max 20 steps),
+ *   description?: string,
+ *   difficulty?: 'beginner' | 'intermediate' | 'advanced',
+ *   category?: 'strength' | 'cardio' | 'mobility' | 'balance' | 'stretching' | 'plyometrics' | 'rehabilitation'
+ * }
+ */
+router.post('/', customExerciseController.createCustomExercise);
+
+/**
+ * PUT /api/custom-exercises/:exerciseId
+ * Update a custom exercise (same fields as create, all optional)
+ */
+router.put('/:exerciseId', customExerciseController.updateCustomExercise);
+
+/**
+ * DELETE /api/custom-exercises/:exerciseId
+ * Delete a custom exercise - workouts and logs that used it keep their copy
+ */
+router.delete('/:exerciseId', customExerciseController.deleteCustomExercise);
+
+/**
+ * POST /api/custom-exercises/:exerciseId/image
+ * Upload or replace the exercise image (multipart field 'image')
+ */
+router.post('/:exerciseId/image', upload.single('image'), customExerciseController.uploadCustomExerciseImage);
+
+/**
+ * POST /api/custom-exercises/:exerciseId/submit
+ * Submit the exercise for the global catalog
+ * Requires target, equipment and instructions; the text is screened by the content filter
+ * and clean submissions wait for review (submission_status 'pending')
+ */
+router.post('/:exerciseId/submit', customExerciseController.submitCustomExercise);
+
+export default router;
@@ -12,7 +12,8 @@ import {
     getExercisesByTargetHandler,
     getExerciseByIdHandler,
     searchExercisesHandler,
-    matchEquipmentHandler
+    matchEquipmentHandler,
+    getRelatedExercisesHandler
 } from '../controllers/exerciseController.js';
 import { authenticateToken } from '../middleware/auth.js';
 
@@ -29,7 +30,7 @@ router.get('/list/targets', listTargetMusclesHandler);
 // Get all exercises
 router.get('/', getAllExercisesHandler);
 
-// Search exercises
+// Ranked search with filters and pagination
 router.get('/search', searchExercisesHandler);
 
 // Match equipment names to exercises using AI
@@ -50,6 +51,9 @@ router.get('/body-part/:bodyPart', getExercisesByBodyPartHandler);
 // Filter by target muscle
 router.get('/target/:target', getExercisesByTargetHandler);
 
+// Progressions, regressions, variations and same-equipment alternatives
+router.get('/:id/related', getRelatedExercisesHandler);
+
 // Get specific exercise by ID
 router.get('/:id', getExerciseByIdHandler);
 
@@ -0,0 +1,95 @@
+import express from 'express';
+import * as planTemplateController from '../controllers/planTemplateController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { filterTemplateContent } from '../middleware/contentFilter.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// ============================================================================
+// PLAN TEMPLATE ROUTES
+// ============================================================================
+// NOTE: /mine MUST come before /:templateId to avoid route conflicts
+
+/**
+ * GET /api/plan-templates
+ * Browse/search public plan templates
+ *
+ * Query: {
+ *   q?: string (matches title, description or a tag),
+ *   level?: 'beginner' | 'intermediate' | 'advanced' | 'all_levels',
+ *   tags?: string (comma-separated, all must match),
+ *   days_per_week?: number,
+ *   sort?: 'popular' | 'newest' (default 'popular'),
+ *   limit?: number (default 20, max 50),
+ *   offset?: number
+ * }
+ */
+router.get('/', planTemplateController.searchTemplates);
+
+/**
+ * GET /api/plan-templates/mine
+ * Get the templates the user has published (including hidden ones)
+ */
+router.get('/mine', planTemplateController.getMyTemplates);
+
+/**
+ * GET /api/plan-templates/:templateId
+ * Get a template with all its workouts
+ */
+router.get('/:templateId', planTemplateController.getTemplate);
+
+/**
+ * POST /api/plan-templates
+ * Publish one of your plans as a template
+ *
+ * Body: {
+ *   plan_id: string (required),
+ *   title: string (required, max 120 chars),
+ *   description?: string (defaults to the plan's description),
+ *   level?: 'beginner' | 'intermediate' | 'advanced' | 'all_levels',
+ *   tags?: string[] (max 10)
+ * }
+ */
+router.post('/', filterTemplateContent, planTemplateController.publishTemplate);
+
+/**
+ * PUT /api/plan-templates/:templateId
+ * Update a template's listing (creator only)
+ *
+ * Body: {
+ *   title?: string,
+ *   description?: string,
+ *   level?: string,
+ *   tags?: string[],
+ *   is_public?: boolean
+ * }
+ */
+router.put('/:templateId', filterTemplateContent, planTemplateController.updateTemplate);
+
+/**
+ * DELETE /api/plan-templates/:templateId
+ * Unpublish a template (creator only) - plans cloned from it are kept
+ */
+router.delete('/:templateId', planTemplateController.deleteTemplate);
+
+/**
+ * POST /api/plan-templates/:templateId/clone
+ * Clone a template into a new active plan on your own schedule
+ *
+ * Body: {
+ *   selected_days: string[] (required, one per template workout day, e.g. ['monday', 'wednesday', 'friday']),
+ *   start_date: string (required, YYYY-MM-DD)
+ * }
+ */
+router.post('/:templateId/clone', planTemplateController.cloneTemplate);
+
+/**
+ * POST /api/plan-templates/:templateId/days/:dayOrder/save
+ * Save a single workout from a template to your saved workouts
+ */
+router.post('/:templateId/days/:dayOrder/save', planTemplateController.saveTemplateDay);
+
+export default router;
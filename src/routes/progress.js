@@ -3,7 +3,10 @@ import { authenticateJWT } from '../middleware/customAuth.js'
 import {
   getProgress,
   getAchievements,
-  getActivityTimeline
+  getActivityTimeline,
+  getRecords,
+  getExerciseRecords,
+  getRecovery
 } from '../controllers/progressController.js'
 
 const router = express.Router()
@@ -33,4 +36,26 @@ router.get('/achievements', authenticateJWT, getAchievements)
  */
 router.get('/activity', authenticateJWT, getActivityTimeline)
 
+/**
+ * GET /api/progress/records
+ * Get current personal records (max weight, reps at weight, estimated 1RM,
+ * longest duration) for every exercise the user has logged
+ */
+router.get('/records', authenticateJWT, getRecords)
+
+/**
+ * GET /api/progress/records/:exerciseId
+ * Get the PR timeline for one exercise (oldest first)
+ * Query params:
+ *   ?type=max_weight|max_reps_at_weight|estimated_1rm|longest_duration
+ */
+router.get('/records/:exerciseId', authenticateJWT, getExerciseRecords)
+
+/**
+ * GET /api/progress/recovery
+ * Get per-muscle readiness (0-100) from recent workouts
+ * Each muscle: { muscle, readiness, status: ready|recovering|fatigued, fatigue, last_trained_at, ready_at }
+ */
+router.get('/recovery', authenticateJWT, getRecovery)
+
 export default router
@@ -17,6 +17,13 @@ import {
   getBlockStatusHandler,
   getBlockedUsersHandler
 } from '../controllers/blockController.js'
+import {
+  getMyEquipmentHandler,
+  setMyEquipmentHandler,
+  addMyEquipmentHandler,
+  clearMyEquipmentHandler,
+  removeMyEquipmentHandler
+} from '../controllers/userEquipmentController.js'
 import { authenticateToken } from '../middleware/auth.js'
 
 const router = express.Router()
@@ -52,6 +59,43 @@ router.get('/me/liked', authenticateToken, getLikedPosts)
  */
 router.get('/me/blocked', authenticateToken, getBlockedUsersHandler)
 
+/**
+ * GET /api/users/me/equipment
+ * Get the equipment the current user owns or has at their gym (requires authentication)
+ * equipment is null until declared - plans, recommendations and substitutions
+ * only use exercises doable with it once it is set
+ */
+router.get('/me/equipment', authenticateToken, getMyEquipmentHandler)
+
+/**
+ * PUT /api/users/me/equipment
+ * Replace the current user's equipment (requires authentication)
+ *
+ * Body: { equipment: string[] } - catalog equipment types or names like "Adjustable Dumbbells";
+ * an empty array means body weight only
+ */
+router.put('/me/equipment', authenticateToken, setMyEquipmentHandler)
+
+/**
+ * POST /api/users/me/equipment
+ * Add equipment, e.g. from a scan's add_to_equipment suggestion (requires authentication)
+ *
+ * Body: { equipment: string[] }
+ */
+router.post('/me/equipment', authenticateToken, addMyEquipmentHandler)
+
+/**
+ * DELETE /api/users/me/equipment
+ * Clear the current user's equipment - exercises are no longer filtered (requires authentication)
+ */
+router.delete('/me/equipment', authenticateToken, clearMyEquipmentHandler)
+
+/**
+ * DELETE /api/users/me/equipment/:equipment
+ * Remove one item from the current user's equipment (requires authentication)
+ */
+router.delete('/me/equipment/:equipment', authenticateToken, removeMyEquipmentHandler)
+
 /**
  * GET /api/users/:userId
  * Get user profile by ID
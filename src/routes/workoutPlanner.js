@@ -20,7 +20,8 @@ router.use(authenticateToken);
  *   target_body_parts: ["chest", "back", "legs"],
  *   days_per_week: 3,
  *   hours_per_session: 1.5,
- *   selected_days: ["monday", "wednesday", "friday"] // optional
+ *   selected_days: ["monday", "wednesday", "friday"], // optional
+ *   mesocycle_weeks: 8 // optional (4-12) - periodized multi-week plan
  * }
  */
 router.post('/generate', workoutPlannerController.generateWorkoutPlan);
@@ -35,10 +36,13 @@ router.post('/generate', workoutPlannerController.generateWorkoutPlan);
  *   target_body_parts: ["chest", "back", "legs"],
  *   days_per_week: 3,
  *   hours_per_session: 1.5,
- *   selected_days: ["monday", "wednesday", "friday"] // optional
+ *   selected_days: ["monday", "wednesday", "friday"], // optional
+ *   mesocycle_weeks: 8 // optional (4-12) - periodized multi-week plan
  * }
  *
  * Response includes 3 exercise alternatives for each exercise slot
+ * In mesocycle mode the preview holds the base week plus the phase schedule;
+ * the remaining weeks are generated when the plan is finalized
  */
 router.post('/generate-preview', workoutPlannerController.generatePlanPreview);
 
@@ -69,6 +73,8 @@ router.post('/generate-async', workoutPlannerController.generatePlanAsync);
  *   data: {
  *     id: "uuid",
  *     status: "pending|processing|completed|failed",
+ *     progress_stage: "queued|started|...|saved",
+ *     progress_percent: 0-100,
  *     created_at: "timestamp",
  *     completed_at: "timestamp",
  *     result_data: { ... }, // plan preview (when completed)
@@ -78,6 +84,18 @@ router.post('/generate-async', workoutPlannerController.generatePlanAsync);
  */
 router.get('/jobs/:jobId', workoutPlannerController.getGenerationJob);
 
+/**
+ * GET /api/workout-planner/jobs/:jobId/stream
+ * Server-sent events for an async generation job (use instead of polling /jobs/:jobId)
+ *
+ * event: progress  data: { id, status, progress_stage, progress_percent, attempts, ... }
+ *   progress_stage: queued → started → profile_fetched → exercises_selected →
+ *                   plan_drafted → alternatives_added → saved
+ * event: completed data: { ...job, result_data } (stream closes)
+ * event: failed    data: { ...job, error_message } (stream closes)
+ */
+router.get('/jobs/:jobId/stream', workoutPlannerController.streamGenerationJob);
+
 /**
  * POST /api/workout-planner/finalize
  * Finalize and save user's customized workout plan
@@ -176,14 +194,57 @@ router.get('/plans/:planId/next', workoutPlannerController.getNextWorkout);
  *   energy_level: 4,
  *   notes: "Great workout!",
  *   exercises_completed: [...],
+ *   set_logs: [
+ *     { exercise_id: "0025", set_number: 1, reps: 8, weight: 60, weight_unit: "kg", rpe: 8, rest_seconds: 90 }
+ *   ],
  *   share_to_feed: false
  * }
  */
 router.post('/complete/:dailyWorkoutId', workoutPlannerController.completeDailyWorkout);
 
+/**
+ * POST /api/workout-planner/adhoc
+ * Log an unplanned workout with exercises picked from the catalog
+ * Counts towards streaks, challenges and weekly goals; share it with the returned completion ID
+ *
+ * Body: {
+ *   workout_name?: "Hotel gym session",
+ *   exercises: [
+ *     { exercise_id: "0025", sets?: 3, reps?: "8-10", notes?: "..." }
+ *   ],
+ *   duration_minutes?: 45,
+ *   difficulty_rating?: 3,
+ *   energy_level?: 4,
+ *   notes?: "...",
+ *   set_logs?: [
+ *     { exercise_id: "0025", set_number: 1, reps: 8, weight: 60, weight_unit: "kg" }
+ *   ],
+ *   completed_at?: "timestamp" (defaults to now, cannot be in the future),
+ *   share_to_feed?: false
+ * }
+ */
+router.post('/adhoc', workoutPlannerController.logAdhocWorkout);
+
+/**
+ * PUT /api/workout-planner/adhoc/:completionId
+ * Update a logged ad-hoc workout
+ * set_logs replaces the set log and may only reference the workout's exercises
+ *
+ * Body: {
+ *   workout_name?: "Hotel gym session",
+ *   duration_minutes?: 50,
+ *   difficulty_rating?: 4,
+ *   energy_level?: 3,
+ *   notes?: "...",
+ *   set_logs?: [...]
+ * }
+ */
+router.put('/adhoc/:completionId', workoutPlannerController.updateAdhocWorkout);
+
 /**
  * PUT /api/workout-planner/complete/:dailyWorkoutId/update
  * Update an existing workout completion
+ * If set_logs is included it replaces the previously logged sets
  */
 router.put('/complete/:dailyWorkoutId/update', workoutPlannerController.updateWorkoutCompletion);
 
@@ -199,16 +260,30 @@ router.get('/completion/:dailyWorkoutId', workoutPlannerController.getWorkoutCom
  */
 router.get('/completions/:completionId', workoutPlannerController.getWorkoutCompletionById);
 
+/**
+ * GET /api/workout-planner/exercises/:exerciseId/last-performance
+ * Get the sets logged the last time the user performed an exercise
+ * Returns null data if the exercise has never been logged
+ */
+router.get('/exercises/:exerciseId/last-performance', workoutPlannerController.getLastExercisePerformance);
+
 // ============================================================================
 // PROGRESS & STATS
 // ============================================================================
 
 /**
  * GET /api/workout-planner/progress/:planId
- * Get progress stats for a specific plan
+ * Get progress stats for a specific plan (including week-level completion)
  */
 router.get('/progress/:planId', workoutPlannerController.getPlanProgress);
 
+/**
+ * GET /api/workout-planner/plans/:planId/adherence
+ * Get adherence analytics for a plan: completion rate per weekday, lateness vs.
+ * the originally scheduled date, skip reasons and the week-by-week trend
+ */
+router.get('/plans/:planId/adherence', workoutPlannerController.getPlanAdherence);
+
 /**
  * GET /api/workout-planner/stats
  * Get overall workout stats for the user
@@ -277,7 +352,7 @@ router.get('/skipped', workoutPlannerController.getSkippedWorkouts);
 
 /**
  * GET /api/workout-planner/skip-stats
- * Get skip statistics for the user
+ * Get skip statistics for the user (including a breakdown of skip reasons)
  */
 router.get('/skip-stats', workoutPlannerController.getSkipStats);
 
@@ -295,6 +370,67 @@ router.post('/auto-skip', workoutPlannerController.autoSkipPastWorkouts);
  */
 router.post('/auto-deactivate', workoutPlannerController.autoDeactivateExpiredPlans);
 
+// ============================================================================
+// RESCHEDULING
+// ============================================================================
+
+/**
+ * PUT /api/workout-planner/daily/:dailyWorkoutId/reschedule
+ * Move a workout to another date (today or later)
+ * A day that was auto-skipped as missed is brought back when moved
+ *
+ * Body: {
+ *   new_date: "2025-12-03"
+ * }
+ */
+router.put('/daily/:dailyWorkoutId/reschedule', workoutPlannerController.rescheduleWorkout);
+
+/**
+ * POST /api/workout-planner/daily/swap
+ * Swap the dates of two upcoming workouts in the same plan
+ *
+ * Body: {
+ *   first_workout_id: "uuid",
+ *   second_workout_id: "uuid"
+ * }
+ */
+router.post('/daily/swap', workoutPlannerController.swapWorkouts);
+
+/**
+ * POST /api/workout-planner/plans/:planId/shift
+ * Push all remaining workouts forward by N days (instead of skipping a missed day)
+ *
+ * Body: {
+ *   days: 1,                 // 1-30
+ *   from_date: "2025-12-01"  // optional, defaults to today - include a missed day to bring it back
+ * }
+ */
+router.post('/plans/:planId/shift', workoutPlannerController.shiftRemainingWorkouts);
+
+// ============================================================================
+// EXERCISE SUBSTITUTION
+// ============================================================================
+
+/**
+ * GET /api/workout-planner/daily/:dailyWorkoutId/exercises/:exerciseId/alternatives
+ * Get swap options for an exercise in a finalized daily workout
+ * Returns stored alternatives (from the plan preview) and on-demand catalog matches
+ * Query params: ?equipment=dumbbell (optional)
+ */
+router.get('/daily/:dailyWorkoutId/exercises/:exerciseId/alternatives', workoutPlannerController.getSubstitutionOptions);
+
+/**
+ * POST /api/workout-planner/daily/:dailyWorkoutId/substitute
+ * Swap an exercise in a daily workout (keeps sets/reps/rest) and record the swap
+ *
+ * Body: {
+ *   exercise_id: "0025",
+ *   replacement_exercise_id: "0289",
+ *   reason: "Machine busy" // optional
+ * }
+ */
+router.post('/daily/:dailyWorkoutId/substitute', workoutPlannerController.substituteExercise);
+
 // ============================================================================
 // PUBLIC/SHARED WORKOUT ACCESS
 // ============================================================================
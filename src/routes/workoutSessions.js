@@ -0,0 +1,104 @@
+import express from 'express';
+import * as workoutSessionController from '../controllers/workoutSessionController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// ============================================================================
+// LIVE WORKOUT SESSION ROUTES
+// ============================================================================
+// NOTE: /active MUST come before /:sessionId to avoid route conflicts
+
+/**
+ * POST /api/workout-sessions
+ * Start a live session for a daily workout
+ * (returns the already open session if the same workout was started before)
+ *
+ * Body: {
+ *   daily_workout_id: string (required)
+ * }
+ */
+router.post('/', workoutSessionController.startSession);
+
+/**
+ * GET /api/workout-sessions/active
+ * Get the in-progress session (null if none) - call on app launch to recover
+ */
+router.get('/active', workoutSessionController.getActiveSession);
+
+/**
+ * GET /api/workout-sessions/:sessionId
+ * Get a session with logged sets, elapsed time and the rest timer
+ */
+router.get('/:sessionId', workoutSessionController.getSession);
+
+/**
+ * POST /api/workout-sessions/:sessionId/sets
+ * Log a set (re-sending the same exercise_id + set_number overwrites it)
+ *
+ * Body: {
+ *   exercise_id: string (required),
+ *   set_number: number (required),
+ *   reps?: number,
+ *   weight?: number,
+ *   weight_unit?: 'kg' | 'lb',
+ *   rpe?: number (1-10),
+ *   duration_seconds?: number,
+ *   performed_at?: string (ISO timestamp)
+ * }
+ */
+router.post('/:sessionId/sets', workoutSessionController.logSet);
+
+/**
+ * POST /api/workout-sessions/:sessionId/rest
+ * Start a rest timer after a set
+ *
+ * Body: {
+ *   target_seconds?: number,
+ *   exercise_id?: string,
+ *   set_number?: number
+ * }
+ */
+router.post('/:sessionId/rest', workoutSessionController.startRest);
+
+/**
+ * POST /api/workout-sessions/:sessionId/rest/end
+ * Stop the rest timer (the rest taken is saved on the set it followed)
+ */
+router.post('/:sessionId/rest/end', workoutSessionController.endRest);
+
+/**
+ * POST /api/workout-sessions/:sessionId/pause
+ * Pause the session
+ */
+router.post('/:sessionId/pause', workoutSessionController.pauseSession);
+
+/**
+ * POST /api/workout-sessions/:sessionId/resume
+ * Resume a paused session
+ */
+router.post('/:sessionId/resume', workoutSessionController.resumeSession);
+
+/**
+ * POST /api/workout-sessions/:sessionId/finish
+ * Finish the session and save it as a workout completion
+ *
+ * Body: {
+ *   difficulty_rating?: number (1-5),
+ *   energy_level?: number (1-5),
+ *   notes?: string,
+ *   share_to_feed?: boolean
+ * }
+ */
+router.post('/:sessionId/finish', workoutSessionController.finishSession);
+
+/**
+ * POST /api/workout-sessions/:sessionId/abandon
+ * Discard the session without saving a completion
+ */
+router.post('/:sessionId/abandon', workoutSessionController.abandonSession);
+
+export default router;
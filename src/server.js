@@ -6,12 +6,16 @@ import passport from 'passport'
 import os from 'os'
 import { supabase } from './config/supabase.js'
 import { startCronJobs, stopCronJobs } from './services/cronService.js'
+import generationJobService from './services/generationJobService.js'
 import { startAffirmationCronJobs } from './services/affirmationCronService.js'
 import authRoutes from './routes/auth.js'
 import aiRoutes from './routes/ai.js'
 import scanHistoryRoutes from './routes/scanHistory.js'
 import exerciseRoutes from './routes/exerciseRoutes.js'
+import customExercisesRoutes from './routes/customExercises.js'
 import workoutPlannerRoutes from './routes/workoutPlanner.js'
+import workoutSessionsRoutes from './routes/workoutSessions.js'
+import planTemplatesRoutes from './routes/planTemplates.js'
 import postsRoutes from './routes/posts.js'
 import usersRoutes from './routes/users.js'
 import notificationsRoutes from './routes/notifications.js'
@@ -138,7 +142,10 @@ app.use('/api/auth', authRoutes)
 app.use('/api/ai', aiRoutes)
 app.use('/api/scan-history', scanHistoryRoutes)
 app.use('/api/exercises', exerciseRoutes)
+app.use('/api/custom-exercises', customExercisesRoutes)
 app.use('/api/workout-planner', workoutPlannerRoutes)
+app.use('/api/workout-sessions', workoutSessionsRoutes)
+app.use('/api/plan-templates', planTemplatesRoutes)
 app.use('/api/posts', postsRoutes)
 app.use('/api/users', usersRoutes)
 app.use('/api/notifications', notificationsRoutes)
@@ -225,17 +232,22 @@ app.listen(PORT, () => {
     console.log('⏸️  Cron jobs disabled in development mode')
     console.log('   Set ENABLE_CRON_JOBS=true in .env to enable them')
   }
+
+  // Start the plan generation job worker (re-queues jobs orphaned by a previous run)
+  generationJobService.start()
 })
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Received SIGINT. Shutting down gracefully...')
   stopCronJobs()
+  generationJobService.stop()
   process.exit(0)
 })
 
 process.on('SIGTERM', () => {
   console.log('\n🛑 Received SIGTERM. Shutting down gracefully...')
   stopCronJobs()
+  generationJobService.stop()
   process.exit(0)
 })
\ No newline at end of file
@@ -1,13 +1,11 @@
-import OpenAI from 'openai'
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-})
+import { describeMesocycleForPrompt } from './periodizationService.js'
+import { trackChatCompletion, reserveAIQuota, releaseAIQuota, AI_FEATURES } from './aiUsageService.js'
+import { validateAndRepairPlan } from './planValidationService.js'
+import { getRelationshipMap, pickGraphAlternatives, ALTERNATIVE_RELATIONSHIP_TYPES } from './exerciseRelationshipService.js'
 
 /**
  * AI Service
- * Handles all AI-related operations including OpenAI API calls
+ * Handles all AI-related operations (LLM calls go through the configured provider)
  */
 
 /**
@@ -216,7 +214,7 @@ export function generatePersonalizedPrompt(user, variationNumber = 1, totalVaria
 /**
  * Quick identification - only get equipment name and category (fast, cheap)
  */
-export async function identifyEquipmentNameOnly(imageBase64, mimeType, equipmentTypes = []) {
+export async function identifyEquipmentNameOnly(imageBase64, mimeType, equipmentTypes = [], userId = null) {
   // Build equipment types list for prompt
   const equipmentTypesList = equipmentTypes.length > 0
     ? equipmentTypes.join(', ')
@@ -316,7 +314,7 @@ export async function identifyEquipmentNameOnly(imageBase64, mimeType, equipment
     If it's not gym equipment, return { "error": "Not gym equipment identified" }
   `
 
-  const response = await openai.chat.completions.create({
+  const response = await trackChatCompletion({
     model: "gpt-4o", // Better accuracy for visual recognition
     messages: [
       {
@@ -333,9 +331,9 @@ export async function identifyEquipmentNameOnly(imageBase64, mimeType, equipment
       }
     ],
     max_tokens: 300 // Increased for confidence, visual description, and alternatives
-  })
+  }, { userId, feature: AI_FEATURES.EQUIPMENT_NAME })
 
-  const text = response.choices[0].message.content
+  const text = response.content
   const jsonStr = text.replace(/```json/g, '').replace(/```/g, '').trim()
   return JSON.parse(jsonStr)
 }
@@ -345,7 +343,7 @@ export async function identifyEquipmentNameOnly(imageBase64, mimeType, equipment
  * Uses AI to understand that equipment names can have multiple aliases
  * (e.g., "Pec Deck" = "Seated Fly" = "Chest Fly Machine")
  */
-export async function matchExerciseFromList(equipmentName, exercises) {
+export async function matchExerciseFromList(equipmentName, exercises, userId = null) {
   if (!exercises || exercises.length === 0) {
     return {
       best_match: null,
@@ -380,13 +378,13 @@ export async function matchExerciseFromList(equipmentName, exercises) {
     - If no exercise matches well, set best_match to null and confidence to 0
   `
 
-  const response = await openai.chat.completions.create({
+  const response = await trackChatCompletion({
     model: 'gpt-4o-mini', // Cheaper model OK for text matching
     messages: [{ role: 'user', content: prompt }],
     max_tokens: 300
-  })
+  }, { userId, feature: AI_FEATURES.EXERCISE_MATCH })
 
-  const text = response.choices[0].message.content
+  const text = response.content
   const jsonStr = text.replace(/```json/g, '').replace(/```/g, '').trim()
   return JSON.parse(jsonStr)
 }
@@ -399,7 +397,7 @@ export async function matchExerciseFromList(equipmentName, exercises) {
  * @param {Array} exercises - All available exercises from database
  * @returns {Object} Map of equipment name to matched exercises
  */
-export async function matchEquipmentToExercises(equipmentList, exercises) {
+export async function matchEquipmentToExercises(equipmentList, exercises, userId = null) {
   if (!equipmentList || equipmentList.length === 0 || !exercises || exercises.length === 0) {
     return {}
   }
@@ -477,15 +475,15 @@ export async function matchEquipmentToExercises(equipmentList, exercises) {
   `
 
   try {
-    const response = await openai.chat.completions.create({
+    const response = await trackChatCompletion({
       model: 'gpt-4o-mini',
       messages: [{ role: 'user', content: prompt }],
       response_format: { type: 'json_object' },
       temperature: 0.3, // Lower temperature for more consistent matching
       max_tokens: 1500
-    })
+    }, { userId, feature: AI_FEATURES.EQUIPMENT_MATCH })
 
-    const result = JSON.parse(response.choices[0].message.content)
+    const result = JSON.parse(response.content)
     const matches = result.matches || {}
 
     // Build exercise lookup map
@@ -565,11 +563,23 @@ export async function matchEquipmentToExercises(equipmentList, exercises) {
 
 /**
  * Full identification with workout generation (slow, detailed)
+ * Counts towards the user's daily equipment identification quota (unless the call fails)
  */
 export async function identifyEquipmentWithAI(imageBase64, mimeType, user, variationNumber = 1, totalVariations = 15) {
+  const reservation = await reserveAIQuota(user?.id, AI_FEATURES.EQUIPMENT_IDENTIFICATION)
+
+  try {
+    return await requestEquipmentIdentification(imageBase64, mimeType, user, variationNumber, totalVariations)
+  } catch (error) {
+    await releaseAIQuota(reservation)
+    throw error
+  }
+}
+
+async function requestEquipmentIdentification(imageBase64, mimeType, user, variationNumber, totalVariations) {
   const prompt = generatePersonalizedPrompt(user, variationNumber, totalVariations)
 
-  const response = await openai.chat.completions.create({
+  const response = await trackChatCompletion({
     model: "gpt-4o-mini", // Using gpt-4o-mini for vision (cheaper and faster)
     messages: [
       {
@@ -586,9 +596,9 @@ export async function identifyEquipmentWithAI(imageBase64, mimeType, user, varia
       }
     ],
     max_tokens: 3500 // Increased for detailed workout information
-  })
+  }, { userId: user?.id, feature: AI_FEATURES.EQUIPMENT_IDENTIFICATION })
 
-  const text = response.choices[0].message.content
+  const text = response.content
 
   // Clean up markdown code blocks if present
   const jsonStr = text.replace(/```json/g, '').replace(/```/g, '').trim()
@@ -606,19 +616,35 @@ export async function identifyEquipmentWithAI(imageBase64, mimeType, user, varia
  * This function receives exercise metadata (NOT full instructions) and generates
  * a workout plan structure. Full exercise details are fetched from database after.
  *
+ * The response is checked by planValidationService: small problems are repaired,
+ * anything else is sent back to the model with the list of errors (up to 3 attempts).
+ *
  * @param {Object} params
  * @param {Object} params.userProfile - User profile data (gender, age, weight, height, fitnessLevel)
  * @param {Object} params.preferences - User preferences (fitness_goals, target_body_parts, days_per_week, etc.)
  * @param {Array} params.availableExercises - Array of exercise metadata from database
+ * @param {string} [params.userId] - User the plan is for (usage accounting and daily quota)
  * @returns {Object} AI-generated plan structure with exercise IDs
  */
 export async function generateWorkoutPlanWithAI({
   userProfile,
   preferences,
-  availableExercises
+  availableExercises,
+  userId = null
 }) {
   const prompt = buildWorkoutPlanPrompt(userProfile, preferences, availableExercises);
+  const reservation = await reserveAIQuota(userId, AI_FEATURES.PLAN_GENERATION);
   const maxRetries = 2; // Will try up to 3 times total (initial + 2 retries)
+  const validationContext = {
+    daysPerWeek: preferences.days_per_week,
+    selectedDays: preferences.selected_days || [],
+    availableExercises
+  };
+
+  // Previous invalid answer + what was wrong with it, sent back on the next attempt
+  let correction = null;
+  let lastErrors = [];
+  let lastFailureCode = null;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
@@ -626,64 +652,79 @@ export async function generateWorkoutPlanWithAI({
         console.log(`🔄 Retry attempt ${attempt} of ${maxRetries} for workout plan generation...`);
       }
 
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o', // Using gpt-4o for better reasoning
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert certified personal trainer with over 15 years of experience in creating personalized workout programs. You understand biomechanics, progressive overload, periodization, and individual adaptation. IMPORTANT: When creating plan names, make them descriptive and motivating based on the workout goals and focus areas. DO NOT include fitness level words like "Beginner", "Intermediate", or "Advanced" in the plan name. DO NOT use emojis. Always respond with valid JSON following the exact structure provided. CRITICAL: You must generate the EXACT number of daily workouts requested, no more, no less.'
-          },
+      const messages = [
+        {
+          role: 'system',
+          content: 'You are an expert certified personal trainer with over 15 years of experience in creating personalized workout programs. You understand biomechanics, progressive overload, periodization, and individual adaptation. IMPORTANT: When creating plan names, make them descriptive and motivating based on the workout goals and focus areas. DO NOT include fitness level words like "Beginner", "Intermediate", or "Advanced" in the plan name. DO NOT use emojis. Always respond with valid JSON following the exact structure provided. CRITICAL: You must generate the EXACT number of daily workouts requested, no more, no less.'
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ];
+
+      if (correction) {
+        messages.push(
+          { role: 'assistant', content: correction.response },
           {
             role: 'user',
-            content: prompt
+            content: `Your plan failed validation:\n${correction.errors.map(e => `- ${e}`).join('\n')}\n\nFix these problems and return the COMPLETE corrected plan as JSON in the same format.`
           }
-        ],
+        );
+      }
+
+      const response = await trackChatCompletion({
+        model: 'gpt-4o', // Using gpt-4o for better reasoning
+        messages,
         response_format: { type: 'json_object' },
         temperature: 0.7 + (attempt * 0.1), // Slightly increase temperature on retries
         max_tokens: 6000 // Increased to ensure all days can be generated
-      });
-
-      const planStructure = JSON.parse(response.choices[0].message.content);
-
-      // Validate the response structure
-      if (!planStructure.plan_name || !planStructure.daily_workouts) {
-        throw new Error('Invalid AI response: missing required fields');
+      }, { userId, feature: AI_FEATURES.PLAN_GENERATION, isRetry: attempt > 0 });
+
+      const content = response.content;
+
+      let planStructure;
+      try {
+        planStructure = JSON.parse(content);
+      } catch {
+        lastErrors = ['response is not valid JSON'];
+        lastFailureCode = 'AI_PLAN_INVALID';
+        correction = null; // Nothing useful to send back - ask again from scratch
+        console.error(`❌ AI returned invalid JSON (attempt ${attempt + 1})`);
+        continue;
       }
 
-      // Validate number of days
-      const expectedDays = preferences.days_per_week;
-      const actualDays = planStructure.daily_workouts.length;
+      // Validate the response structure and repair what can be repaired
+      const { plan, repairs, errors } = validateAndRepairPlan(planStructure, validationContext);
 
-      if (actualDays !== expectedDays) {
-        console.error(`❌ AI generated ${actualDays} days but ${expectedDays} were requested`);
-        console.error(`Expected days: ${preferences.selected_days?.join(', ') || expectedDays}`);
-        console.error(`Generated days: ${planStructure.daily_workouts.map(d => d.day_of_week).join(', ')}`);
-
-        // If we have retries left, continue to next iteration
-        if (attempt < maxRetries) {
-          console.log(`⚠️ Retrying... (attempt ${attempt + 1} of ${maxRetries})`);
-          continue;
-        }
+      if (repairs.length > 0) {
+        console.log(`🔧 Repaired AI plan (${repairs.length} fixes): ${repairs.join('; ')}`);
+      }
 
-        // No more retries, throw error
-        throw new Error(`AI failed to generate the correct number of workouts after ${maxRetries + 1} attempts. Expected ${expectedDays}, got ${actualDays}.`);
+      if (errors.length > 0) {
+        console.error(`❌ AI plan failed validation (attempt ${attempt + 1}): ${errors.join('; ')}`);
+        lastErrors = errors;
+        lastFailureCode = 'AI_PLAN_INVALID';
+        correction = { response: content, errors };
+        continue;
       }
 
-      console.log(`✅ AI generated ${actualDays} workouts as requested (attempt ${attempt + 1})`);
-      return planStructure;
+      console.log(`✅ AI generated ${plan.daily_workouts.length} valid workouts as requested (attempt ${attempt + 1})`);
+      return plan;
 
     } catch (error) {
-      // If it's not a validation error or we're out of retries, throw
-      if (attempt === maxRetries) {
-        console.error('Error generating workout plan with AI:', error);
-        throw new Error(`Failed to generate AI workout plan: ${error.message}`);
-      }
-      // Otherwise, continue to retry
+      // API errors: retry from scratch until we're out of attempts
+      console.error(`❌ AI plan request failed (attempt ${attempt + 1}):`, error.message);
+      lastErrors = [error.message];
+      lastFailureCode = 'AI_REQUEST_FAILED';
     }
   }
 
-  // Should never reach here, but just in case
-  throw new Error('Failed to generate workout plan after all retry attempts');
+  console.error('Error generating workout plan with AI:', lastErrors);
+  await releaseAIQuota(reservation);
+  const error = new Error(`AI plan could not be validated after ${maxRetries + 1} attempts: ${lastErrors.join('; ')}`);
+  error.code = lastFailureCode;
+  throw error;
 }
 
 /**
@@ -704,7 +745,9 @@ function buildWorkoutPlanPrompt(userProfile, preferences, availableExercises) {
     days_per_week,
     hours_per_session,
     selected_days,
-    exercise_range
+    exercise_range,
+    mesocycle_weeks,
+    fatigued_muscles
   } = preferences;
 
   // Build exercises list for AI
@@ -732,6 +775,28 @@ function buildWorkoutPlanPrompt(userProfile, preferences, availableExercises) {
     });
   }
 
+  // Mesocycle mode: the AI writes the base week, the server derives the later weeks
+  const mesocycleInstructions = mesocycle_weeks
+    ? `
+
+MESOCYCLE (${mesocycle_weeks} WEEKS):
+The week you create is the BASE WEEK of a ${mesocycle_weeks}-week periodized program. It will be repeated with these phases:
+${describeMesocycleForPrompt(mesocycle_weeks)}
+- Choose exercises that can be progressively loaded for ${mesocycle_weeks} weeks (prefer compound, loadable movements for main lifts)
+- Write sets/reps/rest for the accumulation phase - volume and intensity for later weeks are adjusted automatically
+- Keep week_number as 1 for every day`
+    : '';
+
+  // Muscles still recovering from recent workouts
+  const recoveryInstructions = fatigued_muscles && fatigued_muscles.length > 0
+    ? `
+
+RECOVERY:
+The user trained these muscles recently and they are still fatigued: ${fatigued_muscles.join(', ')}
+- Day 1 MUST NOT include exercises whose target is one of these muscles
+- Schedule work for these muscles later in the week`
+    : '';
+
   return `You are creating a personalized ${days_per_week}-day weekly workout plan for a client.
 
 USER PROFILE:
@@ -746,7 +811,7 @@ WORKOUT PREFERENCES:
 - Target Body Parts: ${target_body_parts.join(', ')}
 - Days per Week: ${days_per_week}
 - Session Duration: ${hours_per_session} hours (~${Math.round(hours_per_session * 60)} minutes)
-- Preferred Days: ${daysText}${dayByDayInstructions}
+- Preferred Days: ${daysText}${dayByDayInstructions}${mesocycleInstructions}${recoveryInstructions}
 
 AVAILABLE EXERCISES FROM DATABASE:
 ${exercisesText}
@@ -889,23 +954,42 @@ Generate the complete ${days_per_week}-day workout plan now. Your response MUST
 }
 
 /**
- * Generate exercise alternatives using AI
- * For each exercise in the plan, AI recommends 2 similar alternative exercises
+ * Generate exercise alternatives
+ * For each exercise in the plan, recommends 2 similar alternative exercises.
+ * The exercise relationship graph is tried first; the AI is only called when
+ * the graph has fewer than 2 alternatives inside the available pool.
  *
  * @param {Object} exercise - The main exercise
  * @param {Array} availableExercises - Pool of exercises to choose alternatives from
  * @param {Object} workoutContext - Context about the workout (focus_area, target_muscles, etc.)
+ * @param {string} [userId] - User the plan is for (usage accounting)
+ * @param {Array} [relationships] - The main exercise's graph edges, when already loaded (see getRelationshipMap)
  * @returns {Array} Array of 2 alternative exercise IDs
  */
 export async function generateExerciseAlternatives({
   mainExercise,
   availableExercises,
-  workoutContext
+  workoutContext,
+  userId = null,
+  relationships = null
 }) {
+  try {
+    const edges = relationships
+      ?? (await getRelationshipMap([mainExercise.id], ALTERNATIVE_RELATIONSHIP_TYPES)).get(mainExercise.id)
+      ?? [];
+    const graphAlternatives = pickGraphAlternatives(mainExercise, availableExercises, edges);
+
+    if (graphAlternatives.length >= 2) {
+      return graphAlternatives;
+    }
+  } catch (error) {
+    console.error('Error reading exercise relationships, falling back to AI:', error);
+  }
+
   const prompt = buildExerciseAlternativesPrompt(mainExercise, availableExercises, workoutContext);
 
   try {
-    const response = await openai.chat.completions.create({
+    const response = await trackChatCompletion({
       model: 'gpt-4o-mini', // Using mini for faster, cheaper alternative recommendations
       messages: [
         {
@@ -932,9 +1016,9 @@ Always prioritize equipment diversity to give users true training variety.`
       response_format: { type: 'json_object' },
       temperature: 0.9, // Higher temperature for more variety and creativity
       max_tokens: 300
-    });
+    }, { userId, feature: AI_FEATURES.EXERCISE_ALTERNATIVES });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const result = JSON.parse(response.content);
     return result.alternatives || [];
   } catch (error) {
     console.error('Error generating exercise alternatives:', error);
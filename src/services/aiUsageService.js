@@ -0,0 +1,201 @@
+import { supabase } from '../config/supabase.js'
+import { getLLMProvider } from './llmProviderService.js'
+
+/**
+ * AI Usage Service
+ * Records every LLM call (model, tokens, latency, estimated cost) per user
+ * and feature, and enforces per-user daily quotas on the expensive features
+ */
+
+export const AI_FEATURES = {
+  EQUIPMENT_NAME: 'equipment_name',
+  EQUIPMENT_IDENTIFICATION: 'equipment_identification',
+  EXERCISE_MATCH: 'exercise_match',
+  EQUIPMENT_MATCH: 'equipment_match',
+  PLAN_GENERATION: 'plan_generation',
+  EXERCISE_ALTERNATIVES: 'exercise_alternatives',
+  RECOMMENDATIONS: 'recommendations'
+}
+
+// Calls per user per day (UTC); features without a limit are only recorded
+const DAILY_QUOTAS = {
+  [AI_FEATURES.PLAN_GENERATION]: parseInt(process.env.AI_DAILY_PLAN_GENERATION_LIMIT) || 10,
+  [AI_FEATURES.EQUIPMENT_IDENTIFICATION]: parseInt(process.env.AI_DAILY_EQUIPMENT_IDENTIFICATION_LIMIT) || 30,
+  // Every scan (quick or full) makes one vision call for the equipment name
+  [AI_FEATURES.EQUIPMENT_NAME]: parseInt(process.env.AI_DAILY_EQUIPMENT_SCAN_LIMIT) || 50
+}
+
+// USD per 1M tokens
+const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 }
+}
+
+/**
+ * Estimated cost of a call in USD
+ * @param {string} model - Model name as requested (e.g. 'gpt-4o-mini')
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {number}
+ */
+export function estimateCost(model, promptTokens = 0, completionTokens = 0) {
+  const pricing = MODEL_PRICING[model]
+  if (!pricing) return 0
+
+  const cost = (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000
+  return Math.round(cost * 1000000) / 1000000
+}
+
+/**
+ * Persist a usage record
+ * Never throws - accounting must not break the feature that made the call
+ */
+export async function recordAIUsage({ userId = null, feature, model, usage = {}, latencyMs, success = true, errorMessage = null, isRetry = false }) {
+  try {
+    const promptTokens = usage.prompt_tokens || 0
+    const completionTokens = usage.completion_tokens || 0
+
+    const { error } = await supabase
+      .from('ai_usage_logs')
+      .insert({
+        user_id: userId,
+        feature,
+        model,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: usage.total_tokens || promptTokens + completionTokens,
+        latency_ms: latencyMs,
+        estimated_cost_usd: estimateCost(model, promptTokens, completionTokens),
+        success,
+        error_message: errorMessage,
+        is_retry: isRetry
+      })
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error recording AI usage:', error)
+  }
+}
+
+/**
+ * Run a chat completion on the configured LLM provider and record its usage
+ * @param {Object} params - Chat completion params (model, messages, response_format, ...)
+ * @param {Object} context - { userId?, feature, isRetry? }
+ * @returns {Promise<Object>} - { content, model, usage }
+ */
+export async function trackChatCompletion(params, { userId = null, feature, isRetry = false }) {
+  const startTime = Date.now()
+
+  try {
+    const response = await getLLMProvider().createChatCompletion(params, { feature })
+
+    await recordAIUsage({
+      userId,
+      feature,
+      model: response.model,
+      usage: response.usage,
+      latencyMs: Date.now() - startTime,
+      isRetry
+    })
+
+    return response
+  } catch (error) {
+    await recordAIUsage({
+      userId,
+      feature,
+      model: params.model,
+      latencyMs: Date.now() - startTime,
+      success: false,
+      errorMessage: error.message,
+      isRetry
+    })
+    throw error
+  }
+}
+
+/**
+ * Start of the current quota day (UTC midnight)
+ */
+function getQuotaDayStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+}
+
+/**
+ * Check a user's remaining daily quota for a feature
+ * Only requests that reserved a slot count (failed calls release theirs, retries never reserve)
+ * @returns {Promise<Object>} - { feature, limit, used, remaining, resets_at } (limit null = unlimited)
+ */
+export async function getAIQuotaStatus(userId, feature) {
+  const limit = DAILY_QUOTAS[feature] || null
+  const dayStart = getQuotaDayStart()
+  const resetsAt = new Date(dayStart.getTime() + 24 * 3600000).toISOString()
+
+  if (!limit || !userId) {
+    return { feature, limit: null, used: 0, remaining: null, resets_at: resetsAt }
+  }
+
+  const { count, error } = await supabase
+    .from('ai_quota_reservations')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('feature', feature)
+    .gte('created_at', dayStart.toISOString())
+
+  if (error) throw error
+
+  return {
+    feature,
+    limit,
+    used: count || 0,
+    remaining: Math.max(0, limit - (count || 0)),
+    resets_at: resetsAt
+  }
+}
+
+/**
+ * Reserve one of today's calls for a feature, atomically (see reserve_ai_quota)
+ * Throws an error with code 'AI_QUOTA_EXCEEDED' and the quota status when none are left.
+ * Release the reservation if the AI call fails so it doesn't count.
+ * @returns {Promise<Object|null>} - Reservation { id, feature }, null when the feature isn't limited
+ */
+export async function reserveAIQuota(userId, feature) {
+  const limit = DAILY_QUOTAS[feature] || null
+  if (!limit || !userId) return null
+
+  const { data: reservationId, error } = await supabase.rpc('reserve_ai_quota', {
+    user_id_param: userId,
+    feature_param: feature,
+    limit_param: limit,
+    since_param: getQuotaDayStart().toISOString()
+  })
+
+  if (error) throw error
+
+  if (!reservationId) {
+    const quotaError = new Error(`Daily AI limit reached for ${feature.replace(/_/g, ' ')} (${limit} per day)`)
+    quotaError.code = 'AI_QUOTA_EXCEEDED'
+    quotaError.quota = await getAIQuotaStatus(userId, feature)
+    throw quotaError
+  }
+
+  return { id: reservationId, feature }
+}
+
+/**
+ * Give back a reservation whose AI call failed
+ * Never throws - the original failure is what the caller reports
+ */
+export async function releaseAIQuota(reservation) {
+  if (!reservation) return
+
+  try {
+    const { error } = await supabase
+      .from('ai_quota_reservations')
+      .delete()
+      .eq('id', reservation.id)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error releasing AI quota reservation:', error)
+  }
+}
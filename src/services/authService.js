@@ -15,6 +15,8 @@ import {
   storeAppleUserData,
   getAppleUserData
 } from './userService.js'
+import { BODY_FOCUS_AREAS, normalizeBodyFocus } from './taxonomyService.js'
+import { SUPPORTED_LOCALES, normalizeLocale } from './exerciseTranslationService.js'
 
 /**
  * Auth Service
@@ -138,8 +140,7 @@ export function validateProfileUpdateData(updates) {
   }
 
   if (updates.body_focus) {
-    const validBodyParts = ['chest', 'back', 'shoulders', 'arms', 'abs', 'legs', 'glutes', 'cardio']
-    const allBodyPartsCount = validBodyParts.length
+    const allBodyPartsCount = BODY_FOCUS_AREAS.length
 
     // Ensure it's an array
     if (!Array.isArray(updates.body_focus)) {
@@ -148,24 +149,34 @@ export function validateProfileUpdateData(updates) {
         message: 'Body focus must be an array'
       })
     } else {
+      // Aliases ('core', 'biceps', 'upper legs') count as their canonical area
+      const { areas, invalid: invalidParts } = normalizeBodyFocus(updates.body_focus)
+
       // Validate max 4 body parts (unless selecting all body parts)
-      if (updates.body_focus.length > 4 && updates.body_focus.length !== allBodyPartsCount) {
+      if (areas.length > 4 && areas.length !== allBodyPartsCount) {
         errors.push({
           field: 'body_focus',
           message: 'Maximum 4 body focus areas allowed (or select all)'
         })
       }
 
-      const invalidParts = updates.body_focus.filter(part => !validBodyParts.includes(part))
       if (invalidParts.length > 0) {
         errors.push({
           field: 'body_focus',
-          message: `Invalid body parts: ${invalidParts.join(', ')}. Valid parts are: ${validBodyParts.join(', ')}`
+          message: `Invalid body parts: ${invalidParts.join(', ')}. Valid parts are: ${BODY_FOCUS_AREAS.join(', ')}`
         })
       }
     }
   }
 
+  // null clears the preference (back to Accept-Language)
+  if (updates.locale !== undefined && updates.locale !== null && !normalizeLocale(updates.locale)) {
+    errors.push({
+      field: 'locale',
+      message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+    })
+  }
+
   return errors
 }
 
@@ -382,7 +393,7 @@ export async function updateUserProfile(userId, updates) {
   const allowedUpdates = [
     'full_name', 'bio', 'date_of_birth', 'gender',
     'height_cm', 'weight_kg', 'target_weight_kg', 'fitness_goal', 'fitness_levels', 'body_focus',
-    'daily_step_goal', 'daily_calorie_goal', 'privacy_level', 'socials'
+    'daily_step_goal', 'daily_calorie_goal', 'privacy_level', 'socials', 'locale'
   ]
 
   const filteredUpdates = {}
@@ -396,6 +407,16 @@ export async function updateUserProfile(userId, updates) {
     throw new Error('NO_VALID_UPDATES')
   }
 
+  // Store body focus as canonical areas
+  if (Array.isArray(filteredUpdates.body_focus)) {
+    filteredUpdates.body_focus = normalizeBodyFocus(filteredUpdates.body_focus).areas
+  }
+
+  // 'es-MX' is stored as 'es'
+  if (filteredUpdates.locale) {
+    filteredUpdates.locale = normalizeLocale(filteredUpdates.locale)
+  }
+
   const updatedUser = await updateUser(userId, filteredUpdates)
   return updatedUser
 }
@@ -459,10 +480,12 @@ export function formatUserResponse(user, includeFullProfile = false) {
       fitness_goal: user.fitness_goal,
       fitness_levels: user.fitness_levels,
       body_focus: user.body_focus,
+      equipment: user.equipment,
       daily_step_goal: user.daily_step_goal,
       daily_calorie_goal: user.daily_calorie_goal,
       privacy_level: user.privacy_level,
       socials: user.socials,
+      locale: user.locale,
       last_login: user.last_login,
       updated_at: user.updated_at
     }
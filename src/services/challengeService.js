@@ -241,6 +241,75 @@ export const updateChallengeProgress = async (participantId, progressDate, progr
   }
 }
 
+// Challenge types that workout completions count towards
+const WORKOUT_CHALLENGE_TYPES = ['total_workouts', 'workout_streak', 'calorie_burn']
+
+/**
+ * Record a workout completion against the user's active workout challenges
+ * Progress is stored per day, so the day's value is the number of workouts
+ * completed that day (calories burned that day for calorie_burn challenges).
+ * Safe to call more than once for the same completion, and again after it is
+ * edited (the day's value is recomputed, so it can go down).
+ * @param {string} userId - User ID
+ * @param {Object} completion - workout_completions record
+ * @returns {Promise<Array>} Updated participant records
+ */
+export const recordWorkoutForChallenges = async (userId, completion) => {
+  try {
+    const completedAt = completion.completed_at || new Date().toISOString()
+    const progressDate = completedAt.split('T')[0]
+
+    const { data: participants, error: participantsError } = await supabase
+      .from('challenge_participants')
+      .select(`
+        id,
+        challenge:challenges(id, challenge_type, start_date, end_date)
+      `)
+      .eq('user_id', userId)
+      .eq('status', 'active')
+
+    if (participantsError) {
+      throw participantsError
+    }
+
+    const eligible = (participants || []).filter(p =>
+      p.challenge &&
+      WORKOUT_CHALLENGE_TYPES.includes(p.challenge.challenge_type) &&
+      new Date(p.challenge.start_date) <= new Date(completedAt) &&
+      new Date(p.challenge.end_date) >= new Date(completedAt)
+    )
+
+    if (eligible.length === 0) {
+      return []
+    }
+
+    const { data: dayCompletions, error: dayError } = await supabase
+      .from('workout_completions')
+      .select('id, calories_burned')
+      .eq('user_id', userId)
+      .gte('completed_at', `${progressDate}T00:00:00.000Z`)
+      .lte('completed_at', `${progressDate}T23:59:59.999Z`)
+
+    if (dayError) {
+      throw dayError
+    }
+
+    const workoutCount = Math.max(1, dayCompletions?.length || 0)
+    const caloriesBurned = (dayCompletions || []).reduce((sum, c) => sum + (c.calories_burned || 0), 0)
+
+    const updated = []
+    for (const participant of eligible) {
+      const value = participant.challenge.challenge_type === 'calorie_burn' ? caloriesBurned : workoutCount
+      updated.push(await updateChallengeProgress(participant.id, progressDate, value, completion.id))
+    }
+
+    return updated
+  } catch (error) {
+    console.error('❌ Record workout for challenges error:', error)
+    throw error
+  }
+}
+
 /**
  * Get challenge leaderboard
  * @param {string} challengeId - Challenge ID
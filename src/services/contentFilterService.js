@@ -1,10 +1,5 @@
-import OpenAI from 'openai'
 import { supabase } from '../config/supabase.js'
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-})
+import { getLLMProvider } from './llmProviderService.js'
 
 // Cache for keywords to avoid frequent DB queries
 let keywordsCache = null
@@ -49,21 +44,17 @@ export function clearKeywordsCache() {
 }
 
 /**
- * Filter content using OpenAI Moderation API
+ * Filter content using the LLM provider's moderation endpoint
  * @param {string} text - The text to filter
  * @returns {Promise<{isClean: boolean, flaggedCategories: string[], scores: object}>}
  */
-export async function filterWithOpenAI(text) {
+export async function filterWithModeration(text) {
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
     return { isClean: true, flaggedCategories: [], scores: {} }
   }
 
   try {
-    const response = await openai.moderations.create({
-      input: text
-    })
-
-    const result = response.results[0]
+    const result = await getLLMProvider().moderate(text)
 
     // Get flagged categories
     const flaggedCategories = []
@@ -87,7 +78,7 @@ export async function filterWithOpenAI(text) {
       scores: result.category_scores
     }
   } catch (error) {
-    console.error('OpenAI Moderation API error:', error)
+    console.error('Moderation API error:', error)
     // Fall back to keyword filter if API fails
     return null
   }
@@ -126,7 +117,7 @@ export async function filterWithKeywords(text) {
 }
 
 /**
- * Main content filter function - uses OpenAI first, falls back to keywords
+ * Main content filter function - uses the moderation API first, falls back to keywords
  * @param {string} text - The text to filter
  * @returns {Promise<{isClean: boolean, reason: string, details: object}>}
  */
@@ -135,10 +126,10 @@ export async function filterContent(text) {
     return { isClean: true, reason: null, details: {} }
   }
 
-  // Try OpenAI Moderation API first (more robust)
-  const openAIResult = await filterWithOpenAI(text)
+  // Try the moderation API first (more robust)
+  const moderationResult = await filterWithModeration(text)
 
-  if (openAIResult && !openAIResult.isClean) {
+  if (moderationResult && !moderationResult.isClean) {
     const categoryMessages = {
       'hate': 'hate speech',
       'hate/threatening': 'threatening hate speech',
@@ -153,7 +144,7 @@ export async function filterContent(text) {
       'violence/graphic': 'graphic violence'
     }
 
-    const reasons = openAIResult.flaggedCategories
+    const reasons = moderationResult.flaggedCategories
       .map(cat => categoryMessages[cat] || cat)
       .join(', ')
 
@@ -161,14 +152,14 @@ export async function filterContent(text) {
       isClean: false,
       reason: `Content flagged for: ${reasons}`,
       details: {
-        source: 'openai',
-        categories: openAIResult.flaggedCategories,
-        scores: openAIResult.scores
+        source: getLLMProvider().name,
+        categories: moderationResult.flaggedCategories,
+        scores: moderationResult.scores
       }
     }
   }
 
-  // Fall back to keyword filter if OpenAI didn't flag or failed
+  // Fall back to keyword filter if moderation didn't flag or failed
   const keywordResult = await filterWithKeywords(text)
 
   if (!keywordResult.isClean) {
@@ -8,6 +8,8 @@ import {
   createInactiveAlertNotification,
   createRecoveryReminderNotification
 } from './notificationService.js';
+import { getMuscleRecovery } from './recoveryService.js';
+import { normalizeMuscle } from './taxonomyService.js';
 
 /**
  * Cron Service
@@ -39,6 +41,52 @@ const addMinutes = (timeStr, minutes) => {
   return date.toTimeString().substring(0, 5);
 };
 
+/**
+ * Helper: Get a user's ad-hoc (unplanned) workouts between two dates (YYYY-MM-DD),
+ * shaped like completed daily_workouts so they can be counted alongside plan workouts
+ */
+const getAdhocWorkoutsInRange = async (userId, startDateStr, endDateStr) => {
+  const { data, error } = await supabase
+    .from('workout_completions')
+    .select('id, workout_name, duration_minutes, difficulty_rating, calories_burned')
+    .eq('user_id', userId)
+    .eq('workout_type', 'adhoc')
+    .gte('completed_at', `${startDateStr}T00:00:00.000Z`)
+    .lte('completed_at', `${endDateStr}T23:59:59.999Z`);
+
+  if (error) {
+    console.error(`❌ Error fetching ad-hoc workouts for user ${userId}:`, error);
+    return [];
+  }
+
+  return (data || []).map(completion => ({
+    id: completion.id,
+    workout_name: completion.workout_name,
+    duration_minutes: completion.duration_minutes,
+    calories_burned: completion.calories_burned,
+    difficulty: completion.difficulty_rating
+  }));
+};
+
+/**
+ * Helper: Get a user's total training volume (kg) between two dates (YYYY-MM-DD)
+ */
+const getTrainingVolumeInRange = async (userId, startDateStr, endDateStr) => {
+  const { data, error } = await supabase
+    .from('workout_completions')
+    .select('total_volume_kg')
+    .eq('user_id', userId)
+    .gte('completed_at', `${startDateStr}T00:00:00.000Z`)
+    .lte('completed_at', `${endDateStr}T23:59:59.999Z`);
+
+  if (error) {
+    console.error(`❌ Error fetching training volume for user ${userId}:`, error);
+    return 0;
+  }
+
+  return Math.round((data || []).reduce((sum, c) => sum + (Number(c.total_volume_kg) || 0), 0));
+};
+
 // ============================================================================
 // PHASE 1: CORE REMINDERS
 // ============================================================================
@@ -372,9 +420,13 @@ export const scheduleWeeklyGoalCheck = () => {
             continue;
           }
 
-          const workoutsCompleted = workouts?.length || 0;
-          const totalMinutes = workouts?.reduce((sum, w) => sum + (w.duration_minutes || 0), 0) || 0;
-          const totalCalories = workouts?.reduce((sum, w) => sum + (w.calories_burned || 0), 0) || 0;
+          // Unplanned workouts count towards the goal too
+          const adhocWorkouts = await getAdhocWorkoutsInRange(userPref.user_id, weekStartStr, weekEndStr);
+          const allWorkouts = [...(workouts || []), ...adhocWorkouts];
+
+          const workoutsCompleted = allWorkouts.length;
+          const totalMinutes = allWorkouts.reduce((sum, w) => sum + (w.duration_minutes || 0), 0);
+          const totalCalories = allWorkouts.reduce((sum, w) => sum + (w.calories_burned || 0), 0);
 
           // Check if goal achieved
           if (workoutsCompleted >= weeklyGoal) {
@@ -556,7 +608,7 @@ export const scheduleWeeklyProgressReport = () => {
       for (const userPref of users || []) {
         try {
           // Get this week's completed workouts via workout_plans JOIN
-          const { data: workouts, error: workoutsError } = await supabase
+          const { data: planWorkouts, error: workoutsError } = await supabase
             .from('daily_workouts')
             .select('id, workout_name, duration_minutes, calories_burned, difficulty, workout_plans!inner(user_id)')
             .eq('workout_plans.user_id', userPref.user_id)
@@ -570,7 +622,11 @@ export const scheduleWeeklyProgressReport = () => {
             continue;
           }
 
-          const workoutsCompleted = workouts?.length || 0;
+          // Include unplanned workouts logged this week
+          const adhocWorkouts = await getAdhocWorkoutsInRange(userPref.user_id, weekStartStr, weekEndStr);
+          const workouts = [...(planWorkouts || []), ...adhocWorkouts];
+
+          const workoutsCompleted = workouts.length;
 
           // Skip if no workouts this week
           if (workoutsCompleted === 0) {
@@ -580,6 +636,7 @@ export const scheduleWeeklyProgressReport = () => {
 
           const totalMinutes = workouts?.reduce((sum, w) => sum + (w.duration_minutes || 0), 0) || 0;
           const totalCalories = workouts?.reduce((sum, w) => sum + (w.calories_burned || 0), 0) || 0;
+          const totalVolumeKg = await getTrainingVolumeInRange(userPref.user_id, weekStartStr, weekEndStr);
 
           // Calculate average difficulty
           const workoutsWithDifficulty = workouts?.filter(w => w.difficulty) || [];
@@ -615,6 +672,7 @@ export const scheduleWeeklyProgressReport = () => {
               workouts_completed: workoutsCompleted,
               total_minutes: totalMinutes,
               total_calories: totalCalories,
+              total_volume_kg: totalVolumeKg,
               avg_difficulty: Math.round(avgDifficulty * 10) / 10,
               most_common_time: mostCommonTime
             });
@@ -739,7 +797,8 @@ export const scheduleInactiveUserAlerts = () => {
 
 /**
  * Recovery Reminder - Phase 3
- * Runs daily at 7 PM to check for users who need rest
+ * Runs daily at 7 PM to warn users whose muscles are still fatigued
+ * (per-muscle readiness from recoveryService), especially before a workout that loads them
  */
 export const scheduleRecoveryReminders = () => {
   // Run daily at 7 PM (19:00)
@@ -747,8 +806,6 @@ export const scheduleRecoveryReminders = () => {
     console.log('🔔 [Cron] Checking for users who need recovery...');
 
     try {
-      const today = getToday();
-
       // Get users with recovery reminders enabled
       const { data: users, error: usersError} = await supabase
         .from('notification_preferences')
@@ -764,87 +821,63 @@ export const scheduleRecoveryReminders = () => {
 
       for (const userPref of users || []) {
         try {
-          // Get last 7 days to check for consecutive workouts
-          const sevenDaysAgo = new Date();
-          sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-          const sevenDaysAgoStr = sevenDaysAgo.toISOString().split('T')[0];
-
-          // Get completed workouts in the last 7 days via workout_plans JOIN
-          const { data: recentWorkouts, error: workoutsError } = await supabase
-            .from('daily_workouts')
-            .select('scheduled_date, duration_minutes, workout_plans!inner(user_id)')
-            .eq('workout_plans.user_id', userPref.user_id)
-            .eq('is_completed', true)
-            .gte('scheduled_date', sevenDaysAgoStr)
-            .lte('scheduled_date', today)
-            .is('workout_type', null) // Not rest days
-            .order('scheduled_date', { ascending: false });
+          const recovery = await getMuscleRecovery(userPref.user_id);
 
-          if (workoutsError) {
-            console.error(`❌ Error fetching workouts for user ${userPref.user_id}:`, workoutsError);
+          if (recovery.fatigued_muscles.length === 0) {
+            console.log(`⏭️  User ${userPref.user_id} has no fatigued muscles - skipping`);
             continue;
           }
 
-          if (!recentWorkouts || recentWorkouts.length < 5) {
-            console.log(`⏭️  User ${userPref.user_id} has not worked out enough days - skipping`);
-            continue;
-          }
+          // Does tomorrow's planned workout hit any of the fatigued muscles?
+          const tomorrow = new Date();
+          tomorrow.setDate(tomorrow.getDate() + 1);
+          const tomorrowStr = tomorrow.toISOString().split('T')[0];
 
-          // Check for consecutive days (starting from today, going backwards)
-          let consecutiveDays = 0;
-          const sortedDates = recentWorkouts.map(w => w.scheduled_date).sort().reverse();
-
-          for (let i = 0; i < sortedDates.length; i++) {
-            const workoutDate = new Date(sortedDates[i]);
-            const expectedDate = new Date();
-            expectedDate.setDate(expectedDate.getDate() - i);
-            const expectedDateStr = expectedDate.toISOString().split('T')[0];
-
-            if (sortedDates[i] === expectedDateStr) {
-              consecutiveDays++;
-            } else {
-              break; // Consecutive streak broken
-            }
-          }
-
-          if (consecutiveDays >= 5) {
-            // Calculate week stats
-            const thisWeekWorkouts = recentWorkouts.filter(w => {
-              const workoutDate = new Date(w.scheduled_date);
-              const weekStart = new Date();
-              weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
-              weekStart.setHours(0, 0, 0, 0);
-              return workoutDate >= weekStart;
-            });
+          const { data: upcomingWorkout } = await supabase
+            .from('daily_workouts')
+            .select('id, workout_name, target_muscles, exercises, workout_plans!inner(user_id, is_active)')
+            .eq('workout_plans.user_id', userPref.user_id)
+            .eq('workout_plans.is_active', true)
+            .eq('scheduled_date', tomorrowStr)
+            .eq('is_completed', false)
+            .eq('is_skipped', false)
+            .limit(1)
+            .maybeSingle();
 
-            const workoutsThisWeek = thisWeekWorkouts.length;
-            const totalMinutesThisWeek = thisWeekWorkouts.reduce((sum, w) => sum + (w.duration_minutes || 0), 0);
+          const upcomingMuscles = new Set([
+            ...(upcomingWorkout?.target_muscles || []),
+            ...(upcomingWorkout?.exercises || []).map(ex => ex.target)
+          ].map(normalizeMuscle).filter(Boolean));
+          const conflictingMuscles = recovery.fatigued_muscles.filter(muscle => upcomingMuscles.has(muscle));
 
-            // Check if recovery reminder already sent in the last 3 days
-            const threeDaysAgo = new Date();
-            threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
+          // Check if recovery reminder already sent in the last 3 days
+          const threeDaysAgo = new Date();
+          threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
 
-            const { data: existingNotif } = await supabase
-              .from('notifications')
-              .select('id')
-              .eq('user_id', userPref.user_id)
-              .eq('type', 'recovery_reminder')
-              .gte('created_at', threeDaysAgo.toISOString())
-              .single();
+          const { data: existingNotif } = await supabase
+            .from('notifications')
+            .select('id')
+            .eq('user_id', userPref.user_id)
+            .eq('type', 'recovery_reminder')
+            .gte('created_at', threeDaysAgo.toISOString())
+            .single();
 
-            if (!existingNotif) {
-              // Send recovery reminder notification
-              await createRecoveryReminderNotification(userPref.user_id, {
-                consecutive_days: consecutiveDays,
-                workouts_this_week: workoutsThisWeek,
-                total_minutes_this_week: totalMinutesThisWeek
-              });
-              console.log(`✅ Recovery reminder sent to user ${userPref.user_id} (${consecutiveDays} consecutive days)`);
-            } else {
-              console.log(`⏭️  Recovery reminder already sent to user ${userPref.user_id} recently`);
-            }
+          if (!existingNotif) {
+            // Send recovery reminder notification
+            await createRecoveryReminderNotification(userPref.user_id, {
+              fatigued_muscles: recovery.fatigued_muscles,
+              overall_readiness: recovery.overall_readiness,
+              upcoming_workout: upcomingWorkout && conflictingMuscles.length > 0
+                ? {
+                  id: upcomingWorkout.id,
+                  workout_name: upcomingWorkout.workout_name,
+                  conflicting_muscles: conflictingMuscles
+                }
+                : null
+            });
+            console.log(`✅ Recovery reminder sent to user ${userPref.user_id} (fatigued: ${recovery.fatigued_muscles.join(', ')})`);
           } else {
-            console.log(`⏭️  User ${userPref.user_id} has ${consecutiveDays} consecutive days - not enough for recovery reminder`);
+            console.log(`⏭️  Recovery reminder already sent to user ${userPref.user_id} recently`);
           }
         } catch (error) {
           console.error(`❌ Error processing recovery reminder for user ${userPref.user_id}:`, error);
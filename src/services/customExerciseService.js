@@ -0,0 +1,328 @@
+import { supabase } from '../config/supabase.js';
+import { filterContent } from './contentFilterService.js';
+import { uploadCustomExerciseImage, deleteCustomExerciseImage } from './storageService.js';
+import { normalizeExerciseTaxonomy } from './taxonomyService.js';
+
+/**
+ * Custom Exercise Service
+ * Private exercises created by users for movements missing from the catalog,
+ * and their submission to the global catalog
+ *
+ * Custom exercise IDs start with 'custom_' and have the same shape as catalog
+ * exercises, so they can be used wherever a catalog exercise ID is accepted.
+ */
+
+export const CUSTOM_EXERCISE_ID_PREFIX = 'custom_';
+// Enforced on insert by the enforce_custom_exercise_limit trigger
+export const MAX_CUSTOM_EXERCISES = 200;
+export const MAX_INSTRUCTION_STEPS = 20;
+
+// Raised by the enforce_custom_exercise_limit trigger
+const LIMIT_REACHED_DB_MESSAGE = 'custom_exercise_limit_reached';
+
+export const CUSTOM_EXERCISE_FIELDS = [
+  'name', 'bodyPart', 'target', 'equipment', 'secondary_muscles',
+  'instructions', 'description', 'difficulty', 'category'
+];
+
+/**
+ * Error with a code the controller maps to a status
+ * (CUSTOM_EXERCISE_NOT_FOUND, INVALID_CUSTOM_EXERCISE)
+ */
+function customExerciseError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function isCustomExerciseId(exerciseId) {
+  return typeof exerciseId === 'string' && exerciseId.startsWith(CUSTOM_EXERCISE_ID_PREFIX);
+}
+
+function pickExerciseFields(data) {
+  const fields = {};
+  CUSTOM_EXERCISE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  if (typeof fields.name === 'string') fields.name = fields.name.trim();
+  return fields;
+}
+
+/**
+ * Same mapping as catalog exercises (exerciseService.transformExercise)
+ */
+function transformCustomExercise(exercise) {
+  if (!exercise) return null;
+
+  return {
+    ...exercise,
+    imageUrl: exercise.image_url,
+    secondaryMuscles: exercise.secondary_muscles,
+    is_custom: true
+  };
+}
+
+/**
+ * Get a custom exercise owned by the user
+ * @throws {Error} 'Custom exercise not found'
+ */
+async function getOwnedCustomExercise(userId, exerciseId) {
+  const { data, error } = await supabase
+    .from('custom_exercises')
+    .select('*')
+    .eq('id', exerciseId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!data) throw customExerciseError('Custom exercise not found', 'CUSTOM_EXERCISE_NOT_FOUND');
+
+  return data;
+}
+
+/**
+ * Create a private exercise
+ * @param {string} userId - User ID
+ * @param {Object} exerciseData - { name, bodyPart?, target?, equipment?, secondary_muscles?, instructions?, description?, difficulty?, category? }
+ */
+export async function createCustomExercise(userId, exerciseData) {
+  try {
+    const fields = pickExerciseFields(exerciseData);
+
+    const { data, error } = await supabase
+      .from('custom_exercises')
+      .insert({
+        user_id: userId,
+        ...fields,
+        ...normalizeExerciseTaxonomy(fields)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.message === LIMIT_REACHED_DB_MESSAGE) {
+        throw customExerciseError(`Cannot create more than ${MAX_CUSTOM_EXERCISES} custom exercises`, 'INVALID_CUSTOM_EXERCISE');
+      }
+      throw error;
+    }
+
+    console.log(`🏋️ Created custom exercise "${data.name}" (${data.id}) for user ${userId}`);
+
+    return transformCustomExercise(data);
+  } catch (error) {
+    console.error('Error creating custom exercise:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's custom exercises
+ */
+export async function getUserCustomExercises(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('custom_exercises')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name');
+
+    if (error) throw error;
+
+    return (data || []).map(transformCustomExercise);
+  } catch (error) {
+    console.error('Error fetching custom exercises:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of the user's custom exercises
+ */
+export async function getCustomExercise(userId, exerciseId) {
+  try {
+    return transformCustomExercise(await getOwnedCustomExercise(userId, exerciseId));
+  } catch (error) {
+    console.error('Error fetching custom exercise:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a custom exercise
+ * Pending submissions are locked until reviewed; editing a rejected one makes it private again
+ */
+export async function updateCustomExercise(userId, exerciseId, updates) {
+  try {
+    const existing = await getOwnedCustomExercise(userId, exerciseId);
+
+    if (existing.submission_status === 'pending') {
+      throw customExerciseError('Cannot edit an exercise while it is pending review', 'INVALID_CUSTOM_EXERCISE');
+    }
+
+    const fields = pickExerciseFields(updates);
+
+    const { data, error } = await supabase
+      .from('custom_exercises')
+      .update({
+        ...fields,
+        ...normalizeExerciseTaxonomy({ ...existing, ...fields }),
+        ...(existing.submission_status === 'rejected' && { submission_status: 'private' })
+      })
+      .eq('id', exerciseId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return transformCustomExercise(data);
+  } catch (error) {
+    console.error('Error updating custom exercise:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a custom exercise
+ * Workouts and logs that used it keep their snapshot of the exercise
+ */
+export async function deleteCustomExercise(userId, exerciseId) {
+  try {
+    const existing = await getOwnedCustomExercise(userId, exerciseId);
+
+    const { error } = await supabase
+      .from('custom_exercises')
+      .delete()
+      .eq('id', exerciseId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    // An approved exercise's catalog copy still uses the image
+    if (existing.image_url && !existing.catalog_exercise_id) {
+      await deleteCustomExerciseImage(existing.image_url);
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting custom exercise:', error);
+    throw error;
+  }
+}
+
+/**
+ * Upload (or replace) a custom exercise's image
+ * @param {Object} file - Multer file ({ buffer, mimetype })
+ */
+export async function setCustomExerciseImage(userId, exerciseId, file) {
+  try {
+    const existing = await getOwnedCustomExercise(userId, exerciseId);
+
+    if (existing.submission_status === 'pending') {
+      throw customExerciseError('Cannot edit an exercise while it is pending review', 'INVALID_CUSTOM_EXERCISE');
+    }
+
+    const imageUrl = await uploadCustomExerciseImage(file.buffer, userId, exerciseId, file.mimetype);
+    if (!imageUrl) {
+      throw new Error('Failed to upload image');
+    }
+
+    const { data, error } = await supabase
+      .from('custom_exercises')
+      .update({ image_url: imageUrl })
+      .eq('id', exerciseId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (existing.image_url && !existing.catalog_exercise_id) {
+      await deleteCustomExerciseImage(existing.image_url);
+    }
+
+    return transformCustomExercise(data);
+  } catch (error) {
+    console.error('Error setting custom exercise image:', error);
+    throw error;
+  }
+}
+
+/**
+ * Submit a custom exercise for inclusion in the global catalog
+ * The text is screened by the content filter first; clean submissions wait for review
+ */
+export async function submitCustomExercise(userId, exerciseId) {
+  try {
+    const existing = await getOwnedCustomExercise(userId, exerciseId);
+
+    if (existing.submission_status === 'pending') {
+      throw customExerciseError('Cannot submit an exercise that is already pending review', 'INVALID_CUSTOM_EXERCISE');
+    }
+    if (existing.submission_status === 'approved') {
+      throw customExerciseError('Cannot submit an exercise that is already in the catalog', 'INVALID_CUSTOM_EXERCISE');
+    }
+    if (!existing.target || !existing.equipment || existing.instructions.length === 0) {
+      throw customExerciseError('Cannot submit an exercise without a target, equipment and instructions', 'INVALID_CUSTOM_EXERCISE');
+    }
+
+    const text = [existing.name, existing.description, ...existing.instructions].filter(Boolean).join('\n');
+    const filterResult = await filterContent(text);
+
+    const submission = filterResult.isClean
+      ? { submission_status: 'pending', submitted_at: new Date().toISOString(), reviewed_at: null, review_notes: null }
+      : { submission_status: 'rejected', submitted_at: new Date().toISOString(), reviewed_at: new Date().toISOString(), review_notes: filterResult.reason };
+
+    const { data, error } = await supabase
+      .from('custom_exercises')
+      .update(submission)
+      .eq('id', exerciseId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`📨 Custom exercise ${exerciseId} submitted for the catalog: ${data.submission_status}`);
+
+    return transformCustomExercise(data);
+  } catch (error) {
+    console.error('Error submitting custom exercise:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch exercises by ID from the catalog and the user's own custom exercises
+ * Other users' custom exercises are never returned, and neither are soft-deleted
+ * catalog exercises unless includeDeleted is set (e.g. to name past logs)
+ * @param {string[]} exerciseIds - Catalog and/or custom exercise IDs
+ * @param {string} userId - User whose custom exercises may be referenced
+ * @param {string} [columns='*'] - Columns to select (must exist in both tables)
+ * @param {Object} [options] - { includeDeleted }
+ * @returns {Promise<Array>} - Raw rows (custom rows have is_custom: true)
+ */
+export async function getExercisesByIdsForUser(exerciseIds, userId, columns = '*', { includeDeleted = false } = {}) {
+  const customIds = exerciseIds.filter(isCustomExerciseId);
+  const catalogIds = exerciseIds.filter(id => !isCustomExerciseId(id));
+
+  let catalogQuery = supabase.from('exercises').select(columns).in('id', catalogIds);
+  if (!includeDeleted) catalogQuery = catalogQuery.is('deleted_at', null);
+
+  const [catalog, custom] = await Promise.all([
+    catalogIds.length > 0
+      ? catalogQuery
+      : { data: [] },
+    customIds.length > 0 && userId
+      ? supabase.from('custom_exercises').select(columns).in('id', customIds).eq('user_id', userId)
+      : { data: [] }
+  ]);
+
+  if (catalog.error) throw catalog.error;
+  if (custom.error) throw custom.error;
+
+  return [
+    ...(catalog.data || []),
+    ...(custom.data || []).map(exercise => ({ ...exercise, is_custom: true }))
+  ];
+}
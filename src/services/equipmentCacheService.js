@@ -26,6 +26,8 @@ const EQUIPMENT_CATEGORIES = {
   band: ['resistance band', 'therapy band', 'loop band', 'trx', 'suspension trainer'],
 }
 
+export const EQUIPMENT_CATEGORY_NAMES = Object.keys(EQUIPMENT_CATEGORIES)
+
 /**
  * Categorize equipment based on name
  */
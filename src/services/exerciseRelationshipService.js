@@ -0,0 +1,268 @@
+import { supabase } from '../config/supabase.js';
+import { getMovementPattern, normalizeMuscle } from './taxonomyService.js';
+import { DEFAULT_LOCALE, localizeExercises } from './exerciseTranslationService.js';
+
+/**
+ * Exercise Relationship Service
+ * Graph of progressions, regressions, variations and same-equipment alternatives
+ * between catalog exercises, derived from the catalog (target muscle, movement
+ * pattern, equipment, difficulty) plus hand-curated edges
+ */
+
+export const RELATIONSHIP_TYPES = ['progression', 'regression', 'variation', 'equipment_alternative'];
+
+// Edges that make a good in-workout swap (same muscle, similar difficulty)
+export const ALTERNATIVE_RELATIONSHIP_TYPES = ['variation', 'equipment_alternative'];
+
+const DIFFICULTY_RANK = { beginner: 1, intermediate: 2, advanced: 3 };
+
+// Derived edges kept per exercise and type
+const MAX_DERIVED_PER_TYPE = 5;
+
+/**
+ * Canonical movement pattern (stored at sync time, derived from the name otherwise)
+ */
+function movementPatternOf(exercise) {
+    return exercise.movement_pattern || getMovementPattern(exercise);
+}
+
+/**
+ * How close two exercises are (0-1): shared secondary muscles and body part
+ */
+function getSimilarityScore(a, b) {
+    const aMuscles = new Set((a.secondary_muscles || []).map(normalizeMuscle));
+    const bMuscles = new Set((b.secondary_muscles || []).map(normalizeMuscle));
+    const shared = [...aMuscles].filter(muscle => bMuscles.has(muscle)).length;
+    const union = new Set([...aMuscles, ...bMuscles]).size;
+
+    const muscleOverlap = union > 0 ? shared / union : 0;
+    const sameBodyPart = a.bodyPart === b.bodyPart ? 1 : 0;
+
+    return Math.round((muscleOverlap * 0.7 + sameBodyPart * 0.3) * 100) / 100;
+}
+
+/**
+ * Type of the edge from one exercise to another with the same target muscle
+ * @returns {string|null}
+ */
+function classifyRelationship(exercise, other) {
+    const pattern = movementPatternOf(exercise);
+    const samePattern = pattern !== null && pattern === movementPatternOf(other);
+
+    if (samePattern) {
+        const rank = DIFFICULTY_RANK[exercise.difficulty];
+        const otherRank = DIFFICULTY_RANK[other.difficulty];
+
+        if (rank && otherRank && otherRank === rank + 1) return 'progression';
+        if (rank && otherRank && otherRank === rank - 1) return 'regression';
+        if (!rank || !otherRank || otherRank === rank) return 'variation';
+        return null;
+    }
+
+    if (exercise.equipment && exercise.equipment === other.equipment) {
+        return 'equipment_alternative';
+    }
+
+    return null;
+}
+
+/**
+ * Derive relationship edges from the catalog
+ * Only exercises with the same (canonical) target muscle are related
+ * @param {Array} exercises - Catalog exercises ({ id, name, bodyPart, target, equipment, difficulty, secondary_muscles, movement_pattern? })
+ * @returns {Array} - Rows for exercise_relationships
+ */
+export function deriveExerciseRelationships(exercises) {
+    const byTarget = new Map();
+    exercises.forEach(exercise => {
+        const target = normalizeMuscle(exercise.target);
+        if (!target) return;
+        const group = byTarget.get(target) || [];
+        group.push(exercise);
+        byTarget.set(target, group);
+    });
+
+    const rows = [];
+
+    for (const group of byTarget.values()) {
+        for (const exercise of group) {
+            const candidatesByType = new Map(RELATIONSHIP_TYPES.map(type => [type, []]));
+
+            for (const other of group) {
+                if (other.id === exercise.id) continue;
+
+                const type = classifyRelationship(exercise, other);
+                if (type) {
+                    candidatesByType.get(type).push({ other, score: getSimilarityScore(exercise, other) });
+                }
+            }
+
+            for (const [type, candidates] of candidatesByType) {
+                candidates
+                    .sort((a, b) => b.score - a.score || String(a.other.id).localeCompare(String(b.other.id)))
+                    .slice(0, MAX_DERIVED_PER_TYPE)
+                    .forEach(({ other, score }) => rows.push({
+                        exercise_id: exercise.id,
+                        related_exercise_id: other.id,
+                        relationship_type: type,
+                        source: 'derived',
+                        score
+                    }));
+            }
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Rebuild the derived edges from the current catalog (curated edges are kept)
+ * The old derived edges are swapped for the new ones in a single transaction
+ * @returns {Promise<number>} - Number of derived edges written
+ */
+export async function rebuildDerivedRelationships() {
+    const exercises = [];
+    const pageSize = 1000;
+
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+            .from('exercises')
+            .select('id, name, bodyPart, target, equipment, difficulty, secondary_muscles, movement_pattern')
+            .is('deleted_at', null)
+            .order('id')
+            .range(from, from + pageSize - 1);
+
+        if (error) throw error;
+
+        exercises.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+    }
+
+    const rows = deriveExerciseRelationships(exercises);
+
+    const { data: written, error } = await supabase.rpc('replace_derived_exercise_relationships', {
+        edges_param: rows
+    });
+
+    if (error) throw error;
+
+    return written;
+}
+
+/**
+ * Load the edges of several exercises, best first (curated before derived, then by score)
+ * @param {string[]} exerciseIds
+ * @param {string[]} [types] - Relationship types (default: all)
+ * @returns {Promise<Map>} - exercise_id -> [{ related_exercise_id, relationship_type, source, score }]
+ */
+export async function getRelationshipMap(exerciseIds, types = RELATIONSHIP_TYPES) {
+    const map = new Map();
+    if (!exerciseIds || exerciseIds.length === 0) return map;
+
+    const { data, error } = await supabase
+        .from('exercise_relationships')
+        .select('exercise_id, related_exercise_id, relationship_type, source, score')
+        .in('exercise_id', exerciseIds)
+        .in('relationship_type', types);
+
+    if (error) throw error;
+
+    (data || [])
+        .sort((a, b) =>
+            Number(b.source === 'curated') - Number(a.source === 'curated') ||
+            b.score - a.score
+        )
+        .forEach(edge => {
+            const edges = map.get(edge.exercise_id) || [];
+            edges.push(edge);
+            map.set(edge.exercise_id, edges);
+        });
+
+    return map;
+}
+
+/**
+ * Pick alternatives for an exercise from its graph edges, limited to an exercise pool
+ * Prefers alternatives with different equipment from each other
+ * @param {Object} mainExercise
+ * @param {Array} availableExercises - Pool to choose from ({ id, equipment })
+ * @param {Array} edges - The main exercise's edges (from getRelationshipMap)
+ * @param {number} [count=2]
+ * @returns {string[]} - Alternative exercise IDs (may be fewer than count)
+ */
+export function pickGraphAlternatives(mainExercise, availableExercises, edges = [], count = 2) {
+    const availableById = new Map(availableExercises.map(ex => [ex.id, ex]));
+    const candidates = edges
+        .filter(edge => ALTERNATIVE_RELATIONSHIP_TYPES.includes(edge.relationship_type))
+        .map(edge => availableById.get(edge.related_exercise_id))
+        .filter(ex => ex && ex.id !== mainExercise.id);
+
+    const picked = [];
+    const usedEquipment = new Set();
+
+    // First pass: one per equipment type, second pass: fill up
+    for (const requireNewEquipment of [true, false]) {
+        for (const candidate of candidates) {
+            if (picked.length >= count) break;
+            if (picked.includes(candidate.id)) continue;
+            if (requireNewEquipment && usedEquipment.has(candidate.equipment)) continue;
+
+            picked.push(candidate.id);
+            usedEquipment.add(candidate.equipment);
+        }
+    }
+
+    return picked;
+}
+
+/**
+ * Related exercises of one exercise, grouped by relationship type
+ * @param {string} exerciseId
+ * @param {Object} options - { types?: string[], limit?: number (per type), locale?: string }
+ */
+export async function getRelatedExercises(exerciseId, { types = RELATIONSHIP_TYPES, limit = 5, locale = DEFAULT_LOCALE } = {}) {
+    try {
+        const edges = (await getRelationshipMap([exerciseId], types)).get(exerciseId) || [];
+
+        const relatedIds = [...new Set(edges.map(edge => edge.related_exercise_id))];
+        const { data: exercises, error } = relatedIds.length > 0
+            ? await supabase
+                .from('exercises')
+                .select('*')
+                .in('id', relatedIds)
+                .is('deleted_at', null)
+            : { data: [], error: null };
+
+        if (error) throw error;
+
+        const localized = await localizeExercises(exercises || [], locale);
+        const exerciseById = new Map(localized.map(ex => [ex.id, ex]));
+        const grouped = Object.fromEntries(types.map(type => [type, []]));
+
+        edges.forEach(edge => {
+            const exercise = exerciseById.get(edge.related_exercise_id);
+            const group = grouped[edge.relationship_type];
+
+            if (exercise && group.length < limit) {
+                group.push({
+                    ...exercise,
+                    imageUrl: exercise.image_url,
+                    secondaryMuscles: exercise.secondary_muscles,
+                    relationship_source: edge.source,
+                    relationship_score: edge.score
+                });
+            }
+        });
+
+        return {
+            success: true,
+            data: grouped
+        };
+    } catch (error) {
+        console.error(`Error fetching related exercises for ${exerciseId}:`, error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
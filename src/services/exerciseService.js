@@ -1,18 +1,25 @@
 import { supabase } from '../config/supabase.js';
 import NodeCache from 'node-cache';
+import { DEFAULT_LOCALE, getExerciseTranslations, getTranslatedFields } from './exerciseTranslationService.js';
 
 // Create cache instance with 5 minute TTL
 const cache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
 
+// Listings skip exercises removed from the source catalog (deleted_at set by the sync);
+// lookups by ID still return them so existing workouts keep resolving
+
 /**
  * Transform exercise data from database format to API format
- * Converts snake_case to camelCase for frontend
+ * Converts snake_case to camelCase for frontend and applies the locale's translation
+ * @param {Object} exercise - exercises row
+ * @param {Map|null} [translations] - From getExerciseTranslations (null for English)
  */
-function transformExercise(exercise) {
+function transformExercise(exercise, translations = null) {
     if (!exercise) return null;
 
     return {
         ...exercise,
+        ...getTranslatedFields(translations?.get(exercise.id)),
         imageUrl: exercise.image_url, // Map image_url to imageUrl
         secondaryMuscles: exercise.secondary_muscles // Map secondary_muscles to secondaryMuscles
     };
@@ -21,44 +28,42 @@ function transformExercise(exercise) {
 /**
  * Transform array of exercises
  */
-function transformExercises(exercises) {
+function transformExercises(exercises, translations = null) {
     if (!exercises || !Array.isArray(exercises)) return [];
-    return exercises.map(transformExercise);
+    return exercises.map(exercise => transformExercise(exercise, translations));
 }
 
 /**
  * Get all exercises from database
+ * @param {string} [locale] - Content locale (see exerciseTranslationService)
  */
-export async function getAllExercises() {
+export async function getAllExercises(locale = DEFAULT_LOCALE) {
     const cacheKey = 'all_exercises';
 
     try {
-        // Check cache first
-        const cachedData = cache.get(cacheKey);
-        if (cachedData) {
+        // Check cache first (rows are cached in English, translations are applied per request)
+        let rows = cache.get(cacheKey);
+        if (rows) {
             console.log('✅ Cache hit: all_exercises');
-            return {
-                success: true,
-                data: cachedData
-            };
-        }
+        } else {
+            console.log('🔄 Cache miss: fetching all_exercises from DB');
+            const { data, error } = await supabase
+                .from('exercises')
+                .select('*')
+                .is('deleted_at', null)
+                .order('name');
 
-        console.log('🔄 Cache miss: fetching all_exercises from DB');
-        const { data, error } = await supabase
-            .from('exercises')
-            .select('*')
-            .order('name');
+            if (error) throw error;
 
-        if (error) throw error;
-
-        const transformedData = transformExercises(data || []);
+            rows = data || [];
 
-        // Store in cache
-        cache.set(cacheKey, transformedData);
+            // Store in cache
+            cache.set(cacheKey, rows);
+        }
 
         return {
             success: true,
-            data: transformedData
+            data: transformExercises(rows, await getExerciseTranslations(locale))
         };
     } catch (error) {
         console.error('Error fetching all exercises:', error.message);
@@ -90,6 +95,7 @@ export async function listEquipmentTypes() {
         const { data, error } = await supabase
             .from('exercises')
             .select('equipment')
+            .is('deleted_at', null)
             .not('equipment', 'is', null);
 
         if (error) throw error;
@@ -134,6 +140,7 @@ export async function listBodyParts() {
         const { data, error } = await supabase
             .from('exercises')
             .select('bodyPart')
+            .is('deleted_at', null)
             .not('bodyPart', 'is', null);
 
         if (error) throw error;
@@ -178,6 +185,7 @@ export async function listTargetMuscles() {
         const { data, error } = await supabase
             .from('exercises')
             .select('target')
+            .is('deleted_at', null)
             .not('target', 'is', null);
 
         if (error) throw error;
@@ -213,11 +221,12 @@ export function clearCache() {
 /**
  * Get exercises by difficulty level (beginner, intermediate, advanced)
  */
-export async function getExercisesByDifficulty(difficulty) {
+export async function getExercisesByDifficulty(difficulty, locale = DEFAULT_LOCALE) {
     try {
         const { data, error } = await supabase
             .from('exercises')
             .select('*')
+            .is('deleted_at', null)
             .eq('difficulty', difficulty)
             .order('name');
 
@@ -225,7 +234,7 @@ export async function getExercisesByDifficulty(difficulty) {
 
         return {
             success: true,
-            data: transformExercises(data || [])
+            data: transformExercises(data || [], await getExerciseTranslations(locale))
         };
     } catch (error) {
         console.error(`Error fetching ${difficulty} exercises:`, error.message);
@@ -239,11 +248,12 @@ export async function getExercisesByDifficulty(difficulty) {
 /**
  * Get exercises by category (strength, cardio, etc.)
  */
-export async function getExercisesByCategory(category) {
+export async function getExercisesByCategory(category, locale = DEFAULT_LOCALE) {
     try {
         const { data, error} = await supabase
             .from('exercises')
             .select('*')
+            .is('deleted_at', null)
             .eq('category', category)
             .order('name');
 
@@ -251,7 +261,7 @@ export async function getExercisesByCategory(category) {
 
         return {
             success: true,
-            data: transformExercises(data || [])
+            data: transformExercises(data || [], await getExerciseTranslations(locale))
         };
     } catch (error) {
         console.error(`Error fetching ${category} exercises:`, error.message);
@@ -266,12 +276,14 @@ export async function getExercisesByCategory(category) {
  * Get exercises by equipment type
  * @param {string} equipment - The equipment type to filter by
  * @param {string|null} bodyPart - Optional body part to further filter results
+ * @param {string} [locale] - Content locale
  */
-export async function getExercisesByEquipment(equipment, bodyPart = null) {
+export async function getExercisesByEquipment(equipment, bodyPart = null, locale = DEFAULT_LOCALE) {
     try {
         let query = supabase
             .from('exercises')
             .select('*')
+            .is('deleted_at', null)
             .eq('equipment', equipment);
 
         if (bodyPart) {
@@ -284,7 +296,7 @@ export async function getExercisesByEquipment(equipment, bodyPart = null) {
 
         return {
             success: true,
-            data: transformExercises(data || [])
+            data: transformExercises(data || [], await getExerciseTranslations(locale))
         };
     } catch (error) {
         console.error(`Error fetching exercises for equipment ${equipment}:`, error.message);
@@ -298,11 +310,12 @@ export async function getExercisesByEquipment(equipment, bodyPart = null) {
 /**
  * Get exercises by body part
  */
-export async function getExercisesByBodyPart(bodyPart) {
+export async function getExercisesByBodyPart(bodyPart, locale = DEFAULT_LOCALE) {
     try {
         const { data, error } = await supabase
             .from('exercises')
             .select('*')
+            .is('deleted_at', null)
             .eq('bodyPart', bodyPart)
             .order('name');
 
@@ -310,7 +323,7 @@ export async function getExercisesByBodyPart(bodyPart) {
 
         return {
             success: true,
-            data: transformExercises(data || [])
+            data: transformExercises(data || [], await getExerciseTranslations(locale))
         };
     } catch (error) {
         console.error(`Error fetching exercises for body part ${bodyPart}:`, error.message);
@@ -324,11 +337,12 @@ export async function getExercisesByBodyPart(bodyPart) {
 /**
  * Get exercises by target muscle
  */
-export async function getExercisesByTarget(target) {
+export async function getExercisesByTarget(target, locale = DEFAULT_LOCALE) {
     try {
         const { data, error } = await supabase
             .from('exercises')
             .select('*')
+            .is('deleted_at', null)
             .eq('target', target)
             .order('name');
 
@@ -336,7 +350,7 @@ export async function getExercisesByTarget(target) {
 
         return {
             success: true,
-            data: transformExercises(data || [])
+            data: transformExercises(data || [], await getExerciseTranslations(locale))
         };
     } catch (error) {
         console.error(`Error fetching exercises for target ${target}:`, error.message);
@@ -350,7 +364,7 @@ export async function getExercisesByTarget(target) {
 /**
  * Get exercise by ID
  */
-export async function getExerciseById(exerciseId) {
+export async function getExerciseById(exerciseId, locale = DEFAULT_LOCALE) {
     try {
         const { data, error } = await supabase
             .from('exercises')
@@ -362,7 +376,7 @@ export async function getExerciseById(exerciseId) {
 
         return {
             success: true,
-            data: transformExercise(data)
+            data: transformExercise(data, await getExerciseTranslations(locale))
         };
     } catch (error) {
         console.error(`Error fetching exercise ${exerciseId}:`, error.message);
@@ -374,22 +388,59 @@ export async function getExerciseById(exerciseId) {
 }
 
 /**
- * Search exercises by name
+ * Ranked search across name, aliases, muscles, equipment and instructions
+ * Typo tolerant (trigram similarity on names/aliases); filters are combined with AND
+ * and each accepts a list of values (OR within the filter)
+ * @param {string|null} query - Free text; optional when at least one filter is given
+ * @param {Object} options
+ * @param {string[]} [options.equipment]
+ * @param {string[]} [options.bodyPart]
+ * @param {string[]} [options.target]
+ * @param {string[]} [options.difficulty]
+ * @param {string[]} [options.category]
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @param {string} [options.locale] - Content locale of the results (matching is on the English catalog)
  */
-export async function searchExercises(query) {
+export async function searchExercises(query, { equipment, bodyPart, target, difficulty, category, limit = 50, offset = 0, locale = DEFAULT_LOCALE } = {}) {
+    const toFilter = (values) => (values && values.length > 0 ? values : null);
+    const runSearch = (pageLimit, pageOffset) => supabase.rpc('search_exercises', {
+        query_param: query || null,
+        equipment_param: toFilter(equipment),
+        body_part_param: toFilter(bodyPart),
+        target_param: toFilter(target),
+        difficulty_param: toFilter(difficulty),
+        category_param: toFilter(category),
+        limit_param: pageLimit,
+        offset_param: pageOffset
+    });
+
     try {
-        const { data, error } = await supabase
-            .from('exercises')
-            .select('*')
-            .ilike('name', `%${query}%`)
-            .order('name')
-            .limit(50);
+        const { data, error } = await runSearch(limit, offset);
 
         if (error) throw error;
 
+        const rows = data || [];
+        let total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+
+        // A page past the end has no rows to carry the count - fetch it from the first page
+        if (rows.length === 0 && offset > 0) {
+            const { data: firstRow, error: countError } = await runSearch(1, 0);
+            if (countError) throw countError;
+            total = firstRow?.length > 0 ? Number(firstRow[0].total_count) : 0;
+        }
+
+        const translations = await getExerciseTranslations(locale);
+
         return {
             success: true,
-            data: transformExercises(data || [])
+            data: rows.map(row => ({
+                ...transformExercise(row.exercise, translations),
+                searchRank: row.rank
+            })),
+            total,
+            limit,
+            offset
         };
     } catch (error) {
         console.error(`Error searching exercises for "${query}":`, error.message);
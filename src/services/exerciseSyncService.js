@@ -0,0 +1,369 @@
+import { supabase } from '../config/supabase.js';
+import { clearCache } from './exerciseService.js';
+import { TAXONOMY_FIELDS, normalizeExerciseTaxonomy } from './taxonomyService.js';
+
+/**
+ * Exercise Sync Service
+ * Computes the difference between the source catalog (ExerciseDB) and the
+ * exercises table, reports it, and applies it with a version history
+ *
+ * - added: in the source, not in the table
+ * - changed: in both, with different synced fields
+ * - removed: in the table, not in the source (full syncs only) - soft-deleted
+ * - restored: previously removed, back in the source
+ */
+
+// Fields owned by the source; everything else (image_url, aliases, ...) is ours
+// The taxonomy fields are derived from the source fields, so a taxonomy change
+// shows up as a change on the next sync
+export const SYNCED_FIELDS = [
+    'name',
+    'bodyPart',
+    'target',
+    'equipment',
+    'secondary_muscles',
+    'instructions',
+    'description',
+    'difficulty',
+    'category',
+    ...TAXONOMY_FIELDS
+];
+
+// Community exercises approved from custom submissions don't exist in the source
+const LOCAL_ID_PREFIXES = ['community_'];
+
+// Generated search columns aren't part of the exercise's content
+const UNVERSIONED_COLUMNS = ['search_vector', 'search_names'];
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Map an ExerciseDB exercise to the synced columns, with canonical muscles and movement pattern
+ */
+export function normalizeSourceExercise(exercise) {
+    const normalized = {
+        id: exercise.id,
+        name: exercise.name,
+        bodyPart: exercise.bodyPart,
+        target: exercise.target,
+        equipment: exercise.equipment,
+        secondary_muscles: exercise.secondaryMuscles || [],
+        instructions: exercise.instructions || [],
+        description: exercise.description || '',
+        difficulty: exercise.difficulty,
+        category: exercise.category
+    };
+
+    return { ...normalized, ...normalizeExerciseTaxonomy(normalized) };
+}
+
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Fetch every exercise row (including soft-deleted ones), paging past the PostgREST row limit
+ */
+async function fetchAllExerciseRows() {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('exercises')
+            .select('*')
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return rows;
+}
+
+/**
+ * Compare source exercises with the table
+ * @param {Array} sourceExercises - Normalized source exercises
+ * @param {Array} currentRows - Current exercises rows
+ * @param {Object} options
+ * @param {boolean} options.fullSync - The source list is the whole catalog (required to detect removals)
+ * @returns {Object} - { added, changed: [{ id, name, changes: { field: { from, to } } }], removed, restored, unchanged }
+ */
+export function computeExerciseDiff(sourceExercises, currentRows, { fullSync = false } = {}) {
+    const currentById = new Map(currentRows.map(row => [row.id, row]));
+    const sourceIds = new Set(sourceExercises.map(exercise => exercise.id));
+
+    const diff = { added: [], changed: [], removed: [], restored: [], unchanged: 0 };
+
+    for (const exercise of sourceExercises) {
+        const current = currentById.get(exercise.id);
+
+        if (!current) {
+            diff.added.push(exercise);
+            continue;
+        }
+
+        const changes = {};
+        for (const field of SYNCED_FIELDS) {
+            if (!isSameValue(current[field], exercise[field])) {
+                changes[field] = { from: current[field] ?? null, to: exercise[field] ?? null };
+            }
+        }
+
+        if (current.deleted_at) {
+            diff.restored.push({ id: exercise.id, name: exercise.name, changes, exercise });
+        } else if (Object.keys(changes).length > 0) {
+            diff.changed.push({ id: exercise.id, name: exercise.name, changes, exercise });
+        } else {
+            diff.unchanged++;
+        }
+    }
+
+    if (fullSync) {
+        diff.removed = currentRows
+            .filter(row => !row.deleted_at && !sourceIds.has(row.id))
+            .filter(row => !LOCAL_ID_PREFIXES.some(prefix => row.id.startsWith(prefix)))
+            .map(row => ({ id: row.id, name: row.name }));
+    }
+
+    return diff;
+}
+
+/**
+ * Build the diff for a batch of source exercises against the current table
+ */
+export async function previewExerciseSync(sourceExercises, { fullSync = false } = {}) {
+    const currentRows = await fetchAllExerciseRows();
+    return computeExerciseDiff(sourceExercises.map(normalizeSourceExercise), currentRows, { fullSync });
+}
+
+/**
+ * Human-readable diff report (one line per change)
+ */
+export function formatExerciseDiff(diff) {
+    const lines = [
+        `➕ Added: ${diff.added.length}`,
+        ...diff.added.map(exercise => `   + ${exercise.name} (${exercise.id})`),
+        `✏️  Changed: ${diff.changed.length}`
+    ];
+
+    diff.changed.forEach(({ id, name, changes }) => {
+        lines.push(`   ~ ${name} (${id})`);
+        Object.entries(changes).forEach(([field, { from, to }]) => {
+            lines.push(`       ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+        });
+    });
+
+    lines.push(`♻️  Restored: ${diff.restored.length}`);
+    lines.push(...diff.restored.map(({ id, name }) => `   ↺ ${name} (${id})`));
+    lines.push(`➖ Removed (soft delete): ${diff.removed.length}`);
+    lines.push(...diff.removed.map(({ id, name }) => `   - ${name} (${id})`));
+    lines.push(`⏸️  Unchanged: ${diff.unchanged}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Compact diff stored on the sync run (no full exercise payloads)
+ */
+function summarizeDiff(diff) {
+    return {
+        added: diff.added.map(({ id, name }) => ({ id, name })),
+        changed: diff.changed.map(({ id, name, changes }) => ({ id, name, changes })),
+        restored: diff.restored.map(({ id, name, changes }) => ({ id, name, changes })),
+        removed: diff.removed
+    };
+}
+
+/**
+ * Record a computed diff as a sync run
+ * @returns {Promise<Object>} - The sync run row
+ */
+export async function recordSyncRun(diff, { fullSync = false, sourceOffset = null, sourceLimit = null } = {}) {
+    const { data, error } = await supabase
+        .from('exercise_sync_runs')
+        .insert({
+            status: 'previewed',
+            full_sync: fullSync,
+            source_offset: sourceOffset,
+            source_limit: sourceLimit,
+            added_count: diff.added.length,
+            changed_count: diff.changed.length,
+            removed_count: diff.removed.length,
+            restored_count: diff.restored.length,
+            unchanged_count: diff.unchanged,
+            diff: summarizeDiff(diff)
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function recordVersion(row, changeType, changedFields, syncRunId) {
+    const snapshot = { ...row };
+    UNVERSIONED_COLUMNS.forEach(column => delete snapshot[column]);
+
+    const { error } = await supabase
+        .from('exercise_versions')
+        .insert({
+            exercise_id: row.id,
+            version: row.version,
+            change_type: changeType,
+            changed_fields: changedFields,
+            snapshot,
+            sync_run_id: syncRunId
+        });
+
+    if (error) throw error;
+}
+
+/**
+ * Update an existing exercise and store the new version
+ */
+async function updateVersionedExercise(id, updates, changeType, changedFields, syncRunId) {
+    const { data: current, error: fetchError } = await supabase
+        .from('exercises')
+        .select('version')
+        .eq('id', id)
+        .single();
+
+    if (fetchError) throw fetchError;
+
+    const { data, error } = await supabase
+        .from('exercises')
+        .update({ ...updates, version: current.version + 1 })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    await recordVersion(data, changeType, changedFields, syncRunId);
+}
+
+/**
+ * Apply a diff to the exercises table
+ * Each exercise is applied on its own; failures are collected and don't stop the sync
+ * @param {Object} diff - From previewExerciseSync/computeExerciseDiff
+ * @param {Object} options
+ * @param {string} [options.syncRunId] - Sync run to mark as applied
+ * @param {Function} [options.resolveImageUrl] - async (exerciseId) => image URL for added exercises
+ * @param {Function} [options.onProgress] - (message) => void
+ * @returns {Promise<Object>} - { applied, errors: [{ id, name, error }] }
+ */
+export async function applyExerciseDiff(diff, { syncRunId = null, resolveImageUrl = null, onProgress = () => {} } = {}) {
+    let applied = 0;
+    const errors = [];
+
+    const run = async (entry, label, operation) => {
+        try {
+            await operation();
+            applied++;
+            onProgress(`${label}: ${entry.name} (${entry.id})`);
+        } catch (error) {
+            errors.push({ id: entry.id, name: entry.name, error: error.message });
+            onProgress(`❌ Failed: ${entry.name} (${entry.id}) - ${error.message}`);
+        }
+    };
+
+    for (const exercise of diff.added) {
+        await run(exercise, '✅ Added', async () => {
+            const imageUrl = resolveImageUrl ? await resolveImageUrl(exercise.id) : null;
+
+            const { data, error } = await supabase
+                .from('exercises')
+                .insert({ ...exercise, image_url: imageUrl, version: 1 })
+                .select()
+                .single();
+
+            if (error) throw error;
+            await recordVersion(data, 'added', SYNCED_FIELDS, syncRunId);
+        });
+    }
+
+    for (const { id, name, changes, exercise } of diff.changed) {
+        const updates = Object.fromEntries(Object.keys(changes).map(field => [field, exercise[field]]));
+        await run({ id, name }, '✏️  Updated', () =>
+            updateVersionedExercise(id, updates, 'changed', Object.keys(changes), syncRunId)
+        );
+    }
+
+    for (const { id, name, changes, exercise } of diff.restored) {
+        const updates = Object.fromEntries(Object.keys(changes).map(field => [field, exercise[field]]));
+        await run({ id, name }, '♻️  Restored', () =>
+            updateVersionedExercise(id, { ...updates, deleted_at: null }, 'restored', Object.keys(changes), syncRunId)
+        );
+    }
+
+    for (const { id, name } of diff.removed) {
+        await run({ id, name }, '➖ Soft-deleted', () =>
+            updateVersionedExercise(id, { deleted_at: new Date().toISOString() }, 'removed', [], syncRunId)
+        );
+    }
+
+    if (syncRunId) {
+        const { error } = await supabase
+            .from('exercise_sync_runs')
+            .update({
+                status: errors.length > 0 && applied === 0 ? 'failed' : 'applied',
+                applied_at: new Date().toISOString(),
+                error_message: errors.length > 0 ? `${errors.length} exercises failed to apply` : null
+            })
+            .eq('id', syncRunId);
+
+        if (error) console.error('Error updating sync run:', error.message);
+    }
+
+    if (applied > 0) {
+        clearCache();
+    }
+
+    return { applied, errors };
+}
+
+/**
+ * Recompute the taxonomy columns of existing rows (after the taxonomy changed,
+ * or for rows written before it existed). Content is unchanged, so no new version is stored.
+ * @param {string} table - 'exercises' or 'custom_exercises'
+ * @returns {Promise<number>} - Number of rows updated
+ */
+export async function normalizeStoredTaxonomy(table, { onProgress = () => {} } = {}) {
+    let updated = 0;
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(['id', 'name', 'bodyPart', 'target', 'secondary_muscles', 'category', ...TAXONOMY_FIELDS].join(', '))
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        for (const row of data || []) {
+            const taxonomy = normalizeExerciseTaxonomy(row);
+            if (TAXONOMY_FIELDS.every(field => isSameValue(row[field], taxonomy[field]))) continue;
+
+            const { error: updateError } = await supabase
+                .from(table)
+                .update(taxonomy)
+                .eq('id', row.id);
+
+            if (updateError) throw updateError;
+
+            updated++;
+            onProgress(`🏷️  ${row.name} (${row.id}): ${taxonomy.canonical_target || '-'} / ${taxonomy.muscle_groups.join(', ') || '-'} / ${taxonomy.movement_pattern || '-'}`);
+        }
+
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    if (updated > 0 && table === 'exercises') {
+        clearCache();
+    }
+
+    return updated;
+}
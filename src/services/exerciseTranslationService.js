@@ -0,0 +1,217 @@
+import { supabase } from '../config/supabase.js';
+import NodeCache from 'node-cache';
+
+/**
+ * Exercise Translation Service
+ * Per-locale exercise names, instructions and target muscle, and the locale
+ * resolver used to pick them for a request
+ *
+ * The catalog (ExerciseDB) is English; exercise_translations holds the other
+ * locales. Anything without a translation falls back to English field by field.
+ * Plan and saved-workout snapshots store English and are localized when read.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'de', 'it', 'pt'];
+
+// Translations change rarely (imported by script), same TTL as the exercise cache
+const translationCache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Supported locale for a language tag ('es-MX' -> 'es'), or null
+ */
+export function normalizeLocale(tag) {
+    if (!tag || typeof tag !== 'string') return null;
+
+    const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Language tags from an Accept-Language header, most preferred first
+ * ('fr-CH, fr;q=0.9, en;q=0.8' -> ['fr-CH', 'fr', 'en'])
+ */
+export function parseAcceptLanguage(header) {
+    if (!header || typeof header !== 'string') return [];
+
+    return header
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+            return { tag: tag.trim(), q: Number.isNaN(q) ? 0 : q, index };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.tag);
+}
+
+/**
+ * Pick the content locale: explicit request > user profile > Accept-Language > English
+ * @param {Object} sources
+ * @param {string} [sources.requested] - ?locale= query param
+ * @param {string} [sources.userLocale] - users.locale
+ * @param {string} [sources.acceptLanguage] - Accept-Language header
+ */
+export function resolveLocale({ requested, userLocale, acceptLanguage } = {}) {
+    return normalizeLocale(requested)
+        || normalizeLocale(userLocale)
+        || parseAcceptLanguage(acceptLanguage).map(normalizeLocale).find(Boolean)
+        || DEFAULT_LOCALE;
+}
+
+/**
+ * Content locale for an Express request
+ */
+export function getRequestLocale(req) {
+    return resolveLocale({
+        requested: req.query?.locale,
+        userLocale: req.user?.locale,
+        acceptLanguage: req.headers?.['accept-language']
+    });
+}
+
+/**
+ * All translations for a locale
+ * @returns {Promise<Map|null>} - exerciseId -> { name, instructions, target }; null for the default locale
+ */
+export async function getExerciseTranslations(locale) {
+    if (!locale || locale === DEFAULT_LOCALE) return null;
+
+    const cacheKey = `translations_${locale}`;
+    const cached = translationCache.get(cacheKey);
+    if (cached) return cached;
+
+    const translations = new Map();
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('exercise_translations')
+            .select('exercise_id, name, instructions, target')
+            .eq('locale', locale)
+            .order('exercise_id')
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        (data || []).forEach(row => translations.set(row.exercise_id, row));
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    translationCache.set(cacheKey, translations);
+    return translations;
+}
+
+/**
+ * Translated fields to merge over an exercise (empty values fall back to English)
+ * @param {Object|null} translation - Row from getExerciseTranslations
+ * @param {Object} [options]
+ * @param {string} [options.targetField='target'] - Name of the target muscle field on the exercise
+ */
+export function getTranslatedFields(translation, { targetField = 'target' } = {}) {
+    if (!translation) return {};
+
+    return {
+        ...(translation.name && { name: translation.name }),
+        ...(translation.instructions?.length > 0 && { instructions: translation.instructions }),
+        ...(translation.target && { [targetField]: translation.target })
+    };
+}
+
+/**
+ * Localize exercise-shaped objects (catalog rows, plan snapshots, saved exercises)
+ * @param {Array} exercises
+ * @param {string} locale
+ * @param {Object} [options]
+ * @param {string} [options.idField] - Field holding the catalog ID (default: id, then exercise_id)
+ * @param {string} [options.targetField='target']
+ */
+export async function localizeExercises(exercises, locale, { idField = null, targetField = 'target' } = {}) {
+    if (!Array.isArray(exercises) || exercises.length === 0) return exercises;
+
+    const translations = await getExerciseTranslations(locale);
+    if (!translations) return exercises;
+
+    return exercises.map(exercise => {
+        const id = idField ? exercise[idField] : (exercise.id || exercise.exercise_id);
+
+        return {
+            ...exercise,
+            ...getTranslatedFields(translations.get(id), { targetField }),
+            ...(Array.isArray(exercise.alternatives) && {
+                alternatives: exercise.alternatives.map(alternative => ({
+                    ...alternative,
+                    ...getTranslatedFields(translations.get(alternative.id), { targetField })
+                }))
+            })
+        };
+    });
+}
+
+/**
+ * Localize the exercises (and preview alternatives) of one or more workouts
+ * @param {Object|Array} workouts - Daily/saved workouts with exercises and warm_up_exercises
+ * @param {string} locale
+ */
+export async function localizeWorkouts(workouts, locale) {
+    if (!workouts || locale === DEFAULT_LOCALE) return workouts;
+    if (!Array.isArray(workouts)) return (await localizeWorkouts([workouts], locale))[0];
+
+    return Promise.all(workouts.map(async workout => ({
+        ...workout,
+        ...(Array.isArray(workout.exercises) && {
+            exercises: await localizeExercises(workout.exercises, locale)
+        }),
+        ...(Array.isArray(workout.warm_up_exercises) && {
+            warm_up_exercises: await localizeExercises(workout.warm_up_exercises, locale)
+        })
+    })));
+}
+
+/**
+ * Localize a plan (or plan preview) with its daily workouts
+ */
+export async function localizePlan(plan, locale) {
+    if (!plan || !Array.isArray(plan.daily_workouts) || locale === DEFAULT_LOCALE) return plan;
+
+    return {
+        ...plan,
+        daily_workouts: await localizeWorkouts(plan.daily_workouts, locale)
+    };
+}
+
+/**
+ * Insert or replace translations for a locale
+ * @param {string} locale - Supported, non-default locale
+ * @param {Array} translations - [{ exercise_id, name?, instructions?, target? }]
+ * @returns {Promise<number>} - Number of rows written
+ */
+export async function upsertExerciseTranslations(locale, translations) {
+    if (!SUPPORTED_LOCALES.includes(locale) || locale === DEFAULT_LOCALE) {
+        throw new Error(`Cannot store translations for locale "${locale}"`);
+    }
+
+    const rows = translations
+        .filter(translation => translation.exercise_id)
+        .map(translation => ({
+            exercise_id: translation.exercise_id,
+            locale,
+            name: translation.name || null,
+            instructions: translation.instructions || null,
+            target: translation.target || null
+        }));
+
+    for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+        const { error } = await supabase
+            .from('exercise_translations')
+            .upsert(rows.slice(i, i + PAGE_SIZE), { onConflict: 'exercise_id,locale' });
+
+        if (error) throw error;
+    }
+
+    translationCache.del(`translations_${locale}`);
+    return rows.length;
+}
@@ -1,3 +1,5 @@
+import os from 'os';
+import { EventEmitter } from 'events';
 import { supabase } from '../config/supabase.js';
 import * as workoutPlannerService from './workoutPlannerService.js';
 import { sendPushNotification } from './pushNotificationService.js';
@@ -5,9 +7,52 @@ import { sendPushNotification } from './pushNotificationService.js';
 /**
  * Generation Job Service
  * Handles async workout plan generation with job queue
+ *
+ * Jobs are stored in generation_jobs and processed by a worker loop:
+ * - pending jobs are claimed atomically (claim_generation_jobs), so several
+ *   server instances can share the queue
+ * - at most GENERATION_JOB_CONCURRENCY jobs run at once per instance
+ * - failed or timed-out attempts are retried with exponential backoff; errors a
+ *   retry can't fix (error.retryable === false, e.g. 'User not found') fail the job at once
+ * - a timed-out attempt keeps its slot until it has actually stopped, so it never
+ *   runs next to its own retry
+ * - running jobs get a heartbeat; jobs whose worker went silent (restart/crash)
+ *   are re-queued on startup and on every poll
+ * - progress stages are stored on the job and announced on `events`
+ *   (`job:<id>`) for the SSE stream
  */
 
+const WORKER_ENABLED = process.env.GENERATION_WORKER_ENABLED !== 'false';
+const CONCURRENCY = parseInt(process.env.GENERATION_JOB_CONCURRENCY) || 2;
+const JOB_TIMEOUT_MS = parseInt(process.env.GENERATION_JOB_TIMEOUT_MS) || 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STALE_AFTER_MS = HEARTBEAT_INTERVAL_MS * 4;
+const RETRY_BASE_DELAY_MS = 10000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Progress percentage reached at each stage
+export const JOB_PROGRESS_STAGES = {
+  queued: 0,
+  started: 5,
+  profile_fetched: 15,
+  exercises_selected: 30,
+  plan_drafted: 65,
+  alternatives_added: 90,
+  saved: 100
+};
+
 class GenerationJobService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.runningJobs = new Map(); // jobId -> attempt number
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
   /**
    * Create a new generation job
    */
@@ -27,10 +72,10 @@ class GenerationJobService {
 
       console.log(`📋 Created generation job ${job.id} for user ${userId}`);
 
-      // Start processing in background (don't await)
-      this.processJob(job.id).catch(err => {
-        console.error(`❌ Error processing job ${job.id}:`, err);
-      });
+      // Pick it up right away instead of waiting for the next poll
+      if (this.pollTimer) {
+        this.poll();
+      }
 
       return job;
     } catch (error) {
@@ -60,7 +105,12 @@ class GenerationJobService {
         created_at: job.created_at,
         completed_at: job.completed_at,
         result_data: job.result_data,
-        error_message: job.error_message
+        error_message: job.error_message,
+        progress_stage: job.progress_stage,
+        progress_percent: job.progress_percent,
+        attempts: job.attempts,
+        max_attempts: job.max_attempts,
+        next_attempt_at: job.status === 'pending' ? job.next_attempt_at : null
       };
     } catch (error) {
       console.error('Error getting job:', error);
@@ -68,72 +118,280 @@ class GenerationJobService {
     }
   }
 
+  // ==========================================================================
+  // WORKER LOOP
+  // ==========================================================================
+
+  /**
+   * Start the worker loop (called once on server startup)
+   */
+  async start() {
+    if (!WORKER_ENABLED) {
+      console.log('⏸️  Generation job worker disabled (GENERATION_WORKER_ENABLED=false)');
+      return;
+    }
+    if (this.pollTimer) return;
+
+    console.log(`🏭 Generation job worker ${this.workerId} started (concurrency ${CONCURRENCY})`);
+
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), HEARTBEAT_INTERVAL_MS);
+
+    // Jobs left in processing by a previous run are re-queued before the first claim
+    await this.poll();
+  }
+
+  /**
+   * Stop claiming new jobs (running jobs are re-queued by another worker once their heartbeat stops)
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
   /**
-   * Process a generation job (runs in background)
+   * One worker tick: re-queue stale jobs, then claim as many as there are free slots
    */
-  async processJob(jobId) {
-    let job;
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
 
     try {
-      // Fetch the job
-      const { data: fetchedJob, error: fetchError } = await supabase
-        .from('generation_jobs')
-        .select('*')
-        .eq('id', jobId)
-        .single();
+      await this.requeueStaleJobs();
 
-      if (fetchError) throw fetchError;
-      job = fetchedJob;
+      const freeSlots = CONCURRENCY - this.runningJobs.size;
+      if (freeSlots <= 0) return;
 
-      // Mark as processing
-      await supabase
+      const { data: jobs, error } = await supabase.rpc('claim_generation_jobs', {
+        worker_id_param: this.workerId,
+        batch_size_param: freeSlots
+      });
+
+      if (error) throw error;
+
+      for (const job of jobs || []) {
+        this.runningJobs.set(job.id, job.attempts);
+        this.processJob(job)
+          .catch(err => {
+            console.error(`❌ Error processing job ${job.id}:`, err);
+          })
+          .finally(() => {
+            this.runningJobs.delete(job.id);
+          });
+      }
+    } catch (error) {
+      console.error('Error polling generation jobs:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Keep the lock on running jobs fresh so they aren't considered stale
+   */
+  async sendHeartbeat() {
+    if (this.runningJobs.size === 0) return;
+
+    try {
+      const { error } = await supabase
         .from('generation_jobs')
-        .update({
-          status: 'processing',
-          started_at: new Date().toISOString()
-        })
-        .eq('id', jobId);
+        .update({ locked_at: new Date().toISOString() })
+        .in('id', [...this.runningJobs.keys()])
+        .eq('locked_by', this.workerId)
+        .eq('status', 'processing');
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error sending generation job heartbeat:', error);
+    }
+  }
+
+  /**
+   * Re-queue processing jobs whose worker stopped sending heartbeats
+   * (jobs out of attempts are failed instead)
+   */
+  async requeueStaleJobs() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MS).toISOString();
+
+    const { data: jobs, error } = await supabase.rpc('requeue_stale_generation_jobs', {
+      stale_before_param: staleBefore
+    });
+
+    if (error) throw error;
 
-      console.log(`🔄 Processing generation job ${jobId}...`);
+    for (const job of jobs || []) {
+      this.events.emit(`job:${job.id}`, { status: job.status });
+
+      if (job.status === 'failed') {
+        console.log(`❌ Stale generation job ${job.id} failed after ${job.attempts} attempts`);
+        await this.sendFailureNotification(job.user_id, job.id);
+      } else {
+        console.log(`♻️  Re-queued stale generation job ${job.id} (worker ${job.locked_by || 'unknown'} went silent)`);
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt: 10s, 20s, 40s... capped at 5 minutes
+   */
+  getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS);
+  }
+
+  /**
+   * Update a job only while this worker still owns the current attempt
+   * (a timed-out attempt that finishes late must not overwrite a retry)
+   * @returns {Promise<boolean>} - Whether the job was updated
+   */
+  async updateOwnedJob(job, updates) {
+    const { data, error } = await supabase
+      .from('generation_jobs')
+      .update(updates)
+      .eq('id', job.id)
+      .eq('status', 'processing')
+      .eq('locked_by', this.workerId)
+      .eq('attempts', job.attempts)
+      .select('id');
+
+    if (error) throw error;
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Listen for updates to a job on this instance
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(jobId, listener) {
+    this.events.on(`job:${jobId}`, listener);
+    return () => this.events.off(`job:${jobId}`, listener);
+  }
+
+  /**
+   * Store the stage the running attempt has reached and announce it
+   * (progress is informational - failures are logged, never thrown)
+   */
+  async reportProgress(job, stage, details = {}) {
+    try {
+      await this.updateOwnedJob(job, {
+        progress_stage: stage,
+        progress_percent: JOB_PROGRESS_STAGES[stage]
+      });
+      this.events.emit(`job:${job.id}`, { status: 'processing', progress_stage: stage, details });
+    } catch (error) {
+      console.error(`Error reporting progress for job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Process a claimed generation job
+   */
+  async processJob(job) {
+    let timeoutId;
+    let generation = null;
+    const controller = new AbortController();
+
+    try {
+      console.log(`🔄 Processing generation job ${job.id} (attempt ${job.attempts}/${job.max_attempts})...`);
+      await this.reportProgress(job, 'started');
+
+      const timeout = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+          const error = new Error(`Generation timed out after ${JOB_TIMEOUT_MS}ms`);
+          error.code = 'JOB_TIMEOUT';
+          reject(error);
+        }, JOB_TIMEOUT_MS);
+      });
 
       // Generate the workout plan preview
-      const result = await workoutPlannerService.generatePlanPreview({
+      // Once aborted, the next progress report stops the generation (no further AI calls)
+      generation = workoutPlannerService.generatePlanPreview({
         userId: job.user_id,
-        ...job.request_data
+        ...job.request_data,
+        onProgress: async (stage, details) => {
+          if (controller.signal.aborted) throw controller.signal.reason;
+          await this.reportProgress(job, stage, details);
+        }
       });
 
+      const result = await Promise.race([generation, timeout]);
+
       // Mark as completed and store result
-      await supabase
-        .from('generation_jobs')
-        .update({
-          status: 'completed',
-          completed_at: new Date().toISOString(),
-          result_data: result
-        })
-        .eq('id', jobId);
+      const updated = await this.updateOwnedJob(job, {
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        result_data: result,
+        error_message: null,
+        progress_stage: 'saved',
+        progress_percent: JOB_PROGRESS_STAGES.saved,
+        locked_by: null,
+        locked_at: null
+      });
 
-      console.log(`✅ Generation job ${jobId} completed successfully`);
+      if (!updated) {
+        console.warn(`⚠️  Generation job ${job.id} finished but is no longer owned by this worker - result discarded`);
+        return;
+      }
+
+      this.events.emit(`job:${job.id}`, { status: 'completed', progress_stage: 'saved' });
+
+      console.log(`✅ Generation job ${job.id} completed successfully`);
 
       // Send push notification to user
-      await this.sendCompletionNotification(job.user_id, jobId);
+      await this.sendCompletionNotification(job.user_id, job.id);
 
     } catch (error) {
-      console.error(`❌ Generation job ${jobId} failed:`, error);
+      console.error(`❌ Generation job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error);
 
-      // Mark as failed and store error
-      await supabase
-        .from('generation_jobs')
-        .update({
-          status: 'failed',
-          completed_at: new Date().toISOString(),
-          error_message: error.message || 'Generation failed'
-        })
-        .eq('id', jobId);
+      if (error.code === 'JOB_TIMEOUT') {
+        // Promise.race doesn't cancel the generation: stop it and keep the slot
+        // (and the job's heartbeat) until it has settled
+        controller.abort(error);
+        await generation.catch(() => {});
+      }
+
+      const errorMessage = error.message || 'Generation failed';
+
+      if (error.retryable === false) {
+        console.log(`⛔ Generation job ${job.id} can't succeed on retry - failing it`);
+      } else if (job.attempts < job.max_attempts) {
+        // Retry later with exponential backoff
+        const delay = this.getRetryDelay(job.attempts);
+        const requeued = await this.updateOwnedJob(job, {
+          status: 'pending',
+          error_message: errorMessage,
+          next_attempt_at: new Date(Date.now() + delay).toISOString(),
+          progress_stage: 'queued',
+          progress_percent: JOB_PROGRESS_STAGES.queued,
+          locked_by: null,
+          locked_at: null
+        });
+
+        if (requeued) {
+          console.log(`🔁 Generation job ${job.id} will be retried in ${Math.round(delay / 1000)}s`);
+          this.events.emit(`job:${job.id}`, { status: 'pending', progress_stage: 'queued' });
+        }
+        return;
+      }
+
+      // Out of attempts (or not retryable) - mark as failed and store error
+      const failed = await this.updateOwnedJob(job, {
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        error_message: errorMessage,
+        locked_by: null,
+        locked_at: null
+      });
 
       // Send error notification to user
-      if (job?.user_id) {
-        await this.sendFailureNotification(job.user_id, jobId);
+      if (failed) {
+        this.events.emit(`job:${job.id}`, { status: 'failed' });
+        await this.sendFailureNotification(job.user_id, job.id);
       }
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
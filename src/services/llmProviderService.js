@@ -0,0 +1,34 @@
+import { openaiProvider } from './llmProviders/openaiProvider.js'
+import { mockProvider } from './llmProviders/mockProvider.js'
+
+/**
+ * LLM Provider Service
+ * Selects the LLM backend used by every AI feature (LLM_PROVIDER env)
+ *
+ * A provider implements:
+ * - name
+ * - createChatCompletion(params, { feature }) -> { content, model, usage }
+ * - moderate(text) -> { flagged, categories, category_scores }
+ */
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  mock: mockProvider
+}
+
+let provider = null
+
+/**
+ * @returns {Object} - The configured provider (defaults to OpenAI)
+ */
+export function getLLMProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || 'openai').toLowerCase()
+
+    provider = PROVIDERS[name]
+    if (!provider) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`)
+    }
+  }
+  return provider
+}
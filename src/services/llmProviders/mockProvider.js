@@ -0,0 +1,85 @@
+import fs from 'fs'
+import { llmFixtures, moderationFixture } from '../../content/llm-fixtures/index.js'
+
+/**
+ * Mock LLM Provider
+ * Deterministic, fixture-driven responses for local development and tests -
+ * no network calls, no API key, zero cost
+ *
+ * Fixtures live in src/content/llm-fixtures. LLM_MOCK_FIXTURES_FILE can point to a
+ * JSON file of { [feature]: response } that overrides them per feature.
+ */
+
+let fileFixtures = null
+
+function getFileFixtures() {
+  if (fileFixtures === null) {
+    const path = process.env.LLM_MOCK_FIXTURES_FILE
+    fileFixtures = path ? JSON.parse(fs.readFileSync(path, 'utf8')) : {}
+  }
+  return fileFixtures
+}
+
+/**
+ * Text of the first user message (prompts with images keep their text part)
+ */
+function getPromptText(messages = []) {
+  const userMessage = messages.find(message => message.role === 'user')
+  const content = userMessage?.content
+
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+  }
+  return content || ''
+}
+
+// Rough token count so usage logs stay populated
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4)
+}
+
+export const mockProvider = {
+  name: 'mock',
+
+  /**
+   * @param {Object} params - Chat completion params (only messages are used)
+   * @param {Object} context - { feature } selects the fixture
+   * @returns {Promise<Object>} - { content, model, usage }
+   */
+  async createChatCompletion(params, { feature } = {}) {
+    const fixture = getFileFixtures()[feature] ?? llmFixtures[feature]
+    if (!fixture) {
+      throw new Error(`No mock LLM fixture for feature "${feature}"`)
+    }
+
+    const prompt = getPromptText(params.messages)
+    const content = JSON.stringify(typeof fixture === 'function' ? fixture(prompt) : fixture)
+    const promptTokens = estimateTokens(params.messages.map(message => JSON.stringify(message.content)).join(''))
+    const completionTokens = estimateTokens(content)
+
+    return {
+      content,
+      model: 'mock',
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    }
+  },
+
+  /**
+   * @param {string} text
+   * @returns {Promise<Object>} - { flagged, categories, category_scores }
+   */
+  async moderate(text) {
+    const lowerText = text.toLowerCase()
+    const flagged = moderationFixture.flaggedTerms.some(term => lowerText.includes(term))
+
+    return {
+      flagged,
+      categories: { [moderationFixture.category]: flagged },
+      category_scores: { [moderationFixture.category]: flagged ? 0.99 : 0.01 }
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import OpenAI from 'openai'
+
+/**
+ * OpenAI LLM Provider
+ * Chat completions and moderation through the OpenAI API
+ */
+
+let client = null
+
+// Created on first use so the server can start without OPENAI_API_KEY (e.g. with the mock provider)
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    })
+  }
+  return client
+}
+
+export const openaiProvider = {
+  name: 'openai',
+
+  /**
+   * @param {Object} params - Chat completion params (model, messages, response_format, temperature, max_tokens)
+   * @returns {Promise<Object>} - { content, model, usage }
+   */
+  async createChatCompletion(params) {
+    const response = await getClient().chat.completions.create(params)
+
+    return {
+      content: response.choices[0].message.content,
+      model: params.model,
+      usage: response.usage || {}
+    }
+  },
+
+  /**
+   * @param {string} text
+   * @returns {Promise<Object>} - { flagged, categories, category_scores }
+   */
+  async moderate(text) {
+    const response = await getClient().moderations.create({
+      input: text
+    })
+
+    const result = response.results[0]
+
+    return {
+      flagged: result.flagged,
+      categories: result.categories,
+      category_scores: result.category_scores
+    }
+  }
+}
@@ -663,6 +663,7 @@ export const createWeeklyReportNotification = async (userId, reportData) => {
           workouts_completed: reportData.workouts_completed,
           total_minutes: reportData.total_minutes,
           total_calories: reportData.total_calories,
+          total_volume_kg: reportData.total_volume_kg || 0,
           avg_difficulty: reportData.avg_difficulty,
           most_common_time: reportData.most_common_time
         }
@@ -674,7 +675,7 @@ export const createWeeklyReportNotification = async (userId, reportData) => {
 
     await sendPushNotification(userId, {
       title: 'Your Weekly Summary 📊',
-      body: `${reportData.workouts_completed} workouts, ${reportData.total_minutes} min active time this week`,
+      body: `${reportData.workouts_completed} workouts, ${reportData.total_minutes} min active time${reportData.total_calories ? `, ${reportData.total_calories} cal burned` : ''} this week`,
       data: {
         type: 'weekly_report',
         screen: 'weekly-report',
@@ -761,7 +762,7 @@ export const createInactiveAlertNotification = async (userId, inactiveData) => {
 /**
  * Create recovery reminder notification
  * @param {string} userId - User ID
- * @param {Object} recoveryData - Recovery data
+ * @param {Object} recoveryData - { fatigued_muscles, overall_readiness, upcoming_workout? }
  * @returns {Promise<Object|null>} Created notification
  */
 export const createRecoveryReminderNotification = async (userId, recoveryData) => {
@@ -776,9 +777,9 @@ export const createRecoveryReminderNotification = async (userId, recoveryData) =
         type: 'recovery_reminder',
         notification_category: 'workout',
         metadata: {
-          consecutive_days: recoveryData.consecutive_days,
-          workouts_this_week: recoveryData.workouts_this_week,
-          total_minutes_this_week: recoveryData.total_minutes_this_week
+          fatigued_muscles: recoveryData.fatigued_muscles,
+          overall_readiness: recoveryData.overall_readiness,
+          upcoming_workout: recoveryData.upcoming_workout
         }
       })
       .select()
@@ -786,9 +787,14 @@ export const createRecoveryReminderNotification = async (userId, recoveryData) =
 
     if (error) throw error
 
+    const muscleList = recoveryData.fatigued_muscles.slice(0, 3).join(', ')
+    const body = recoveryData.upcoming_workout
+      ? `Your ${recoveryData.upcoming_workout.conflicting_muscles.join(', ')} still need recovery before tomorrow's ${recoveryData.upcoming_workout.workout_name}. Consider going lighter or rescheduling.`
+      : `Your ${muscleList} are still recovering. Give them a rest or train something else tomorrow!`
+
     await sendPushNotification(userId, {
       title: 'Time to Recover 🛌',
-      body: `You've worked out ${recoveryData.consecutive_days} days straight. Consider a rest day!`,
+      body,
       data: {
         type: 'recovery_reminder',
         screen: 'home',
@@ -814,3 +820,76 @@ export const createRecoveryReminderNotification = async (userId, recoveryData) =
     return null
   }
 }
+
+/**
+ * Create new personal record notification
+ * @param {string} userId - User ID
+ * @param {Object} prData - { completion_id, records: personal_records rows }
+ * @returns {Promise<Object|null>} Created notification
+ */
+export const createPersonalRecordNotification = async (userId, prData) => {
+  try {
+    console.log(`📬 Creating personal record notification for user ${userId}`)
+
+    const records = prData.records || []
+    if (records.length === 0) return null
+
+    const { data: notification, error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: userId,
+        actor_id: null,
+        type: 'personal_record',
+        notification_category: 'workout',
+        metadata: {
+          completion_id: prData.completion_id,
+          records: records.map(record => ({
+            id: record.id,
+            exercise_id: record.exercise_id,
+            exercise_name: record.exercise_name,
+            record_type: record.record_type,
+            value: record.value,
+            previous_value: record.previous_value
+          }))
+        }
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    const [first] = records
+    const exerciseName = first.exercise_name || 'an exercise'
+    const body = records.length === 1
+      ? `You just set a new record on ${exerciseName}! 💪`
+      : `You set ${records.length} new records, including ${exerciseName}! 💪`
+
+    await sendPushNotification(userId, {
+      title: 'New PR! 🏆',
+      body,
+      data: {
+        type: 'personal_record',
+        completionId: prData.completion_id,
+        screen: 'progress',
+        notificationId: notification.id
+      },
+      channelId: 'workout-notifications'
+    })
+
+    await supabase
+      .from('notifications')
+      .update({ push_sent: true, push_sent_at: new Date().toISOString() })
+      .eq('id', notification.id)
+
+    await supabase.rpc('increment_unread_notifications', {
+      user_id_param: userId
+    })
+
+    console.log(`✅ Personal record notification created: ${notification.id}`)
+    return notification
+
+  } catch (error) {
+    console.error('❌ Create personal record notification error:', error)
+    return null
+  }
+}
@@ -0,0 +1,173 @@
+import { parseRepRange, formatRepRange } from './progressiveOverloadService.js';
+
+// ============================================================================
+// MESOCYCLE PERIODIZATION
+// ============================================================================
+//
+// The AI generates a single base week. In mesocycle mode that week is expanded
+// into 4-12 weeks, each tagged with a phase:
+// - accumulation: build volume (an extra set every other week)
+// - intensification: lower reps, longer rest, heavier loads
+// - deload: ~60% of the sets to recover before the next block
+//
+// Mesocycles longer than 6 weeks are split into two blocks, each ending in a deload.
+
+export const MIN_MESOCYCLE_WEEKS = 4;
+export const MAX_MESOCYCLE_WEEKS = 12;
+
+const MAX_BLOCK_WEEKS = 6;
+const MAX_SETS = 6;
+
+const PHASE_DETAILS = {
+  accumulation: {
+    label: 'Accumulation',
+    focus: 'Build work capacity with moderate loads and rising volume'
+  },
+  intensification: {
+    label: 'Intensification',
+    focus: 'Heavier loads, fewer reps and longer rest'
+  },
+  deload: {
+    label: 'Deload',
+    focus: 'Reduced volume to recover before the next block'
+  }
+};
+
+/**
+ * Split a block of weeks into phases (last week is always a deload)
+ */
+function buildBlockPhases(blockWeeks) {
+  const trainingWeeks = blockWeeks - 1;
+  const accumulationWeeks = trainingWeeks <= 1
+    ? trainingWeeks
+    : Math.max(1, Math.min(trainingWeeks - 1, Math.ceil(trainingWeeks * 0.6)));
+
+  return [
+    ...Array(accumulationWeeks).fill('accumulation'),
+    ...Array(trainingWeeks - accumulationWeeks).fill('intensification'),
+    'deload'
+  ];
+}
+
+/**
+ * Build the week-by-week phase schedule for a mesocycle
+ * @param {number} weeks - Mesocycle length (4-12)
+ * @returns {Array} - [{ week_number, phase, label, focus, phase_week }]
+ */
+export function buildMesocycleSchedule(weeks) {
+  const blocks = weeks <= MAX_BLOCK_WEEKS
+    ? [weeks]
+    : [Math.floor(weeks / 2), weeks - Math.floor(weeks / 2)];
+
+  const phases = blocks.flatMap(buildBlockPhases);
+
+  // Track how far into each run of the same phase a week is
+  let phaseWeek = 0;
+
+  return phases.map((phase, index) => {
+    phaseWeek = index > 0 && phases[index - 1] === phase ? phaseWeek + 1 : 1;
+
+    return {
+      week_number: index + 1,
+      phase,
+      label: PHASE_DETAILS[phase].label,
+      focus: PHASE_DETAILS[phase].focus,
+      phase_week: phaseWeek
+    };
+  });
+}
+
+/**
+ * Adjust one exercise prescription for a mesocycle week
+ */
+function adjustExerciseForWeek(exercise, week) {
+  const sets = exercise.sets || 3;
+  const repRange = parseRepRange(exercise.reps);
+
+  if (week.phase === 'accumulation') {
+    // +1 set every other accumulation week
+    const extraSets = Math.floor((week.phase_week - 1) / 2);
+    return {
+      ...exercise,
+      sets: Math.min(MAX_SETS, sets + extraSets)
+    };
+  }
+
+  if (week.phase === 'intensification') {
+    return {
+      ...exercise,
+      reps: repRange
+        ? formatRepRange({
+          min: Math.max(3, repRange.min - 2),
+          max: Math.max(4, repRange.max - 4, repRange.min - 2)
+        })
+        : exercise.reps,
+      rest_seconds: exercise.rest_seconds ? Math.round(exercise.rest_seconds * 1.25) : exercise.rest_seconds,
+      notes: [exercise.notes, 'Go heavier than last week - stop 1-2 reps short of failure'].filter(Boolean).join('. ')
+    };
+  }
+
+  return {
+    ...exercise,
+    sets: Math.max(1, Math.round(sets * 0.6)),
+    notes: [exercise.notes, 'Deload week - use ~60% of your usual weight'].filter(Boolean).join('. ')
+  };
+}
+
+/**
+ * Add N weeks to a YYYY-MM-DD date
+ */
+function addWeeks(dateStr, weeks) {
+  const date = new Date(dateStr + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + weeks * 7);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Expand a one-week plan into a full mesocycle
+ * @param {Object} completePlan - Plan with a single week of daily_workouts
+ * @param {number} weeks - Mesocycle length
+ * @param {Array} [selectedDates] - Week-one dates, one per base day (later weeks repeat them 7 days apart)
+ * @returns {Object} - Plan with weeks * days daily_workouts and a mesocycle summary
+ */
+export function expandPlanToMesocycle(completePlan, weeks, selectedDates = []) {
+  const schedule = buildMesocycleSchedule(weeks);
+  const baseWeek = completePlan.daily_workouts;
+  const weekOneDates = (selectedDates || []).slice(0, baseWeek.length);
+
+  const dailyWorkouts = schedule.flatMap(week =>
+    baseWeek.map((day, dayIndex) => ({
+      ...day,
+      day_order: (week.week_number - 1) * baseWeek.length + dayIndex + 1,
+      week_number: week.week_number,
+      mesocycle_phase: week.phase,
+      scheduled_date: weekOneDates[dayIndex]
+        ? addWeeks(weekOneDates[dayIndex], week.week_number - 1)
+        : null,
+      exercises: day.exercises.map(exercise => adjustExerciseForWeek(exercise, week)),
+      workout_tips: week.phase === 'accumulation'
+        ? day.workout_tips
+        : [day.workout_tips, `${week.label} week: ${week.focus.toLowerCase()}.`].filter(Boolean).join(' ')
+    }))
+  );
+
+  return {
+    ...completePlan,
+    daily_workouts: dailyWorkouts,
+    mesocycle: {
+      weeks,
+      schedule
+    }
+  };
+}
+
+/**
+ * Describe the mesocycle for the AI prompt (it still only writes the base week)
+ */
+export function describeMesocycleForPrompt(weeks) {
+  const schedule = buildMesocycleSchedule(weeks);
+
+  return schedule
+    .map(week => `- Week ${week.week_number}: ${week.label} (${week.focus.toLowerCase()})`)
+    .join('\n');
+}
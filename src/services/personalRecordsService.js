@@ -0,0 +1,299 @@
+import { supabase } from '../config/supabase.js'
+import { createPersonalRecordNotification } from './notificationService.js'
+import { getExercisesByIdsForUser } from './customExerciseService.js'
+
+/**
+ * Personal Records Service
+ * Detects and stores per-exercise personal records from logged sets
+ *
+ * Record types:
+ * - max_weight: heaviest weight lifted for at least one rep
+ * - max_reps_at_weight: most reps performed at a given weight
+ * - estimated_1rm: best estimated one-rep max (Epley formula)
+ * - longest_duration: longest timed set (planks, holds, carries)
+ */
+
+const LB_TO_KG = 0.45359237
+
+// Epley gets unreliable for high-rep sets, so they don't count towards estimated 1RM
+const MAX_REPS_FOR_1RM = 12
+
+export const RECORD_TYPES = ['max_weight', 'max_reps_at_weight', 'estimated_1rm', 'longest_duration']
+
+/**
+ * Convert a logged weight to kg (rounded to 2 decimals)
+ */
+function toKg(weight, unit) {
+  const kg = unit === 'lb' ? weight * LB_TO_KG : weight
+  return Math.round(kg * 100) / 100
+}
+
+/**
+ * Estimate one-rep max using the Epley formula
+ */
+function estimateOneRepMax(weightKg, reps) {
+  if (reps === 1) return weightKg
+  return Math.round(weightKg * (1 + reps / 30) * 100) / 100
+}
+
+/**
+ * Key used to compare a candidate against existing records
+ * (max_reps_at_weight records are tracked separately for each weight)
+ */
+function recordKey(exerciseId, recordType, weightKg) {
+  return recordType === 'max_reps_at_weight'
+    ? `${exerciseId}:${recordType}:${Number(weightKg)}`
+    : `${exerciseId}:${recordType}`
+}
+
+/**
+ * Build the best candidate record of each type from a completion's set logs
+ */
+function buildCandidates(setLogs) {
+  const candidates = new Map()
+
+  const consider = (candidate) => {
+    const key = recordKey(candidate.exercise_id, candidate.record_type, candidate.weight_kg)
+    const existing = candidates.get(key)
+    if (!existing || candidate.value > existing.value) {
+      candidates.set(key, candidate)
+    }
+  }
+
+  for (const set of setLogs) {
+    const base = {
+      exercise_id: set.exercise_id,
+      weight: set.weight,
+      weight_unit: set.weight_unit,
+      reps: set.reps,
+      duration_seconds: set.duration_seconds,
+      achieved_at: set.performed_at
+    }
+
+    if (set.duration_seconds > 0) {
+      consider({ ...base, record_type: 'longest_duration', weight_kg: null, value: set.duration_seconds })
+    }
+
+    if (!(set.weight > 0) || !(set.reps > 0)) continue
+
+    const weightKg = toKg(Number(set.weight), set.weight_unit)
+
+    consider({ ...base, record_type: 'max_weight', weight_kg: weightKg, value: weightKg })
+    consider({ ...base, record_type: 'max_reps_at_weight', weight_kg: weightKg, value: set.reps })
+
+    if (set.reps <= MAX_REPS_FOR_1RM) {
+      consider({ ...base, record_type: 'estimated_1rm', weight_kg: weightKg, value: estimateOneRepMax(weightKg, set.reps) })
+    }
+  }
+
+  return [...candidates.values()]
+}
+
+/**
+ * Detect and store personal records for a workout completion
+ * Safe to call again when a completion's set logs are edited:
+ * records previously set by this completion are replaced, and the
+ * "New PR" notification is only sent the first time it sets records.
+ * @param {string} userId - User ID
+ * @param {Object} completion - workout_completions record
+ * @param {Array} setLogs - Saved workout_set_logs rows for the completion
+ * @returns {Promise<Array>} New personal records set by this completion
+ */
+export async function detectPersonalRecords(userId, completion, setLogs) {
+  try {
+    // Drop records from a previous save of this completion
+    const { data: replaced, error: deleteError } = await supabase
+      .from('personal_records')
+      .delete()
+      .eq('workout_completion_id', completion.id)
+      .select('id')
+
+    if (deleteError) throw deleteError
+
+    const isEdit = (replaced || []).length > 0
+
+    const candidates = buildCandidates(setLogs || [])
+    if (candidates.length === 0) return []
+
+    const exerciseIds = [...new Set(candidates.map(c => c.exercise_id))]
+
+    // Current bests for the logged exercises
+    const { data: existing, error: existingError } = await supabase
+      .from('personal_records')
+      .select('exercise_id, record_type, value, weight_kg')
+      .eq('user_id', userId)
+      .in('exercise_id', exerciseIds)
+
+    if (existingError) throw existingError
+
+    const bests = new Map()
+    for (const record of existing || []) {
+      const key = recordKey(record.exercise_id, record.record_type, record.weight_kg)
+      const value = Number(record.value)
+      if (!bests.has(key) || value > bests.get(key)) {
+        bests.set(key, value)
+      }
+    }
+
+    const newRecords = candidates
+      .filter(c => {
+        const best = bests.get(recordKey(c.exercise_id, c.record_type, c.weight_kg))
+        return best === undefined || c.value > best
+      })
+      .map(c => ({
+        ...c,
+        previous_value: bests.get(recordKey(c.exercise_id, c.record_type, c.weight_kg)) ?? null
+      }))
+
+    if (newRecords.length === 0) return []
+
+    // Catalog and custom exercises (a missing name doesn't stop the records being saved)
+    const exercises = await getExercisesByIdsForUser(exerciseIds, userId, 'id, name', { includeDeleted: true })
+      .catch(error => {
+        console.error('Error fetching exercise names for personal records:', error)
+        return []
+      })
+
+    const exerciseNames = new Map((exercises || []).map(e => [e.id, e.name]))
+
+    const { data: saved, error: insertError } = await supabase
+      .from('personal_records')
+      .insert(newRecords.map(record => ({
+        user_id: userId,
+        workout_completion_id: completion.id,
+        exercise_name: exerciseNames.get(record.exercise_id) || null,
+        ...record,
+        achieved_at: record.achieved_at || completion.completed_at
+      })))
+      .select()
+
+    if (insertError) throw insertError
+
+    console.log(`🏆 ${saved.length} personal records set in completion ${completion.id}`)
+
+    // Only notify for beaten records - the first log of an exercise is just a baseline.
+    // Edits of a completion that already set records were notified on the first save
+    const beaten = saved.filter(record => record.previous_value !== null)
+    if (beaten.length > 0 && !isEdit) {
+      await createPersonalRecordNotification(userId, {
+        completion_id: completion.id,
+        records: beaten
+      })
+    }
+
+    return saved
+  } catch (error) {
+    console.error('Error detecting personal records:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the current personal records for every exercise the user has logged
+ * @returns {Promise<Array>} One entry per exercise with its current record of each type
+ */
+export async function getPersonalRecords(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('personal_records')
+      .select('*')
+      .eq('user_id', userId)
+      .order('achieved_at', { ascending: false })
+
+    if (error) throw error
+
+    const exercises = new Map()
+
+    for (const record of data || []) {
+      if (!exercises.has(record.exercise_id)) {
+        exercises.set(record.exercise_id, {
+          exercise_id: record.exercise_id,
+          exercise_name: record.exercise_name,
+          last_record_at: record.achieved_at,
+          records: {}
+        })
+      }
+
+      const entry = exercises.get(record.exercise_id)
+
+      if (record.record_type === 'max_reps_at_weight') {
+        // Keep the best rep count at each weight
+        entry.records.max_reps_at_weight = entry.records.max_reps_at_weight || []
+        const atWeight = entry.records.max_reps_at_weight.find(r => Number(r.weight_kg) === Number(record.weight_kg))
+        if (!atWeight) {
+          entry.records.max_reps_at_weight.push(record)
+        } else if (Number(record.value) > Number(atWeight.value)) {
+          entry.records.max_reps_at_weight.splice(entry.records.max_reps_at_weight.indexOf(atWeight), 1, record)
+        }
+      } else {
+        const current = entry.records[record.record_type]
+        if (!current || Number(record.value) > Number(current.value)) {
+          entry.records[record.record_type] = record
+        }
+      }
+    }
+
+    for (const entry of exercises.values()) {
+      entry.records.max_reps_at_weight?.sort((a, b) => Number(b.weight_kg) - Number(a.weight_kg))
+    }
+
+    return [...exercises.values()]
+  } catch (error) {
+    console.error('Error fetching personal records:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the PR timeline for a single exercise (oldest first, for charting)
+ * @param {string} userId - User ID
+ * @param {string} exerciseId - Exercise ID
+ * @param {string} [recordType] - Optional record type filter
+ */
+export async function getExerciseRecordTimeline(userId, exerciseId, recordType = null) {
+  try {
+    let query = supabase
+      .from('personal_records')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('exercise_id', exerciseId)
+      .order('achieved_at', { ascending: true })
+
+    if (recordType) {
+      query = query.eq('record_type', recordType)
+    }
+
+    const { data, error } = await query
+
+    if (error) throw error
+
+    return data || []
+  } catch (error) {
+    console.error('Error fetching exercise record timeline:', error)
+    throw error
+  }
+}
+
+/**
+ * Get personal record counts used for achievements
+ */
+export async function getPersonalRecordStats(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('personal_records')
+      .select('exercise_id, previous_value')
+      .eq('user_id', userId)
+
+    if (error) throw error
+
+    const records = data || []
+
+    return {
+      total_records: records.filter(r => r.previous_value !== null).length,
+      exercises_with_records: new Set(records.map(r => r.exercise_id)).size
+    }
+  } catch (error) {
+    console.error('Error fetching personal record stats:', error)
+    return { total_records: 0, exercises_with_records: 0 }
+  }
+}
@@ -0,0 +1,438 @@
+import { supabase } from '../config/supabase.js';
+import { getPlanById, savePlanToDatabase, DAY_NAMES, getDayOfWeek, addDaysToDate, getTodayDateString } from './workoutPlannerService.js';
+import { saveWorkout } from './savedWorkoutsService.js';
+
+/**
+ * Plan Template Service
+ * Publish finalized workout plans as public templates, browse/search them
+ * and clone them into a user's own plan
+ */
+
+export const TEMPLATE_LEVELS = ['beginner', 'intermediate', 'advanced', 'all_levels'];
+export const MAX_TEMPLATE_TAGS = 10;
+
+const TEMPLATE_SORTS = {
+  popular: { column: 'clone_count', ascending: false },
+  newest: { column: 'created_at', ascending: false }
+};
+
+// Columns returned when listing templates (days are only returned on the detail view)
+const TEMPLATE_LIST_COLUMNS = `
+  id, creator_id, title, description, level, tags, fitness_goals, target_body_parts,
+  days_per_week, hours_per_session, total_workouts, mesocycle_weeks, is_ai_generated,
+  clone_count, created_at, updated_at,
+  creator:users!workout_plan_templates_creator_id_fkey(id, username, full_name, profile_photo_url)
+`;
+
+// Per-user data that shouldn't travel with a published plan
+/**
+ * Error with a code the controller maps to a status
+ * (TEMPLATE_NOT_FOUND, INVALID_TEMPLATE)
+ */
+function templateError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const PERSONAL_EXERCISE_FIELDS = ['progression', 'suggested_weight', 'weight_unit', 'substituted_for'];
+
+function normalizeTags(tags = []) {
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+function stripPersonalFields(exercises = []) {
+  return exercises.map(exercise => {
+    const cleaned = { ...exercise };
+    PERSONAL_EXERCISE_FIELDS.forEach(field => delete cleaned[field]);
+    return cleaned;
+  });
+}
+
+/**
+ * Snapshot a plan's daily workouts for a template
+ */
+function buildTemplateDays(dailyWorkouts) {
+  return dailyWorkouts
+    .sort((a, b) => a.day_order - b.day_order)
+    .map(day => ({
+      day_order: day.day_order,
+      week_number: day.week_number,
+      day_of_week: day.day_of_week,
+      workout_name: day.workout_name,
+      focus_area: day.focus_area,
+      target_muscles: day.target_muscles,
+      estimated_duration_minutes: day.estimated_duration_minutes,
+      exercises: stripPersonalFields(day.exercises),
+      warm_up_exercises: day.warm_up_exercises || [],
+      warm_up: day.warm_up,
+      cool_down: day.cool_down,
+      workout_tips: day.workout_tips,
+      ...(day.mesocycle_phase && { mesocycle_phase: day.mesocycle_phase })
+    }));
+}
+
+/**
+ * Dates for each template day: walk forward from start_date, one workout per selected weekday
+ */
+function scheduleTemplateDays(dayCount, selectedDays, startDate) {
+  const dates = [];
+  let date = startDate;
+
+  while (dates.length < dayCount) {
+    if (selectedDays.includes(getDayOfWeek(date))) {
+      dates.push(date);
+    }
+    date = addDaysToDate(date, 1);
+  }
+
+  return dates;
+}
+
+async function getOwnedTemplate(userId, templateId) {
+  const { data, error } = await supabase
+    .from('workout_plan_templates')
+    .select('*')
+    .eq('id', templateId)
+    .eq('creator_id', userId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') throw templateError('Template not found', 'TEMPLATE_NOT_FOUND');
+    throw error;
+  }
+
+  return data;
+}
+
+// ============================================================================
+// PUBLISHING
+// ============================================================================
+
+/**
+ * Publish one of the user's plans as a public template
+ * @param {string} userId - User ID
+ * @param {Object} details - { plan_id, title, description?, level?, tags? }
+ * @returns {Promise<Object>} - Created template
+ */
+export async function publishTemplate(userId, { plan_id, title, description = null, level = 'all_levels', tags = [] }) {
+  try {
+    const plan = await getPlanById(plan_id, userId);
+    if (!plan) {
+      throw templateError('Plan not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    if (!plan.daily_workouts || plan.daily_workouts.length === 0) {
+      throw templateError('Cannot publish a plan without workouts', 'INVALID_TEMPLATE');
+    }
+
+    const { data, error } = await supabase
+      .from('workout_plan_templates')
+      .insert({
+        creator_id: userId,
+        source_plan_id: plan.id,
+        title,
+        description: description ?? plan.description,
+        level,
+        tags: normalizeTags(tags),
+        fitness_goals: plan.fitness_goals,
+        target_body_parts: plan.target_body_parts,
+        days_per_week: plan.days_per_week,
+        hours_per_session: plan.hours_per_session,
+        total_workouts: plan.daily_workouts.length,
+        mesocycle_weeks: plan.mesocycle_weeks || null,
+        mesocycle_schedule: plan.mesocycle_schedule || null,
+        days: buildTemplateDays(plan.daily_workouts),
+        is_ai_generated: plan.is_ai_generated
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`📢 Plan ${plan.id} published as template ${data.id}`);
+
+    return data;
+  } catch (error) {
+    console.error('Error publishing plan template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a template's listing details (the workouts themselves are fixed once published)
+ * @param {Object} updates - { title?, description?, level?, tags?, is_public? }
+ */
+export async function updateTemplate(userId, templateId, updates) {
+  try {
+    await getOwnedTemplate(userId, templateId);
+
+    const allowed = {};
+    ['title', 'description', 'level', 'is_public'].forEach(field => {
+      if (updates[field] !== undefined) allowed[field] = updates[field];
+    });
+    if (updates.tags !== undefined) allowed.tags = normalizeTags(updates.tags);
+
+    const { data, error } = await supabase
+      .from('workout_plan_templates')
+      .update({ ...allowed, updated_at: new Date().toISOString() })
+      .eq('id', templateId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  } catch (error) {
+    console.error('Error updating plan template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Unpublish (delete) a template - plans already cloned from it are kept
+ */
+export async function deleteTemplate(userId, templateId) {
+  try {
+    await getOwnedTemplate(userId, templateId);
+
+    const { error } = await supabase
+      .from('workout_plan_templates')
+      .delete()
+      .eq('id', templateId);
+
+    if (error) throw error;
+
+    return true;
+  } catch (error) {
+    console.error('Error deleting plan template:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// BROWSING
+// ============================================================================
+
+/**
+ * Browse/search public templates
+ * @param {Object} filters - { q?, level?, tags?, days_per_week?, sort?: popular|newest, limit?, offset? }
+ * @returns {Promise<Object>} - { templates, total, limit, offset }
+ */
+export async function searchTemplates({ q, level, tags, days_per_week, sort = 'popular', limit = 20, offset = 0 } = {}) {
+  try {
+    let query = supabase
+      .from('workout_plan_templates')
+      .select(TEMPLATE_LIST_COLUMNS, { count: 'exact' })
+      .eq('is_public', true);
+
+    if (q) {
+      // Strip characters that have meaning in PostgREST filter syntax
+      const term = q.replace(/[,().%*{}"\\]/g, ' ').trim();
+      if (term) {
+        query = query.or(`title.ilike.%${term}%,description.ilike.%${term}%,tags.cs.{${term.toLowerCase()}}`);
+      }
+    }
+
+    if (level) {
+      query = query.in('level', [level, 'all_levels']);
+    }
+
+    if (tags && tags.length > 0) {
+      query = query.contains('tags', normalizeTags(tags));
+    }
+
+    if (days_per_week) {
+      query = query.eq('days_per_week', days_per_week);
+    }
+
+    const order = TEMPLATE_SORTS[sort] || TEMPLATE_SORTS.popular;
+    const { data, error, count } = await query
+      .order(order.column, { ascending: order.ascending })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return {
+      templates: data || [],
+      total: count || 0,
+      limit,
+      offset
+    };
+  } catch (error) {
+    console.error('Error searching plan templates:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the templates the user has published (public or hidden)
+ */
+export async function getUserTemplates(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('workout_plan_templates')
+      .select(`${TEMPLATE_LIST_COLUMNS}, is_public, source_plan_id`)
+      .eq('creator_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching user plan templates:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a template with its days
+ * Hidden templates are only visible to their creator
+ * @returns {Promise<Object|null>}
+ */
+export async function getTemplateById(templateId, requestingUserId = null) {
+  try {
+    const { data, error } = await supabase
+      .from('workout_plan_templates')
+      .select(`
+        *,
+        creator:users!workout_plan_templates_creator_id_fkey(id, username, full_name, profile_photo_url)
+      `)
+      .eq('id', templateId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    }
+
+    if (!data.is_public && data.creator_id !== requestingUserId) {
+      return null;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching plan template:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// CLONING
+// ============================================================================
+
+/**
+ * Clone a template into a new active plan for the user
+ * @param {string} userId - User ID
+ * @param {string} templateId - Template ID
+ * @param {Object} schedule - { selected_days: ['monday', ...] (one per template day of the week), start_date: 'YYYY-MM-DD' }
+ * @returns {Promise<Object>} - The created plan with its daily workouts
+ */
+export async function cloneTemplate(userId, templateId, { selected_days, start_date }) {
+  try {
+    const template = await getTemplateById(templateId, userId);
+    if (!template) {
+      throw templateError('Template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    const selectedDays = selected_days.map(day => day.toLowerCase());
+    if (selectedDays.length !== template.days_per_week) {
+      throw templateError(`Cannot clone: this template needs exactly ${template.days_per_week} selected_days`, 'INVALID_TEMPLATE');
+    }
+
+    const invalidDay = selectedDays.find(day => !DAY_NAMES.includes(day));
+    if (invalidDay) {
+      throw templateError(`Cannot clone: invalid day "${invalidDay}"`, 'INVALID_TEMPLATE');
+    }
+
+    // Days before today would be auto-skipped right away
+    if (start_date < getTodayDateString()) {
+      throw templateError('Cannot clone: start_date is in the past', 'INVALID_TEMPLATE');
+    }
+
+    const dates = scheduleTemplateDays(template.days.length, selectedDays, start_date);
+
+    const plan = await savePlanToDatabase(userId, {
+      plan_name: template.title,
+      description: template.description,
+      is_ai_generated: template.is_ai_generated,
+      ...(template.mesocycle_weeks && {
+        mesocycle: { weeks: template.mesocycle_weeks, schedule: template.mesocycle_schedule }
+      }),
+      daily_workouts: template.days.map((day, index) => ({
+        ...day,
+        day_of_week: getDayOfWeek(dates[index]),
+        scheduled_date: dates[index]
+      }))
+    }, {
+      fitness_goals: template.fitness_goals,
+      target_body_parts: template.target_body_parts,
+      days_per_week: template.days_per_week,
+      hours_per_session: template.hours_per_session,
+      selected_days: selectedDays,
+      selected_dates: dates,
+      start_date
+    });
+
+    const { error: linkError } = await supabase
+      .from('workout_plans')
+      .update({ cloned_from_template_id: template.id })
+      .eq('id', plan.id);
+
+    if (linkError) throw linkError;
+
+    const { error: countError } = await supabase.rpc('increment_template_clone_count', {
+      template_id_param: template.id
+    });
+
+    if (countError) {
+      console.warn('⚠️  Could not increment template clone count:', countError.message);
+    }
+
+    console.log(`📋 Template ${template.id} cloned into plan ${plan.id} for user ${userId}`);
+
+    return {
+      ...plan,
+      cloned_from_template_id: template.id
+    };
+  } catch (error) {
+    console.error('Error cloning plan template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a single template day to the user's saved workouts library
+ * (same shape as savedWorkoutsService.copyWorkoutFromDaily)
+ */
+export async function saveTemplateDay(userId, templateId, dayOrder) {
+  try {
+    const template = await getTemplateById(templateId, userId);
+    if (!template) {
+      throw templateError('Template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    const day = template.days.find(d => d.day_order === dayOrder);
+    if (!day) {
+      throw templateError('Template day not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    return await saveWorkout(userId, {
+      workout_name: day.workout_name,
+      focus_area: day.focus_area,
+      target_muscles: day.target_muscles,
+      estimated_duration_minutes: day.estimated_duration_minutes,
+      exercises: day.exercises,
+      warm_up_exercises: day.warm_up_exercises,
+      warm_up: day.warm_up,
+      cool_down: day.cool_down,
+      workout_tips: day.workout_tips,
+      copied_from_user_id: template.creator_id,
+      notes: `From plan template: ${template.title}`
+    });
+  } catch (error) {
+    console.error('Error saving template day:', error);
+    throw error;
+  }
+}
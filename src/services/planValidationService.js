@@ -0,0 +1,190 @@
+/**
+ * Plan Validation Service
+ * Checks the plan structure returned by the AI before it is used, fixing what
+ * can be fixed deterministically and reporting the rest so the AI can be re-prompted
+ *
+ * Repaired automatically:
+ * - exercise IDs that aren't in the exercise pool (dropped)
+ * - the same exercise listed twice in a day (dropped)
+ * - sets / reps / rest outside sane ranges (clamped or defaulted)
+ * - duplicate or wrong day_of_week / day_order (re-assigned in order)
+ *
+ * Errors (need a new response):
+ * - missing plan_name or daily_workouts
+ * - wrong number of days
+ * - a day left with fewer than MIN_EXERCISES_PER_DAY valid exercises
+ */
+
+export const MIN_EXERCISES_PER_DAY = 2;
+
+const SETS_RANGE = { min: 1, max: 10 };
+const REPS_RANGE = { min: 1, max: 100 };
+const TIMED_SECONDS_RANGE = { min: 5, max: 600 };
+const REST_SECONDS_RANGE = { min: 0, max: 600 };
+
+const DEFAULT_SETS = 3;
+const DEFAULT_REPS = '8-12';
+const DEFAULT_REST_SECONDS = 60;
+
+function clamp(value, { min, max }) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Sets as a whole number in range ("3-4" -> 3)
+ */
+function normalizeSets(sets) {
+  const value = parseInt(sets);
+  return isNaN(value) ? DEFAULT_SETS : clamp(value, SETS_RANGE);
+}
+
+/**
+ * Reps are a number or a string like "8-12", "15 each side" or "30 seconds"
+ * @returns {string|number|null} - Normalized reps, or null when they can't be made sane
+ */
+function normalizeReps(reps) {
+  if (typeof reps === 'number') {
+    return Number.isInteger(reps) && reps >= REPS_RANGE.min && reps <= REPS_RANGE.max ? reps : null;
+  }
+  if (typeof reps !== 'string') return null;
+
+  const numbers = (reps.match(/\d+/g) || []).map(Number);
+  if (numbers.length === 0) return null;
+
+  // Timed sets are checked in seconds ("2 minutes" -> 120)
+  const isMinutes = /\d+\s*(m|mins?|minutes?)\b/i.test(reps);
+  const isTimed = isMinutes || /\d+\s*(s|secs?|seconds?)\b/i.test(reps);
+  const range = isTimed ? TIMED_SECONDS_RANGE : REPS_RANGE;
+  const inRange = numbers.every(n => {
+    const value = isMinutes ? n * 60 : n;
+    return value >= range.min && value <= range.max;
+  });
+  const ascending = numbers.length < 2 || numbers[0] <= numbers[1];
+
+  return inRange && ascending ? reps : null;
+}
+
+function normalizeRest(restSeconds) {
+  const value = parseInt(restSeconds);
+  return isNaN(value) ? DEFAULT_REST_SECONDS : clamp(value, REST_SECONDS_RANGE);
+}
+
+/**
+ * Validate and repair one list of exercise references
+ */
+function repairExerciseList(list, exerciseIds, label, repairs) {
+  const seen = new Set();
+  const exercises = [];
+
+  (Array.isArray(list) ? list : []).forEach(ref => {
+    const id = ref?.exercise_id;
+
+    if (!exerciseIds.has(id)) {
+      repairs.push(`${label}: removed unknown exercise id "${id}"`);
+      return;
+    }
+    if (seen.has(id)) {
+      repairs.push(`${label}: removed duplicate exercise "${id}"`);
+      return;
+    }
+    seen.add(id);
+
+    const sets = normalizeSets(ref.sets);
+    const reps = normalizeReps(ref.reps);
+    const restSeconds = normalizeRest(ref.rest_seconds);
+
+    if (ref.sets !== undefined && String(sets) !== String(ref.sets)) {
+      repairs.push(`${label}: sets for "${id}" changed from ${JSON.stringify(ref.sets)} to ${sets}`);
+    }
+    if (reps === null) {
+      repairs.push(`${label}: reps for "${id}" changed from ${JSON.stringify(ref.reps)} to "${DEFAULT_REPS}"`);
+    }
+    if (ref.rest_seconds !== undefined && String(restSeconds) !== String(ref.rest_seconds)) {
+      repairs.push(`${label}: rest_seconds for "${id}" changed from ${JSON.stringify(ref.rest_seconds)} to ${restSeconds}`);
+    }
+
+    exercises.push({
+      ...ref,
+      sets,
+      reps: reps ?? DEFAULT_REPS,
+      rest_seconds: restSeconds
+    });
+  });
+
+  return exercises;
+}
+
+/**
+ * Validate an AI plan structure and repair what can be repaired
+ * @param {Object} plan - Parsed AI response
+ * @param {Object} context
+ * @param {number} context.daysPerWeek - Number of workouts requested
+ * @param {Array} [context.selectedDays] - Requested weekdays, in order
+ * @param {Array} context.availableExercises - Exercise pool sent to the AI ({ id })
+ * @returns {Object} - { plan, repairs: string[], errors: string[] } (plan is usable when errors is empty)
+ */
+export function validateAndRepairPlan(plan, { daysPerWeek, selectedDays = [], availableExercises = [] }) {
+  const repairs = [];
+  const errors = [];
+
+  if (!plan || typeof plan !== 'object') {
+    return { plan, repairs, errors: ['response is not a JSON object'] };
+  }
+  if (!plan.plan_name || typeof plan.plan_name !== 'string') {
+    errors.push('plan_name is missing');
+  }
+  if (!Array.isArray(plan.daily_workouts)) {
+    errors.push('daily_workouts is missing');
+    return { plan, repairs, errors };
+  }
+
+  if (plan.daily_workouts.length !== daysPerWeek) {
+    errors.push(`daily_workouts has ${plan.daily_workouts.length} days but exactly ${daysPerWeek} are required`);
+  }
+
+  const exerciseIds = new Set(availableExercises.map(ex => ex.id));
+
+  const dailyWorkouts = plan.daily_workouts.map((day, index) => {
+    const label = `day ${index + 1}`;
+    const exercises = repairExerciseList(day?.exercises, exerciseIds, label, repairs);
+    const warmUps = repairExerciseList(day?.warm_up_exercises, exerciseIds, `${label} warm-up`, repairs);
+
+    if (exercises.length < MIN_EXERCISES_PER_DAY) {
+      errors.push(`${label} has ${exercises.length} valid exercises (at least ${MIN_EXERCISES_PER_DAY} from the AVAILABLE EXERCISES list are required)`);
+    }
+
+    return {
+      ...day,
+      exercises,
+      warm_up_exercises: warmUps
+    };
+  });
+
+  // Days must be unique and in the requested order
+  const dayNames = dailyWorkouts.map(day => day.day_of_week);
+  const dayOrders = dailyWorkouts.map(day => day.day_order);
+  const expectedDayNames = selectedDays.length === dailyWorkouts.length ? selectedDays : null;
+
+  dailyWorkouts.forEach((day, index) => {
+    if (expectedDayNames && day.day_of_week !== expectedDayNames[index]) {
+      repairs.push(`day ${index + 1}: day_of_week changed from "${day.day_of_week}" to "${expectedDayNames[index]}"`);
+      day.day_of_week = expectedDayNames[index];
+    } else if (!expectedDayNames && day.day_of_week !== 'flexible' && dayNames.indexOf(day.day_of_week) !== index) {
+      repairs.push(`day ${index + 1}: duplicate day_of_week "${day.day_of_week}" changed to "flexible"`);
+      day.day_of_week = 'flexible';
+    }
+
+    if (day.day_order !== index + 1) {
+      if (dayOrders.indexOf(day.day_order) !== index) {
+        repairs.push(`day ${index + 1}: duplicate day_order ${day.day_order} changed to ${index + 1}`);
+      }
+      day.day_order = index + 1;
+    }
+  });
+
+  return {
+    plan: { ...plan, daily_workouts: dailyWorkouts },
+    repairs,
+    errors
+  };
+}
@@ -1,6 +1,7 @@
 import { supabase } from '../config/supabase.js'
 import { getUserScanStats } from './scanHistoryService.js'
 import { getUserWorkoutStats, getWorkoutHistory } from './workoutPlannerService.js'
+import { getPersonalRecordStats } from './personalRecordsService.js'
 
 /**
  * Progress Service
@@ -67,9 +68,10 @@ async function calculateWorkoutStreak(userId) {
 /**
  * Calculate achievements based on user stats
  */
-function calculateAchievements(scanStats, workoutStats, streak) {
+function calculateAchievements(scanStats, workoutStats, streak, prStats) {
   const totalScans = scanStats?.totalScans || 0
   const totalWorkouts = workoutStats?.total_workouts_completed || 0
+  const totalPRs = prStats?.total_records || 0
 
   return [
     {
@@ -143,6 +145,33 @@ function calculateAchievements(scanStats, workoutStats, streak) {
       progress: Math.min(totalWorkouts, 50),
       target: 50,
       icon: 'crown.fill'
+    },
+    {
+      id: 'first_pr',
+      title: 'First PR',
+      description: 'Beat one of your personal records',
+      unlocked: totalPRs >= 1,
+      progress: Math.min(totalPRs, 1),
+      target: 1,
+      icon: 'medal.fill'
+    },
+    {
+      id: 'pr_10',
+      title: '10 PRs',
+      description: 'Beat your personal records 10 times',
+      unlocked: totalPRs >= 10,
+      progress: Math.min(totalPRs, 10),
+      target: 10,
+      icon: 'rosette'
+    },
+    {
+      id: 'pr_50',
+      title: 'Record Breaker',
+      description: 'Beat your personal records 50 times',
+      unlocked: totalPRs >= 50,
+      progress: Math.min(totalPRs, 50),
+      target: 50,
+      icon: 'chart.line.uptrend.xyaxis'
     }
   ]
 }
@@ -153,15 +182,16 @@ function calculateAchievements(scanStats, workoutStats, streak) {
 export async function getUserProgress(userId) {
   try {
     // Fetch all data in parallel
-    const [scanStats, workoutStats, recentActivity, streak] = await Promise.all([
+    const [scanStats, workoutStats, recentActivity, streak, prStats] = await Promise.all([
       getUserScanStats(userId),
       getUserWorkoutStats(userId),
       getWorkoutHistory(userId, 10, 0),
-      calculateWorkoutStreak(userId)
+      calculateWorkoutStreak(userId),
+      getPersonalRecordStats(userId)
     ])
 
     // Calculate achievements
-    const achievements = calculateAchievements(scanStats, workoutStats, streak)
+    const achievements = calculateAchievements(scanStats, workoutStats, streak, prStats)
 
     // Format stats for display
     const stats = {
@@ -192,12 +222,14 @@ export async function getUserProgress(userId) {
     const recentActivityFormatted = recentActivity.map(activity => ({
       id: activity.id,
       type: 'workout',
-      title: activity.daily_workouts?.workout_name || 'Workout',
+      title: activity.daily_workouts?.workout_name || activity.workout_name || 'Workout',
       subtitle: activity.daily_workouts?.focus_area || 'Exercise',
       date: activity.completed_at,
       duration: activity.duration_minutes,
       difficulty: activity.difficulty_rating,
-      energyLevel: activity.energy_level
+      energyLevel: activity.energy_level,
+      caloriesBurned: activity.calories_burned ?? null,
+      volumeKg: activity.total_volume_kg ?? null
     }))
 
     return {
@@ -213,6 +245,11 @@ export async function getUserProgress(userId) {
         scansThisWeek: scanStats?.scansThisWeek || 0,
         workoutsThisWeek: workoutStats?.recent_workouts_7_days || 0,
         currentStreak: streak,
+        personalRecords: prStats?.total_records || 0,
+        caloriesBurned: workoutStats?.total_calories_burned || 0,
+        caloriesThisWeek: workoutStats?.recent_calories_7_days || 0,
+        totalVolumeKg: workoutStats?.total_volume_kg || 0,
+        volumeThisWeekKg: workoutStats?.recent_volume_kg_7_days || 0,
         favoriteEquipmentCategory: scanStats?.favoriteCategory || null
       }
     }
@@ -227,13 +264,14 @@ export async function getUserProgress(userId) {
  */
 export async function getAchievementProgress(userId) {
   try {
-    const [scanStats, workoutStats, streak] = await Promise.all([
+    const [scanStats, workoutStats, streak, prStats] = await Promise.all([
       getUserScanStats(userId),
       getUserWorkoutStats(userId),
-      calculateWorkoutStreak(userId)
+      calculateWorkoutStreak(userId),
+      getPersonalRecordStats(userId)
     ])
 
-    return calculateAchievements(scanStats, workoutStats, streak)
+    return calculateAchievements(scanStats, workoutStats, streak, prStats)
   } catch (error) {
     console.error('Error fetching achievement progress:', error)
     throw error
@@ -0,0 +1,326 @@
+import { supabase } from '../config/supabase.js';
+
+// ============================================================================
+// PROGRESSIVE OVERLOAD
+// ============================================================================
+//
+// After a plan day is completed, the next upcoming occurrence of each exercise
+// gets an adjusted prescription (sets / reps / suggested weight) based on what
+// was actually logged and how hard the session felt.
+//
+// Rules (double progression):
+// - Hit every prescribed set at the top of the rep range -> add weight
+//   (or +2 reps for bodyweight exercises)
+// - Hit every set inside the range -> keep the weight, aim for more reps
+// - Missed sets / fell below the range, or the session was rated very hard
+//   with low energy -> deload the weight by 10% (or drop a set)
+// - Nothing logged for the exercise -> adjust volume from the ratings only
+
+// difficulty_rating and energy_level are 1-5 scales
+const HARD_DIFFICULTY = 5;
+const EASY_DIFFICULTY = 2;
+const LOW_ENERGY = 2;
+const HIGH_ENERGY = 4;
+
+const MIN_SETS = 2;
+const MAX_SETS = 5;
+const DELOAD_FACTOR = 0.9;
+
+// Smallest sensible jump per unit (lower body moves more weight)
+const WEIGHT_INCREMENTS = {
+  kg: { upper: 2.5, lower: 5 },
+  lb: { upper: 5, lower: 10 }
+};
+
+const LOWER_BODY_PARTS = ['upper legs', 'lower legs'];
+
+const LB_TO_KG = 0.45359237;
+
+function toKg(weight, unit) {
+  return unit === 'lb' ? weight * LB_TO_KG : weight;
+}
+
+function fromKg(weightKg, unit) {
+  return unit === 'lb' ? weightKg / LB_TO_KG : weightKg;
+}
+
+/**
+ * Parse a reps prescription ("8-12", "10", "30 seconds")
+ * @returns {Object|null} - { min, max } or null for timed / free-text reps
+ */
+export function parseRepRange(reps) {
+  if (typeof reps === 'number') {
+    return { min: reps, max: reps };
+  }
+
+  if (typeof reps !== 'string') return null;
+
+  const trimmed = reps.trim();
+  const range = trimmed.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (range) {
+    return { min: parseInt(range[1], 10), max: parseInt(range[2], 10) };
+  }
+
+  const single = trimmed.match(/^(\d+)$/);
+  if (single) {
+    const value = parseInt(single[1], 10);
+    return { min: value, max: value };
+  }
+
+  return null;
+}
+
+export function formatRepRange({ min, max }) {
+  return min === max ? `${min}` : `${min}-${max}`;
+}
+
+function roundWeight(weight, unit) {
+  // Round to the nearest plate step (1.25kg / 2.5lb)
+  const step = unit === 'lb' ? 2.5 : 1.25;
+  return Math.round(weight / step) * step;
+}
+
+/**
+ * Summarise the logged sets for one exercise
+ * Sets logged in different units are compared in kg; top_weight is in weight_unit
+ */
+function summarisePerformance(sets) {
+  const weighted = sets.filter(set => set.weight > 0);
+  const unit = weighted[0]?.weight_unit || 'kg';
+  const repsPerSet = sets.map(set => set.reps).filter(reps => reps != null);
+  const topWeightKg = weighted.length > 0
+    ? Math.max(...weighted.map(set => toKg(Number(set.weight), set.weight_unit)))
+    : null;
+
+  return {
+    sets_completed: sets.length,
+    min_reps: repsPerSet.length > 0 ? Math.min(...repsPerSet) : null,
+    top_weight: topWeightKg !== null ? Math.round(fromKg(topWeightKg, unit) * 100) / 100 : null,
+    weight_unit: unit,
+    avg_rpe: sets.some(set => set.rpe != null)
+      ? sets.reduce((sum, set) => sum + (Number(set.rpe) || 0), 0) / sets.filter(set => set.rpe != null).length
+      : null
+  };
+}
+
+/**
+ * Decide the next prescription for an exercise
+ * @param {Object} exercise - Exercise as stored on the completed daily workout
+ * @param {Array} sets - Logged sets for this exercise
+ * @param {Object} ratings - { difficulty_rating, energy_level }
+ * @returns {Object|null} - { action, reason, sets, reps, suggested_weight, weight_unit } or null to leave as is
+ */
+export function calculateNextPrescription(exercise, sets, ratings) {
+  const prescribedSets = exercise.sets || 3;
+  const repRange = parseRepRange(exercise.reps);
+  const { difficulty_rating, energy_level } = ratings;
+
+  const struggled = difficulty_rating >= HARD_DIFFICULTY && energy_level != null && energy_level <= LOW_ENERGY;
+  const cruised = difficulty_rating != null && difficulty_rating <= EASY_DIFFICULTY &&
+    (energy_level == null || energy_level >= HIGH_ENERGY);
+
+  // No logged sets - adjust volume from how the session felt
+  if (!sets || sets.length === 0) {
+    if (cruised && prescribedSets < MAX_SETS) {
+      return { action: 'add_set', reason: 'Session felt easy', sets: prescribedSets + 1 };
+    }
+    if (struggled && prescribedSets > MIN_SETS) {
+      return { action: 'remove_set', reason: 'Session felt very hard with low energy', sets: prescribedSets - 1 };
+    }
+    return null;
+  }
+
+  // Timed / free-text prescriptions aren't adjusted automatically
+  if (!repRange) return null;
+
+  const performance = summarisePerformance(sets);
+  const hitAllSets = performance.sets_completed >= prescribedSets;
+  const hitTopOfRange = performance.min_reps != null && performance.min_reps >= repRange.max;
+  const belowRange = performance.min_reps != null && performance.min_reps < repRange.min;
+  const highRpe = performance.avg_rpe != null && performance.avg_rpe >= 9.5;
+  const unit = performance.weight_unit;
+
+  if (!hitAllSets || belowRange || struggled) {
+    if (performance.top_weight) {
+      return {
+        action: 'deload',
+        reason: struggled ? 'Session felt very hard with low energy' : 'Missed the target sets or reps',
+        suggested_weight: roundWeight(performance.top_weight * DELOAD_FACTOR, unit),
+        weight_unit: unit
+      };
+    }
+    if (prescribedSets > MIN_SETS) {
+      return { action: 'remove_set', reason: 'Missed the target sets or reps', sets: prescribedSets - 1 };
+    }
+    return null;
+  }
+
+  if (hitTopOfRange && !highRpe) {
+    if (performance.top_weight) {
+      const bodyPart = (exercise.bodyPart || '').toLowerCase();
+      const increments = WEIGHT_INCREMENTS[unit] || WEIGHT_INCREMENTS.kg;
+      const increment = LOWER_BODY_PARTS.includes(bodyPart) ? increments.lower : increments.upper;
+
+      return {
+        action: 'increase_weight',
+        reason: `Hit ${repRange.max} reps on every set`,
+        suggested_weight: performance.top_weight + increment,
+        weight_unit: unit
+      };
+    }
+
+    return {
+      action: 'increase_reps',
+      reason: `Hit ${repRange.max} reps on every set`,
+      reps: formatRepRange({ min: repRange.min + 2, max: repRange.max + 2 })
+    };
+  }
+
+  // Inside the range - keep the load and chase more reps next time
+  if (performance.top_weight) {
+    return {
+      action: 'hold',
+      reason: 'Keep the weight and aim for more reps',
+      suggested_weight: performance.top_weight,
+      weight_unit: unit
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Find the next incomplete plan day after the completed one
+ * that contains each exercise
+ */
+async function findNextOccurrences(dailyWorkout, exerciseIds) {
+  const { data: upcoming, error } = await supabase
+    .from('daily_workouts')
+    .select('id, day_order, scheduled_date, mesocycle_phase, exercises')
+    .eq('workout_plan_id', dailyWorkout.workout_plan_id)
+    .eq('is_completed', false)
+    .eq('is_skipped', false)
+    .neq('id', dailyWorkout.id);
+
+  if (error) throw error;
+
+  const isAfterCompletedDay = (day) => {
+    if (day.scheduled_date && dailyWorkout.scheduled_date) {
+      return day.scheduled_date > dailyWorkout.scheduled_date;
+    }
+    return day.day_order > dailyWorkout.day_order;
+  };
+
+  const ordered = (upcoming || [])
+    .filter(isAfterCompletedDay)
+    .sort((a, b) => (a.scheduled_date && b.scheduled_date)
+      ? a.scheduled_date.localeCompare(b.scheduled_date)
+      : a.day_order - b.day_order);
+
+  // exerciseId -> upcoming day
+  const nextOccurrence = new Map();
+  for (const day of ordered) {
+    for (const exercise of day.exercises || []) {
+      if (exerciseIds.includes(exercise.id) && !nextOccurrence.has(exercise.id)) {
+        nextOccurrence.set(exercise.id, day);
+      }
+    }
+  }
+
+  return nextOccurrence;
+}
+
+/**
+ * Apply progressive overload to the rest of an active plan after a day is completed
+ * @param {Object} params
+ * @param {Object} params.dailyWorkout - The completed daily_workouts row
+ * @param {Object} params.completion - The workout_completions row
+ * @param {Array} params.setLogs - Saved set logs for the completion
+ * @returns {Promise<Array>} - Adjustments made: { exercise_id, daily_workout_id, action, ... }
+ */
+export async function applyProgressiveOverload({ dailyWorkout, completion, setLogs }) {
+  try {
+    const { data: plan, error: planError } = await supabase
+      .from('workout_plans')
+      .select('id, is_active')
+      .eq('id', dailyWorkout.workout_plan_id)
+      .single();
+
+    if (planError) throw planError;
+
+    // Only active plans evolve - archived plans stay as they were
+    if (!plan?.is_active) return [];
+
+    const exercises = dailyWorkout.exercises || [];
+    if (exercises.length === 0) return [];
+
+    const nextOccurrence = await findNextOccurrences(dailyWorkout, exercises.map(e => e.id));
+    if (nextOccurrence.size === 0) return [];
+
+    const ratings = {
+      difficulty_rating: completion.difficulty_rating,
+      energy_level: completion.energy_level
+    };
+
+    const adjustments = [];
+    const updatedDays = new Map();
+
+    for (const exercise of exercises) {
+      const targetDay = nextOccurrence.get(exercise.id);
+      // Deload weeks keep their reduced prescription
+      if (!targetDay || targetDay.mesocycle_phase === 'deload') continue;
+
+      const sets = (setLogs || []).filter(set => set.exercise_id === exercise.id);
+      const prescription = calculateNextPrescription(exercise, sets, ratings);
+      if (!prescription) continue;
+
+      const dayExercises = updatedDays.get(targetDay.id) || [...targetDay.exercises];
+      const index = dayExercises.findIndex(e => e.id === exercise.id);
+      const current = dayExercises[index];
+      const { action, reason, ...changes } = prescription;
+
+      dayExercises[index] = {
+        ...current,
+        ...changes,
+        progression: {
+          action,
+          reason,
+          previous: {
+            sets: current.sets,
+            reps: current.reps,
+            suggested_weight: current.suggested_weight ?? null
+          },
+          source_completion_id: completion.id,
+          applied_at: new Date().toISOString()
+        }
+      };
+
+      updatedDays.set(targetDay.id, dayExercises);
+      adjustments.push({
+        exercise_id: exercise.id,
+        daily_workout_id: targetDay.id,
+        action,
+        reason,
+        ...changes
+      });
+    }
+
+    for (const [dayId, dayExercises] of updatedDays) {
+      const { error } = await supabase
+        .from('daily_workouts')
+        .update({ exercises: dayExercises })
+        .eq('id', dayId);
+
+      if (error) throw error;
+    }
+
+    if (adjustments.length > 0) {
+      console.log(`📈 Progressive overload: ${adjustments.length} exercises adjusted across ${updatedDays.size} upcoming days`);
+    }
+
+    return adjustments;
+  } catch (error) {
+    console.error('Error applying progressive overload:', error);
+    throw error;
+  }
+}
@@ -1,19 +1,16 @@
-import OpenAI from 'openai'
 import crypto from 'crypto'
 import NodeCache from 'node-cache'
 import { getAllExercises } from './exerciseService.js'
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-})
+import { trackChatCompletion, AI_FEATURES } from './aiUsageService.js'
+import { matchesMuscleGroups } from './taxonomyService.js'
+import { filterDoableExercises, ALWAYS_AVAILABLE_EQUIPMENT } from './userEquipmentService.js'
 
 // Cache for AI recommendations (24 hour TTL)
 const recommendationCache = new NodeCache({ stdTTL: 86400, checkperiod: 3600 })
 
 /**
  * Generate a cache key based on user profile
- * Note: Equipment is NOT included - AI recommendations are equipment-agnostic
+ * Includes the user's equipment, so changing it regenerates recommendations
  */
 function generateCacheKey(user) {
   const profileData = {
@@ -21,6 +18,7 @@ function generateCacheKey(user) {
     goals: user.fitness_goal || [],
     levels: user.fitness_levels || [],
     bodyFocus: user.body_focus || [],
+    equipment: user.equipment ?? null,
     gender: user.gender
   }
   const hash = crypto.createHash('md5').update(JSON.stringify(profileData)).digest('hex')
@@ -28,38 +26,20 @@ function generateCacheKey(user) {
 }
 
 /**
- * Pre-filter exercises based on user's body focus and fitness levels
- * Note: Equipment is NOT filtered here - AI recommendations are equipment-agnostic
- * The "Based on Your Equipment" section handles equipment filtering separately
+ * Pre-filter exercises based on user's body focus, fitness levels and equipment
+ * Users who haven't declared their equipment get exercises for any equipment
  */
 function preFilterExercises(exercises, user) {
   const bodyFocus = user.body_focus || []
   const fitnessLevels = user.fitness_levels || []
 
-  let filtered = exercises
+  // Only exercises doable with the user's equipment - never relaxed below
+  const doable = filterDoableExercises(exercises, user.equipment)
+  let filtered = doable
 
-  // Filter by body focus if set
+  // Filter by body focus if set (aliases like 'waist' or 'biceps' resolve to their muscle group)
   if (bodyFocus.length > 0) {
-    filtered = filtered.filter(ex => {
-      const bodyPart = ex.bodyPart?.toLowerCase() || ''
-      const target = ex.target?.toLowerCase() || ''
-
-      return bodyFocus.some(focus => {
-        const f = focus.toLowerCase()
-
-        // Handle common aliases
-        if (f === 'arms') return bodyPart.includes('arm') || target.includes('bicep') || target.includes('tricep')
-        if (f === 'abs') return bodyPart.includes('waist') || target.includes('abs')
-        if (f === 'chest') return bodyPart.includes('chest') || target.includes('pectoral')
-        if (f === 'back') return bodyPart.includes('back') || target.includes('lats') || target.includes('traps')
-        if (f === 'legs') return bodyPart.includes('leg') || target.includes('quad') || target.includes('hamstring') || target.includes('calves')
-        if (f === 'glutes') return target.includes('glute')
-        if (f === 'shoulders') return bodyPart.includes('shoulder') || target.includes('delt')
-        if (f === 'cardio') return ex.category === 'cardio'
-
-        return bodyPart.includes(f) || target.includes(f)
-      })
-    })
+    filtered = filtered.filter(ex => matchesMuscleGroups(ex, bodyFocus))
   }
 
   // Filter by fitness level if set
@@ -72,7 +52,7 @@ function preFilterExercises(exercises, user) {
   // If no filters or too few results, return random sample
   if (filtered.length === 0) {
     console.log('⚠️ No exercises match filters, returning unfiltered sample')
-    return shuffleArray(exercises).slice(0, 600)
+    return shuffleArray(doable).slice(0, 600)
   }
 
   // Limit to 600 exercises max
@@ -108,7 +88,7 @@ function buildExerciseSummaries(exercises) {
 
 /**
  * Build the AI prompt for personalized recommendations
- * Note: Equipment is NOT included - AI recommendations are equipment-agnostic
+ * The exercise list is already limited to the user's equipment
  */
 function buildRecommendationPrompt(user, exerciseSummaries) {
   const goals = Array.isArray(user.fitness_goal) ? user.fitness_goal : []
@@ -123,6 +103,7 @@ USER PROFILE:
 - Fitness Goals: ${goals.join(', ') || 'general fitness'}
 - Fitness Levels: ${levels.join(', ') || 'all levels'}
 - Body Focus Areas: ${bodyFocus.join(', ') || 'full body'}
+${Array.isArray(user.equipment) ? `- Available Equipment: ${[...ALWAYS_AVAILABLE_EQUIPMENT, ...user.equipment].join(', ')}` : ''}
 ${user.height_cm ? `- Height: ${user.height_cm} cm` : ''}
 ${user.weight_kg ? `- Weight: ${user.weight_kg} kg` : ''}
 
@@ -189,8 +170,8 @@ export async function generateAIRecommendations(user, forceRefresh = false) {
     // Build prompt
     const prompt = buildRecommendationPrompt(user, summaries)
 
-    // Call OpenAI
-    const response = await openai.chat.completions.create({
+    // Call the LLM
+    const response = await trackChatCompletion({
       model: 'gpt-4o-mini',
       messages: [
         {
@@ -205,10 +186,10 @@ export async function generateAIRecommendations(user, forceRefresh = false) {
       response_format: { type: 'json_object' },
       temperature: 0.7,
       max_tokens: 2000
-    })
+    }, { userId: user.id, feature: AI_FEATURES.RECOMMENDATIONS })
 
     // Parse response
-    const aiResponse = JSON.parse(response.choices[0].message.content)
+    const aiResponse = JSON.parse(response.content)
 
     // Map exercise IDs back to full exercise objects
     const exerciseMap = new Map(filteredExercises.map(ex => [ex.id, ex]))
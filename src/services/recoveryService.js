@@ -0,0 +1,280 @@
+import { supabase } from '../config/supabase.js'
+import { normalizeMuscle, isLargeMuscle } from './taxonomyService.js'
+
+/**
+ * Recovery Service
+ * Estimates per-muscle fatigue from recently completed workouts
+ *
+ * Every completed set adds fatigue to the exercise's target muscle (1 unit)
+ * and to each of its secondary muscles (0.5 units), scaled by how hard the
+ * session was (logged RPE, or the workout's difficulty rating).
+ * Fatigue then decays exponentially - large muscle groups take longer.
+ * Muscles are tracked by their canonical name (taxonomyService), so 'quadriceps'
+ * and 'quads' share one entry.
+ *
+ * Readiness is 100 when a muscle is fully recovered and 0 when it carries
+ * FATIGUE_CAPACITY units of fatigue (roughly 10 hard sets done just now).
+ */
+
+const RECOVERY_WINDOW_DAYS = 7
+const FATIGUE_CAPACITY = 10
+const SECONDARY_MUSCLE_SHARE = 0.5
+
+// Readiness thresholds
+export const READY_THRESHOLD = 80
+export const FATIGUED_THRESHOLD = 50
+
+// Hours for fatigue to halve
+const LARGE_MUSCLE_HALF_LIFE_HOURS = 36
+const SMALL_MUSCLE_HALF_LIFE_HOURS = 24
+
+// Session difficulty (1-5) when no RPE was logged
+const DIFFICULTY_INTENSITY = { 1: 0.7, 2: 0.85, 3: 1.0, 4: 1.1, 5: 1.2 }
+
+function halfLifeFor(muscle) {
+  return isLargeMuscle(muscle) ? LARGE_MUSCLE_HALF_LIFE_HOURS : SMALL_MUSCLE_HALF_LIFE_HOURS
+}
+
+function readinessStatus(readiness) {
+  if (readiness >= READY_THRESHOLD) return 'ready'
+  if (readiness >= FATIGUED_THRESHOLD) return 'recovering'
+  return 'fatigued'
+}
+
+/**
+ * Sets performed per exercise in a completion
+ * (logged sets first, then the client's exercises_completed, then the prescription)
+ */
+function countSetsPerExercise(completion, setLogs) {
+  const counts = new Map()
+
+  if (setLogs.length > 0) {
+    for (const set of setLogs) {
+      counts.set(set.exercise_id, (counts.get(set.exercise_id) || 0) + 1)
+    }
+    return counts
+  }
+
+  const completed = Array.isArray(completion.exercises_completed) ? completion.exercises_completed : []
+  for (const entry of completed) {
+    if (entry?.exercise_id && entry.sets_completed > 0) {
+      counts.set(entry.exercise_id, entry.sets_completed)
+    }
+  }
+  if (counts.size > 0) return counts
+
+  const prescribed = completion.daily_workouts?.exercises || completion.exercises || []
+  for (const exercise of prescribed) {
+    if (exercise?.id) {
+      counts.set(exercise.id, Number(exercise.sets) || 3)
+    }
+  }
+
+  return counts
+}
+
+/**
+ * How hard the session was (multiplier around 1.0)
+ */
+function sessionIntensity(completion, setLogs) {
+  const rpes = setLogs.map(set => Number(set.rpe)).filter(rpe => rpe > 0)
+  if (rpes.length > 0) {
+    const avgRpe = rpes.reduce((sum, rpe) => sum + rpe, 0) / rpes.length
+    return Math.min(1.25, Math.max(0.6, avgRpe / 8))
+  }
+
+  return DIFFICULTY_INTENSITY[completion.difficulty_rating] || 1
+}
+
+/**
+ * Calculate per-muscle recovery from recent completions
+ * @param {Array} completions - [{ completed_at, difficulty_rating, exercises_completed, exercises?, daily_workouts?, set_logs }]
+ * @param {Map} catalog - exerciseId -> { target, secondary_muscles }
+ * @param {Date} [now]
+ * @returns {Array} - [{ muscle, readiness, status, fatigue, last_trained_at, ready_at }] least recovered first
+ */
+export function calculateMuscleRecovery(completions, catalog, now = new Date()) {
+  const muscles = new Map()
+
+  const addFatigue = (muscle, load, completedAt) => {
+    const name = normalizeMuscle(muscle)
+    if (!name) return
+
+    const hoursAgo = Math.max(0, (now - new Date(completedAt)) / 3600000)
+    const remaining = load * Math.pow(0.5, hoursAgo / halfLifeFor(name))
+
+    const entry = muscles.get(name) || { muscle: name, fatigue: 0, last_trained_at: null }
+    entry.fatigue += remaining
+    if (!entry.last_trained_at || new Date(completedAt) > new Date(entry.last_trained_at)) {
+      entry.last_trained_at = completedAt
+    }
+    muscles.set(name, entry)
+  }
+
+  for (const completion of completions) {
+    const setLogs = completion.set_logs || []
+    const intensity = sessionIntensity(completion, setLogs)
+
+    for (const [exerciseId, sets] of countSetsPerExercise(completion, setLogs)) {
+      const exercise = catalog.get(exerciseId)
+      if (!exercise) continue
+
+      const load = sets * intensity
+      addFatigue(exercise.target, load, completion.completed_at)
+      for (const secondary of exercise.secondary_muscles || []) {
+        if (normalizeMuscle(secondary) !== normalizeMuscle(exercise.target)) {
+          addFatigue(secondary, load * SECONDARY_MUSCLE_SHARE, completion.completed_at)
+        }
+      }
+    }
+  }
+
+  // Fatigue left when a muscle counts as ready again
+  const readyFatigue = FATIGUE_CAPACITY * (1 - READY_THRESHOLD / 100)
+
+  return [...muscles.values()]
+    .map(entry => {
+      const readiness = Math.round(100 * (1 - Math.min(1, entry.fatigue / FATIGUE_CAPACITY)))
+      const hoursUntilReady = entry.fatigue > readyFatigue
+        ? halfLifeFor(entry.muscle) * Math.log2(entry.fatigue / readyFatigue)
+        : 0
+
+      return {
+        muscle: entry.muscle,
+        readiness,
+        status: readinessStatus(readiness),
+        fatigue: Math.round(entry.fatigue * 10) / 10,
+        last_trained_at: entry.last_trained_at,
+        ready_at: hoursUntilReady > 0
+          ? new Date(now.getTime() + hoursUntilReady * 3600000).toISOString()
+          : null
+      }
+    })
+    .sort((a, b) => a.readiness - b.readiness || a.muscle.localeCompare(b.muscle))
+}
+
+/**
+ * Get per-muscle readiness for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { muscles, fatigued_muscles, overall_readiness, calculated_at }
+ */
+export async function getMuscleRecovery(userId) {
+  try {
+    const now = new Date()
+    const since = new Date(now.getTime() - RECOVERY_WINDOW_DAYS * 24 * 3600000)
+
+    const { data: completions, error } = await supabase
+      .from('workout_completions')
+      .select('id, completed_at, difficulty_rating, exercises_completed, exercises, daily_workouts(exercises)')
+      .eq('user_id', userId)
+      .gte('completed_at', since.toISOString())
+
+    if (error) throw error
+
+    const completionIds = (completions || []).map(c => c.id)
+    let setLogs = []
+
+    if (completionIds.length > 0) {
+      const { data, error: setLogsError } = await supabase
+        .from('workout_set_logs')
+        .select('workout_completion_id, exercise_id, rpe')
+        .in('workout_completion_id', completionIds)
+
+      if (setLogsError) throw setLogsError
+      setLogs = data || []
+    }
+
+    const withSets = (completions || []).map(completion => ({
+      ...completion,
+      set_logs: setLogs.filter(set => set.workout_completion_id === completion.id)
+    }))
+
+    const exerciseIds = [...new Set(withSets.flatMap(c => [...countSetsPerExercise(c, c.set_logs).keys()]))]
+    let catalog = new Map()
+
+    if (exerciseIds.length > 0) {
+      const { data: exercises, error: catalogError } = await supabase
+        .from('exercises')
+        .select('id, target, secondary_muscles')
+        .in('id', exerciseIds)
+
+      if (catalogError) throw catalogError
+      catalog = new Map((exercises || []).map(e => [e.id, e]))
+    }
+
+    const muscles = calculateMuscleRecovery(withSets, catalog, now)
+
+    return {
+      muscles,
+      fatigued_muscles: muscles.filter(m => m.status === 'fatigued').map(m => m.muscle),
+      recovering_muscles: muscles.filter(m => m.status === 'recovering').map(m => m.muscle),
+      overall_readiness: muscles.length > 0
+        ? Math.round(muscles.reduce((sum, m) => sum + m.readiness, 0) / muscles.length)
+        : 100,
+      calculated_at: now.toISOString()
+    }
+  } catch (error) {
+    console.error('Error calculating muscle recovery:', error)
+    throw error
+  }
+}
+
+/**
+ * Keep the first workout of a new plan off fatigued muscles
+ * Exercises on day 1 that target a fatigued muscle are swapped for an exercise
+ * of the same body part that hits a recovered muscle (or dropped when nothing fits
+ * and the day has enough other work).
+ * @param {Object} planStructure - { daily_workouts: [{ exercises: [{ exercise_id }] }] }
+ * @param {Array} fatiguedMuscles - Muscle names
+ * @param {Array} availableExercises - Exercise pool ({ id, bodyPart, target })
+ * @returns {Object} - Plan structure (unchanged when nothing is fatigued)
+ */
+export function avoidFatiguedMuscles(planStructure, fatiguedMuscles = [], availableExercises = []) {
+  const fatigued = new Set(fatiguedMuscles.map(normalizeMuscle))
+  const firstDay = planStructure.daily_workouts?.[0]
+  if (fatigued.size === 0 || !firstDay) return planStructure
+
+  const byId = new Map(availableExercises.map(e => [e.id, e]))
+  const isFatigued = (exercise) => fatigued.has(normalizeMuscle(exercise?.target))
+  const usedIds = new Set(firstDay.exercises.map(e => e.exercise_id))
+  const minExercises = Math.max(3, Math.ceil(firstDay.exercises.length / 2))
+
+  const exercises = []
+  let swapped = 0
+
+  firstDay.exercises.forEach((ref, index) => {
+    const current = byId.get(ref.exercise_id)
+    if (!current || !isFatigued(current)) {
+      exercises.push(ref)
+      return
+    }
+
+    const replacement = availableExercises.find(candidate =>
+      !usedIds.has(candidate.id) &&
+      !isFatigued(candidate) &&
+      candidate.bodyPart === current.bodyPart
+    )
+
+    if (replacement) {
+      usedIds.add(replacement.id)
+      exercises.push({ ...ref, exercise_id: replacement.id })
+      swapped++
+    } else if (exercises.length + (firstDay.exercises.length - index - 1) < minExercises) {
+      exercises.push(ref)
+    } else {
+      swapped++
+    }
+  })
+
+  if (swapped === 0) return planStructure
+
+  console.log(`🛌 Recovery: adjusted ${swapped} exercises on day 1 to avoid fatigued muscles (${[...fatigued].join(', ')})`)
+
+  return {
+    ...planStructure,
+    daily_workouts: [
+      { ...firstDay, exercises },
+      ...planStructure.daily_workouts.slice(1)
+    ]
+  }
+}
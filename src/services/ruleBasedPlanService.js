@@ -0,0 +1,255 @@
+import { resolveMuscleGroup, matchesMuscleGroups, getExerciseDbBodyPart } from './taxonomyService.js';
+
+// ============================================================================
+// RULE-BASED PLAN GENERATOR
+// ============================================================================
+//
+// Deterministic fallback for generateWorkoutPlanWithAI. Builds the same plan
+// structure the AI returns ({ plan_name, description, daily_workouts: [...] })
+// from the exercises already fetched from the local exercises table, so plan
+// creation keeps working when OpenAI fails, times out or is switched off.
+//
+// The same inputs always produce the same plan (no randomness), which also
+// makes it usable for offline testing.
+
+// Training scheme per goal (first matching goal wins)
+const GOAL_SCHEMES = [
+  {
+    goals: ['strength', 'build_strength'],
+    sets: 4, reps: '4-6', rest_seconds: 150, tempo: '2-1-1-0',
+    plan_name: 'Strength & Power Program',
+    summary: 'heavy compound lifts with longer rest to build maximal strength'
+  },
+  {
+    goals: ['gain_muscle', 'muscle_building'],
+    sets: 3, reps: '8-12', rest_seconds: 90, tempo: '2-0-2-0',
+    plan_name: 'Lean Muscle Builder',
+    summary: 'moderate loads in the hypertrophy range to build muscle'
+  },
+  {
+    goals: ['lose_weight', 'weight_loss'],
+    sets: 3, reps: '12-15', rest_seconds: 45, tempo: '2-0-1-0',
+    plan_name: 'Total Body Transformation',
+    summary: 'higher reps and short rest to keep your heart rate up and burn calories'
+  },
+  {
+    goals: ['endurance', 'improve_endurance', 'athletic_performance'],
+    sets: 3, reps: '15-20', rest_seconds: 30, tempo: '1-0-1-0',
+    plan_name: 'Endurance Engine',
+    summary: 'high-rep circuits with minimal rest to build muscular endurance'
+  }
+];
+
+const DEFAULT_SCHEME = {
+  sets: 3, reps: '10-12', rest_seconds: 60, tempo: '2-0-2-0',
+  plan_name: 'Balanced Fitness Plan',
+  summary: 'a balanced mix of strength work to improve overall fitness'
+};
+
+const WARM_UP_EQUIPMENT = ['body weight', 'band', 'assisted'];
+const COMPOUND_EQUIPMENT = ['barbell', 'dumbbell', 'kettlebell', 'cable', 'smith machine', 'body weight'];
+const NON_MAIN_CATEGORIES = ['stretching', 'mobility', 'rehabilitation'];
+const DIFFICULTY_ORDER = ['beginner', 'intermediate', 'advanced'];
+
+function titleCase(text) {
+  return text.replace(/\b\w/g, char => char.toUpperCase());
+}
+
+function pickScheme(fitnessGoals = []) {
+  return GOAL_SCHEMES.find(scheme => scheme.goals.some(goal => fitnessGoals.includes(goal))) || DEFAULT_SCHEME;
+}
+
+function matchesBodyPart(exercise, bodyPart) {
+  // ExerciseDB body parts exactly ('lower legs' is not every leg exercise)
+  const exerciseDbBodyPart = getExerciseDbBodyPart(bodyPart);
+  if (exerciseDbBodyPart) {
+    return (exercise.bodyPart || '').toLowerCase() === exerciseDbBodyPart;
+  }
+  if (resolveMuscleGroup(bodyPart)) {
+    return matchesMuscleGroups(exercise, [bodyPart]);
+  }
+  return (exercise.bodyPart || '').toLowerCase().includes(bodyPart.toLowerCase());
+}
+
+/**
+ * Split the target body parts into training groups
+ * (full body for 1-2 days a week, otherwise up to 3 rotating groups)
+ */
+function buildBodyPartGroups(targetBodyParts, daysPerWeek) {
+  if (daysPerWeek <= 2 || targetBodyParts.length <= 1) {
+    return [targetBodyParts];
+  }
+
+  const groupCount = Math.min(targetBodyParts.length, 3, daysPerWeek);
+  const groups = Array.from({ length: groupCount }, () => []);
+  targetBodyParts.forEach((bodyPart, index) => groups[index % groupCount].push(bodyPart));
+
+  return groups;
+}
+
+/**
+ * Deterministic ranking: least used first, then compound/loadable movements,
+ * then difficulty closest to the user's level, then id
+ */
+function rankExercises(exercises, usage, preferredDifficulty) {
+  const preferredIndex = DIFFICULTY_ORDER.indexOf(preferredDifficulty);
+
+  return [...exercises].sort((a, b) =>
+    (usage.get(a.id) || 0) - (usage.get(b.id) || 0) ||
+    Number(COMPOUND_EQUIPMENT.includes(b.equipment)) - Number(COMPOUND_EQUIPMENT.includes(a.equipment)) ||
+    Math.abs(DIFFICULTY_ORDER.indexOf(a.difficulty) - preferredIndex) - Math.abs(DIFFICULTY_ORDER.indexOf(b.difficulty) - preferredIndex) ||
+    String(a.id).localeCompare(String(b.id))
+  );
+}
+
+/**
+ * Pick exercises for one day, rotating through body parts and target muscles
+ */
+function selectDayExercises(bodyParts, mainPool, count, usage, preferredDifficulty) {
+  const byBodyPart = bodyParts.map(bodyPart =>
+    rankExercises(mainPool.filter(ex => matchesBodyPart(ex, bodyPart)), usage, preferredDifficulty)
+  );
+
+  const selected = [];
+  const usedTargets = new Set();
+  let round = 0;
+
+  while (selected.length < count && byBodyPart.some(list => list.length > 0)) {
+    const list = byBodyPart[round % byBodyPart.length];
+    round++;
+    if (list.length === 0) continue;
+
+    // Prefer a muscle we haven't hit yet today, otherwise take the best remaining
+    const index = Math.max(0, list.findIndex(ex => !usedTargets.has(ex.target)));
+    const [exercise] = list.splice(index, 1);
+
+    if (selected.some(ex => ex.id === exercise.id)) continue;
+
+    selected.push(exercise);
+    usedTargets.add(exercise.target);
+  }
+
+  return selected;
+}
+
+/**
+ * Generate a weekly plan structure without AI
+ * @param {Object} params - Same shape as aiService.generateWorkoutPlanWithAI
+ * @returns {Object} - { plan_name, description, generation_source, daily_workouts }
+ */
+export function generateRuleBasedPlan({ userProfile = {}, preferences, availableExercises }) {
+  const {
+    fitness_goals = [],
+    target_body_parts = [],
+    days_per_week,
+    hours_per_session,
+    selected_days,
+    exercise_range
+  } = preferences;
+
+  if (!availableExercises || availableExercises.length === 0) {
+    throw new Error('No exercises available to build a plan');
+  }
+
+  const scheme = pickScheme(fitness_goals);
+  const levels = userProfile.fitnessLevels || [userProfile.fitnessLevel || 'beginner'];
+  const preferredDifficulty = levels.includes('advanced') ? 'advanced'
+    : levels.includes('intermediate') ? 'intermediate'
+      : 'beginner';
+
+  const exerciseCount = exercise_range
+    ? Math.round((exercise_range.min + exercise_range.max) / 2)
+    : Math.min(12, Math.max(3, Math.round(6 * hours_per_session)));
+
+  const mainPool = availableExercises.filter(ex => !NON_MAIN_CATEGORIES.includes(ex.category));
+  const lightExercises = availableExercises.filter(ex => WARM_UP_EQUIPMENT.includes(ex.equipment));
+  const beginnerLight = lightExercises.filter(ex => ex.difficulty === 'beginner');
+  const warmUpPool = beginnerLight.length > 0 ? beginnerLight : lightExercises;
+
+  // Fall back to whatever body parts exist if none of the targets match
+  const bodyParts = target_body_parts.filter(bp => mainPool.some(ex => matchesBodyPart(ex, bp)));
+  const effectiveBodyParts = bodyParts.length > 0
+    ? bodyParts
+    : [...new Set(mainPool.map(ex => ex.bodyPart).filter(Boolean))].slice(0, 3);
+
+  const groups = buildBodyPartGroups(effectiveBodyParts, days_per_week);
+  const usage = new Map();
+  const warmUpUsage = new Map();
+  const durationMinutes = Math.round(hours_per_session * 60);
+
+  const dailyWorkouts = Array.from({ length: days_per_week }, (_, index) => {
+    const dayBodyParts = groups[index % groups.length];
+    const dayOfWeek = selected_days?.[index] || 'flexible';
+    const focusArea = groups.length === 1 && dayBodyParts.length > 2
+      ? 'Full Body'
+      : dayBodyParts.map(titleCase).join(' & ');
+
+    const exercises = selectDayExercises(dayBodyParts, mainPool, exerciseCount, usage, preferredDifficulty);
+    exercises.forEach(ex => usage.set(ex.id, (usage.get(ex.id) || 0) + 1));
+
+    const warmUps = rankExercises(
+      warmUpPool.filter(ex => !exercises.some(main => main.id === ex.id)),
+      warmUpUsage,
+      'beginner'
+    ).slice(0, 2);
+    warmUps.forEach(ex => warmUpUsage.set(ex.id, (warmUpUsage.get(ex.id) || 0) + 1));
+
+    return {
+      day_order: index + 1,
+      day_of_week: dayOfWeek,
+      week_number: 1,
+      workout_name: dayOfWeek === 'flexible'
+        ? `Day ${index + 1} ${focusArea}`
+        : `${titleCase(dayOfWeek)} ${focusArea}`,
+      focus_area: focusArea,
+      target_muscles: [...new Set(exercises.map(ex => ex.target).filter(Boolean))],
+      estimated_duration_minutes: durationMinutes,
+      exercises: exercises.map(ex => ({
+        exercise_id: ex.id,
+        sets: scheme.sets,
+        reps: scheme.reps,
+        rest_seconds: scheme.rest_seconds,
+        tempo: scheme.tempo,
+        notes: 'Controlled reps, full range of motion'
+      })),
+      warm_up_exercises: warmUps.map(ex => ({
+        exercise_id: ex.id,
+        sets: 1,
+        reps: '10-15',
+        rest_seconds: 30,
+        notes: 'Light warm-up, focus on mobility'
+      })),
+      warm_up: '5 minutes of light cardio followed by the warm-up exercises',
+      cool_down: `5-10 minutes of stretching for ${focusArea.toLowerCase()}`,
+      workout_tips: `Rest ${scheme.rest_seconds} seconds between sets. Add weight once you can complete every set at the top of the ${scheme.reps} rep range.`
+    };
+  });
+
+  return {
+    plan_name: scheme.plan_name,
+    description: `A ${days_per_week}-day plan focused on ${effectiveBodyParts.join(', ')} using ${scheme.summary}.`,
+    generation_source: 'rule_based',
+    daily_workouts: dailyWorkouts
+  };
+}
+
+/**
+ * Pick alternatives for an exercise without AI
+ * Same target muscle first, then same body part; different equipment preferred
+ * @returns {Array} - Alternative exercise IDs
+ */
+export function pickRuleBasedAlternatives(mainExercise, availableExercises, count = 2) {
+  const candidates = availableExercises.filter(ex =>
+    ex.id !== mainExercise.id &&
+    (ex.target === mainExercise.target || ex.bodyPart === mainExercise.bodyPart)
+  );
+
+  return candidates
+    .sort((a, b) =>
+      Number(b.target === mainExercise.target) - Number(a.target === mainExercise.target) ||
+      Number(b.equipment !== mainExercise.equipment) - Number(a.equipment !== mainExercise.equipment) ||
+      String(a.id).localeCompare(String(b.id))
+    )
+    .slice(0, count)
+    .map(ex => ex.id);
+}
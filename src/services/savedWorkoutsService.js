@@ -1,4 +1,5 @@
 import { supabase } from '../config/supabase.js';
+import { isCustomExerciseId, getCustomExercise } from './customExerciseService.js';
 
 /**
  * Saved Workouts Service
@@ -299,6 +300,19 @@ export async function saveExercise(userId, exerciseData) {
       throw new Error('Exercise already saved');
     }
 
+    // Custom exercises must belong to the user; fill in details the client didn't send
+    if (isCustomExerciseId(exerciseData.exercise_id)) {
+      const custom = await getCustomExercise(userId, exerciseData.exercise_id);
+      exerciseData = {
+        ...exerciseData,
+        name: exerciseData.name || custom.name,
+        image_url: exerciseData.image_url || custom.image_url,
+        body_part: exerciseData.body_part || custom.bodyPart,
+        target_muscle: exerciseData.target_muscle || custom.target,
+        equipment: exerciseData.equipment || custom.equipment
+      };
+    }
+
     const { data, error } = await supabase
       .from('saved_exercises')
       .insert([{
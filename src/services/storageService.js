@@ -7,6 +7,7 @@ import crypto from 'crypto'
  */
 
 const SCAN_IMAGES_BUCKET = 'scan-images'
+const CUSTOM_EXERCISE_IMAGES_BUCKET = 'custom-exercise-images'
 
 /**
  * Upload scan image to Supabase Storage
@@ -115,6 +116,75 @@ export async function deleteScanImages(imageUrls) {
   }
 }
 
+/**
+ * Upload a custom exercise image to Supabase Storage
+ * Files are stored under the owner's folder so they can be cleaned up per user
+ * @param {Buffer} imageBuffer - Image file buffer
+ * @param {string} userId - Owner of the custom exercise
+ * @param {string} exerciseId - Custom exercise ID
+ * @param {string} mimeType - Image MIME type (e.g., 'image/jpeg')
+ * @returns {string|null} - Public URL of uploaded image or null
+ */
+export async function uploadCustomExerciseImage(imageBuffer, userId, exerciseId, mimeType) {
+  try {
+    const fileExtension = getFileExtension(mimeType)
+    const fileName = `${userId}/${exerciseId}-${Date.now()}.${fileExtension}`
+
+    console.log(`📤 Uploading custom exercise image: ${fileName}`)
+
+    const { error } = await supabase.storage
+      .from(CUSTOM_EXERCISE_IMAGES_BUCKET)
+      .upload(fileName, imageBuffer, {
+        contentType: mimeType,
+        cacheControl: '3600',
+        upsert: false
+      })
+
+    if (error) {
+      console.error('Error uploading custom exercise image:', error)
+      return null
+    }
+
+    const { data: urlData } = supabase.storage
+      .from(CUSTOM_EXERCISE_IMAGES_BUCKET)
+      .getPublicUrl(fileName)
+
+    return urlData.publicUrl
+  } catch (error) {
+    console.error('Error in uploadCustomExerciseImage:', error)
+    return null
+  }
+}
+
+/**
+ * Delete a custom exercise image from storage
+ * @param {string} imageUrl - Public URL of the image
+ * @returns {boolean} - Success status
+ */
+export async function deleteCustomExerciseImage(imageUrl) {
+  try {
+    const match = imageUrl?.match(new RegExp(`/${CUSTOM_EXERCISE_IMAGES_BUCKET}/(.+)$`))
+    if (!match) {
+      console.error('Invalid custom exercise image URL:', imageUrl)
+      return false
+    }
+
+    const { error } = await supabase.storage
+      .from(CUSTOM_EXERCISE_IMAGES_BUCKET)
+      .remove([match[1]])
+
+    if (error) {
+      console.error('Error deleting custom exercise image:', error)
+      return false
+    }
+
+    return true
+  } catch (error) {
+    console.error('Error in deleteCustomExerciseImage:', error)
+    return false
+  }
+}
+
 /**
  * Get file extension from MIME type
  */
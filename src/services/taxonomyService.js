@@ -0,0 +1,264 @@
+/**
+ * Taxonomy Service
+ * Canonical muscles, muscle groups and movement patterns, with the aliases used
+ * by ExerciseDB, custom exercises, AI output and clients mapped onto them
+ *
+ * - Muscle: what an exercise targets ('pectorals', 'lats', 'quads', ...)
+ * - Muscle group: the coarse area a user trains ('chest', 'back', 'legs', ...);
+ *   body focus and plan target body parts are muscle groups
+ * - Movement pattern: what the exercise does ('bench press', 'row', 'squat', ...)
+ *
+ * Catalog exercises get their canonical values at sync time (normalizeExerciseTaxonomy);
+ * everything that compares muscles or body parts should go through this module
+ * instead of matching raw strings.
+ */
+
+export const MUSCLE_GROUPS = ['chest', 'back', 'shoulders', 'arms', 'abs', 'legs', 'glutes', 'neck', 'cardio'];
+
+// Areas a user can pick as body focus during onboarding
+export const BODY_FOCUS_AREAS = ['chest', 'back', 'shoulders', 'arms', 'abs', 'legs', 'glutes', 'cardio'];
+
+// Canonical muscle -> { group, large, aliases }
+// Large muscles take longer to recover (see recoveryService)
+export const MUSCLES = {
+  pectorals: { group: 'chest', large: true, aliases: ['pectoral', 'pecs', 'chest', 'pectoralis major', 'upper chest', 'lower chest'] },
+  'serratus anterior': { group: 'chest', large: false, aliases: ['serratus'] },
+  lats: { group: 'back', large: true, aliases: ['lat', 'latissimus dorsi', 'latissimus'] },
+  'upper back': { group: 'back', large: true, aliases: ['middle back', 'mid back', 'rhomboids'] },
+  traps: { group: 'back', large: true, aliases: ['trapezius', 'upper traps'] },
+  'lower back': { group: 'back', large: true, aliases: ['spine', 'erector spinae'] },
+  delts: { group: 'shoulders', large: false, aliases: ['deltoids', 'deltoid', 'shoulders', 'front deltoids', 'anterior deltoids', 'side deltoids', 'lateral deltoids'] },
+  'rear delts': { group: 'shoulders', large: false, aliases: ['rear deltoids', 'posterior deltoids', 'rear deltoid'] },
+  'rotator cuff': { group: 'shoulders', large: false, aliases: [] },
+  biceps: { group: 'arms', large: false, aliases: ['bicep', 'biceps brachii', 'brachialis'] },
+  triceps: { group: 'arms', large: false, aliases: ['tricep', 'triceps brachii'] },
+  forearms: { group: 'arms', large: false, aliases: ['forearm', 'wrist flexors', 'wrist extensors', 'wrists', 'grip muscles', 'brachioradialis', 'hands'] },
+  abs: { group: 'abs', large: false, aliases: ['abdominals', 'core', 'rectus abdominis', 'lower abs', 'upper abs', 'waist'] },
+  obliques: { group: 'abs', large: false, aliases: ['oblique'] },
+  quads: { group: 'legs', large: true, aliases: ['quad', 'quadriceps', 'thighs'] },
+  hamstrings: { group: 'legs', large: true, aliases: ['hamstring'] },
+  calves: { group: 'legs', large: false, aliases: ['calf', 'soleus', 'gastrocnemius'] },
+  adductors: { group: 'legs', large: false, aliases: ['adductor', 'inner thighs', 'groin'] },
+  'hip flexors': { group: 'legs', large: false, aliases: ['hip flexor', 'iliopsoas'] },
+  glutes: { group: 'glutes', large: true, aliases: ['glute', 'gluteus maximus', 'gluteus medius', 'buttocks'] },
+  abductors: { group: 'glutes', large: false, aliases: ['abductor', 'hip abductors', 'outer thighs'] },
+  'levator scapulae': { group: 'neck', large: false, aliases: ['neck'] },
+  'cardiovascular system': { group: 'cardio', large: false, aliases: ['cardio', 'heart'] }
+};
+
+// ExerciseDB body parts and other names for a muscle group
+const MUSCLE_GROUP_ALIASES = {
+  chest: ['pecs'],
+  back: ['upper back', 'lower back'],
+  shoulders: ['shoulder', 'delts'],
+  arms: ['arm', 'upper arms', 'lower arms', 'biceps', 'triceps'],
+  abs: ['waist', 'core', 'abdominals'],
+  legs: ['leg', 'upper legs', 'lower legs', 'quads', 'hamstrings', 'calves'],
+  glutes: ['glute', 'butt', 'hips'],
+  neck: [],
+  cardio: ['cardiovascular system', 'conditioning']
+};
+
+// ExerciseDB body parts in each muscle group (glute exercises are 'upper legs' with target 'glutes')
+const MUSCLE_GROUP_BODY_PARTS = {
+  chest: ['chest'],
+  back: ['back'],
+  shoulders: ['shoulders'],
+  arms: ['upper arms', 'lower arms'],
+  abs: ['waist'],
+  legs: ['upper legs', 'lower legs'],
+  glutes: [],
+  neck: ['neck'],
+  cardio: ['cardio']
+};
+
+export const EXERCISEDB_BODY_PARTS = Object.values(MUSCLE_GROUP_BODY_PARTS).flat();
+
+// Canonical pattern -> aliases, most specific first: the first alias found in
+// the exercise name decides the pattern
+export const MOVEMENT_PATTERNS = [
+  ['bench press', ['bench press']],
+  ['overhead press', ['overhead press', 'shoulder press', 'military press']],
+  ['leg press', ['leg press']],
+  ['press', ['press']],
+  ['push-up', ['push-up', 'push up', 'pushup']],
+  ['fly', ['fly', 'flye']],
+  ['pullover', ['pullover']],
+  ['pull-up', ['pull-up', 'pull up', 'pullup', 'chin-up', 'chin up', 'chinup']],
+  ['pulldown', ['pulldown', 'pull-down']],
+  ['row', ['row']],
+  ['curl', ['curl']],
+  ['extension', ['extension']],
+  ['kickback', ['kickback']],
+  ['dip', ['dip']],
+  ['lateral raise', ['lateral raise']],
+  ['front raise', ['front raise']],
+  ['calf raise', ['calf raise']],
+  ['leg raise', ['leg raise']],
+  ['raise', ['raise']],
+  ['shrug', ['shrug']],
+  ['split squat', ['split squat']],
+  ['squat', ['squat']],
+  ['lunge', ['lunge']],
+  ['step-up', ['step-up', 'step up']],
+  ['deadlift', ['deadlift']],
+  ['good morning', ['good morning']],
+  ['hip thrust', ['hip thrust']],
+  ['bridge', ['bridge']],
+  ['crunch', ['crunch']],
+  ['sit-up', ['sit-up', 'sit up', 'situp']],
+  ['plank', ['plank']],
+  ['twist', ['twist']]
+];
+
+// Columns written on exercises by normalizeExerciseTaxonomy
+export const TAXONOMY_FIELDS = ['canonical_target', 'canonical_secondary_muscles', 'muscle_groups', 'movement_pattern'];
+
+function cleanName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+const MUSCLE_LOOKUP = new Map(
+  Object.entries(MUSCLES).flatMap(([muscle, { aliases }]) =>
+    [muscle, ...aliases].map(alias => [alias, muscle])
+  )
+);
+
+const MUSCLE_GROUP_LOOKUP = new Map(
+  Object.entries(MUSCLE_GROUP_ALIASES).flatMap(([group, aliases]) =>
+    [group, ...aliases].map(alias => [alias, group])
+  )
+);
+
+/**
+ * Canonical name of a muscle
+ * Unknown muscles are kept (trimmed, lowercase) so nothing is lost
+ * @returns {string|null} - null for an empty name
+ */
+export function normalizeMuscle(muscle) {
+  const name = cleanName(muscle);
+  if (!name) return null;
+  return MUSCLE_LOOKUP.get(name) || name;
+}
+
+/**
+ * Muscle group of a muscle (null when unknown)
+ */
+export function getMuscleGroup(muscle) {
+  return MUSCLES[normalizeMuscle(muscle)]?.group || null;
+}
+
+export function isLargeMuscle(muscle) {
+  return MUSCLES[normalizeMuscle(muscle)]?.large === true;
+}
+
+/**
+ * Canonical muscle group for a body part, body focus area or muscle
+ * ('waist' -> 'abs', 'upper legs' -> 'legs', 'biceps' -> 'arms')
+ * @returns {string|null} - null when it doesn't map to a group
+ */
+export function resolveMuscleGroup(name) {
+  const cleaned = cleanName(name);
+  if (!cleaned) return null;
+  return MUSCLE_GROUP_LOOKUP.get(cleaned) || getMuscleGroup(cleaned);
+}
+
+/**
+ * ExerciseDB body part name, when the input is one ('Lower Legs' -> 'lower legs')
+ * These are matched exactly: 'lower legs' must not pull in every leg exercise
+ * @returns {string|null}
+ */
+export function getExerciseDbBodyPart(name) {
+  const cleaned = cleanName(name);
+  return EXERCISEDB_BODY_PARTS.includes(cleaned) ? cleaned : null;
+}
+
+/**
+ * ExerciseDB body parts of a muscle group ('legs' -> ['upper legs', 'lower legs'])
+ */
+export function getMuscleGroupBodyParts(group) {
+  return MUSCLE_GROUP_BODY_PARTS[group] || [];
+}
+
+// Aliases match whole words (plural allowed): 'row' must not match "narrow" or "throw"
+const MOVEMENT_PATTERN_MATCHERS = MOVEMENT_PATTERNS.map(([pattern, aliases]) => [
+  pattern,
+  aliases.map(alias => new RegExp(`\\b${alias}(e?s)?\\b`))
+]);
+
+/**
+ * Canonical movement pattern from an exercise name (null when unknown)
+ */
+export function getMovementPattern(exercise) {
+  const name = cleanName(exercise.name);
+  const match = MOVEMENT_PATTERN_MATCHERS.find(([, matchers]) => matchers.some(matcher => matcher.test(name)));
+  return match ? match[0] : null;
+}
+
+/**
+ * Muscle groups an exercise trains: its body part's group and its target muscle's group
+ * Uses the stored muscle_groups when the exercise has been normalized
+ */
+export function getExerciseMuscleGroups(exercise) {
+  if (Array.isArray(exercise.muscle_groups) && exercise.muscle_groups.length > 0) {
+    return exercise.muscle_groups;
+  }
+
+  const groups = new Set([
+    resolveMuscleGroup(exercise.bodyPart),
+    getMuscleGroup(exercise.target)
+  ]);
+  if (exercise.category === 'cardio') groups.add('cardio');
+  groups.delete(null);
+
+  return [...groups];
+}
+
+/**
+ * Whether an exercise trains any of the given muscle groups (or aliases of them)
+ */
+export function matchesMuscleGroups(exercise, groups) {
+  const wanted = new Set(groups.map(resolveMuscleGroup).filter(Boolean));
+  return getExerciseMuscleGroups(exercise).some(group => wanted.has(group));
+}
+
+/**
+ * Canonical body focus areas from user input (aliases resolved, duplicates removed)
+ * @returns {{ areas: string[], invalid: string[] }}
+ */
+export function normalizeBodyFocus(bodyFocus) {
+  const areas = [];
+  const invalid = [];
+
+  bodyFocus.forEach(entry => {
+    const group = resolveMuscleGroup(entry);
+    if (!group || !BODY_FOCUS_AREAS.includes(group)) {
+      invalid.push(entry);
+    } else if (!areas.includes(group)) {
+      areas.push(group);
+    }
+  });
+
+  return { areas, invalid };
+}
+
+/**
+ * Taxonomy columns for an exercise (see TAXONOMY_FIELDS)
+ * @param {Object} exercise - { name, bodyPart, target, secondary_muscles, category }
+ */
+export function normalizeExerciseTaxonomy(exercise) {
+  const canonicalTarget = normalizeMuscle(exercise.target);
+  const canonicalSecondary = [...new Set((exercise.secondary_muscles || []).map(normalizeMuscle))]
+    .filter(muscle => muscle && muscle !== canonicalTarget);
+
+  return {
+    canonical_target: canonicalTarget,
+    canonical_secondary_muscles: canonicalSecondary,
+    muscle_groups: getExerciseMuscleGroups({
+      bodyPart: exercise.bodyPart,
+      target: exercise.target,
+      category: exercise.category
+    }),
+    movement_pattern: getMovementPattern(exercise)
+  };
+}
@@ -0,0 +1,176 @@
+import { supabase } from '../config/supabase.js'
+import { categorizeEquipment, EQUIPMENT_CATEGORY_NAMES } from './equipmentCacheService.js'
+import { listEquipmentTypes } from './exerciseService.js'
+
+/**
+ * User Equipment Service
+ * The equipment a user owns (or their gym has), stored on users.equipment
+ *
+ * Entries are catalog equipment types ('ez barbell', 'stability ball') or the
+ * equipment categories from equipmentCacheService ('barbell', 'cable', ...), so
+ * "Adjustable Dumbbells" or a scanned "Power Rack" are stored as their category.
+ * Owning a category covers every catalog type in it ('barbell' covers 'olympic barbell').
+ *
+ * NULL means the user hasn't declared anything: nothing is filtered.
+ * Body weight exercises are always doable.
+ */
+
+export const ALWAYS_AVAILABLE_EQUIPMENT = ['body weight']
+
+const MAX_EQUIPMENT_ITEMS = 50
+
+function cleanName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ')
+}
+
+/**
+ * Map equipment names from user input or scans to inventory entries
+ * @param {string[]} names
+ * @returns {Promise<{ equipment: string[], invalid: string[] }>}
+ */
+export async function normalizeEquipmentList(names) {
+  const typesResult = await listEquipmentTypes()
+  const catalogTypes = new Set((typesResult.success ? typesResult.data : []).map(cleanName))
+
+  const equipment = []
+  const invalid = []
+
+  names.forEach(name => {
+    const cleaned = cleanName(name)
+    const category = cleaned ? categorizeEquipment(cleaned) : null
+    const entry = catalogTypes.has(cleaned) ? cleaned
+      : EQUIPMENT_CATEGORY_NAMES.includes(category) ? category
+      : null
+
+    if (!entry) {
+      invalid.push(name)
+    } else if (!equipment.includes(entry) && !ALWAYS_AVAILABLE_EQUIPMENT.includes(entry)) {
+      equipment.push(entry)
+    }
+  })
+
+  return { equipment, invalid }
+}
+
+/**
+ * Whether an exercise's equipment is covered by an inventory
+ * @param {string} equipment - Exercise equipment (catalog type or free text for custom exercises)
+ * @param {string[]|null} inventory - users.equipment (null: everything is available)
+ */
+export function canUseEquipment(equipment, inventory) {
+  if (!Array.isArray(inventory)) return true
+
+  const cleaned = cleanName(equipment)
+  if (!cleaned || ALWAYS_AVAILABLE_EQUIPMENT.includes(cleaned)) return true
+
+  return inventory.includes(cleaned) || inventory.includes(categorizeEquipment(cleaned))
+}
+
+/**
+ * Exercises doable with an inventory
+ */
+export function filterDoableExercises(exercises, inventory) {
+  if (!Array.isArray(inventory)) return exercises
+  return exercises.filter(ex => canUseEquipment(ex.equipment, inventory))
+}
+
+/**
+ * Catalog equipment types covered by an inventory, for database queries
+ * @returns {Promise<string[]|null>} - null when the inventory doesn't limit anything
+ */
+export async function getDoableEquipmentTypes(inventory) {
+  if (!Array.isArray(inventory)) return null
+
+  const typesResult = await listEquipmentTypes()
+  if (!typesResult.success) return [...ALWAYS_AVAILABLE_EQUIPMENT, ...inventory]
+
+  return typesResult.data.filter(type => canUseEquipment(type, inventory))
+}
+
+/**
+ * Get a user's equipment
+ * @returns {Promise<string[]|null>} - null when not declared
+ */
+export async function getUserEquipment(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('equipment')
+    .eq('id', userId)
+    .single()
+
+  if (error) {
+    console.error('Error fetching user equipment:', error)
+    throw new Error('FETCH_FAILED')
+  }
+
+  return data?.equipment ?? null
+}
+
+/**
+ * Replace a user's equipment (null clears the inventory: no filtering)
+ * @param {string[]|null} equipment - Normalized entries (see normalizeEquipmentList)
+ */
+export async function setUserEquipment(userId, equipment) {
+  if (Array.isArray(equipment) && equipment.length > MAX_EQUIPMENT_ITEMS) {
+    throw new Error('TOO_MANY_ITEMS')
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({ equipment, updated_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select('equipment')
+    .single()
+
+  if (error) {
+    console.error('Error saving user equipment:', error)
+    throw new Error('UPDATE_FAILED')
+  }
+
+  return data.equipment ?? null
+}
+
+/**
+ * Add entries to a user's equipment (starts an inventory if none was declared)
+ */
+export async function addUserEquipment(userId, equipment) {
+  const current = (await getUserEquipment(userId)) || []
+  const added = equipment.filter(entry => !current.includes(entry))
+
+  const saved = added.length > 0
+    ? await setUserEquipment(userId, [...current, ...added])
+    : current
+
+  return { equipment: saved, added }
+}
+
+/**
+ * Remove one entry from a user's equipment
+ */
+export async function removeUserEquipment(userId, entry) {
+  const current = await getUserEquipment(userId)
+  const cleaned = cleanName(entry)
+
+  if (!current || !current.includes(cleaned)) {
+    throw new Error('NOT_IN_INVENTORY')
+  }
+
+  return setUserEquipment(userId, current.filter(item => item !== cleaned))
+}
+
+/**
+ * "Add to my equipment" suggestion for scanned equipment
+ * @param {Object} user - Authenticated user (users row)
+ * @param {string[]} names - Scanned name and/or category, best first
+ * @returns {Promise<Object|null>} - { equipment, owned }, null when it doesn't map to an inventory entry
+ */
+export async function getInventorySuggestion(user, names) {
+  const { equipment } = await normalizeEquipmentList(names.filter(Boolean))
+  const entry = equipment[0]
+  if (!entry) return null
+
+  return {
+    equipment: entry,
+    owned: Array.isArray(user?.equipment) && user.equipment.includes(entry)
+  }
+}
@@ -0,0 +1,153 @@
+import { supabase } from '../config/supabase.js';
+
+// ============================================================================
+// WORKOUT METRICS (CALORIES & TRAINING VOLUME)
+// ============================================================================
+//
+// Estimated calories use the MET formula:
+//   kcal = MET x body weight (kg) x hours
+// The workout duration is split across its exercises (by logged set count,
+// or by the timed sets when durations were logged) and each exercise uses the
+// MET of its catalog category.
+//
+// Training volume is sets x reps x weight, in kg, over all weighted set logs.
+
+const LB_TO_KG = 0.45359237;
+
+// Used when the user hasn't set users.weight_kg
+const DEFAULT_BODY_WEIGHT_KG = 70;
+
+// Compendium of Physical Activities approximations per exercise category
+const CATEGORY_METS = {
+  strength: 5.0,
+  cardio: 8.0,
+  plyometrics: 8.0,
+  balance: 2.5,
+  mobility: 2.5,
+  stretching: 2.3,
+  rehabilitation: 2.8
+};
+const DEFAULT_MET = 5.0;
+
+// difficulty_rating (1-5) nudges the MET: an easy session burns less than a brutal one
+const DIFFICULTY_INTENSITY = { 1: 0.8, 2: 0.9, 3: 1.0, 4: 1.1, 5: 1.2 };
+
+function toKg(weight, unit) {
+  return unit === 'lb' ? weight * LB_TO_KG : weight;
+}
+
+/**
+ * Total training volume (sets x reps x weight) in kg
+ * @param {Array} setLogs - Set logs ({ reps, weight, weight_unit })
+ * @returns {number}
+ */
+export function calculateTrainingVolume(setLogs = []) {
+  const volume = setLogs.reduce((sum, set) => {
+    if (!(set.reps > 0) || !(Number(set.weight) > 0)) return sum;
+    return sum + set.reps * toKg(Number(set.weight), set.weight_unit);
+  }, 0);
+
+  return Math.round(volume * 100) / 100;
+}
+
+/**
+ * Estimate calories burned for a workout
+ * @param {Object} params
+ * @param {number} params.durationMinutes - Workout duration
+ * @param {number} [params.bodyWeightKg] - User's body weight
+ * @param {Array} params.exercises - [{ id, category }] performed in the workout
+ * @param {Array} [params.setLogs] - Logged sets, used to weight exercises by work done
+ * @param {number} [params.difficultyRating] - 1-5 session rating
+ * @returns {number} - Whole kcal (0 when the duration is unknown)
+ */
+export function estimateCaloriesBurned({ durationMinutes, bodyWeightKg, exercises = [], setLogs = [], difficultyRating }) {
+  if (!(durationMinutes > 0)) return 0;
+
+  const weightKg = Number(bodyWeightKg) > 0 ? Number(bodyWeightKg) : DEFAULT_BODY_WEIGHT_KG;
+  const intensity = DIFFICULTY_INTENSITY[difficultyRating] || 1;
+
+  const categories = new Map(exercises.map(exercise => [exercise.id, exercise.category]));
+  const exerciseIds = [...new Set([...exercises.map(e => e.id), ...setLogs.map(s => s.exercise_id)])];
+
+  // Share of the workout each exercise took: logged seconds, else logged sets, else equal
+  const shareOf = (exerciseId) => {
+    const sets = setLogs.filter(set => set.exercise_id === exerciseId);
+    return {
+      seconds: sets.reduce((sum, set) => sum + (set.duration_seconds || 0), 0),
+      sets: sets.length
+    };
+  };
+
+  const shares = exerciseIds.map(id => ({ id, ...shareOf(id) }));
+  const totalSeconds = shares.reduce((sum, share) => sum + share.seconds, 0);
+  const totalSets = shares.reduce((sum, share) => sum + share.sets, 0);
+
+  const weightedMet = shares.length === 0
+    ? DEFAULT_MET
+    : shares.reduce((sum, share) => {
+      const met = CATEGORY_METS[categories.get(share.id)] || DEFAULT_MET;
+      const fraction = totalSeconds > 0
+        ? share.seconds / totalSeconds
+        : totalSets > 0 ? share.sets / totalSets : 1 / shares.length;
+      return sum + met * fraction;
+    }, 0);
+
+  return Math.round(weightedMet * intensity * weightKg * (durationMinutes / 60));
+}
+
+/**
+ * Compute and store calories and training volume for a completion
+ * @param {string} userId - User ID
+ * @param {Object} completion - workout_completions record
+ * @param {Array} exercises - Exercises in the workout ({ id })
+ * @param {Array} setLogs - Saved set logs for the completion
+ * @returns {Promise<Object>} - { calories_burned, total_volume_kg }
+ */
+export async function recordWorkoutMetrics(userId, completion, exercises = [], setLogs = []) {
+  try {
+    const exerciseIds = [...new Set([...exercises.map(e => e.id), ...setLogs.map(s => s.exercise_id)])];
+
+    const [{ data: user, error: userError }, { data: catalog, error: catalogError }] = await Promise.all([
+      supabase.from('users').select('weight_kg').eq('id', userId).single(),
+      exerciseIds.length > 0
+        ? supabase.from('exercises').select('id, category').in('id', exerciseIds)
+        : Promise.resolve({ data: [], error: null })
+    ]);
+
+    if (userError && userError.code !== 'PGRST116') throw userError;
+    if (catalogError) throw catalogError;
+
+    const metrics = {
+      calories_burned: estimateCaloriesBurned({
+        durationMinutes: completion.duration_minutes,
+        bodyWeightKg: user?.weight_kg,
+        exercises: catalog || [],
+        setLogs,
+        difficultyRating: completion.difficulty_rating
+      }),
+      total_volume_kg: calculateTrainingVolume(setLogs)
+    };
+
+    const { error } = await supabase
+      .from('workout_completions')
+      .update(metrics)
+      .eq('id', completion.id);
+
+    if (error) throw error;
+
+    // Plan workouts also carry the calories so existing weekly/monthly summaries pick them up
+    if (completion.daily_workout_id) {
+      const { error: dailyError } = await supabase
+        .from('daily_workouts')
+        .update({ calories_burned: metrics.calories_burned })
+        .eq('id', completion.daily_workout_id);
+
+      if (dailyError) throw dailyError;
+    }
+
+    return metrics;
+  } catch (error) {
+    console.error('Error recording workout metrics:', error);
+    throw error;
+  }
+}
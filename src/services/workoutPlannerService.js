@@ -2,6 +2,30 @@ import { supabase } from '../config/supabase.js';
 import * as aiService from './aiService.js';
 import * as exerciseService from './exerciseService.js';
 import * as userService from './userService.js';
+import { detectPersonalRecords } from './personalRecordsService.js';
+import { recordWorkoutForChallenges } from './challengeService.js';
+import { recordWorkoutMetrics } from './workoutMetricsService.js';
+import { applyProgressiveOverload } from './progressiveOverloadService.js';
+import { expandPlanToMesocycle, buildMesocycleSchedule } from './periodizationService.js';
+import { generateRuleBasedPlan, pickRuleBasedAlternatives } from './ruleBasedPlanService.js';
+import { getMuscleRecovery, avoidFatiguedMuscles } from './recoveryService.js';
+import { getExercisesByIdsForUser, getUserCustomExercises } from './customExerciseService.js';
+import { getRelationshipMap, pickGraphAlternatives, ALTERNATIVE_RELATIONSHIP_TYPES } from './exerciseRelationshipService.js';
+import { resolveMuscleGroup, normalizeMuscle, getExerciseDbBodyPart, getMuscleGroupBodyParts, MUSCLES } from './taxonomyService.js';
+import { getDoableEquipmentTypes, canUseEquipment, getUserEquipment } from './userEquipmentService.js';
+
+// fallback_reason sent to clients when the rule-based generator replaces the AI plan
+// (the underlying error, which may contain provider text, is only logged)
+const FALLBACK_REASONS = {
+  AI_PLAN_INVALID: 'ai_plan_invalid',
+  AI_REQUEST_FAILED: 'ai_request_failed',
+  AI_QUOTA_EXCEEDED: 'ai_quota_exceeded',
+  AI_TIMEOUT: 'ai_timeout'
+};
+
+// Set AI_PLAN_GENERATION_ENABLED=false to always use the rule-based generator
+const AI_PLAN_GENERATION_ENABLED = process.env.AI_PLAN_GENERATION_ENABLED !== 'false';
+const AI_PLAN_GENERATION_TIMEOUT_MS = parseInt(process.env.AI_PLAN_GENERATION_TIMEOUT_MS) || 120000;
 
 // ============================================================================
 // MAIN WORKFLOW: AI WORKOUT PLAN GENERATION
@@ -26,7 +50,8 @@ export async function generateWeeklyPlan({
   hours_per_session,
   selected_days,
   selected_dates,
-  start_date
+  start_date,
+  mesocycle_weeks
 }) {
   try {
     console.log(`📋 Step 1: Fetching user profile for ${userId}...`);
@@ -51,8 +76,8 @@ export async function generateWeeklyPlan({
 
     console.log(`💪 Step 2: Fetching relevant exercises from database...`);
 
-    // Fetch exercises filtered by target body parts
-    const relevantExercises = await fetchExercisesForPlanner(target_body_parts, fitnessLevel);
+    // Fetch exercises filtered by target body parts and the user's equipment
+    const relevantExercises = await fetchExercisesForPlanner(target_body_parts, fitnessLevel, user.equipment);
 
     console.log(`📊 Found ${relevantExercises.length} relevant exercises`);
 
@@ -67,19 +92,22 @@ export async function generateWeeklyPlan({
       category: ex.category
     }));
 
-    console.log(`🤖 Step 3: Calling OpenAI to generate plan structure...`);
+    console.log(`🤖 Step 3: Generating plan structure...`);
 
-    // Call OpenAI to generate plan structure
-    const aiPlanStructure = await aiService.generateWorkoutPlanWithAI({
+    // Generate plan structure (AI, with rule-based fallback)
+    const aiPlanStructure = await generatePlanStructure({
       userProfile: { ...userProfile, fitnessLevel },
       preferences: {
         fitness_goals,
         target_body_parts,
         days_per_week,
         hours_per_session,
-        selected_days
+        selected_days,
+        mesocycle_weeks,
+        fatigued_muscles: await getFatiguedMuscles(userId)
       },
-      availableExercises: exerciseMetadata
+      availableExercises: exerciseMetadata,
+      userId
     });
 
     console.log(`✅ AI generated plan: ${aiPlanStructure.plan_name}`);
@@ -107,7 +135,13 @@ export async function generateWeeklyPlan({
     console.log(`💾 Step 5: Saving plan to database...`);
 
     // Build complete plan with exercise data
-    const completePlan = buildPlanWithExerciseData(aiPlanStructure, fullExercises);
+    let completePlan = buildPlanWithExerciseData(aiPlanStructure, fullExercises);
+
+    // Mesocycle mode: expand the base week into the full periodized block
+    if (mesocycle_weeks) {
+      completePlan = expandPlanToMesocycle(completePlan, mesocycle_weeks, selected_dates);
+      console.log(`📆 Expanded plan into a ${mesocycle_weeks}-week mesocycle (${completePlan.daily_workouts.length} workouts)`);
+    }
 
     // Save to database
     const savedPlan = await savePlanToDatabase(userId, completePlan, {
@@ -129,10 +163,22 @@ export async function generateWeeklyPlan({
   }
 }
 
+/**
+ * Error for a plan request that can't succeed on retry (generation jobs fail right away)
+ */
+function permanentGenerationError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
 /**
  * Generate a workout plan PREVIEW with exercise alternatives
  * This does NOT save to database - returns plan structure for user to customize
  * Each exercise slot includes 3 alternatives for user to choose from
+ *
+ * onProgress(stage, details?) is called as generation moves through
+ * 'profile_fetched', 'exercises_selected', 'plan_drafted' and 'alternatives_added'
  */
 export async function generatePlanPreview({
   userId,
@@ -143,7 +189,9 @@ export async function generatePlanPreview({
   hours_per_session,
   selected_days,
   selected_dates,
-  start_date
+  start_date,
+  mesocycle_weeks,
+  onProgress = async () => {}
 }) {
   try {
     console.log(`📋 Generating plan preview for user ${userId}...`);
@@ -151,8 +199,9 @@ export async function generatePlanPreview({
     // Get user profile data
     const user = await userService.findUserById(userId);
     if (!user) {
-      throw new Error('User not found');
+      throw permanentGenerationError('User not found');
     }
+    await onProgress('profile_fetched');
 
     const userProfile = {
       gender: user.gender || 'not specified',
@@ -163,16 +212,17 @@ export async function generatePlanPreview({
 
     // Use the fitness levels provided by the user during plan creation (required)
     if (!fitness_levels || !Array.isArray(fitness_levels) || fitness_levels.length === 0) {
-      throw new Error('fitness_levels is required and must be a non-empty array');
+      throw permanentGenerationError('fitness_levels is required and must be a non-empty array');
     }
 
     // Determine exercise range based on fitness level and session duration
     const exerciseRange = determineExerciseRange(fitness_levels, hours_per_session);
     console.log(`📊 Exercise range for ${fitness_levels.join(', ')} @ ${hours_per_session}h: ${exerciseRange.min}-${exerciseRange.max} exercises`);
 
-    // Fetch relevant exercises for all selected fitness levels
-    const relevantExercises = await fetchExercisesForPlanner(target_body_parts, fitness_levels);
+    // Fetch relevant exercises for all selected fitness levels (doable with the user's equipment)
+    const relevantExercises = await fetchExercisesForPlanner(target_body_parts, fitness_levels, user.equipment);
     console.log(`📊 Found ${relevantExercises.length} relevant exercises`);
+    await onProgress('exercises_selected', { exercise_count: relevantExercises.length });
 
     const exerciseMetadata = relevantExercises.map(ex => ({
       id: ex.id,
@@ -184,9 +234,9 @@ export async function generatePlanPreview({
       category: ex.category
     }));
 
-    // Generate base plan structure with AI
-    console.log(`🤖 Calling AI to generate base plan...`);
-    const aiPlanStructure = await aiService.generateWorkoutPlanWithAI({
+    // Generate base plan structure (AI, with rule-based fallback)
+    console.log(`🤖 Generating base plan...`);
+    const aiPlanStructure = await generatePlanStructure({
       userProfile: { ...userProfile, fitnessLevels: fitness_levels },
       preferences: {
         fitness_goals,
@@ -196,9 +246,16 @@ export async function generatePlanPreview({
         selected_days,
         selected_dates,
         start_date,
-        exercise_range: exerciseRange
+        exercise_range: exerciseRange,
+        mesocycle_weeks,
+        fatigued_muscles: await getFatiguedMuscles(userId)
       },
-      availableExercises: exerciseMetadata
+      availableExercises: exerciseMetadata,
+      userId
+    });
+    await onProgress('plan_drafted', {
+      generation_source: aiPlanStructure.generation_source,
+      ...(aiPlanStructure.fallback_reason && { fallback_reason: aiPlanStructure.fallback_reason })
     });
 
     // Check if warm-up exercises were generated
@@ -216,12 +273,14 @@ export async function generatePlanPreview({
     console.log(`🔄 Finding exercise alternatives...`);
     const planWithAlternatives = await addExerciseAlternatives(
       aiPlanStructure,
-      relevantExercises
+      relevantExercises,
+      userId
     );
 
     // Fetch full details for all exercises (main + alternatives)
     const allExerciseIds = extractAllExerciseIdsWithAlternatives(planWithAlternatives.daily_workouts);
     const fullExercises = await fetchFullExerciseDetails(allExerciseIds);
+    await onProgress('alternatives_added');
 
     // Build complete preview with full exercise data
     const completePlanPreview = buildPlanPreviewWithExerciseData(
@@ -235,10 +294,19 @@ export async function generatePlanPreview({
         hours_per_session,
         selected_days,
         selected_dates,
-        start_date
+        start_date,
+        mesocycle_weeks
       }
     );
 
+    // Preview shows the base week; the phase schedule is applied on finalize
+    if (mesocycle_weeks) {
+      completePlanPreview.mesocycle = {
+        weeks: mesocycle_weeks,
+        schedule: buildMesocycleSchedule(mesocycle_weeks)
+      };
+    }
+
     console.log(`✅ Plan preview generated successfully`);
     return completePlanPreview;
 
@@ -248,13 +316,79 @@ export async function generatePlanPreview({
   }
 }
 
+/**
+ * Generate the plan structure, then keep day 1 off muscles that are still recovering
+ */
+async function generatePlanStructure(params) {
+  const plan = await generateBasePlanStructure(params);
+  return avoidFatiguedMuscles(plan, params.preferences.fatigued_muscles, params.availableExercises);
+}
+
+/**
+ * Generate the plan structure with AI, falling back to the rule-based generator
+ * when AI is disabled, fails, takes longer than AI_PLAN_GENERATION_TIMEOUT_MS
+ * or the user has used up their daily AI plan generation quota
+ */
+async function generateBasePlanStructure(params) {
+  if (!AI_PLAN_GENERATION_ENABLED) {
+    console.log(`📐 AI plan generation disabled - using rule-based generator`);
+    return generateRuleBasedPlan(params);
+  }
+
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      const error = new Error(`AI plan generation timed out after ${AI_PLAN_GENERATION_TIMEOUT_MS}ms`);
+      error.code = 'AI_TIMEOUT';
+      reject(error);
+    }, AI_PLAN_GENERATION_TIMEOUT_MS);
+  });
+
+  try {
+    const plan = await Promise.race([aiService.generateWorkoutPlanWithAI(params), timeout]);
+    return { ...plan, generation_source: 'ai' };
+  } catch (error) {
+    console.warn(`⚠️  AI plan generation failed (${error.message}) - falling back to rule-based generator`);
+    return {
+      ...generateRuleBasedPlan(params),
+      fallback_reason: FALLBACK_REASONS[error.code] || FALLBACK_REASONS.AI_REQUEST_FAILED
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Muscles that are still fatigued from recent workouts
+ * (plan generation carries on without recovery data if this fails)
+ */
+async function getFatiguedMuscles(userId) {
+  try {
+    const recovery = await getMuscleRecovery(userId);
+    return recovery.fatigued_muscles;
+  } catch (error) {
+    console.error('Error fetching fatigued muscles:', error);
+    return [];
+  }
+}
+
 /**
  * Find 2 alternative exercises for each exercise in the plan using AI
+ * (rule-based matching when the plan itself came from the rule-based generator,
+ * or when the AI returns nothing)
  * Ensures alternatives are unique within each day (no exercise appears as alternative for multiple exercises)
  */
-async function addExerciseAlternatives(aiPlan, availableExercises) {
+async function addExerciseAlternatives(aiPlan, availableExercises, userId) {
   const planWithAlternatives = { ...aiPlan };
 
+  // Graph edges for every main exercise in one query (no AI call needed when they cover the pool)
+  const mainExerciseIds = [...new Set(aiPlan.daily_workouts.flatMap(day => day.exercises.map(ex => ex.exercise_id)))];
+  const relationshipMap = await getRelationshipMap(mainExerciseIds, ALTERNATIVE_RELATIONSHIP_TYPES)
+    .catch(error => {
+      console.error('Error loading exercise relationships:', error);
+      return new Map();
+    });
+
   // Process each day's workouts
   planWithAlternatives.daily_workouts = await Promise.all(
     aiPlan.daily_workouts.map(async (day) => {
@@ -288,17 +422,29 @@ async function addExerciseAlternatives(aiPlan, availableExercises) {
         console.log(`🔄 Finding alternatives for: ${mainExercise.name} (${mainExercise.equipment})`);
         console.log(`   Available pool: ${availableForAlternatives.length} exercises`);
 
-        // Use AI to recommend 2 alternative exercises
+        // Exercise graph first, then AI, then the rule-based picker
         const workoutContext = {
           focus_area: day.focus_area,
           target_muscles: day.target_muscles || []
         };
 
-        const alternatives = await aiService.generateExerciseAlternatives({
-          mainExercise,
-          availableExercises: availableForAlternatives,
-          workoutContext
-        });
+        const relationships = relationshipMap.get(mainExercise.id) || [];
+
+        let alternatives = aiPlan.generation_source === 'rule_based'
+          ? pickGraphAlternatives(mainExercise, availableForAlternatives, relationships)
+          : await aiService.generateExerciseAlternatives({
+            mainExercise,
+            availableExercises: availableForAlternatives,
+            workoutContext,
+            userId,
+            relationships
+          });
+
+        // Top up with the rule-based picker
+        if (alternatives.length < 2) {
+          const pool = availableForAlternatives.filter(ex => !alternatives.includes(ex.id));
+          alternatives = [...alternatives, ...pickRuleBasedAlternatives(mainExercise, pool, 2 - alternatives.length)];
+        }
 
         // Log the alternatives found
         if (alternatives.length > 0) {
@@ -460,6 +606,8 @@ function buildPlanPreviewWithExerciseData(aiPlan, fullExercises, preferences) {
   return {
     plan_name: aiPlan.plan_name,
     description: aiPlan.description,
+    generation_source: aiPlan.generation_source,
+    ...(aiPlan.fallback_reason && { fallback_reason: aiPlan.fallback_reason }),
     preferences: preferences,
     daily_workouts: enrichedDailyWorkouts
   };
@@ -486,7 +634,13 @@ export async function finalizePlanPreview({
     const fullExercises = await fetchFullExerciseDetails(chosenExerciseIds);
 
     // Build final plan with full exercise data (without alternatives)
-    const completePlan = buildPlanWithExerciseData(finalizedPlan, fullExercises);
+    let completePlan = buildPlanWithExerciseData(finalizedPlan, fullExercises);
+
+    // Mesocycle mode: expand the customized base week into the full block
+    const mesocycleWeeks = planPreview.preferences?.mesocycle_weeks;
+    if (mesocycleWeeks) {
+      completePlan = expandPlanToMesocycle(completePlan, mesocycleWeeks, planPreview.preferences.selected_dates);
+    }
 
     // Save to database
     const savedPlan = await savePlanToDatabase(userId, completePlan, planPreview.preferences);
@@ -529,20 +683,29 @@ function applyUserExerciseChoices(planPreview, userChoices, deletedExercises = {
         const chosenAlt = exercise.alternatives?.find(alt => alt.id === chosenExerciseId);
         if (chosenAlt) {
           // Replace with chosen alternative, keep workout params (sets, reps, etc.)
+          // The original default becomes one of the stored alternatives
           return {
             ...chosenAlt,
             sets: exercise.sets,
             reps: exercise.reps,
             rest_seconds: exercise.rest_seconds,
             tempo: exercise.tempo,
-            notes: exercise.notes
+            notes: exercise.notes,
+            alternative_ids: [
+              exercise.id,
+              ...(exercise.alternatives || []).map(alt => alt.id).filter(id => id !== chosenAlt.id)
+            ]
           };
         }
       }
 
-      // No choice made or invalid choice - keep default (remove alternatives)
+      // No choice made or invalid choice - keep default
+      // (only alternative IDs are kept, for in-plan substitution later)
       const { alternatives, ...exerciseWithoutAlternatives } = exercise;
-      return exerciseWithoutAlternatives;
+      return {
+        ...exerciseWithoutAlternatives,
+        alternative_ids: (alternatives || []).map(alt => alt.id)
+      };
     })
     .filter(exercise => exercise !== null); // Remove deleted exercises
 
@@ -591,19 +754,48 @@ function determineExerciseRange(fitnessLevels, hoursPerSession) {
  * Fetch exercises filtered by user's target body parts
  * Also includes bodyweight/band exercises for warm-up
  * Reduces the number of exercises sent to AI
+ * @param {string[]|null} [inventory] - users.equipment; only exercises doable with it are fetched
  */
-async function fetchExercisesForPlanner(target_body_parts, fitnessLevels) {
+async function fetchExercisesForPlanner(target_body_parts, fitnessLevels, inventory = null) {
   try {
+    const equipmentTypes = await getDoableEquipmentTypes(inventory);
+
     // Fetch main exercises matching target body parts
     let mainQuery = supabase
       .from('exercises')
-      .select('id, name, bodyPart, target, equipment, difficulty, category, secondary_muscles');
+      .select('id, name, bodyPart, target, equipment, difficulty, category, secondary_muscles, muscle_groups, movement_pattern')
+      .is('deleted_at', null);
+
+    if (equipmentTypes) {
+      mainQuery = mainQuery.in('equipment', equipmentTypes);
+      console.log(`🏋️ Limiting exercises to the user's equipment: [${equipmentTypes.join(', ')}]`);
+    }
 
-    // Filter by body parts (case insensitive)
+    // Filter by body parts:
+    // - ExerciseDB body parts exactly ('lower legs' doesn't pull in every leg exercise)
+    // - other known names by canonical muscle group ('abs' also finds 'waist' exercises), plus
+    //   the group's ExerciseDB body parts for rows whose muscle_groups aren't backfilled yet
+    // - anything else by body part name (case insensitive)
     if (target_body_parts && target_body_parts.length > 0) {
-      mainQuery = mainQuery.or(
-        target_body_parts.map(bp => `bodyPart.ilike.%${bp}%`).join(',')
-      );
+      const conditions = new Set();
+
+      target_body_parts.forEach(bp => {
+        const exerciseDbBodyPart = getExerciseDbBodyPart(bp);
+        const group = resolveMuscleGroup(bp);
+
+        if (exerciseDbBodyPart) {
+          conditions.add(`bodyPart.eq."${exerciseDbBodyPart}"`);
+        } else if (group) {
+          conditions.add(`muscle_groups.ov.{${group}}`);
+          getMuscleGroupBodyParts(group).forEach(part => conditions.add(`bodyPart.eq."${part}"`));
+          // Groups named after a target muscle (glutes has no ExerciseDB body part)
+          if (MUSCLES[group]) conditions.add(`target.eq.${group}`);
+        } else {
+          conditions.add(`bodyPart.ilike.%${bp}%`);
+        }
+      });
+
+      mainQuery = mainQuery.or([...conditions].join(','));
     }
 
     // Filter exercises based on selected fitness levels
@@ -635,11 +827,15 @@ async function fetchExercisesForPlanner(target_body_parts, fitnessLevels) {
 
     if (mainError) throw mainError;
 
-    // Fetch additional warm-up exercises (bodyweight, band, assisted)
+    // Fetch additional warm-up exercises (bodyweight, band, assisted - the ones the user has)
+    const warmUpEquipment = ['body weight', 'assisted', 'band']
+      .filter(type => !equipmentTypes || equipmentTypes.includes(type));
+
     const { data: warmUpExercises, error: warmUpError } = await supabase
       .from('exercises')
-      .select('id, name, bodyPart, target, equipment, difficulty, category, secondary_muscles')
-      .in('equipment', ['body weight', 'assisted', 'band'])
+      .select('id, name, bodyPart, target, equipment, difficulty, category, secondary_muscles, muscle_groups, movement_pattern')
+      .is('deleted_at', null)
+      .in('equipment', warmUpEquipment)
       .in('difficulty', ['beginner'])
       .limit(30);
 
@@ -773,7 +969,10 @@ function buildPlanWithExerciseData(aiPlan, fullExercises) {
         reps: exerciseRef.reps,
         rest_seconds: exerciseRef.rest_seconds,
         tempo: exerciseRef.tempo,
-        notes: exerciseRef.notes
+        notes: exerciseRef.notes,
+
+        // Alternatives offered at preview time (used for in-plan substitution)
+        alternative_ids: exerciseRef.alternative_ids || []
       };
     }).filter(ex => ex !== null); // Remove null entries
 
@@ -823,14 +1022,14 @@ function buildPlanWithExerciseData(aiPlan, fullExercises) {
 }
 
 /**
- * Save AI-generated plan to database
+ * Save a generated (or template-cloned) plan to database
  * Handles:
  * - Creating workout_plans record
  * - Creating daily_workouts records
  * - Calculating total_workouts
  * - Allows multiple active plans
  */
-async function savePlanToDatabase(userId, completePlan, preferences) {
+export async function savePlanToDatabase(userId, completePlan, preferences) {
   try {
     // Calculate actual days_per_week (capped at 7 for database constraint)
     let daysPerWeek = preferences.days_per_week;
@@ -861,7 +1060,11 @@ async function savePlanToDatabase(userId, completePlan, preferences) {
         selected_dates: preferences.selected_dates, // New: actual calendar dates
         start_date: preferences.start_date, // New: earliest selected date
         total_workouts: completePlan.daily_workouts.length,
-        is_ai_generated: true,
+        ...(completePlan.mesocycle && {
+          mesocycle_weeks: completePlan.mesocycle.weeks,
+          mesocycle_schedule: completePlan.mesocycle.schedule
+        }),
+        is_ai_generated: completePlan.is_ai_generated ?? completePlan.generation_source !== 'rule_based',
         is_active: true,
         started_at: preferences.start_date || new Date().toISOString().split('T')[0],
         updated_at: new Date().toISOString()
@@ -884,9 +1087,11 @@ async function savePlanToDatabase(userId, completePlan, preferences) {
     // Create daily workouts with scheduled dates mapped from selected_dates
     const dailyWorkoutsToInsert = completePlan.daily_workouts.map((day, index) => {
       // Map each workout to its corresponding selected date
-      const scheduledDate = preferences.selected_dates && preferences.selected_dates[index]
-        ? preferences.selected_dates[index]
-        : null;
+      // (mesocycle days already carry their own date for weeks 2+)
+      const scheduledDate = day.scheduled_date
+        || (preferences.selected_dates && preferences.selected_dates[index]
+          ? preferences.selected_dates[index]
+          : null);
 
       // Get day of week from scheduled_date if available
       let dayOfWeek = day.day_of_week;
@@ -898,7 +1103,7 @@ async function savePlanToDatabase(userId, completePlan, preferences) {
 
       // Calculate week number based on scheduled date relative to start date
       let weekNumber = day.week_number || 1;
-      if (scheduledDate) {
+      if (scheduledDate && !day.mesocycle_phase) {
         const workoutDate = new Date(scheduledDate + 'T00:00:00');
         const daysDiff = Math.floor((workoutDate - startDate) / (1000 * 60 * 60 * 24));
         weekNumber = Math.floor(daysDiff / 7) + 1;
@@ -919,7 +1124,8 @@ async function savePlanToDatabase(userId, completePlan, preferences) {
         warm_up: day.warm_up,
         cool_down: day.cool_down,
         workout_tips: day.workout_tips,
-        scheduled_date: scheduledDate // Direct mapping from selected_dates array
+        scheduled_date: scheduledDate, // Direct mapping from selected_dates array
+        ...(day.mesocycle_phase && { mesocycle_phase: day.mesocycle_phase })
       };
     });
 
@@ -1339,7 +1545,9 @@ export async function getNextIncompleteWorkout(planId, userId) {
  * Business Logic:
  * - Mark daily_workout as completed
  * - Create workout_completion record
+ * - Save structured set logs (if provided)
  * - Update plan completion stats
+ * - Adjust the next occurrence of each exercise (progressive overload)
  * - Check if plan is fully completed
  */
 export async function completeWorkout({
@@ -1350,6 +1558,7 @@ export async function completeWorkout({
   energy_level,
   notes,
   exercises_completed,
+  set_logs,
   share_to_feed
 }) {
   try {
@@ -1392,10 +1601,35 @@ export async function completeWorkout({
 
     if (completionError) throw completionError;
 
+    // Save the structured set log alongside the completion
+    const savedSetLogs = await replaceSetLogs(completion, set_logs || []);
+    const personalRecords = await recordPersonalRecords(userId, completion, savedSetLogs);
+    const metrics = await recordMetrics(userId, completion, dailyWorkout.exercises, savedSetLogs);
+
     // Business Logic: Update plan completion stats
     await updatePlanCompletionStats(dailyWorkout.workout_plan_id);
+    await recordChallengeProgress(userId, completion);
+
+    // Business Logic: Adjust upcoming days based on how this one went
+    let progressionChanges = [];
+    try {
+      progressionChanges = await applyProgressiveOverload({
+        dailyWorkout,
+        completion,
+        setLogs: savedSetLogs
+      });
+    } catch (error) {
+      // Plan stays as generated - the completion itself is already saved
+      console.error('Progressive overload skipped:', error.message);
+    }
 
-    return completion;
+    return {
+      ...completion,
+      ...metrics,
+      set_logs: savedSetLogs,
+      personal_records: personalRecords,
+      progression_changes: progressionChanges
+    };
   } catch (error) {
     console.error('Error completing workout:', error);
     throw error;
@@ -1452,6 +1686,7 @@ async function updatePlanCompletionStats(planId) {
 
 /**
  * Update a workout completion
+ * If updates.set_logs is provided, the completion's set log is replaced with it
  */
 export async function updateWorkoutCompletion(dailyWorkoutId, userId, updates) {
   try {
@@ -1468,191 +1703,802 @@ export async function updateWorkoutCompletion(dailyWorkoutId, userId, updates) {
       throw fetchError;
     }
 
-    // Update
-    const { data, error } = await supabase
+    return await applyCompletionUpdates(existing, userId, updates);
+  } catch (error) {
+    console.error('Error updating workout completion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply updates to a fetched completion (plan or ad-hoc)
+ * Re-estimates metrics when they depend on what changed, re-runs record
+ * detection when the set log is replaced, and re-syncs challenge progress
+ */
+async function applyCompletionUpdates(existing, userId, updates) {
+  // set_logs live in their own table, everything else is a workout_completions column
+  const { set_logs, ...completionUpdates } = updates;
+
+  let data = existing;
+  if (Object.keys(completionUpdates).length > 0) {
+    const { data: updated, error } = await supabase
       .from('workout_completions')
-      .update(updates)
+      .update(completionUpdates)
       .eq('id', existing.id)
       .select()
       .single();
 
     if (error) throw error;
+    data = updated;
+  }
 
-    return data;
-  } catch (error) {
-    console.error('Error updating workout completion:', error);
-    throw error;
+  const metricsChanged = set_logs !== undefined ||
+    'duration_minutes' in completionUpdates ||
+    'difficulty_rating' in completionUpdates;
+
+  let completion;
+  if (set_logs === undefined) {
+    const setLogs = await getSetLogsForCompletion(data.id);
+    const metrics = metricsChanged ? await recordCompletionMetrics(userId, data, setLogs) : {};
+    completion = {
+      ...data,
+      ...metrics,
+      set_logs: setLogs
+    };
+  } else {
+    // Edited sets can add or remove records, so re-run detection
+    const savedSetLogs = await replaceSetLogs(data, set_logs);
+    const personalRecords = await recordPersonalRecords(userId, data, savedSetLogs);
+    const metrics = await recordCompletionMetrics(userId, data, savedSetLogs);
+
+    completion = {
+      ...data,
+      ...metrics,
+      set_logs: savedSetLogs,
+      personal_records: personalRecords
+    };
   }
+
+  // Calories may have been re-estimated: recompute the day's challenge progress
+  await recordChallengeProgress(userId, completion);
+
+  return completion;
 }
 
 // ============================================================================
-// PROGRESS & STATS
+// SET LOGGING
 // ============================================================================
 
+const VALID_WEIGHT_UNITS = ['kg', 'lb'];
+const MAX_SETS_PER_COMPLETION = 200;
+
 /**
- * Get plan progress
+ * Validate a structured set log payload
+ * Each entry: { exercise_id, set_number, reps?, weight?, weight_unit?, rpe?, rest_seconds?, duration_seconds? }
+ * @param {Array} setLogs - Set log entries from the client
+ * @returns {string|null} - Error message, or null if valid
  */
-export async function getPlanProgress(planId, userId) {
-  try {
-    const plan = await getPlanById(planId, userId);
-    if (!plan) return null;
+export function validateSetLogs(setLogs) {
+  if (!Array.isArray(setLogs)) {
+    return 'set_logs must be an array';
+  }
 
-    const completionPercentage = plan.total_workouts > 0
-      ? Math.round((plan.completed_workouts / plan.total_workouts) * 100)
-      : 0;
+  if (setLogs.length > MAX_SETS_PER_COMPLETION) {
+    return `set_logs cannot contain more than ${MAX_SETS_PER_COMPLETION} sets`;
+  }
 
-    return {
-      plan_id: plan.id,
-      plan_name: plan.plan_name,
-      total_workouts: plan.total_workouts,
-      completed_workouts: plan.completed_workouts,
-      completion_percentage: completionPercentage,
-      is_completed: plan.completed_at !== null,
-      started_at: plan.started_at,
-      completed_at: plan.completed_at
-    };
-  } catch (error) {
-    console.error('Error fetching plan progress:', error);
-    throw error;
+  const seen = new Set();
+
+  for (let i = 0; i < setLogs.length; i++) {
+    const set = setLogs[i];
+    const label = `set_logs[${i}]`;
+
+    if (!set || typeof set !== 'object') {
+      return `${label} must be an object`;
+    }
+
+    if (!set.exercise_id || typeof set.exercise_id !== 'string') {
+      return `${label}.exercise_id is required`;
+    }
+
+    if (!Number.isInteger(set.set_number) || set.set_number < 1) {
+      return `${label}.set_number must be a positive integer`;
+    }
+
+    if (set.reps != null && (!Number.isInteger(set.reps) || set.reps < 0)) {
+      return `${label}.reps must be a non-negative integer`;
+    }
+
+    if (set.weight != null && (typeof set.weight !== 'number' || !Number.isFinite(set.weight) || set.weight < 0)) {
+      return `${label}.weight must be a non-negative number`;
+    }
+
+    if (set.weight_unit != null && !VALID_WEIGHT_UNITS.includes(set.weight_unit)) {
+      return `${label}.weight_unit must be one of: ${VALID_WEIGHT_UNITS.join(', ')}`;
+    }
+
+    if (set.rpe != null && (typeof set.rpe !== 'number' || set.rpe < 1 || set.rpe > 10)) {
+      return `${label}.rpe must be between 1 and 10`;
+    }
+
+    if (set.rest_seconds != null && (!Number.isInteger(set.rest_seconds) || set.rest_seconds < 0)) {
+      return `${label}.rest_seconds must be a non-negative integer`;
+    }
+
+    if (set.duration_seconds != null && (!Number.isInteger(set.duration_seconds) || set.duration_seconds < 0)) {
+      return `${label}.duration_seconds must be a non-negative integer`;
+    }
+
+    const key = `${set.exercise_id}:${set.set_number}`;
+    if (seen.has(key)) {
+      return `${label} duplicates set ${set.set_number} of exercise ${set.exercise_id}`;
+    }
+    seen.add(key);
   }
+
+  return null;
 }
 
 /**
- * Get overall user workout stats
+ * Replace all set logs for a completion
+ * (Called on complete and on update - the client always sends the full log)
+ * @param {Object} completion - workout_completions record
+ * @param {Array} setLogs - Validated set log entries
+ * @returns {Array} - Saved set logs ordered by exercise and set number
  */
-export async function getUserWorkoutStats(userId) {
+async function replaceSetLogs(completion, setLogs) {
   try {
-    // Total plans
-    const { count: totalPlans } = await supabase
-      .from('workout_plans')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const { error: deleteError } = await supabase
+      .from('workout_set_logs')
+      .delete()
+      .eq('workout_completion_id', completion.id);
 
-    // Completed plans
-    const { count: completedPlans } = await supabase
-      .from('workout_plans')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .not('completed_at', 'is', null);
+    if (deleteError) throw deleteError;
 
-    // Total workouts completed
-    const { count: totalWorkoutsCompleted } = await supabase
-      .from('workout_completions')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    if (!setLogs || setLogs.length === 0) {
+      return [];
+    }
 
-    // Recent completions (last 7 days)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const rows = setLogs.map(set => ({
+      workout_completion_id: completion.id,
+      user_id: completion.user_id,
+      daily_workout_id: completion.daily_workout_id,
+      exercise_id: set.exercise_id,
+      set_number: set.set_number,
+      reps: set.reps ?? null,
+      weight: set.weight ?? null,
+      weight_unit: set.weight_unit || 'kg',
+      rpe: set.rpe ?? null,
+      rest_seconds: set.rest_seconds ?? null,
+      duration_seconds: set.duration_seconds ?? null,
+      performed_at: set.performed_at || completion.completed_at || new Date().toISOString()
+    }));
 
-    const { count: recentCompletions } = await supabase
-      .from('workout_completions')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('completed_at', sevenDaysAgo.toISOString());
+    const { data, error } = await supabase
+      .from('workout_set_logs')
+      .insert(rows)
+      .select();
 
-    return {
-      total_plans: totalPlans || 0,
-      completed_plans: completedPlans || 0,
-      active_plans: (totalPlans || 0) - (completedPlans || 0),
-      total_workouts_completed: totalWorkoutsCompleted || 0,
-      recent_workouts_7_days: recentCompletions || 0
-    };
+    if (error) throw error;
+
+    console.log(`🏋️ Saved ${data.length} set logs for completion ${completion.id}`);
+
+    return sortSetLogs(data || []);
   } catch (error) {
-    console.error('Error fetching user workout stats:', error);
+    console.error('Error saving set logs:', error);
     throw error;
   }
 }
 
 /**
- * Get workout completion history
+ * Detect personal records for a completion
+ * (A failure here shouldn't fail the workout completion itself)
  */
-export async function getWorkoutHistory(userId, limit = 10, offset = 0) {
+async function recordPersonalRecords(userId, completion, setLogs) {
   try {
-    const { data, error } = await supabase
-      .from('workout_completions')
-      .select(`
-        *,
-        daily_workouts(workout_name, focus_area),
-        workout_plans(plan_name)
-      `)
-      .eq('user_id', userId)
-      .order('completed_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    return await detectPersonalRecords(userId, completion, setLogs);
+  } catch (error) {
+    console.error('Error recording personal records:', error);
+    return [];
+  }
+}
 
-    if (error) throw error;
+/**
+ * Estimate calories and training volume for a completion
+ * (A failure here shouldn't fail the workout completion itself)
+ * @returns {Object} - { calories_burned, total_volume_kg }, or {} if it failed
+ */
+async function recordMetrics(userId, completion, exercises, setLogs) {
+  try {
+    return await recordWorkoutMetrics(userId, completion, exercises || [], setLogs);
+  } catch (error) {
+    console.error('Error recording workout metrics:', error);
+    return {};
+  }
+}
 
-    return data || [];
+/**
+ * Re-estimate metrics for an edited completion
+ * (plan workouts read their exercises from the daily workout, ad-hoc ones from the snapshot)
+ */
+async function recordCompletionMetrics(userId, completion, setLogs) {
+  const dailyWorkout = completion.daily_workout_id
+    ? await getDailyWorkoutWithExercises(completion.daily_workout_id, userId)
+    : null;
+
+  return recordMetrics(userId, completion, dailyWorkout?.exercises || completion.exercises, setLogs);
+}
+
+/**
+ * Count a completion towards the user's workout challenges
+ * (A failure here shouldn't fail the workout completion itself)
+ */
+async function recordChallengeProgress(userId, completion) {
+  try {
+    await recordWorkoutForChallenges(userId, completion);
   } catch (error) {
-    console.error('Error fetching workout history:', error);
-    throw error;
+    console.error('Error recording challenge progress:', error);
   }
 }
 
 /**
- * Get workout completion by daily workout ID
+ * Get all set logs for a completion
  */
-export async function getWorkoutCompletionByDailyWorkoutId(dailyWorkoutId, userId) {
+export async function getSetLogsForCompletion(completionId) {
   try {
     const { data, error } = await supabase
-      .from('workout_completions')
+      .from('workout_set_logs')
       .select('*')
-      .eq('daily_workout_id', dailyWorkoutId)
-      .eq('user_id', userId)
-      .single();
+      .eq('workout_completion_id', completionId);
 
-    if (error) {
-      if (error.code === 'PGRST116') return null;
-      throw error;
-    }
+    if (error) throw error;
 
-    return data;
+    return sortSetLogs(data || []);
   } catch (error) {
-    console.error('Error fetching workout completion:', error);
+    console.error('Error fetching set logs:', error);
     throw error;
   }
 }
 
 /**
- * Get workout completion by completion ID
+ * Get the sets the user performed the last time they did an exercise
+ * Used to show "last time: 3 x 8 @ 60kg" when starting a workout
  */
-export async function getWorkoutCompletionById(completionId, userId) {
+export async function getLastExercisePerformance(userId, exerciseId) {
   try {
-    const { data, error } = await supabase
-      .from('workout_completions')
-      .select('*')
-      .eq('id', completionId)
+    // Find the most recent completion that logged this exercise
+    const { data: latest, error: latestError } = await supabase
+      .from('workout_set_logs')
+      .select('workout_completion_id, performed_at')
       .eq('user_id', userId)
+      .eq('exercise_id', exerciseId)
+      .order('performed_at', { ascending: false })
+      .limit(1)
       .single();
 
-    if (error) {
-      if (error.code === 'PGRST116') return null;
-      throw error;
+    if (latestError) {
+      if (latestError.code === 'PGRST116') return null;
+      throw latestError;
     }
 
-    return data;
+    const { data: sets, error: setsError } = await supabase
+      .from('workout_set_logs')
+      .select('*')
+      .eq('workout_completion_id', latest.workout_completion_id)
+      .eq('exercise_id', exerciseId)
+      .order('set_number');
+
+    if (setsError) throw setsError;
+
+    return {
+      exercise_id: exerciseId,
+      workout_completion_id: latest.workout_completion_id,
+      performed_at: latest.performed_at,
+      sets: sets || []
+    };
   } catch (error) {
-    console.error('Error fetching workout completion:', error);
+    console.error('Error fetching last exercise performance:', error);
     throw error;
   }
 }
 
+/**
+ * Sort set logs by exercise, then set number
+ */
+function sortSetLogs(setLogs) {
+  return [...setLogs].sort((a, b) =>
+    a.exercise_id === b.exercise_id
+      ? a.set_number - b.set_number
+      : a.exercise_id.localeCompare(b.exercise_id)
+  );
+}
+
 // ============================================================================
-// PUBLIC/SHARED WORKOUT ACCESS
+// AD-HOC WORKOUTS
 // ============================================================================
 
+const DEFAULT_ADHOC_WORKOUT_NAME = 'Freestyle Workout';
+export const MAX_ADHOC_EXERCISES = 30;
+
 /**
- * Get workout completion by ID for shared/public viewing
- * Returns data if:
- * - The workout was shared to feed (shared_to_feed: true), OR
- * - The requesting user is the owner of the workout
+ * Error for an ad-hoc workout payload that doesn't match its exercises, mapped to 400
  */
-export async function getSharedWorkoutCompletion(completionId, requestingUserId = null) {
-  try {
-    // Get the completion without strict shared_to_feed check first
-    const { data, error } = await supabase
-      .from('workout_completions')
-      .select(`
+function adhocValidationError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ADHOC_WORKOUT';
+  return error;
+}
+
+/**
+ * Log an unplanned workout (exercises picked from the catalog or the user's custom exercises, not from a plan)
+ * Stored as a workout_completions row with workout_type 'adhoc' and no daily workout,
+ * so it counts towards streaks, challenges and weekly goals like a plan workout
+ * and can be shared to the feed with its completion ID.
+ * @param {string} userId - User ID
+ * @param {Object} workout - { workout_name?, exercises, duration_minutes?, difficulty_rating?, energy_level?, notes?, set_logs?, completed_at?, share_to_feed? }
+ * @returns {Promise<Object>} - Completion with set_logs and personal_records
+ */
+export async function logAdhocWorkout(userId, {
+  workout_name,
+  exercises,
+  duration_minutes,
+  difficulty_rating,
+  energy_level,
+  notes,
+  set_logs,
+  completed_at,
+  share_to_feed
+}) {
+  try {
+    const exerciseIds = [...new Set(exercises.map(exercise => exercise.exercise_id))];
+
+    // Catalog exercises and the user's own custom exercises
+    const catalog = await getExercisesByIdsForUser(exerciseIds, userId, 'id, name, bodyPart, target, equipment, image_url');
+
+    const catalogById = new Map((catalog || []).map(exercise => [exercise.id, exercise]));
+    const unknownIds = exerciseIds.filter(id => !catalogById.has(id));
+    if (unknownIds.length > 0) {
+      throw adhocValidationError(`Unknown exercise IDs: ${unknownIds.join(', ')}`);
+    }
+
+    const unlistedSet = (set_logs || []).find(set => !catalogById.has(set.exercise_id));
+    if (unlistedSet) {
+      throw adhocValidationError(`Set logged for exercise ${unlistedSet.exercise_id} which is not in the workout`);
+    }
+
+    // Snapshot of what was performed (there's no daily workout to read it from)
+    const workoutExercises = exercises.map(exercise => {
+      const details = catalogById.get(exercise.exercise_id);
+      return {
+        id: details.id,
+        name: details.name,
+        bodyPart: details.bodyPart,
+        target: details.target,
+        equipment: details.equipment,
+        imageUrl: details.image_url,
+        sets: exercise.sets ?? (set_logs || []).filter(set => set.exercise_id === details.id).length,
+        reps: exercise.reps ?? null,
+        notes: exercise.notes ?? null
+      };
+    });
+
+    const { data: completion, error: completionError } = await supabase
+      .from('workout_completions')
+      .insert({
+        user_id: userId,
+        daily_workout_id: null,
+        workout_plan_id: null,
+        workout_type: 'adhoc',
+        workout_name: workout_name || DEFAULT_ADHOC_WORKOUT_NAME,
+        exercises: workoutExercises,
+        duration_minutes,
+        difficulty_rating,
+        energy_level,
+        notes,
+        exercises_completed: workoutExercises.map(exercise => ({
+          exercise_id: exercise.id,
+          sets_completed: exercise.sets
+        })),
+        shared_to_feed: share_to_feed || false,
+        ...(completed_at && { completed_at })
+      })
+      .select()
+      .single();
+
+    if (completionError) throw completionError;
+
+    const savedSetLogs = await replaceSetLogs(completion, set_logs || []);
+    const personalRecords = await recordPersonalRecords(userId, completion, savedSetLogs);
+    const metrics = await recordMetrics(userId, completion, workoutExercises, savedSetLogs);
+    await recordChallengeProgress(userId, completion);
+
+    console.log(`📝 Ad-hoc workout logged for user ${userId}: ${completion.workout_name} (${workoutExercises.length} exercises)`);
+
+    return {
+      ...completion,
+      ...metrics,
+      set_logs: savedSetLogs,
+      personal_records: personalRecords
+    };
+  } catch (error) {
+    console.error('Error logging ad-hoc workout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a logged ad-hoc workout (they have no daily workout to key updateWorkoutCompletion on)
+ * The exercise snapshot is fixed, so edited set logs must stay within its exercises
+ * @param {string} completionId - Completion ID returned by logAdhocWorkout
+ * @param {string} userId - User ID
+ * @param {Object} updates - { workout_name?, duration_minutes?, difficulty_rating?, energy_level?, notes?, set_logs? }
+ * @returns {Promise<Object|null>} - Updated completion, or null if the user has no such ad-hoc workout
+ */
+export async function updateAdhocWorkout(completionId, userId, updates) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('workout_completions')
+      .select('*')
+      .eq('id', completionId)
+      .eq('user_id', userId)
+      .eq('workout_type', 'adhoc')
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') return null;
+      throw fetchError;
+    }
+
+    const exerciseIds = new Set((existing.exercises || []).map(exercise => exercise.id));
+    const unlistedSet = (updates.set_logs || []).find(set => !exerciseIds.has(set.exercise_id));
+    if (unlistedSet) {
+      throw adhocValidationError(`Set logged for exercise ${unlistedSet.exercise_id} which is not in the workout`);
+    }
+
+    return await applyCompletionUpdates(existing, userId, updates);
+  } catch (error) {
+    console.error('Error updating ad-hoc workout:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// PROGRESS & STATS
+// ============================================================================
+
+/**
+ * Get plan progress
+ */
+export async function getPlanProgress(planId, userId) {
+  try {
+    const plan = await getPlanById(planId, userId);
+    if (!plan) return null;
+
+    const completionPercentage = plan.total_workouts > 0
+      ? Math.round((plan.completed_workouts / plan.total_workouts) * 100)
+      : 0;
+
+    const weeks = buildWeekProgress(plan.daily_workouts, plan.mesocycle_schedule);
+    const currentWeek = weeks.find(week => !week.is_completed) || weeks[weeks.length - 1] || null;
+
+    return {
+      plan_id: plan.id,
+      plan_name: plan.plan_name,
+      total_workouts: plan.total_workouts,
+      completed_workouts: plan.completed_workouts,
+      completion_percentage: completionPercentage,
+      is_completed: plan.completed_at !== null,
+      started_at: plan.started_at,
+      completed_at: plan.completed_at,
+      mesocycle_weeks: plan.mesocycle_weeks || null,
+      current_week: currentWeek ? currentWeek.week_number : null,
+      weeks
+    };
+  } catch (error) {
+    console.error('Error fetching plan progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Group a plan's daily workouts into week-level progress
+ * (a week counts as done once every day is completed or skipped)
+ */
+function buildWeekProgress(dailyWorkouts, mesocycleSchedule) {
+  const weeks = new Map();
+
+  (dailyWorkouts || []).forEach(day => {
+    const weekNumber = day.week_number || 1;
+    if (!weeks.has(weekNumber)) {
+      const scheduled = (mesocycleSchedule || []).find(w => w.week_number === weekNumber);
+      weeks.set(weekNumber, {
+        week_number: weekNumber,
+        phase: day.mesocycle_phase || scheduled?.phase || null,
+        total_workouts: 0,
+        completed_workouts: 0,
+        skipped_workouts: 0
+      });
+    }
+
+    const week = weeks.get(weekNumber);
+    week.total_workouts++;
+    if (day.is_completed) week.completed_workouts++;
+    else if (day.is_skipped) week.skipped_workouts++;
+  });
+
+  return [...weeks.values()]
+    .sort((a, b) => a.week_number - b.week_number)
+    .map(week => ({
+      ...week,
+      completion_percentage: Math.round((week.completed_workouts / week.total_workouts) * 100),
+      is_completed: week.completed_workouts + week.skipped_workouts === week.total_workouts
+    }));
+}
+
+/**
+ * Get plan adherence analytics
+ * - Completion rate per weekday (by the day the workout was first scheduled for)
+ * - Lateness: days between the original scheduled date and the completion
+ * - Skip reasons breakdown
+ * - Week-by-week trend
+ * Only workouts that are due (scheduled up to today) or already done/skipped count.
+ */
+export async function getPlanAdherence(planId, userId) {
+  try {
+    const plan = await getPlanById(planId, userId);
+    if (!plan) return null;
+
+    const today = getTodayDateString();
+    const plannedDate = (day) => day.original_scheduled_date || day.scheduled_date;
+
+    const dueWorkouts = (plan.daily_workouts || []).filter(day =>
+      day.is_completed || day.is_skipped || (plannedDate(day) && plannedDate(day) <= today)
+    );
+
+    // Days late per completed workout (negative = done early)
+    const daysLate = (day) => {
+      if (!day.is_completed || !day.completed_at || !plannedDate(day)) return null;
+      const completedDate = new Date(day.completed_at).toISOString().split('T')[0];
+      return Math.round(
+        (new Date(completedDate + 'T00:00:00Z') - new Date(plannedDate(day) + 'T00:00:00Z')) / (1000 * 60 * 60 * 24)
+      );
+    };
+
+    const summarize = (workouts) => {
+      const completed = workouts.filter(w => w.is_completed).length;
+      const skipped = workouts.filter(w => w.is_skipped).length;
+      const lateness = workouts.map(daysLate).filter(days => days !== null);
+
+      return {
+        scheduled_workouts: workouts.length,
+        completed_workouts: completed,
+        skipped_workouts: skipped,
+        completion_rate: workouts.length > 0 ? Math.round((completed / workouts.length) * 100) : null,
+        average_days_late: lateness.length > 0
+          ? Math.round((lateness.reduce((sum, days) => sum + Math.max(0, days), 0) / lateness.length) * 10) / 10
+          : null
+      };
+    };
+
+    const byWeekday = DAY_NAMES
+      .map(dayName => ({
+        day_of_week: dayName,
+        ...summarize(dueWorkouts.filter(day => plannedDate(day) && getDayOfWeek(plannedDate(day)) === dayName))
+      }))
+      .filter(day => day.scheduled_workouts > 0);
+
+    const lateness = dueWorkouts.map(daysLate).filter(days => days !== null);
+    const skipStats = await getSkipStats(userId, planId);
+
+    const weekNumbers = [...new Set(dueWorkouts.map(day => day.week_number || 1))].sort((a, b) => a - b);
+    const trend = weekNumbers.map(weekNumber => ({
+      week_number: weekNumber,
+      ...summarize(dueWorkouts.filter(day => (day.week_number || 1) === weekNumber))
+    }));
+
+    return {
+      plan_id: plan.id,
+      plan_name: plan.plan_name,
+      ...summarize(dueWorkouts),
+      rescheduled_workouts: dueWorkouts.filter(day =>
+        day.original_scheduled_date && day.original_scheduled_date !== day.scheduled_date
+      ).length,
+      lateness: {
+        on_time: lateness.filter(days => days === 0).length,
+        early: lateness.filter(days => days < 0).length,
+        late: lateness.filter(days => days > 0).length,
+        max_days_late: lateness.length > 0 ? Math.max(0, ...lateness) : null
+      },
+      by_weekday: byWeekday,
+      skip_reasons: skipStats.skip_reasons,
+      trend,
+      trend_direction: getTrendDirection(trend)
+    };
+  } catch (error) {
+    console.error('Error fetching plan adherence:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compare the completion rate of the later half of the weeks to the earlier half
+ * @returns {string|null} - 'improving' | 'declining' | 'steady' (null with fewer than 2 weeks)
+ */
+function getTrendDirection(trend) {
+  if (trend.length < 2) return null;
+
+  const half = Math.floor(trend.length / 2);
+  const averageRate = (weeks) => weeks.reduce((sum, week) => sum + week.completion_rate, 0) / weeks.length;
+  const change = averageRate(trend.slice(-half)) - averageRate(trend.slice(0, half));
+
+  if (change >= 10) return 'improving';
+  if (change <= -10) return 'declining';
+  return 'steady';
+}
+
+/**
+ * Get overall user workout stats
+ */
+export async function getUserWorkoutStats(userId) {
+  try {
+    // Total plans
+    const { count: totalPlans } = await supabase
+      .from('workout_plans')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    // Completed plans
+    const { count: completedPlans } = await supabase
+      .from('workout_plans')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .not('completed_at', 'is', null);
+
+    // Total workouts completed
+    const { count: totalWorkoutsCompleted } = await supabase
+      .from('workout_completions')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    // Recent completions (last 7 days)
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+
+    const { count: recentCompletions } = await supabase
+      .from('workout_completions')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .gte('completed_at', sevenDaysAgo.toISOString());
+
+    // Calories and training volume (estimated per completion)
+    const { data: metrics, error: metricsError } = await supabase
+      .from('workout_completions')
+      .select('calories_burned, total_volume_kg, completed_at')
+      .eq('user_id', userId);
+
+    if (metricsError) throw metricsError;
+
+    const sumMetric = (rows, field) => Math.round(
+      rows.reduce((sum, row) => sum + (Number(row[field]) || 0), 0) * 100
+    ) / 100;
+    const recentMetrics = (metrics || []).filter(row => new Date(row.completed_at) >= sevenDaysAgo);
+
+    return {
+      total_plans: totalPlans || 0,
+      completed_plans: completedPlans || 0,
+      active_plans: (totalPlans || 0) - (completedPlans || 0),
+      total_workouts_completed: totalWorkoutsCompleted || 0,
+      recent_workouts_7_days: recentCompletions || 0,
+      total_calories_burned: sumMetric(metrics || [], 'calories_burned'),
+      total_volume_kg: sumMetric(metrics || [], 'total_volume_kg'),
+      recent_calories_7_days: sumMetric(recentMetrics, 'calories_burned'),
+      recent_volume_kg_7_days: sumMetric(recentMetrics, 'total_volume_kg')
+    };
+  } catch (error) {
+    console.error('Error fetching user workout stats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get workout completion history
+ */
+export async function getWorkoutHistory(userId, limit = 10, offset = 0) {
+  try {
+    const { data, error } = await supabase
+      .from('workout_completions')
+      .select(`
+        *,
+        daily_workouts(
+          workout_name,
+          focus_area,
+          exercise_substitutions(original_exercise_id, original_exercise_name, replacement_exercise_id, replacement_exercise_name, reason)
+        ),
+        workout_plans(plan_name)
+      `)
+      .eq('user_id', userId)
+      .order('completed_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching workout history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get workout completion by daily workout ID
+ */
+export async function getWorkoutCompletionByDailyWorkoutId(dailyWorkoutId, userId) {
+  try {
+    const { data, error } = await supabase
+      .from('workout_completions')
+      .select('*')
+      .eq('daily_workout_id', dailyWorkoutId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    }
+
+    return {
+      ...data,
+      set_logs: await getSetLogsForCompletion(data.id)
+    };
+  } catch (error) {
+    console.error('Error fetching workout completion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get workout completion by completion ID
+ */
+export async function getWorkoutCompletionById(completionId, userId) {
+  try {
+    const { data, error } = await supabase
+      .from('workout_completions')
+      .select('*')
+      .eq('id', completionId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    }
+
+    return {
+      ...data,
+      set_logs: await getSetLogsForCompletion(data.id)
+    };
+  } catch (error) {
+    console.error('Error fetching workout completion:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// PUBLIC/SHARED WORKOUT ACCESS
+// ============================================================================
+
+/**
+ * Get workout completion by ID for shared/public viewing
+ * Returns data if:
+ * - The workout was shared to feed (shared_to_feed: true), OR
+ * - The requesting user is the owner of the workout
+ */
+export async function getSharedWorkoutCompletion(completionId, requestingUserId = null) {
+  try {
+    // Get the completion without strict shared_to_feed check first
+    const { data, error } = await supabase
+      .from('workout_completions')
+      .select(`
         *,
         users:user_id (
           id,
@@ -1817,6 +2663,18 @@ export async function updateUserPreferences(userId, updates) {
 // SKIP TRACKING
 // ============================================================================
 
+// Note written by autoSkipPastWorkouts - lets rescheduling tell missed days from deliberate skips
+const AUTO_SKIP_NOTE = 'Auto-skipped (past due date)';
+
+/**
+ * Today's date (YYYY-MM-DD) as used by the auto-skip job
+ */
+export function getTodayDateString() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today.toISOString().split('T')[0];
+}
+
 /**
  * Mark a workout as skipped
  */
@@ -1907,15 +2765,23 @@ export async function getSkippedWorkouts(userId, limit = 20, offset = 0) {
 
 /**
  * Get skip statistics for a user
+ * @param {string} userId - User ID
+ * @param {string} [planId] - Limit the stats to one of the user's plans
  */
-export async function getSkipStats(userId) {
+export async function getSkipStats(userId, planId = null) {
   try {
     // Get all plans for this user
-    const { data: plans, error: plansError } = await supabase
+    let plansQuery = supabase
       .from('workout_plans')
       .select('id')
       .eq('user_id', userId);
 
+    if (planId) {
+      plansQuery = plansQuery.eq('id', planId);
+    }
+
+    const { data: plans, error: plansError } = await plansQuery;
+
     if (plansError) throw plansError;
 
     const planIds = plans.map(p => p.id);
@@ -1923,7 +2789,7 @@ export async function getSkipStats(userId) {
     // Get total workouts, completed, and skipped counts
     const { data: workouts, error: workoutsError } = await supabase
       .from('daily_workouts')
-      .select('is_completed, is_skipped, scheduled_date')
+      .select('is_completed, is_skipped, scheduled_date, completion_notes')
       .in('workout_plan_id', planIds);
 
     if (workoutsError) throw workoutsError;
@@ -1954,7 +2820,8 @@ export async function getSkipStats(userId) {
       pending_workouts: pending,
       skip_rate: parseFloat(skipRate),
       completion_rate: parseFloat(completionRate),
-      recent_skips_30_days: recentSkips
+      recent_skips_30_days: recentSkips,
+      skip_reasons: groupSkipReasons(workouts.filter(w => w.is_skipped))
     };
   } catch (error) {
     console.error('Error fetching skip stats:', error);
@@ -1962,14 +2829,39 @@ export async function getSkipStats(userId) {
   }
 }
 
+/**
+ * Count skipped workouts per reason (case-insensitive), most common first
+ * Auto-skips and skips without a reason get their own buckets
+ */
+function groupSkipReasons(skippedWorkouts) {
+  const reasons = new Map();
+
+  skippedWorkouts.forEach(workout => {
+    const note = workout.completion_notes?.trim();
+    const reason = !note
+      ? 'No reason given'
+      : note === AUTO_SKIP_NOTE ? 'Missed (auto-skipped)' : note;
+    const key = reason.toLowerCase();
+
+    const entry = reasons.get(key) || { reason, count: 0 };
+    entry.count++;
+    reasons.set(key, entry);
+  });
+
+  return [...reasons.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(entry => ({
+      ...entry,
+      percentage: Math.round((entry.count / skippedWorkouts.length) * 100)
+    }));
+}
+
 /**
  * Auto-skip past incomplete workouts
  * This should be called daily by a cron job
  */
 export async function autoSkipPastWorkouts(userId = null) {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
 
     let query = supabase
       .from('daily_workouts')
@@ -1981,7 +2873,7 @@ export async function autoSkipPastWorkouts(userId = null) {
       .eq('is_completed', false)
       .eq('is_skipped', false)
       .not('scheduled_date', 'is', null)
-      .lt('scheduled_date', today.toISOString().split('T')[0]);
+      .lt('scheduled_date', getTodayDateString());
 
     // If userId provided, only auto-skip for that user
     if (userId) {
@@ -2004,7 +2896,7 @@ export async function autoSkipPastWorkouts(userId = null) {
       .update({
         is_skipped: true,
         skipped_at: new Date().toISOString(),
-        completion_notes: 'Auto-skipped (past due date)'
+        completion_notes: AUTO_SKIP_NOTE
       })
       .in('id', workoutIds)
       .select();
@@ -2127,3 +3019,462 @@ export async function autoDeactivateExpiredPlans(userId = null) {
     throw error;
   }
 }
+
+// ============================================================================
+// RESCHEDULING
+// ============================================================================
+
+export const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_SHIFT_DAYS = 30;
+
+/**
+ * Day name for a YYYY-MM-DD date
+ */
+export function getDayOfWeek(dateStr) {
+  return DAY_NAMES[new Date(dateStr + 'T00:00:00Z').getUTCDay()];
+}
+
+/**
+ * Add N days to a YYYY-MM-DD date
+ */
+export function addDaysToDate(dateStr, days) {
+  const date = new Date(dateStr + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Error for a missing (or not owned) workout or exercise, mapped to 404
+ */
+function notFoundError(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Fetch a daily workout and verify it belongs to the user
+ */
+async function getOwnedDailyWorkout(userId, dailyWorkoutId) {
+  const { data: workout, error } = await supabase
+    .from('daily_workouts')
+    .select(`
+      *,
+      workout_plans!inner(user_id)
+    `)
+    .eq('id', dailyWorkoutId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') throw notFoundError('Workout not found');
+    throw error;
+  }
+
+  if (workout.workout_plans.user_id !== userId) {
+    throw notFoundError('Workout not found');
+  }
+
+  return workout;
+}
+
+/**
+ * Error for a rescheduling request that breaks a rule (sent to the client as a 400)
+ */
+function rescheduleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_RESCHEDULE';
+  return error;
+}
+
+/**
+ * Build the update for moving a workout to a new date
+ * - Keeps the first scheduled date in original_scheduled_date (used for lateness stats)
+ * - Un-skips days the auto-skip job marked as missed, since they now have a future date
+ *   (deliberate skips stay skipped)
+ */
+function buildRescheduleUpdate(workout, newDate) {
+  const update = {
+    scheduled_date: newDate,
+    day_of_week: getDayOfWeek(newDate),
+    original_scheduled_date: workout.original_scheduled_date || workout.scheduled_date,
+    rescheduled_at: new Date().toISOString()
+  };
+
+  if (workout.is_skipped && workout.completion_notes === AUTO_SKIP_NOTE) {
+    update.is_skipped = false;
+    update.skipped_at = null;
+    update.completion_notes = null;
+  }
+
+  return update;
+}
+
+/**
+ * Move a daily workout to another date
+ * @param {string} userId - User ID
+ * @param {string} dailyWorkoutId - Workout to move
+ * @param {string} newDate - YYYY-MM-DD (today or later)
+ */
+export async function rescheduleWorkout(userId, dailyWorkoutId, newDate) {
+  try {
+    const workout = await getOwnedDailyWorkout(userId, dailyWorkoutId);
+
+    if (workout.is_completed) {
+      throw rescheduleError('Cannot reschedule a completed workout');
+    }
+
+    if (workout.is_skipped && workout.completion_notes !== AUTO_SKIP_NOTE) {
+      throw rescheduleError('Cannot reschedule a skipped workout');
+    }
+
+    // Past dates would be auto-skipped again on the next run
+    if (newDate < getTodayDateString()) {
+      throw rescheduleError('Cannot reschedule a workout to a past date');
+    }
+
+    const { data: updated, error } = await supabase
+      .from('daily_workouts')
+      .update(buildRescheduleUpdate(workout, newDate))
+      .eq('id', dailyWorkoutId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`📅 Workout ${dailyWorkoutId} moved from ${workout.scheduled_date} to ${newDate}`);
+
+    return updated;
+  } catch (error) {
+    console.error('Error rescheduling workout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Swap the dates (and order) of two days in the same plan
+ */
+export async function swapWorkouts(userId, firstWorkoutId, secondWorkoutId) {
+  try {
+    const [first, second] = await Promise.all([
+      getOwnedDailyWorkout(userId, firstWorkoutId),
+      getOwnedDailyWorkout(userId, secondWorkoutId)
+    ]);
+
+    if (first.workout_plan_id !== second.workout_plan_id) {
+      throw rescheduleError('Workouts must belong to the same plan');
+    }
+
+    if (first.is_completed || second.is_completed) {
+      throw rescheduleError('Cannot swap a completed workout');
+    }
+
+    // Deliberate skips stay where they are (auto-skipped days can be moved, as in rescheduleWorkout)
+    if ([first, second].some(workout => workout.is_skipped && workout.completion_notes !== AUTO_SKIP_NOTE)) {
+      throw rescheduleError('Cannot swap a skipped workout');
+    }
+
+    if (!first.scheduled_date || !second.scheduled_date) {
+      throw rescheduleError('Both workouts must have a scheduled date');
+    }
+
+    if (first.scheduled_date < getTodayDateString() || second.scheduled_date < getTodayDateString()) {
+      throw rescheduleError('Cannot swap a workout into a past date');
+    }
+
+    const updates = [
+      { id: first.id, ...buildRescheduleUpdate(first, second.scheduled_date), day_order: second.day_order },
+      { id: second.id, ...buildRescheduleUpdate(second, first.scheduled_date), day_order: first.day_order }
+    ];
+
+    const results = [];
+    for (const { id, ...update } of updates) {
+      const { data, error } = await supabase
+        .from('daily_workouts')
+        .update(update)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      results.push(data);
+    }
+
+    console.log(`🔀 Swapped workouts ${first.id} (${first.scheduled_date}) and ${second.id} (${second.scheduled_date})`);
+
+    return results;
+  } catch (error) {
+    console.error('Error swapping workouts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Push all remaining workouts in a plan forward by N days
+ * Remaining = not completed, not deliberately skipped, scheduled on/after fromDate
+ * (days missed and auto-skipped since fromDate are brought back)
+ * @param {string} userId - User ID
+ * @param {string} planId - Plan ID
+ * @param {number} days - Days to shift by (1-30)
+ * @param {string} [fromDate] - YYYY-MM-DD, defaults to today
+ */
+export async function shiftRemainingWorkouts(userId, planId, days, fromDate = null) {
+  try {
+    const plan = await getPlanById(planId, userId);
+    if (!plan) throw new Error('Plan not found');
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SHIFT_DAYS) {
+      throw rescheduleError(`days must be an integer between 1 and ${MAX_SHIFT_DAYS}`);
+    }
+
+    const startDate = fromDate || getTodayDateString();
+    const today = getTodayDateString();
+
+    const remaining = plan.daily_workouts.filter(workout =>
+      !workout.is_completed &&
+      workout.scheduled_date &&
+      workout.scheduled_date >= startDate &&
+      (!workout.is_skipped || workout.completion_notes === AUTO_SKIP_NOTE)
+    );
+
+    if (remaining.length === 0) {
+      return { shifted_count: 0, workouts: [] };
+    }
+
+    const stillPast = remaining.filter(workout => addDaysToDate(workout.scheduled_date, days) < today);
+    if (stillPast.length > 0) {
+      throw rescheduleError(`Shifting by ${days} days would leave ${stillPast.length} workouts in the past`);
+    }
+
+    // Update latest first so dates never collide mid-shift
+    const ordered = [...remaining].sort((a, b) => b.scheduled_date.localeCompare(a.scheduled_date));
+    const shifted = [];
+
+    for (const workout of ordered) {
+      const { data, error } = await supabase
+        .from('daily_workouts')
+        .update(buildRescheduleUpdate(workout, addDaysToDate(workout.scheduled_date, days)))
+        .eq('id', workout.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      shifted.push(data);
+    }
+
+    // A shifted plan may run past its old end date - keep it active
+    if (!plan.is_active && plan.completed_at && plan.completed_workouts < plan.total_workouts) {
+      await supabase
+        .from('workout_plans')
+        .update({ is_active: true, completed_at: null, updated_at: new Date().toISOString() })
+        .eq('id', planId);
+    }
+
+    console.log(`⏩ Shifted ${shifted.length} workouts in plan ${planId} by ${days} days`);
+
+    return {
+      shifted_count: shifted.length,
+      workouts: shifted.sort((a, b) => a.scheduled_date.localeCompare(b.scheduled_date))
+    };
+  } catch (error) {
+    console.error('Error shifting remaining workouts:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// EXERCISE SUBSTITUTION
+// ============================================================================
+
+const MAX_ON_DEMAND_ALTERNATIVES = 10;
+
+/**
+ * Error for a substitution the rules don't allow, mapped to 400
+ */
+function substitutionError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SUBSTITUTION';
+  return error;
+}
+
+/**
+ * Find an exercise in a daily workout's main exercise list
+ */
+function findWorkoutExercise(workout, exerciseId) {
+  const index = (workout.exercises || []).findIndex(ex => ex.id === exerciseId);
+  if (index === -1) throw notFoundError('Exercise not found in this workout');
+  return { index, exercise: workout.exercises[index] };
+}
+
+/**
+ * Get substitution options for an exercise in a finalized daily workout
+ * - stored: alternatives offered when the plan was previewed
+ * - on_demand: same target muscle (then same body part), optionally limited to one equipment type
+ * - custom: the user's custom exercises for the same target muscle or body part
+ * All options are limited to the user's equipment when they have declared it
+ * @param {string} userId - User ID
+ * @param {string} dailyWorkoutId - Daily workout ID
+ * @param {string} exerciseId - Exercise to replace
+ * @param {Object} [filters] - { equipment }
+ */
+export async function getSubstitutionOptions(userId, dailyWorkoutId, exerciseId, filters = {}) {
+  try {
+    const workout = await getOwnedDailyWorkout(userId, dailyWorkoutId);
+    const { exercise } = findWorkoutExercise(workout, exerciseId);
+
+    const inWorkout = new Set((workout.exercises || []).map(ex => ex.id));
+    const inventory = await getUserEquipment(userId);
+    const matchesEquipment = ex =>
+      (!filters.equipment || ex.equipment === filters.equipment) &&
+      canUseEquipment(ex.equipment, inventory);
+
+    // Stored alternatives from the plan preview (unless removed from the catalog since)
+    const storedIds = (exercise.alternative_ids || []).filter(id => !inWorkout.has(id));
+    const stored = (await fetchFullExerciseDetails(storedIds)).filter(ex => !ex.deleted_at && matchesEquipment(ex));
+
+    // On-demand matches from the exercise catalog
+    const seen = new Set([...inWorkout, ...stored.map(ex => ex.id)]);
+    const onDemand = [];
+
+    const byTarget = exercise.target ? await exerciseService.getExercisesByTarget(exercise.target) : { success: false };
+    const byBodyPart = exercise.bodyPart ? await exerciseService.getExercisesByBodyPart(exercise.bodyPart) : { success: false };
+
+    for (const result of [byTarget, byBodyPart]) {
+      if (!result.success) continue;
+
+      // Different equipment first - the usual reason to swap is a busy machine
+      const candidates = result.data
+        .filter(ex => !seen.has(ex.id) && matchesEquipment(ex))
+        .sort((a, b) => Number(b.equipment !== exercise.equipment) - Number(a.equipment !== exercise.equipment));
+
+      for (const candidate of candidates) {
+        if (onDemand.length >= MAX_ON_DEMAND_ALTERNATIVES) break;
+        onDemand.push(candidate);
+        seen.add(candidate.id);
+      }
+    }
+
+    // The user's own exercises for the same muscle (custom names are free text, so compare canonically)
+    const targetMuscle = normalizeMuscle(exercise.target);
+    const bodyPartGroup = resolveMuscleGroup(exercise.bodyPart) || exercise.bodyPart;
+    const custom = (await getUserCustomExercises(userId))
+      .filter(ex => !inWorkout.has(ex.id) && matchesEquipment(ex))
+      .filter(ex =>
+        (targetMuscle && normalizeMuscle(ex.target) === targetMuscle) ||
+        (bodyPartGroup && (resolveMuscleGroup(ex.bodyPart) || ex.bodyPart) === bodyPartGroup)
+      );
+
+    return {
+      exercise: { id: exercise.id, name: exercise.name, equipment: exercise.equipment, target: exercise.target },
+      stored,
+      on_demand: onDemand,
+      custom
+    };
+  } catch (error) {
+    console.error('Error fetching substitution options:', error);
+    throw error;
+  }
+}
+
+/**
+ * Swap an exercise in a finalized daily workout
+ * Keeps the prescription (sets/reps/rest/tempo/notes) and records the swap
+ * @param {string} userId - User ID
+ * @param {string} dailyWorkoutId - Daily workout ID
+ * @param {Object} params - { exercise_id, replacement_exercise_id, reason }
+ */
+export async function substituteExercise(userId, dailyWorkoutId, { exercise_id, replacement_exercise_id, reason = null }) {
+  try {
+    const workout = await getOwnedDailyWorkout(userId, dailyWorkoutId);
+
+    if (workout.is_completed) {
+      throw substitutionError('Cannot substitute exercises in a completed workout');
+    }
+
+    const { index, exercise: original } = findWorkoutExercise(workout, exercise_id);
+
+    if (replacement_exercise_id === exercise_id) {
+      throw substitutionError('Replacement must be a different exercise');
+    }
+
+    if (workout.exercises.some(ex => ex.id === replacement_exercise_id)) {
+      throw substitutionError('Replacement exercise is already in this workout');
+    }
+
+    const [replacement] = await getExercisesByIdsForUser([replacement_exercise_id], userId);
+    if (!replacement) {
+      throw notFoundError('Replacement exercise not found');
+    }
+
+    // Same rule as getSubstitutionOptions: only equipment the user has
+    if (!canUseEquipment(replacement.equipment, await getUserEquipment(userId))) {
+      throw substitutionError(`Replacement exercise needs equipment you don't have (${replacement.equipment})`);
+    }
+
+    const source = (original.alternative_ids || []).includes(replacement_exercise_id)
+      ? 'stored_alternative'
+      : 'on_demand';
+
+    const substituted = {
+      id: replacement.id,
+      name: replacement.name,
+      bodyPart: replacement.bodyPart,
+      target: replacement.target,
+      equipment: replacement.equipment,
+      difficulty: replacement.difficulty,
+      category: replacement.category,
+      image_url: replacement.image_url,
+      secondary_muscles: replacement.secondary_muscles || [],
+      instructions: replacement.instructions || [],
+      description: replacement.description,
+      // Keep the prescription from the plan (weight suggestions don't carry across exercises)
+      sets: original.sets,
+      reps: original.reps,
+      rest_seconds: original.rest_seconds,
+      tempo: original.tempo,
+      notes: original.notes,
+      // The swapped-out exercise becomes an alternative so the user can swap back
+      alternative_ids: [
+        original.id,
+        ...(original.alternative_ids || []).filter(id => id !== replacement.id)
+      ],
+      substituted_for: {
+        id: original.substituted_for?.id || original.id,
+        name: original.substituted_for?.name || original.name
+      }
+    };
+
+    const exercises = [...workout.exercises];
+    exercises[index] = substituted;
+
+    const { data: updated, error: updateError } = await supabase
+      .from('daily_workouts')
+      .update({ exercises })
+      .eq('id', dailyWorkoutId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    const { error: historyError } = await supabase
+      .from('exercise_substitutions')
+      .insert({
+        user_id: userId,
+        daily_workout_id: dailyWorkoutId,
+        original_exercise_id: original.id,
+        original_exercise_name: original.name,
+        replacement_exercise_id: replacement.id,
+        replacement_exercise_name: replacement.name,
+        source,
+        reason
+      });
+
+    if (historyError) throw historyError;
+
+    console.log(`🔁 Substituted ${original.name} -> ${replacement.name} in workout ${dailyWorkoutId} (${source})`);
+
+    return updated;
+  } catch (error) {
+    console.error('Error substituting exercise:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,603 @@
+import { supabase } from '../config/supabase.js';
+import {
+  completeWorkout,
+  getDailyWorkoutWithExercises,
+  getWorkoutCompletionByDailyWorkoutId,
+  validateSetLogs
+} from './workoutPlannerService.js';
+
+// ============================================================================
+// LIVE WORKOUT SESSIONS
+// ============================================================================
+//
+// A session tracks a daily workout while it's being performed: logged sets,
+// the running rest timer and pauses. All state lives in the database so the
+// app can pick the session back up after being killed (GET /active).
+// Finishing a session goes through completeWorkout, so set logs, PRs and
+// progressive overload behave exactly like a manual completion.
+
+const OPEN_STATUSES = ['active', 'paused'];
+
+// Open sessions with no activity for this long are abandoned instead of recovered
+const STALE_SESSION_HOURS = 12;
+
+// Postgres unique_violation (idx_workout_sessions_one_open)
+const UNIQUE_VIOLATION = '23505';
+
+const IN_PROGRESS_MESSAGE = 'Cannot start a new session while another workout is in progress';
+
+/**
+ * Error with a code the controller maps to a status
+ * (SESSION_NOT_FOUND, WORKOUT_NOT_FOUND, SESSION_CONFLICT, INVALID_SET)
+ */
+function sessionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Seconds between two timestamps (never negative)
+ */
+function secondsBetween(from, to) {
+  return Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+}
+
+/**
+ * Workout time so far, excluding pauses
+ */
+function calculateElapsedSeconds(session, now = new Date()) {
+  const end = session.finished_at || session.paused_at || now;
+  return Math.max(0, secondsBetween(session.started_at, end) - (session.total_paused_seconds || 0));
+}
+
+/**
+ * Describe the running rest timer (null when none is running)
+ */
+function buildRestTimer(session, now = new Date()) {
+  if (!session.rest_started_at) return null;
+
+  const elapsed = secondsBetween(session.rest_started_at, session.paused_at || now);
+
+  return {
+    started_at: session.rest_started_at,
+    target_seconds: session.rest_target_seconds,
+    exercise_id: session.rest_exercise_id,
+    set_number: session.rest_set_number,
+    elapsed_seconds: elapsed,
+    remaining_seconds: session.rest_target_seconds != null
+      ? Math.max(0, session.rest_target_seconds - elapsed)
+      : null
+  };
+}
+
+function sortSessionSets(sets) {
+  return [...sets].sort((a, b) =>
+    a.exercise_id.localeCompare(b.exercise_id) || a.set_number - b.set_number
+  );
+}
+
+/**
+ * Fetch a session owned by the user (throws 'Session not found')
+ */
+async function getOwnedSession(userId, sessionId) {
+  const { data, error } = await supabase
+    .from('workout_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') throw sessionError('Session not found', 'SESSION_NOT_FOUND');
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Fetch an open session owned by the user
+ */
+async function getOpenSession(userId, sessionId) {
+  const session = await getOwnedSession(userId, sessionId);
+
+  if (!OPEN_STATUSES.includes(session.status)) {
+    throw sessionError(`Cannot modify a ${session.status} session`, 'SESSION_CONFLICT');
+  }
+
+  return session;
+}
+
+async function updateSession(sessionId, updates) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('workout_sessions')
+    .update({
+      ...updates,
+      last_activity_at: now,
+      updated_at: now
+    })
+    .eq('id', sessionId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function getSessionSets(sessionId) {
+  const { data, error } = await supabase
+    .from('workout_session_sets')
+    .select('*')
+    .eq('session_id', sessionId);
+
+  if (error) throw error;
+  return sortSessionSets(data || []);
+}
+
+/**
+ * Build the full session state returned to the client
+ */
+async function buildSessionState(session) {
+  const now = new Date();
+  const [sets, dailyWorkout] = await Promise.all([
+    getSessionSets(session.id),
+    getDailyWorkoutWithExercises(session.daily_workout_id, session.user_id)
+  ]);
+
+  return {
+    ...session,
+    elapsed_seconds: calculateElapsedSeconds(session, now),
+    rest_timer: buildRestTimer(session, now),
+    sets,
+    daily_workout: dailyWorkout
+  };
+}
+
+/**
+ * Start a live session for a daily workout
+ * Starting the same workout again returns the session that is already open
+ * @returns {Promise<Object>} - { session, resumed }
+ */
+export async function startSession(userId, dailyWorkoutId) {
+  try {
+    const dailyWorkout = await getDailyWorkoutWithExercises(dailyWorkoutId, userId);
+    if (!dailyWorkout) {
+      throw sessionError('Workout not found', 'WORKOUT_NOT_FOUND');
+    }
+
+    if (dailyWorkout.is_completed) {
+      throw sessionError('Cannot start a workout that is already completed', 'SESSION_CONFLICT');
+    }
+
+    const openSession = await getActiveSessionRecord(userId);
+
+    if (openSession) {
+      if (openSession.daily_workout_id === dailyWorkoutId) {
+        return { session: await buildSessionState(openSession), resumed: true };
+      }
+      throw sessionError(IN_PROGRESS_MESSAGE, 'SESSION_CONFLICT');
+    }
+
+    const { data: session, error } = await supabase
+      .from('workout_sessions')
+      .insert({
+        user_id: userId,
+        daily_workout_id: dailyWorkoutId,
+        status: 'active'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Another session was opened concurrently (one open session per user)
+      if (error.code === UNIQUE_VIOLATION) throw sessionError(IN_PROGRESS_MESSAGE, 'SESSION_CONFLICT');
+      throw error;
+    }
+
+    console.log(`⏱️ Workout session ${session.id} started for daily workout ${dailyWorkoutId}`);
+
+    return { session: await buildSessionState(session), resumed: false };
+  } catch (error) {
+    console.error('Error starting workout session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's open session record, abandoning it if it went stale
+ */
+async function getActiveSessionRecord(userId) {
+  const { data, error } = await supabase
+    .from('workout_sessions')
+    .select('*')
+    .eq('user_id', userId)
+    .in('status', OPEN_STATUSES)
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const idleHours = secondsBetween(data.last_activity_at, new Date()) / 3600;
+  if (idleHours >= STALE_SESSION_HOURS) {
+    await supabase
+      .from('workout_sessions')
+      .update({
+        status: 'abandoned',
+        finished_at: data.last_activity_at,
+        rest_started_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', data.id);
+
+    console.log(`🗑️ Abandoned stale workout session ${data.id}`);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Get the user's in-progress session (used to recover after the app was closed)
+ * @returns {Promise<Object|null>} - Session state or null if nothing is in progress
+ */
+export async function getActiveSession(userId) {
+  try {
+    const session = await getActiveSessionRecord(userId);
+    return session ? await buildSessionState(session) : null;
+  } catch (error) {
+    console.error('Error fetching active workout session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a session with its logged sets and timers
+ */
+export async function getSession(userId, sessionId) {
+  try {
+    const session = await getOwnedSession(userId, sessionId);
+    return await buildSessionState(session);
+  } catch (error) {
+    console.error('Error fetching workout session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Log (or overwrite) a set in a session
+ * Re-sending the same exercise_id + set_number replaces the earlier entry,
+ * so the client can safely retry after a dropped connection.
+ * A running rest timer is stopped and its time recorded on the previous set.
+ * @param {Object} set - { exercise_id, set_number, reps?, weight?, weight_unit?, rpe?, duration_seconds?, performed_at? }
+ */
+export async function logSet(userId, sessionId, set) {
+  try {
+    const validationError = validateSetLogs([set]);
+    if (validationError) {
+      throw sessionError(validationError.replace('set_logs[0]', 'set'), 'INVALID_SET');
+    }
+
+    const session = await getOpenSession(userId, sessionId);
+
+    if (session.status === 'paused') {
+      throw sessionError('Cannot log sets while the session is paused', 'SESSION_CONFLICT');
+    }
+
+    const now = new Date().toISOString();
+
+    if (session.rest_started_at) {
+      await recordRest(session, now);
+    }
+
+    const { data, error } = await supabase
+      .from('workout_session_sets')
+      .upsert({
+        session_id: sessionId,
+        exercise_id: set.exercise_id,
+        set_number: set.set_number,
+        reps: set.reps ?? null,
+        weight: set.weight ?? null,
+        weight_unit: set.weight_unit || 'kg',
+        rpe: set.rpe ?? null,
+        rest_seconds: set.rest_seconds ?? null,
+        duration_seconds: set.duration_seconds ?? null,
+        performed_at: set.performed_at || now,
+        updated_at: now
+      }, { onConflict: 'session_id,exercise_id,set_number' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await updateSession(sessionId, {
+      rest_started_at: null,
+      rest_target_seconds: null,
+      rest_exercise_id: null,
+      rest_set_number: null
+    });
+
+    return data;
+  } catch (error) {
+    console.error('Error logging session set:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store the time rested on the set the rest timer was started after
+ */
+async function recordRest(session, endedAt) {
+  if (!session.rest_exercise_id || !session.rest_set_number) return;
+
+  const { error } = await supabase
+    .from('workout_session_sets')
+    .update({
+      rest_seconds: secondsBetween(session.rest_started_at, endedAt),
+      updated_at: endedAt
+    })
+    .eq('session_id', session.id)
+    .eq('exercise_id', session.rest_exercise_id)
+    .eq('set_number', session.rest_set_number);
+
+  if (error) throw error;
+}
+
+/**
+ * Start a rest timer (replaces any timer already running)
+ * @param {Object} rest - { target_seconds?, exercise_id?, set_number? } - the set the rest follows
+ */
+export async function startRest(userId, sessionId, { target_seconds = null, exercise_id = null, set_number = null } = {}) {
+  try {
+    const session = await getOpenSession(userId, sessionId);
+
+    if (session.status === 'paused') {
+      throw sessionError('Cannot start a rest timer while the session is paused', 'SESSION_CONFLICT');
+    }
+
+    const updated = await updateSession(sessionId, {
+      rest_started_at: new Date().toISOString(),
+      rest_target_seconds: target_seconds,
+      rest_exercise_id: exercise_id,
+      rest_set_number: set_number
+    });
+
+    return await buildSessionState(updated);
+  } catch (error) {
+    console.error('Error starting rest timer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop the running rest timer and record the rest on the previous set
+ */
+export async function endRest(userId, sessionId) {
+  try {
+    const session = await getOpenSession(userId, sessionId);
+
+    if (!session.rest_started_at) {
+      throw sessionError('Cannot end rest - no rest timer is running', 'SESSION_CONFLICT');
+    }
+
+    await recordRest(session, session.paused_at || new Date().toISOString());
+
+    const updated = await updateSession(sessionId, {
+      rest_started_at: null,
+      rest_target_seconds: null,
+      rest_exercise_id: null,
+      rest_set_number: null
+    });
+
+    return await buildSessionState(updated);
+  } catch (error) {
+    console.error('Error ending rest timer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pause a session (paused time doesn't count towards the workout duration)
+ */
+export async function pauseSession(userId, sessionId) {
+  try {
+    const session = await getOpenSession(userId, sessionId);
+
+    if (session.status === 'paused') {
+      return await buildSessionState(session);
+    }
+
+    const updated = await updateSession(sessionId, {
+      status: 'paused',
+      paused_at: new Date().toISOString()
+    });
+
+    return await buildSessionState(updated);
+  } catch (error) {
+    console.error('Error pausing workout session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resume a paused session
+ * A rest timer that was running when paused is shifted so the pause isn't counted as rest
+ */
+export async function resumeSession(userId, sessionId) {
+  try {
+    const session = await getOpenSession(userId, sessionId);
+
+    if (session.status === 'active') {
+      return await buildSessionState(session);
+    }
+
+    const now = new Date();
+    const pausedSeconds = secondsBetween(session.paused_at, now);
+    const updates = {
+      status: 'active',
+      paused_at: null,
+      total_paused_seconds: (session.total_paused_seconds || 0) + pausedSeconds
+    };
+
+    if (session.rest_started_at) {
+      updates.rest_started_at = new Date(new Date(session.rest_started_at).getTime() + pausedSeconds * 1000).toISOString();
+    }
+
+    const updated = await updateSession(sessionId, updates);
+
+    return await buildSessionState(updated);
+  } catch (error) {
+    console.error('Error resuming workout session:', error);
+    throw error;
+  }
+}
+
+/**
+ * The completion recorded for a finished session
+ * (looked up by daily workout if finishing failed before the session was linked to it)
+ */
+async function getFinishedSessionResult(userId, session) {
+  const completion = await getWorkoutCompletionByDailyWorkoutId(session.daily_workout_id, userId);
+  if (!completion) {
+    throw sessionError('Cannot finish - the session is already being finished', 'SESSION_CONFLICT');
+  }
+
+  const linked = session.workout_completion_id
+    ? session
+    : await updateSession(session.id, { workout_completion_id: completion.id });
+
+  return {
+    session: { ...linked, elapsed_seconds: calculateElapsedSeconds(linked), sets: await getSessionSets(session.id) },
+    completion
+  };
+}
+
+/**
+ * Finish a session and record it as a workout completion
+ * The session is claimed (marked completed) before the completion is recorded, so
+ * retries and concurrent finish calls return the existing completion instead of
+ * recording it twice.
+ * @param {Object} details - { difficulty_rating?, energy_level?, notes?, share_to_feed? }
+ * @returns {Promise<Object>} - { session, completion }
+ */
+export async function finishSession(userId, sessionId, { difficulty_rating, energy_level, notes, share_to_feed } = {}) {
+  try {
+    const session = await getOwnedSession(userId, sessionId);
+
+    if (session.status === 'completed') {
+      return await getFinishedSessionResult(userId, session);
+    }
+    if (!OPEN_STATUSES.includes(session.status)) {
+      throw sessionError(`Cannot modify a ${session.status} session`, 'SESSION_CONFLICT');
+    }
+
+    const finishedAt = new Date().toISOString();
+
+    // Only one caller can move the session out of its open status
+    const { data: claimed, error: claimError } = await supabase
+      .from('workout_sessions')
+      .update({
+        status: 'completed',
+        finished_at: session.paused_at || finishedAt,
+        rest_started_at: null,
+        rest_target_seconds: null,
+        rest_exercise_id: null,
+        rest_set_number: null,
+        last_activity_at: finishedAt,
+        updated_at: finishedAt
+      })
+      .eq('id', sessionId)
+      .eq('status', session.status)
+      .select()
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed) {
+      return await getFinishedSessionResult(userId, await getOwnedSession(userId, sessionId));
+    }
+
+    const sets = await getSessionSets(sessionId);
+
+    // A session finished while paused ends at the moment it was paused
+    const elapsedSeconds = calculateElapsedSeconds(claimed);
+
+    const setLogs = sets.map(set => ({
+      exercise_id: set.exercise_id,
+      set_number: set.set_number,
+      reps: set.reps,
+      weight: set.weight != null ? Number(set.weight) : null,
+      weight_unit: set.weight_unit,
+      rpe: set.rpe != null ? Number(set.rpe) : null,
+      rest_seconds: set.rest_seconds,
+      duration_seconds: set.duration_seconds,
+      performed_at: set.performed_at
+    }));
+
+    const exerciseIds = [...new Set(sets.map(set => set.exercise_id))];
+
+    let completion;
+    try {
+      completion = await completeWorkout({
+        dailyWorkoutId: session.daily_workout_id,
+        userId,
+        duration_minutes: Math.max(1, Math.round(elapsedSeconds / 60)),
+        difficulty_rating,
+        energy_level,
+        notes,
+        exercises_completed: exerciseIds.map(exerciseId => ({
+          exercise_id: exerciseId,
+          sets_completed: sets.filter(set => set.exercise_id === exerciseId).length
+        })),
+        set_logs: setLogs,
+        share_to_feed
+      });
+    } catch (error) {
+      // Nothing was recorded: reopen the session so finishing can be retried
+      if (!(await getWorkoutCompletionByDailyWorkoutId(session.daily_workout_id, userId))) {
+        await updateSession(sessionId, {
+          status: session.status,
+          finished_at: null,
+          rest_started_at: session.rest_started_at,
+          rest_target_seconds: session.rest_target_seconds,
+          rest_exercise_id: session.rest_exercise_id,
+          rest_set_number: session.rest_set_number
+        });
+      }
+      throw error;
+    }
+
+    const updated = await updateSession(sessionId, { workout_completion_id: completion.id });
+
+    console.log(`✅ Workout session ${sessionId} finished (${elapsedSeconds}s, ${sets.length} sets)`);
+
+    return {
+      session: { ...updated, elapsed_seconds: elapsedSeconds, sets },
+      completion
+    };
+  } catch (error) {
+    console.error('Error finishing workout session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Abandon a session without recording a completion
+ */
+export async function abandonSession(userId, sessionId) {
+  try {
+    const session = await getOpenSession(userId, sessionId);
+
+    return await updateSession(sessionId, {
+      status: 'abandoned',
+      finished_at: session.paused_at || new Date().toISOString(),
+      rest_started_at: null
+    });
+  } catch (error) {
+    console.error('Error abandoning workout session:', error);
+    throw error;
+  }
+}
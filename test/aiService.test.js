@@ -0,0 +1,44 @@
+import './helpers/env.js'
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateWorkoutPlanWithAI, matchExerciseFromList } from '../src/services/aiService.js'
+
+const EXERCISES = [
+  { id: '0025', name: 'barbell bench press', bodyPart: 'chest', target: 'pectorals', equipment: 'barbell', difficulty: 'intermediate', category: 'strength' },
+  { id: '0027', name: 'barbell bent over row', bodyPart: 'back', target: 'upper back', equipment: 'barbell', difficulty: 'intermediate', category: 'strength' },
+  { id: '0043', name: 'barbell full squat', bodyPart: 'upper legs', target: 'glutes', equipment: 'barbell', difficulty: 'intermediate', category: 'strength' },
+  { id: '0405', name: 'dumbbell seated shoulder press', bodyPart: 'shoulders', target: 'delts', equipment: 'dumbbell', difficulty: 'beginner', category: 'strength' },
+  { id: '0294', name: 'dumbbell biceps curl', bodyPart: 'upper arms', target: 'biceps', equipment: 'dumbbell', difficulty: 'beginner', category: 'strength' },
+  { id: '0662', name: 'push-up', bodyPart: 'chest', target: 'pectorals', equipment: 'body weight', difficulty: 'beginner', category: 'strength' }
+]
+
+test('plan generation runs on the mock provider and passes validation', async () => {
+  const plan = await generateWorkoutPlanWithAI({
+    userProfile: { gender: 'female', age: 30, fitnessLevels: ['intermediate'] },
+    preferences: {
+      fitness_goals: ['build_muscle'],
+      target_body_parts: ['chest', 'back'],
+      days_per_week: 3,
+      hours_per_session: 1,
+      selected_days: ['monday', 'wednesday', 'friday'],
+      exercise_range: '4-6'
+    },
+    availableExercises: EXERCISES
+  })
+
+  const ids = new Set(EXERCISES.map(ex => ex.id))
+
+  assert.equal(plan.daily_workouts.length, 3)
+  assert.deepEqual(plan.daily_workouts.map(day => day.day_of_week), ['monday', 'wednesday', 'friday'])
+  for (const day of plan.daily_workouts) {
+    assert.ok(day.exercises.length >= 2)
+    assert.ok(day.exercises.every(ex => ids.has(ex.exercise_id)))
+  }
+})
+
+test('exercise matching picks an exercise from the given list', async () => {
+  const result = await matchExerciseFromList('Bench', EXERCISES.slice(0, 3))
+
+  assert.equal(result.best_match, 'barbell bench press')
+  assert.deepEqual(result.related_exercises, ['barbell bent over row', 'barbell full squat'])
+})
@@ -0,0 +1,11 @@
+/**
+ * Test environment
+ * Import first in every test file: modules read these when they are loaded.
+ * AI features run on the mock LLM provider; Supabase points at a closed port, so
+ * anything that reaches the database fails fast (usage logging swallows it).
+ */
+
+process.env.LLM_PROVIDER = 'mock'
+process.env.SUPABASE_URL = 'http://127.0.0.1:1'
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key'
+process.env.SUPABASE_ANON_KEY = 'test-anon-key'
@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateAndRepairPlan } from '../src/services/planValidationService.js'
+
+const EXERCISES = [{ id: '0001' }, { id: '0002' }]
+
+/**
+ * Reps of the first exercise after validating a one-day plan with the given reps
+ */
+function repairReps(reps) {
+  const { plan, errors } = validateAndRepairPlan({
+    plan_name: 'Test Plan',
+    daily_workouts: [{
+      day_order: 1,
+      day_of_week: 'monday',
+      exercises: [
+        { exercise_id: '0001', sets: 3, reps, rest_seconds: 60 },
+        { exercise_id: '0002', sets: 3, reps: '8-12', rest_seconds: 60 }
+      ]
+    }]
+  }, { daysPerWeek: 1, availableExercises: EXERCISES })
+
+  assert.deepEqual(errors, [])
+  return plan.daily_workouts[0].exercises[0].reps
+}
+
+test('rep counts in range are kept', () => {
+  assert.equal(repairReps('8-12'), '8-12')
+  assert.equal(repairReps(10), 10)
+  assert.equal(repairReps('15 each side'), '15 each side')
+})
+
+test('rep counts out of range are replaced with the default', () => {
+  assert.equal(repairReps('500'), '8-12')
+  assert.equal(repairReps('12-8'), '8-12')
+})
+
+test('timed sets are checked in seconds, with or without a space before the unit', () => {
+  assert.equal(repairReps('30 seconds'), '30 seconds')
+  assert.equal(repairReps('30s'), '30s')
+  assert.equal(repairReps('120s'), '120s')
+  assert.equal(repairReps('45 sec'), '45 sec')
+  assert.equal(repairReps('2min'), '2min')
+  assert.equal(repairReps('2 minutes'), '2 minutes')
+  assert.equal(repairReps('20 min'), '8-12')
+  assert.equal(repairReps('2s'), '8-12')
+})